@@ -20,5 +20,6 @@ export * from "./vivliostyle/constants";
 export * from "./vivliostyle/plugin";
 export * from "./vivliostyle/profile";
 export * from "./vivliostyle/core-viewer";
+export * from "./vivliostyle/headless";
 export * from "./vivliostyle/print";
 export * from "./vivliostyle/assets";
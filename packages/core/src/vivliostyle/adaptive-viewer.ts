@@ -24,7 +24,10 @@ import * as Constants from "./constants";
 import * as Epub from "./epub";
 import * as Exprs from "./exprs";
 import * as Font from "./font";
+import * as Hyphenation from "./hyphenation";
+import * as Imposition from "./imposition";
 import * as Logging from "./logging";
+import * as Net from "./net";
 import * as Plugin from "./plugin";
 import * as Profile from "./profile";
 import * as Scripts from "./scripts";
@@ -32,6 +35,7 @@ import * as Task from "./task";
 import * as TaskUtil from "./task-util";
 import * as Vgen from "./vgen";
 import * as Vtree from "./vtree";
+import * as WordSegmentation from "./word-segmentation";
 import {
   VivliostylePolyfillCss,
   VivliostyleViewportCss,
@@ -53,6 +57,23 @@ export const VIEWPORT_STATUS_ATTRIBUTE = "data-vivliostyle-viewer-status";
 
 export const VIEWPORT_SPREAD_VIEW_ATTRIBUTE = "data-vivliostyle-spread-view";
 
+export const VIEWPORT_PAGE_VIEW_MODE_ATTRIBUTE =
+  "data-vivliostyle-page-view-mode";
+
+export const CURRENT_PAGE_ATTRIBUTE = "data-vivliostyle-current-page";
+
+export const VIEWPORT_IMPOSITION_ATTRIBUTE = "data-vivliostyle-imposition";
+
+/**
+ * Gap between pages in the continuous scroll and thumbnail grid modes (px)
+ */
+const PAGE_GAP = 16;
+
+/**
+ * Number of columns in the thumbnail grid mode when fitting to screen
+ */
+const THUMBNAIL_GRID_COLUMNS = 4;
+
 /**
  * @enum {string}
  */
@@ -60,6 +81,8 @@ export enum PageViewMode {
   SINGLE_PAGE = "singlePage",
   SPREAD = "spread",
   AUTO_SPREAD = "autoSpread",
+  CONTINUOUS_SCROLL = "continuousScroll",
+  THUMBNAIL_GRID = "thumbnailGrid",
 }
 
 export type SingleDocumentParam = {
@@ -73,10 +96,16 @@ export class AdaptiveViewer {
   kick: () => void;
   sendCommand: (p1: Base.JSON | string) => void;
   resizeListener: () => void;
+  scrollListener: () => void;
+  clickListener: (evt: MouseEvent) => void;
+  private showRenderedPagesPending: boolean = false;
   hyperlinkListener: Base.EventListener;
   pageRuleStyleElement: HTMLElement;
   pageSheetSizeAlreadySet: boolean = false;
   renderTask: Task.Task | null = null;
+  loadingTask: Task.Task | null = null;
+  loadingStore: Epub.EPUBDocStore | null = null;
+  commandQueue: Base.JSON[] = [];
   actions: { [key: string]: Action };
   readyState: Constants.ReadyState;
   packageURL: string[];
@@ -97,6 +126,9 @@ export class AdaptiveViewer {
   pageViewMode: PageViewMode;
   waitForLoading: boolean;
   renderAllPages: boolean;
+  imposition: Imposition.ImpositionOptions;
+  impositionContainer: HTMLElement | null = null;
+  impositionSize: { width: number; height: number } | null = null;
   pref: Exprs.Preferences;
   pageSizes: { width: number; height: number }[];
   pixelRatio: number;
@@ -155,6 +187,23 @@ export class AdaptiveViewer {
       this.resized = true;
       this.kick();
     };
+    let scrollCheckPending = false;
+    this.scrollListener = () => {
+      if (!scrollCheckPending && this.isMultiPageView()) {
+        scrollCheckPending = true;
+        this.window.requestAnimationFrame(() => {
+          scrollCheckPending = false;
+          this.updateCurrentPageByScroll();
+        });
+      }
+    };
+    this.clickListener = (evt) => {
+      if (this.pageViewMode === PageViewMode.THUMBNAIL_GRID) {
+        this.selectPageByClick(evt.target as Element);
+      }
+    };
+    viewportElement.addEventListener("scroll", this.scrollListener, false);
+    viewportElement.addEventListener("click", this.clickListener, false);
     this.pageReplacedListener = this.pageReplacedListener.bind(this);
     this.hyperlinkListener = (evt) => {};
     this.pageRuleStyleElement = findOrCreateStyleElement(
@@ -188,8 +237,15 @@ export class AdaptiveViewer {
     this.zoom = 1;
     this.fitToScreen = false;
     this.pageViewMode = PageViewMode.SINGLE_PAGE;
+    this.viewportElement.setAttribute(
+      VIEWPORT_PAGE_VIEW_MODE_ATTRIBUTE,
+      this.pageViewMode,
+    );
     this.waitForLoading = false;
     this.renderAllPages = true;
+    this.imposition = Imposition.normalizeImpositionOptions({
+      mode: Imposition.ImpositionMode.NONE,
+    });
     this.pref = Exprs.defaultPreferences();
     this.pageSizes = [];
 
@@ -229,7 +285,7 @@ export class AdaptiveViewer {
     if (this.readyState !== readyState) {
       this.readyState = readyState;
       this.viewportElement.setAttribute(VIEWPORT_STATUS_ATTRIBUTE, readyState);
-      this.callback({ t: "readystatechange" });
+      this.callback({ t: "readystatechange", readyState });
     }
   }
 
@@ -237,6 +293,7 @@ export class AdaptiveViewer {
     Profile.profiler.registerStartTiming("beforeRender");
     this.setReadyState(Constants.ReadyState.LOADING);
     const url = command["url"] as string;
+    const data = command["data"] as Blob | ArrayBuffer | null;
     const fragment = command["fragment"] as string | null;
     const authorStyleSheet = command["authorStyleSheet"] as {
       url: string | null;
@@ -247,28 +304,38 @@ export class AdaptiveViewer {
       text: string | null;
     }[];
     this.viewport = null;
-    const frame: Task.Frame<boolean> = Task.newFrame("loadPublication");
-    this.configure(command).then(() => {
-      const store = new Epub.EPUBDocStore();
-      store.init(authorStyleSheet, userStyleSheet).then(() => {
-        const pubURL = Base.resolveURL(
-          Base.convertSpecialURL(url),
-          this.window.location.href,
-        );
-        this.packageURL = [pubURL];
-        store.loadPubDoc(pubURL).then((opf) => {
-          if (opf) {
-            this.opf = opf;
-            this.render(fragment).then(() => {
-              frame.finish(true);
-            });
-          } else {
-            frame.finish(false);
-          }
+    return this.runLoadingTask("loadPublication", (frame, store) => {
+      this.configure(command).then(() => {
+        store.init(authorStyleSheet, userStyleSheet).then(() => {
+          // Zipped EPUB content given as Blob or ArrayBuffer is accessed via
+          // its object URL.
+          const pubURL = data
+            ? store.createObjectURL(
+                data instanceof Blob
+                  ? data
+                  : Net.makeBlob([data], "application/epub+zip"),
+              )
+            : Base.resolveURL(
+                Base.convertSpecialURL(url),
+                this.window.location.href,
+              );
+          this.packageURL = [pubURL];
+          const opfResult = data
+            ? store.loadEPUBArchive(pubURL)
+            : store.loadPubDoc(pubURL);
+          opfResult.then((opf) => {
+            if (opf && !this.isLoadingCancelled()) {
+              this.setOPF(opf);
+              this.render(fragment).then(() => {
+                frame.finish(true);
+              });
+            } else {
+              frame.finish(false);
+            }
+          });
         });
       });
     });
-    return frame.result();
   }
 
   loadXML(command: Base.JSON): Task.Result<boolean> {
@@ -288,31 +355,134 @@ export class AdaptiveViewer {
 
     // force relayout
     this.viewport = null;
-    const frame: Task.Frame<boolean> = Task.newFrame("loadXML");
-    this.configure(command).then(() => {
-      const store = new Epub.EPUBDocStore();
-      store.init(authorStyleSheet, userStyleSheet).then(() => {
-        const resolvedParams: Epub.OPFItemParam[] = params.map((p, index) => ({
-          url: Base.resolveURL(
-            Base.convertSpecialURL(p.url),
-            this.window.location.href,
-          ),
-          index,
-          startPage: p.startPage,
-          skipPagesBefore: p.skipPagesBefore,
-        }));
-        this.packageURL = resolvedParams.map((p) => p.url);
-        this.opf = new Epub.OPFDoc(store, "");
-        this.opf.initWithChapters(resolvedParams, doc).then(() => {
-          this.render(fragment).then(() => {
-            frame.finish(true);
+    return this.runLoadingTask("loadXML", (frame, store) => {
+      this.configure(command).then(() => {
+        store.init(authorStyleSheet, userStyleSheet).then(() => {
+          const resolvedParams: Epub.OPFItemParam[] = params.map(
+            (p, index) => ({
+              url: Base.resolveURL(
+                Base.convertSpecialURL(p.url),
+                this.window.location.href,
+              ),
+              index,
+              startPage: p.startPage,
+              skipPagesBefore: p.skipPagesBefore,
+            }),
+          );
+          this.packageURL = resolvedParams.map((p) => p.url);
+          const opf = new Epub.OPFDoc(store, "");
+          opf.initWithChapters(resolvedParams, doc).then(() => {
+            if (this.isLoadingCancelled()) {
+              frame.finish(false);
+              return;
+            }
+            this.setOPF(opf);
+            this.render(fragment).then(() => {
+              frame.finish(true);
+            });
           });
         });
       });
     });
+  }
+
+  /**
+   * Run the loading of a document in a separate task, so that it can be
+   * interrupted by `cancelLoading()`.
+   */
+  private runLoadingTask(
+    name: string,
+    load: (frame: Task.Frame<boolean>, store: Epub.EPUBDocStore) => void,
+  ): Task.Result<boolean> {
+    // Stop rendering the previous document. Its fetches are aborted when the
+    // new document replaces it (see setOPF()).
+    this.cancelRenderingTask();
+    const frame: Task.Frame<boolean> = Task.newFrame(name);
+    const store = new Epub.EPUBDocStore();
+    let error: Error | null = null;
+    const loadingTask = Task.currentTask()
+      .getScheduler()
+      .run(
+        () =>
+          Task.handle(
+            name,
+            (loadingFrame) => {
+              load(loadingFrame, store);
+            },
+            (loadingFrame, err) => {
+              if (err instanceof LoadingCanceledError) {
+                Logging.logger.debug(err.message);
+              } else {
+                error = err;
+              }
+              loadingFrame.finish(false);
+            },
+          ),
+        name,
+      );
+    this.loadingTask = loadingTask;
+    this.loadingStore = store;
+    loadingTask.join().then((result) => {
+      if (this.loadingTask === loadingTask) {
+        this.loadingTask = null;
+        this.loadingStore = null;
+      }
+      if (this.opf?.store !== store) {
+        // The loading failed or was cancelled.
+        store.release();
+      }
+      if (error) {
+        Logging.logger.error(error, "Error during loading:", name);
+      }
+      frame.finish(!error && !!result);
+    });
     return frame.result();
   }
 
+  /**
+   * Replace the current document, aborting the fetches of the previous one
+   * and releasing its resources.
+   */
+  private setOPF(opf: Epub.OPFDoc): void {
+    if (this.opf && this.opf.store !== opf.store) {
+      this.opf.store.abort();
+      this.opf.store.release();
+    }
+    this.opf = opf;
+  }
+
+  private isLoadingCancelled(): boolean {
+    return Task.currentTask() !== this.loadingTask;
+  }
+
+  /**
+   * Cancel the loading and rendering of the document in progress, and the
+   * loading commands not yet run.
+   * @returns true if anything is cancelled
+   */
+  cancelLoading(): boolean {
+    const commandCount = this.commandQueue.length;
+    this.commandQueue = this.commandQueue.filter(
+      (command) => !isLoadingCommand(command),
+    );
+    let cancelled = this.commandQueue.length < commandCount;
+    if (this.loadingTask) {
+      this.loadingTask.interrupt(new LoadingCanceledError());
+      this.loadingStore.abort();
+      this.loadingTask = null;
+      this.loadingStore = null;
+      cancelled = true;
+    }
+    if (this.renderTask) {
+      this.cancelRenderingTask();
+      cancelled = true;
+    }
+    if (cancelled) {
+      this.setReadyState(Constants.ReadyState.CANCELLED);
+    }
+    return cancelled;
+  }
+
   private render(fragment?: string | null): Task.Result<boolean> {
     this.cancelRenderingTask();
     let cont: Task.Result<boolean>;
@@ -419,6 +589,20 @@ export class AdaptiveViewer {
     if (typeof command["renderAllPages"] == "boolean") {
       this.renderAllPages = command["renderAllPages"];
     }
+    if (typeof command["imposition"] == "object" && command["imposition"]) {
+      const imposition = Imposition.normalizeImpositionOptions(
+        command["imposition"],
+      );
+      if (
+        imposition &&
+        JSON.stringify(imposition) !== JSON.stringify(this.imposition)
+      ) {
+        // Force relayout to impose the pages after rendering all pages
+        this.viewport = null;
+        this.imposition = imposition;
+        this.needResize = true;
+      }
+    }
     // for backward compatibility
     if (typeof command["userAgentRootURL"] == "string") {
       Base.setBaseURL(command["userAgentRootURL"].replace(/resources\/?$/, ""));
@@ -432,8 +616,18 @@ export class AdaptiveViewer {
       typeof command["pageViewMode"] == "string" &&
       command["pageViewMode"] !== this.pageViewMode
     ) {
+      if (this.isMultiPageView()) {
+        this.hideRenderedPages();
+      }
       this.pageViewMode = command["pageViewMode"] as PageViewMode;
+      this.viewportElement.setAttribute(
+        VIEWPORT_PAGE_VIEW_MODE_ATTRIBUTE,
+        this.pageViewMode,
+      );
       this.needResize = true;
+      if (this.currentPage) {
+        this.needRefresh = true;
+      }
     }
     if (
       typeof command["pageBorder"] == "number" &&
@@ -481,7 +675,18 @@ export class AdaptiveViewer {
       }
     }
     this.configurePlugins(command);
-    return Task.newResult(true);
+    let loaded: Task.Result<boolean> = Task.newResult(true);
+    if (Array.isArray(command["wordSegmentationDictionaries"])) {
+      loaded = WordSegmentation.loadDictionaries(
+        command["wordSegmentationDictionaries"],
+      );
+    }
+    if (Array.isArray(command["hyphenationPatterns"])) {
+      return loaded.thenAsync(() =>
+        Hyphenation.loadPatterns(command["hyphenationPatterns"]),
+      );
+    }
+    return loaded;
   }
 
   configurePlugins(command: Base.JSON) {
@@ -503,7 +708,12 @@ export class AdaptiveViewer {
     const currentPage = this.currentPage;
     const spread = this.currentSpread;
     const target = evt.target;
-    if (spread) {
+    if (this.isMultiPageView()) {
+      // The new page is shown by setPageSize() and the view is not scrolled.
+      if (currentPage === target) {
+        this.setCurrentPageInView(evt.newPage);
+      }
+    } else if (spread) {
       if (spread.left === target || spread.right === target) {
         this.showCurrent(evt.newPage);
       }
@@ -516,6 +726,10 @@ export class AdaptiveViewer {
    * Iterate through currently displayed pages and do something
    */
   private forCurrentPages(fn: (p1: Vtree.Page) => any) {
+    if (this.isMultiPageView() && this.opfView) {
+      this.opfView.getRenderedPages().forEach(fn);
+      return;
+    }
     const pages = [];
     if (this.currentPage) {
       pages.push(this.currentPage);
@@ -555,6 +769,194 @@ export class AdaptiveViewer {
     page.addEventListener("replaced", this.pageReplacedListener, false);
     Base.setCSSProperty(page.container, "visibility", "visible");
     Base.setCSSProperty(page.container, "display", "block");
+    if (page.pageOrientation) {
+      // Used by the screen style sheet to turn the page so that its rotated
+      // page area is upright (see VivliostyleViewportScreenCss)
+      Base.setCSSProperty(
+        page.container,
+        "--viv-pageRotationOffset",
+        `${(page.dimensions.height - page.dimensions.width) / 2}px`,
+      );
+    }
+  }
+
+  /**
+   * Returns the size of the page as shown on screen. A page with a rotated
+   * page area (`page-orientation`) is turned upright unless it is shown in a
+   * spread, so its width and height are swapped.
+   */
+  private getDisplayDimensions(page: Vtree.Page): {
+    width: number;
+    height: number;
+  } {
+    if (page.pageOrientation && !this.pref.spreadView) {
+      return { width: page.dimensions.height, height: page.dimensions.width };
+    }
+    return page.dimensions;
+  }
+
+  /**
+   * Hide all rendered pages when leaving the continuous scroll or thumbnail
+   * grid mode.
+   */
+  private hideRenderedPages() {
+    this.removePageListeners();
+    this.forCurrentPages((page) => {
+      Base.setCSSProperty(page.container, "display", "none");
+      page.container.removeAttribute(CURRENT_PAGE_ATTRIBUTE);
+    });
+    const contentContainer = this.viewport?.contentContainer;
+    if (contentContainer) {
+      Base.setCSSProperty(contentContainer, "gap", "");
+      Base.setCSSProperty(contentContainer, "grid-template-columns", "");
+      Base.setCSSProperty(contentContainer, "grid-auto-rows", "");
+    }
+  }
+
+  /**
+   * Returns true if the page view mode shows all rendered pages at once
+   * (continuous scroll or thumbnail grid).
+   */
+  isMultiPageView(): boolean {
+    return (
+      this.pageViewMode === PageViewMode.CONTINUOUS_SCROLL ||
+      this.pageViewMode === PageViewMode.THUMBNAIL_GRID
+    );
+  }
+
+  /**
+   * Show all rendered pages stacked vertically (continuous scroll) or in a
+   * grid (thumbnail grid), and zoom the viewport to fit them.
+   */
+  private showRenderedPages() {
+    const pages = this.opfView.getRenderedPages();
+    if (!pages.length) {
+      return;
+    }
+    let maxWidth = 0;
+    let maxHeight = 0;
+    let totalHeight = 0;
+    for (const page of pages) {
+      page.container.style.marginLeft = "";
+      page.container.style.marginRight = "";
+      page.container.removeAttribute("data-vivliostyle-unpaired-page");
+      this.showSinglePage(page);
+      const dimensions = this.getDisplayDimensions(page);
+      maxWidth = Math.max(maxWidth, dimensions.width);
+      maxHeight = Math.max(maxHeight, dimensions.height);
+      totalHeight += dimensions.height;
+    }
+    const scale = this.getAdjustedZoomFactor({
+      width: maxWidth,
+      height: maxHeight,
+    });
+    // The gap is specified in the unscaled size to be PAGE_GAP on screen.
+    const gap = PAGE_GAP / scale;
+    const contentContainer = this.viewport.contentContainer;
+    Base.setCSSProperty(contentContainer, "gap", `${gap}px`);
+    if (this.pageViewMode === PageViewMode.THUMBNAIL_GRID) {
+      const columns = Math.max(
+        1,
+        Math.min(
+          pages.length,
+          Math.floor((this.viewport.width / scale + gap) / (maxWidth + gap)),
+        ),
+      );
+      const rows = Math.ceil(pages.length / columns);
+      Base.setCSSProperty(
+        contentContainer,
+        "grid-template-columns",
+        `repeat(${columns}, ${maxWidth}px)`,
+      );
+      Base.setCSSProperty(contentContainer, "grid-auto-rows", `${maxHeight}px`);
+      this.viewport.zoom(
+        columns * maxWidth + (columns - 1) * gap,
+        rows * maxHeight + (rows - 1) * gap,
+        scale,
+      );
+    } else {
+      this.viewport.zoom(
+        maxWidth,
+        totalHeight + (pages.length - 1) * gap,
+        scale,
+      );
+    }
+  }
+
+  /**
+   * Make the page current in the continuous scroll or thumbnail grid mode
+   * without scrolling the view.
+   */
+  private setCurrentPageInView(page: Vtree.Page) {
+    this.currentPage?.container.removeAttribute(CURRENT_PAGE_ATTRIBUTE);
+    this.currentPage = page;
+    page.container.setAttribute(CURRENT_PAGE_ATTRIBUTE, "true");
+    const viewItem = this.opfView.spineItems[page.spineIndex];
+    const pageIndex = viewItem ? viewItem.pages.indexOf(page) : -1;
+    if (pageIndex >= 0) {
+      this.pagePosition = Epub.makePageAndPosition(page, pageIndex).position;
+    }
+  }
+
+  /**
+   * Scroll the view so that the top of the page is at the top of the viewport.
+   */
+  private scrollToPage(page: Vtree.Page) {
+    const viewportRect = this.viewportElement.getBoundingClientRect();
+    const pageRect = page.container.getBoundingClientRect();
+    this.viewportElement.scrollTop +=
+      pageRect.top - viewportRect.top - PAGE_GAP;
+  }
+
+  /**
+   * Returns true if more than half of the page (or of the viewport height if
+   * the page is taller) is visible in the viewport.
+   */
+  private isPageMostlyVisible(page: Vtree.Page): boolean {
+    const viewportRect = this.viewportElement.getBoundingClientRect();
+    const rect = page.container.getBoundingClientRect();
+    const visibleHeight =
+      Math.min(rect.bottom, viewportRect.bottom) -
+      Math.max(rect.top, viewportRect.top);
+    return visibleHeight > Math.min(rect.height, viewportRect.height) / 2;
+  }
+
+  /**
+   * Track the current page from the scroll position. The current page is
+   * kept while more than half of it is visible, otherwise the first page
+   * more than half visible becomes current.
+   */
+  private updateCurrentPageByScroll() {
+    if (!this.isMultiPageView() || !this.opfView || !this.currentPage) {
+      return;
+    }
+    if (this.isPageMostlyVisible(this.currentPage)) {
+      return;
+    }
+    const page = this.opfView
+      .getRenderedPages()
+      .find((p) => this.isPageMostlyVisible(p));
+    if (page) {
+      this.setCurrentPageInView(page);
+      Task.start(() => this.reportPosition());
+    }
+  }
+
+  /**
+   * Make the clicked page current in the thumbnail grid mode.
+   */
+  private selectPageByClick(target: Element | null) {
+    const container = target?.closest("[data-vivliostyle-page-container]");
+    if (!container || !this.opfView || !this.currentPage) {
+      return;
+    }
+    const page = this.opfView
+      .getRenderedPages()
+      .find((p) => p.container === container);
+    if (page && page !== this.currentPage) {
+      this.setCurrentPageInView(page);
+      Task.start(() => this.reportPosition());
+    }
   }
 
   private showPage(page: Vtree.Page): void {
@@ -660,6 +1062,8 @@ export class AdaptiveViewer {
   ): boolean {
     switch (this.pageViewMode) {
       case PageViewMode.SINGLE_PAGE:
+      case PageViewMode.CONTINUOUS_SCROLL:
+      case PageViewMode.THUMBNAIL_GRID:
         return false;
       case PageViewMode.SPREAD:
         return true;
@@ -698,7 +1102,7 @@ export class AdaptiveViewer {
       this.pixelRatio &&
       this.opfView &&
       this.pixelRatio / this.window.devicePixelRatio !==
-        this.opfView.clientLayout.scaleRatio;
+        this.opfView.viewport.scaleRatio;
 
     if (
       scaleRatioChanged ||
@@ -752,6 +1156,27 @@ export class AdaptiveViewer {
     ) {
       this.updateSpreadView(this.resolveSpreadView(this.viewport, pageSize));
     }
+    if (this.isMultiPageView() && this.currentPage) {
+      // Show the newly rendered page.
+      this.scheduleShowRenderedPages();
+    }
+  }
+
+  /**
+   * Call showRenderedPages() at most once per animation frame, since it
+   * restyles all rendered pages and pages may be rendered many at a time.
+   */
+  private scheduleShowRenderedPages() {
+    if (this.showRenderedPagesPending) {
+      return;
+    }
+    this.showRenderedPagesPending = true;
+    this.window.requestAnimationFrame(() => {
+      this.showRenderedPagesPending = false;
+      if (this.isMultiPageView() && this.opfView && this.currentPage) {
+        this.showRenderedPages();
+      }
+    });
   }
 
   private setPageSizePageRules(
@@ -772,26 +1197,29 @@ export class AdaptiveViewer {
     ) {
       const widthMax = Math.max(...this.pageSizes.map((p) => p.width));
       const heightMax = Math.max(...this.pageSizes.map((p) => p.height));
+      this.writePageSizePageRule(widthMax, heightMax);
+    }
+  }
 
-      function convertSize(px: number): number {
-        const pt = px * 0.75;
-        // Workaround for Chromium's rounded page size problem.
-        // (Fix for issue #934 and #936)
-        return Math.ceil(pt);
-      }
-      const widthPt = convertSize(widthMax);
-      const heightPt = convertSize(heightMax);
-
-      // Negative margin setting is necessary to prevent unexpected page breaking.
-      // Note that the high pixel ratio emulation, the pixelRatio setting, uses the CSS zoom property
-      // that enlarge the page content size, and Chromium splits such large pages unless this
-      // negative margin is specified.
-      const rightPt = widthPt * ((this.pixelRatio || 1) - 1) + 2;
-      const bottomPt = heightPt * ((this.pixelRatio || 1) - 1) + 2; // "+ 2" is for issue #947
-      const styleText = `@page {size: ${widthPt}pt ${heightPt}pt; margin: 0 ${-rightPt}pt ${-bottomPt}pt 0;}`;
-      this.pageRuleStyleElement.textContent = styleText;
-      this.pageSheetSizeAlreadySet = true;
+  private writePageSizePageRule(width: number, height: number) {
+    function convertSize(px: number): number {
+      const pt = px * 0.75;
+      // Workaround for Chromium's rounded page size problem.
+      // (Fix for issue #934 and #936)
+      return Math.ceil(pt);
     }
+    const widthPt = convertSize(width);
+    const heightPt = convertSize(height);
+
+    // Negative margin setting is necessary to prevent unexpected page breaking.
+    // Note that the high pixel ratio emulation, the pixelRatio setting, uses the CSS zoom property
+    // that enlarge the page content size, and Chromium splits such large pages unless this
+    // negative margin is specified.
+    const rightPt = widthPt * ((this.pixelRatio || 1) - 1) + 2;
+    const bottomPt = heightPt * ((this.pixelRatio || 1) - 1) + 2; // "+ 2" is for issue #947
+    const styleText = `@page {size: ${widthPt}pt ${heightPt}pt; margin: 0 ${-rightPt}pt ${-bottomPt}pt 0;}`;
+    this.pageRuleStyleElement.textContent = styleText;
+    this.pageSheetSizeAlreadySet = true;
   }
 
   removePageSizePageRules() {
@@ -809,6 +1237,7 @@ export class AdaptiveViewer {
       tocAutohide = this.opfView.tocAutohide;
       this.opfView.removeRenderedPages();
     }
+    this.removeImposition();
     this.pageSizes = [];
     this.removePageSizePageRules();
     this.viewport = this.createViewport();
@@ -820,6 +1249,11 @@ export class AdaptiveViewer {
       this.pref,
       this.setPageSize.bind(this),
     );
+    this.opfView.progressCallback = (progress) => {
+      if (this.renderAllPages) {
+        this.callback({ t: "progress", ...progress });
+      }
+    };
     if (tocVisible) {
       this.sendCommand({ a: "toc", v: "show", autohide: tocAutohide });
     }
@@ -835,12 +1269,26 @@ export class AdaptiveViewer {
     this.needRefresh = false;
     this.removePageListeners();
 
+    if (this.impositionContainer) {
+      // The imposed sheets are shown instead of the pages.
+      this.currentPage = page;
+      this.setImpositionZoom();
+      return Task.newResult(null);
+    }
+
     const spreadView = this.resolveSpreadView(this.viewport, page.dimensions);
     if (spreadView !== this.pref.spreadView) {
       this.updateSpreadView(spreadView);
     }
 
-    if (spreadView) {
+    if (this.isMultiPageView()) {
+      this.showRenderedPages();
+      if (page !== this.currentPage || !this.isPageMostlyVisible(page)) {
+        this.scrollToPage(page);
+      }
+      this.setCurrentPageInView(page);
+      return Task.newResult(null);
+    } else if (spreadView) {
       return this.opfView
         .getSpread(this.pagePosition, sync)
         .thenAsync((spread) => {
@@ -876,8 +1324,9 @@ export class AdaptiveViewer {
   }
 
   setPageZoom(page: Vtree.Page) {
-    const zoom = this.getAdjustedZoomFactor(page.dimensions);
-    this.viewport.zoom(page.dimensions.width, page.dimensions.height, zoom);
+    const dimensions = this.getDisplayDimensions(page);
+    const zoom = this.getAdjustedZoomFactor(dimensions);
+    this.viewport.zoom(dimensions.width, dimensions.height, zoom);
   }
 
   setSpreadZoom(spread: Vtree.Spread) {
@@ -892,9 +1341,31 @@ export class AdaptiveViewer {
     width: number;
     height: number;
   }): number {
-    return this.fitToScreen
-      ? this.calculateZoomFactorToFitInsideViewPort(pageDimension)
-      : this.zoom;
+    if (!this.fitToScreen) {
+      return this.zoom;
+    }
+    if (this.pageViewMode === PageViewMode.THUMBNAIL_GRID) {
+      return this.calculateZoomFactorForThumbnails(pageDimension);
+    }
+    return this.calculateZoomFactorToFitInsideViewPort(pageDimension);
+  }
+
+  /**
+   * @returns zoom factor to show THUMBNAIL_GRID_COLUMNS pages in a row
+   */
+  calculateZoomFactorForThumbnails(pageDimension: {
+    width: number;
+    height: number;
+  }): number {
+    if (!this.viewport) {
+      return this.zoom;
+    }
+    const availableWidth =
+      this.viewport.width - (THUMBNAIL_GRID_COLUMNS + 1) * PAGE_GAP;
+    return Math.max(
+      availableWidth / (THUMBNAIL_GRID_COLUMNS * pageDimension.width),
+      0.01,
+    );
   }
 
   /**
@@ -931,11 +1402,23 @@ export class AdaptiveViewer {
     switch (type) {
       case ZoomType.FIT_INSIDE_VIEWPORT: {
         let pageDim: { width: number; height: number };
-        if (this.pref.spreadView) {
+        if (this.impositionSize) {
+          pageDim = this.impositionSize;
+        } else if (this.isMultiPageView()) {
+          const pages = this.opfView.getRenderedPages();
+          const dims = pages.map((p) => this.getDisplayDimensions(p));
+          pageDim = {
+            width: Math.max(...dims.map((d) => d.width)),
+            height: Math.max(...dims.map((d) => d.height)),
+          };
+          if (this.pageViewMode === PageViewMode.THUMBNAIL_GRID) {
+            return this.calculateZoomFactorForThumbnails(pageDim);
+          }
+        } else if (this.pref.spreadView) {
           Asserts.assert(this.currentSpread);
           pageDim = this.getSpreadDimensions(this.currentSpread);
         } else {
-          pageDim = this.currentPage.dimensions;
+          pageDim = this.getDisplayDimensions(this.currentPage);
         }
         return this.calculateZoomFactorToFitInsideViewPort(pageDim);
       }
@@ -959,6 +1442,65 @@ export class AdaptiveViewer {
     return Math.min(widthZoom, heightZoom);
   }
 
+  /**
+   * Impose the rendered pages on sheets and show the sheets instead of the
+   * pages, also in print. Effective only when all pages are rendered.
+   */
+  private showImposition() {
+    if (this.imposition.mode === Imposition.ImpositionMode.NONE) {
+      return;
+    }
+    const imposed = Imposition.createSheets(
+      this.viewportElement.ownerDocument,
+      this.opfView.getRenderedPages(),
+      this.imposition,
+      this.getCurrentPageProgression(),
+    );
+    if (!imposed) {
+      return;
+    }
+    const container = this.viewportElement.ownerDocument.createElement("div");
+    container.setAttribute(Imposition.IMPOSITION_CONTAINER_ATTR, "true");
+    imposed.sheets.forEach((sheet) => container.appendChild(sheet));
+    this.viewport.contentContainer.appendChild(container);
+    this.impositionContainer = container;
+    this.impositionSize = {
+      width: imposed.layout.width,
+      height: imposed.layout.height,
+    };
+    this.viewportElement.setAttribute(
+      VIEWPORT_IMPOSITION_ATTRIBUTE,
+      this.imposition.mode,
+    );
+    this.writePageSizePageRule(imposed.layout.width, imposed.layout.height);
+    this.setImpositionZoom();
+  }
+
+  private setImpositionZoom() {
+    const sheetCount = this.impositionContainer.childElementCount;
+    const { width, height } = this.impositionSize;
+    const scale = this.fitToScreen
+      ? this.calculateZoomFactorToFitInsideViewPort(this.impositionSize)
+      : this.zoom;
+    // The gap is specified in the unscaled size to be PAGE_GAP on screen.
+    const gap = PAGE_GAP / scale;
+    Base.setCSSProperty(this.impositionContainer, "gap", `${gap}px`);
+    this.viewport.zoom(
+      width,
+      sheetCount * height + (sheetCount - 1) * gap,
+      scale,
+    );
+  }
+
+  private removeImposition() {
+    if (this.impositionContainer) {
+      this.impositionContainer.remove();
+      this.impositionContainer = null;
+      this.impositionSize = null;
+    }
+    this.viewportElement.removeAttribute(VIEWPORT_IMPOSITION_ATTRIBUTE);
+  }
+
   private cancelRenderingTask() {
     if (this.renderTask) {
       this.renderTask.interrupt(new RenderingCanceledError());
@@ -967,9 +1509,13 @@ export class AdaptiveViewer {
   }
 
   resize(): Task.Result<boolean> {
+    const needRefresh = this.needRefresh;
     this.needResize = false;
     this.needRefresh = false;
     if (this.sizeIsGood()) {
+      // Keep the refresh requested with the resize, e.g. by changing the
+      // page view mode.
+      this.needRefresh = this.needRefresh || needRefresh;
       return Task.newResult(true);
     }
     this.setReadyState(Constants.ReadyState.LOADING);
@@ -1060,6 +1606,7 @@ export class AdaptiveViewer {
                           ) {
                             Scripts.loadScriptsAtEnd(this.window).then(() => {
                               if (this.renderAllPages) {
+                                this.showImposition();
                                 this.setReadyState(
                                   Constants.ReadyState.COMPLETE,
                                 );
@@ -1069,6 +1616,7 @@ export class AdaptiveViewer {
                             });
                           } else {
                             if (this.renderAllPages) {
+                              this.showImposition();
                               this.setReadyState(Constants.ReadyState.COMPLETE);
                             }
                             this.callback({ t: "loaded" });
@@ -1084,6 +1632,7 @@ export class AdaptiveViewer {
             if (err instanceof RenderingCanceledError) {
               Profile.profiler.registerEndTiming("render (resize)");
               Logging.logger.debug(err.message);
+              frame.finish(false);
             } else {
               throw err;
             }
@@ -1273,7 +1822,7 @@ export class AdaptiveViewer {
   }
 
   initEmbed(cmd: Base.JSON | string): void {
-    let command = maybeParse(cmd);
+    this.commandQueue.push(maybeParse(cmd));
     let continuation: Task.Continuation<boolean> | null = null;
     const viewer = this;
     Task.start(() => {
@@ -1313,9 +1862,8 @@ export class AdaptiveViewer {
                   loopFrame.continueLoop();
                 });
             }
-          } else if (command) {
-            const cmd = command;
-            command = null;
+          } else if (viewer.commandQueue.length) {
+            const cmd = viewer.commandQueue.shift();
             viewer.runCommand(cmd).then(() => {
               loopFrame.continueLoop();
             });
@@ -1339,10 +1887,12 @@ export class AdaptiveViewer {
       }
     };
     viewer.sendCommand = (cmd) => {
-      if (command) {
-        return false;
+      const command = maybeParse(cmd);
+      if (isLoadingCommand(command)) {
+        // A new loading supersedes the loading in progress.
+        viewer.cancelLoading();
       }
-      command = maybeParse(cmd);
+      viewer.commandQueue.push(command);
       viewer.kick();
       return true;
     };
@@ -1374,6 +1924,25 @@ class RenderingCanceledError extends Error {
   }
 }
 
+/**
+ * Error representing that the loading has been canceled.
+ */
+class LoadingCanceledError extends Error {
+  name: string = "LoadingCanceledError";
+  message: string = "Loading has been canceled";
+  stack: string;
+
+  constructor() {
+    super();
+    Object.setPrototypeOf(this, LoadingCanceledError.prototype);
+    this.stack = new Error().stack;
+  }
+}
+
+function isLoadingCommand(command: Base.JSON): boolean {
+  return command["a"] === "loadPublication" || command["a"] === "loadXML";
+}
+
 export function maybeParse(cmd: any): Base.JSON {
   if (typeof cmd == "string") {
     return Base.stringToJSON(cmd);
@@ -84,6 +84,75 @@ export const VivliostyleViewportScreenCss = `
     margin-right: auto;
     transform-origin: center top;
   }
+
+  [data-vivliostyle-viewer-viewport][data-vivliostyle-page-view-mode="continuousScroll"]
+    [data-vivliostyle-spread-container] {
+    flex-direction: column;
+    align-items: center;
+  }
+
+  [data-vivliostyle-viewer-viewport][data-vivliostyle-page-view-mode="thumbnailGrid"]
+    [data-vivliostyle-spread-container] {
+    display: grid;
+    justify-content: center;
+    align-items: center;
+    justify-items: center;
+  }
+
+  [data-vivliostyle-viewer-viewport][data-vivliostyle-page-view-mode="thumbnailGrid"][data-vivliostyle-page-progression="rtl"]
+    [data-vivliostyle-spread-container] {
+    direction: rtl;
+  }
+
+  [data-vivliostyle-viewer-viewport][data-vivliostyle-page-view-mode="thumbnailGrid"]
+    [data-vivliostyle-page-container] {
+    margin: 0;
+    direction: ltr;
+    cursor: pointer;
+  }
+
+  [data-vivliostyle-viewer-viewport][data-vivliostyle-page-view-mode="thumbnailGrid"]
+    [data-vivliostyle-page-container][data-vivliostyle-current-page="true"] {
+    outline: 4px solid #4a90d9;
+  }
+
+  /* Pages with a rotated page area (page-orientation) are turned upright,
+     except in spreads. The offset is set by the viewer. */
+  [data-vivliostyle-viewer-viewport]:not([data-vivliostyle-spread-view="true"])
+    [data-vivliostyle-page-container][data-vivliostyle-page-orientation] {
+    margin: calc(-1 * var(--viv-pageRotationOffset, 0px))
+      var(--viv-pageRotationOffset, 0px);
+    transform-origin: center center;
+  }
+
+  [data-vivliostyle-viewer-viewport]:not([data-vivliostyle-spread-view="true"])
+    [data-vivliostyle-page-container][data-vivliostyle-page-orientation="rotate-left"] {
+    transform: rotate(90deg);
+  }
+
+  [data-vivliostyle-viewer-viewport]:not([data-vivliostyle-spread-view="true"])
+    [data-vivliostyle-page-container][data-vivliostyle-page-orientation="rotate-right"] {
+    transform: rotate(-90deg);
+  }
+
+  [data-vivliostyle-page-container] [data-vivliostyle-media-overlay-active] {
+    background-color: rgba(255, 214, 0, 0.4) !important;
+  }
+
+  [data-vivliostyle-viewer-viewport][data-vivliostyle-imposition]
+    [data-vivliostyle-spread-container] {
+    display: block;
+  }
+
+  [data-vivliostyle-imposition-container] {
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+  }
+
+  [data-vivliostyle-imposition-sheet] {
+    background: white;
+  }
 }
 `;
 
@@ -148,6 +217,10 @@ export const VivliostyleViewportCss = `
   position: relative;
 }
 
+[data-vivliostyle-imposition] [data-vivliostyle-spread-container] > [data-vivliostyle-page-container] {
+  display: none !important;
+}
+
 [data-vivliostyle-bleed-box] {
   position: absolute;
   overflow: hidden;
@@ -206,6 +279,14 @@ export const VivliostyleViewportCss = `
     break-after: page;
   }
 
+  [data-vivliostyle-imposition-container] {
+    display: block;
+  }
+
+  [data-vivliostyle-imposition-sheet]:not(:last-child) {
+    break-after: page;
+  }
+
   /* Gecko-only hack, see https://bugzilla.mozilla.org/show_bug.cgi?id=267029#c17 */
   @-moz-document url-prefix()  {
     [data-vivliostyle-spread-container] [data-vivliostyle-page-container]:nth-last-child(n + 2) {
@@ -372,6 +453,8 @@ z-index = auto | INT;
 
 [epub,moz,webkit]hyphens = auto | manual | none;
 [webkit]hyphenate-character = auto | STRING;
+hyphenate-limit-chars = [ auto | POS_INT ]{1,3};
+hyphenate-limit-last = none | always | column | page | spread;
 
 /* css-logical */
 margin-block-start = APLENGTH;
@@ -498,6 +581,10 @@ image-resolution = RESOLUTION;
 object-fit = fill | contain | cover | none | scale-down;
 object-position = COMMA( SPACE(BG_POSITION_TERM{1,4})+ ); /* relaxed */
 
+/* CSS Line Grid */
+line-grid = match-parent | create;
+line-snap = none | baseline | contain;
+
 /* CSS Paged Media */
 PAGE_SIZE = a10 | a9 | a8 | a7 | a6 | a5 | a4 | a3 | a2 | a1 | a0
           | b10 | b9 | b8 | b7 | b6 | b5 | b4 | b3 | b2 | b1 | b0
@@ -507,14 +594,18 @@ PAGE_SIZE = a10 | a9 | a8 | a7 | a6 | a5 | a4 | a3 | a2 | a1 | a0
 bleed = auto | LENGTH;
 marks = none | [ crop || cross ];
 size = POS_LENGTH{1,2} | auto | [ PAGE_SIZE || [ portrait | landscape ] ];
+page-orientation = upright | rotate-left | rotate-right;
 crop-offset = auto | LENGTH;
 crop-marks-line-color = auto | COLOR;
 
 /* CSS Page Floats */
 float-reference = inline | column | region | page;
-float = none | footnote | [ block-start || block-end || inline-start || inline-end || snap-block || snap-inline || left || right || top || bottom ];
+float = none | footnote | margin-note | [ block-start || block-end || inline-start || inline-end || snap-block || snap-inline || left || right || top || bottom ];
 float-min-wrap-block = PPLENGTH;
 
+/* CSS Rhythmic Sizing */
+block-step-size = none | POS_LENGTH;
+
 /* CSS Ruby */
 ruby-align = start | center | space-between | space-around;
 ruby-position = over | under | inter-character;
@@ -642,6 +733,9 @@ background-blend-mode = COMMA( BLEND_MODE+ );
 
 /* CSS GCPM */
 string-set = COMMA( SPACE( IDENT CONTENT_LIST )+ | none );
+bookmark-level = none | POS_INT;
+bookmark-label = CONTENT_LIST;
+bookmark-state = open | closed;
 footnote-policy = auto | line;
 
 /* CSS Repeated Headers and Footers */
@@ -1090,26 +1184,32 @@ script {
 h1 {
   font-size: 2em;
   margin-block: 0.67em;
+  bookmark-level: 1;
 }
 h2 {
   font-size: 1.5em;
   margin-block: 0.83em;
+  bookmark-level: 2;
 }
 h3 {
   font-size: 1.17em;
   margin-block: 1em;
+  bookmark-level: 3;
 }
 h4 {
   font-size: 1em;
   margin-block: 1.33em;
+  bookmark-level: 4;
 }
 h5 {
   font-size: 0.83em;
   margin-block: 1.67em;
+  bookmark-level: 5;
 }
 h6 {
   font-size: 0.67em;
   margin-block: 2.33em;
+  bookmark-level: 6;
 }
 h1,
 h2,
@@ -1306,6 +1406,33 @@ m|math[display="block"] {
   display: block math;
 }
 
+/*------------------ endnotes ---------------------*/
+
+[data-viv-endnotes] {
+  counter-reset: endnote;
+}
+
+[data-viv-endnote] {
+  display: block;
+  float: none !important;
+  counter-increment: endnote;
+}
+
+[data-viv-endnote][data-viv-endnote-ref]::before {
+  content: counter(endnote) ". ";
+}
+
+a[data-viv-endnote-call] {
+  font-size: 0.75em;
+  vertical-align: super;
+  line-height: 0.01;
+  text-decoration: none;
+}
+
+a[data-viv-endnote-call]::after {
+  content: target-counter(attr(href url), endnote);
+}
+
 /*------------------ epub-specific ---------------------*/
 
 a[epub|type="noteref"],
@@ -66,4 +66,15 @@ export enum ReadyState {
   LOADING = "loading",
   INTERACTIVE = "interactive",
   COMPLETE = "complete",
+  CANCELLED = "cancelled",
+}
+
+/**
+ * Playback state of EPUB Media Overlays.
+ * @enum {string}
+ */
+export enum MediaOverlayState {
+  STOPPED = "stopped",
+  PLAYING = "playing",
+  PAUSED = "paused",
 }
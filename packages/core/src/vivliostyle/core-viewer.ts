@@ -20,10 +20,16 @@
 import * as AdaptiveViewer from "./adaptive-viewer";
 import * as Base from "./base";
 import * as Constants from "./constants";
+import * as CssPage from "./css-page";
 import * as Epub from "./epub";
+import * as Imposition from "./imposition";
+import * as MediaOverlay from "./media-overlay";
+import * as Preflight from "./preflight";
 import * as Profile from "./profile";
+import * as Task from "./task";
+import * as TextSearch from "./text-search";
 import * as Toc from "./toc";
-import { ErrorInfo } from "./logging";
+import { ErrorInfo, SourceLocation as LogSourceLocation } from "./logging";
 
 export interface Payload {
   type: string;
@@ -37,6 +43,15 @@ export interface Payload {
   epageCount: number;
   metadata: unknown;
   docTitle: string;
+  readyState: Constants.ReadyState;
+  spineIndex: number;
+  spineCount: number;
+  pageCount: number;
+  estimatedPageCount: number;
+  elapsedTime: number;
+  documentElapsedTime: number;
+  documentComplete: boolean;
+  mediaOverlayState: Constants.MediaOverlayState;
 }
 
 const PageProgression = Constants.PageProgression;
@@ -48,14 +63,22 @@ const PageProgression = Constants.PageProgression;
  * - viewportElement: An element used as the viewport of the displayed contents.
  * - window: Window object. If omitted, current `window` is used.
  * - debug: Debug flag.
+ * - audioPlayer: Audio output of EPUB Media Overlays. If omitted, an HTML
+ *   audio element is used.
  */
 export type CoreViewerSettings = {
   userAgentRootURL?: string;
   viewportElement: HTMLElement;
   window?: Window;
   debug?: boolean;
+  audioPlayer?: MediaOverlayAudioPlayer;
 };
 
+/**
+ * Audio output of EPUB Media Overlays. See `CoreViewerSettings.audioPlayer`.
+ */
+export type MediaOverlayAudioPlayer = MediaOverlay.AudioPlayer;
+
 /**
  * Viewer options that can be set after the Viewer object is constructed.
  * - autoResize: Run layout again when the window is resized. default: true
@@ -63,8 +86,11 @@ export type CoreViewerSettings = {
  * - pageBorderWidth: Width of a border between two pages in a single
  *   spread (px). Effective only in spread view mode. default: 1
  * - renderAllPages: Render all pages at the document load time. default: true
- * - pageViewMode: Page view mode (singlePage / spread / autoSpread).
- *   default: singlePage
+ * - pageViewMode: Page view mode (singlePage / spread / autoSpread /
+ *   continuousScroll / thumbnailGrid). continuousScroll stacks all rendered
+ *   pages vertically and tracks the current page from the scroll position.
+ *   thumbnailGrid shows the rendered pages in a grid; with fitToScreen, four
+ *   pages fit in a row. default: singlePage
  * - zoom: Zoom factor with which pages are displayed. default: 1
  * - fitToScreen: Auto adjust zoom factor to fit the screen. default: false
  * - defaultPaperSize: Default paper size in px. Effective when `@page` size
@@ -74,6 +100,10 @@ export type CoreViewerSettings = {
  * - pixelRatio: Set output pixel ratio. Enables very thin border width and
  *   improves layout precision, emulating high pixel ratio.
  *   default: 8. Set 0 to disable pixel ratio emulation.
+ * - imposition: Imposition of the pages on printing sheets (see
+ *   ImpositionOptions). The sheets are shown and printed instead of the pages
+ *   after all pages are rendered, so it is effective only with
+ *   renderAllPages. default: undefined (no imposition)
  */
 export type CoreViewerOptions = {
   autoResize?: boolean;
@@ -86,6 +116,7 @@ export type CoreViewerOptions = {
   defaultPaperSize?: { width: number; height: number };
   allowScripts?: boolean;
   pixelRatio?: number;
+  imposition?: Imposition.ImpositionOptions;
 };
 
 function getDefaultViewerOptions(): CoreViewerOptions {
@@ -133,12 +164,35 @@ function convertViewerOptions(options: CoreViewerOptions): object {
  * - userStyleSheet: An array of user style sheets to be injected.
  *   A single stylesheet may be a URL of the style sheet or a text content of
  *   the style sheet.
+ * - hyphenationPatterns: An array of hyphenation pattern files, each with the
+ *   language tag and the URL of the file (e.g. `hyph-hu.pat.txt` of the TeX
+ *   hyphenation patterns). Text with `hyphens: auto` in these languages is
+ *   hyphenated with the patterns instead of the browser hyphenation.
+ *   `hyphenate-limit-last` is honored before page and column breaks; for the
+ *   last full line of a paragraph, `always` is honored only with
+ *   `--viv-line-breaking: optimal`.
+ * - wordSegmentationDictionaries: An array of word list files (one word per
+ *   line), each with the language (`th`, `lo`, `km` or `my`) and the URL of
+ *   the file. They are used for the word segmentation of Thai, Lao, Khmer and
+ *   Burmese text when `Intl.Segmenter` is not available.
+ * - endnotes: If true, the elements with `role="doc-endnote"` or
+ *   `epub:type="endnote"` are collected as endnotes. The notes are moved to
+ *   the following `role="doc-endnotes"` section, or to a new section at the
+ *   end of the chapter or the document.
+ * - endnoteSelector: A CSS selector of the notes (e.g. elements styled with
+ *   `float: footnote`) to be collected as endnotes, in addition to the
+ *   elements with `role="doc-endnote"` or `epub:type="endnote"`. Setting it
+ *   enables the collection of endnotes.
  */
 export type DocumentOptions = {
   documentObject?: Document;
   fragment?: string;
   authorStyleSheet?: { url?: string; text?: string }[];
   userStyleSheet?: { url?: string; text?: string }[];
+  hyphenationPatterns?: { lang: string; url: string }[];
+  wordSegmentationDictionaries?: { lang: string; url: string }[];
+  endnotes?: boolean;
+  endnoteSelector?: string;
 };
 
 /**
@@ -160,6 +214,89 @@ export type SingleDocumentOptions =
       skipPagesBefore?: number;
     };
 
+/**
+ * Bookmark generated by the CSS bookmark-level, bookmark-label and
+ * bookmark-state properties.
+ * - level: Bookmark level (1 or greater).
+ * - label: Bookmark label text.
+ * - open: false if `bookmark-state: closed` is specified.
+ * - pageIndex: Index of the page where the bookmarked element is laid out,
+ *   counted from 0 at the first page of the publication. It can be used with
+ *   `navigateToPage(Navigation.EPAGE, pageIndex)`.
+ */
+export type Bookmark = {
+  level: number;
+  label: string;
+  open: boolean;
+  pageIndex: number;
+};
+
+/**
+ * Options of `CoreViewer.searchText()`: caseSensitive, wholeWord, regexp and
+ * maxHits.
+ */
+export type TextSearchOptions = TextSearch.SearchOptions;
+
+/**
+ * Result of `CoreViewer.searchText()`.
+ */
+export type TextSearchHit = TextSearch.SearchHit;
+
+/**
+ * Entry of the page list returned by `CoreViewer.getPageList()`.
+ * - label: Page label of the print edition, e.g. "xii" or "215".
+ * - href: URL of the page break location, which can be used with
+ *   `navigateToInternalUrl()`.
+ * - pageIndex: Index of the page where the page break is laid out, counted
+ *   from 0 at the first page of the publication, or null if the page is not
+ *   rendered yet.
+ */
+export type PageListEntry = {
+  label: string;
+  href: string;
+  pageIndex: number | null;
+};
+
+/**
+ * Options of `CoreViewer.getPreflightReport()`: minImageResolution.
+ */
+export type PreflightOptions = Preflight.Options;
+
+/**
+ * Result of `CoreViewer.getPreflightReport()`: complete, pageCount and issues.
+ */
+export type PreflightReport = Preflight.Report;
+
+/**
+ * A problem in `PreflightReport`: type, message, pageIndex, cfi and url.
+ */
+export type PreflightIssue = Preflight.Issue;
+
+/**
+ * Location of a CSS error in its stylesheet source: url, line, column and
+ * property. Given as `content.location` of "warn" message payloads.
+ */
+export type SourceLocation = LogSourceLocation;
+
+/**
+ * Landmark returned by `CoreViewer.getLandmarks()`: type (e.g. "cover",
+ * "bodymatter" or "index"), label and href.
+ */
+export type Landmark = Toc.LandmarkItem;
+
+/**
+ * Handle of the loading started by `CoreViewer.loadDocument()` or
+ * `CoreViewer.loadPublication()`.
+ * - cancel: Cancel the loading and rendering if they are still in progress.
+ *   The ready state becomes `cancelled`.
+ * - cancelled: True if the loading has been cancelled, by `cancel()` or by
+ *   starting another loading.
+ */
+export type LoadHandle = {
+  cancel: () => void;
+  readonly cancelled: boolean;
+};
+
 /**
  * Vivliostyle Viewer class.
  */
@@ -168,6 +305,9 @@ export class CoreViewer {
   private adaptViewer_: AdaptiveViewer.AdaptiveViewer;
   private options: CoreViewerOptions;
   private eventTarget: Base.SimpleEventTarget;
+  private loadHandle: { cancel: () => void; cancelled: boolean } | null = null;
+  private mediaOverlayPlayer: MediaOverlay.MediaOverlayPlayer | null = null;
+  private mediaOverlayElements: Element[] = [];
   readyState: Constants.ReadyState;
 
   constructor(
@@ -206,6 +346,10 @@ export class CoreViewer {
   }
 
   private dispatcher(msg: Base.JSON) {
+    if (msg["t"] === "nav") {
+      // The pages may be rendered again.
+      this.highlightMediaOverlayClip();
+    }
     /** @dict */
     const event = { type: msg["t"] };
     const o = msg as object;
@@ -245,13 +389,14 @@ export class CoreViewer {
   }
 
   /**
-   * Load an HTML or XML document(s).
+   * Load an HTML or XML document(s). Loading in progress is cancelled.
+   * @returns handle to cancel the loading, or null if no URL is specified.
    */
   loadDocument(
     singleDocumentOptions: SingleDocumentOptions | SingleDocumentOptions[],
     opt_documentOptions?: DocumentOptions,
     opt_viewerOptions?: CoreViewerOptions,
-  ) {
+  ): LoadHandle | null {
     if (
       !singleDocumentOptions ||
       (Array.isArray(singleDocumentOptions)
@@ -265,9 +410,9 @@ export class CoreViewer {
         type: "error",
         content: { error: new Error("No URL specified") },
       });
-      return;
+      return null;
     }
-    this.loadDocumentOrPublication(
+    return this.loadDocumentOrPublication(
       singleDocumentOptions,
       null,
       opt_documentOptions,
@@ -276,21 +421,25 @@ export class CoreViewer {
   }
 
   /**
-   * Load an EPUB/WebPub publication.
+   * Load an EPUB/WebPub publication. Loading in progress is cancelled.
+   * @param pubUrl URL of the publication (EPUB file, unzipped EPUB directory,
+   *     OPF file, Web Publication manifest or primary entry page), or content
+   *     of a zipped EPUB file as Blob or ArrayBuffer.
+   * @returns handle to cancel the loading, or null if no URL is specified.
    */
   loadPublication(
-    pubUrl: string,
+    pubUrl: string | Blob | ArrayBuffer,
     opt_documentOptions?: DocumentOptions,
     opt_viewerOptions?: CoreViewerOptions,
-  ) {
+  ): LoadHandle | null {
     if (!pubUrl) {
       this.eventTarget.dispatchEvent({
         type: "error",
         content: { error: new Error("No URL specified") },
       });
-      return;
+      return null;
     }
-    this.loadDocumentOrPublication(
+    return this.loadDocumentOrPublication(
       null,
       pubUrl,
       opt_documentOptions,
@@ -306,11 +455,12 @@ export class CoreViewer {
       | SingleDocumentOptions
       | SingleDocumentOptions[]
       | null,
-    pubUrl: string | null,
+    pubUrl: string | Blob | ArrayBuffer | null,
     opt_documentOptions?: DocumentOptions,
     opt_viewerOptions?: CoreViewerOptions,
-  ) {
+  ): LoadHandle {
     const documentOptions = opt_documentOptions || {};
+    this.mediaOverlayPlayer?.stop();
 
     function convertStyleSheetArray(arr) {
       if (arr) {
@@ -332,20 +482,45 @@ export class CoreViewer {
       {
         a: singleDocumentOptions ? "loadXML" : "loadPublication",
         userAgentRootURL: this.settings["userAgentRootURL"],
-        url: convertSingleDocumentOptions(singleDocumentOptions) || pubUrl,
+        url:
+          convertSingleDocumentOptions(singleDocumentOptions) ||
+          (typeof pubUrl === "string" ? pubUrl : null),
+        data: typeof pubUrl === "string" ? null : pubUrl,
         document: documentOptions["documentObject"],
         fragment: documentOptions["fragment"],
         authorStyleSheet: authorStyleSheet,
         userStyleSheet: userStyleSheet,
+        hyphenationPatterns: documentOptions["hyphenationPatterns"],
+        wordSegmentationDictionaries:
+          documentOptions["wordSegmentationDictionaries"],
+        endnotes: documentOptions["endnotes"],
+        endnoteSelector: documentOptions["endnoteSelector"],
       },
       convertViewerOptions(this.options),
     );
+    if (this.loadHandle && this.adaptViewer_.cancelLoading()) {
+      this.loadHandle.cancelled = true;
+    }
+    const handle = {
+      cancelled: false,
+      cancel: () => {
+        if (
+          !handle.cancelled &&
+          this.loadHandle === handle &&
+          this.adaptViewer_.cancelLoading()
+        ) {
+          handle.cancelled = true;
+        }
+      },
+    };
+    this.loadHandle = handle;
     if (this.initialized) {
       this.adaptViewer_.sendCommand(command);
     } else {
       this.initialized = true;
       this.adaptViewer_.initEmbed(command);
     }
+    return handle;
   }
 
   /**
@@ -453,6 +628,24 @@ export class CoreViewer {
     return this.adaptViewer_.pageSizes;
   }
 
+  /**
+   * Returns the page size, bleed and crop offset (in px) of the rendered page
+   * whose container is `container`, or null if it is not a rendered page. The
+   * page size is the size of the trim box, and the crop offset is the distance
+   * between the edges of the page sheet and the trim box.
+   */
+  getPageSizeAndBleed(
+    container: HTMLElement,
+  ): CssPage.EvaluatedPageSizeAndBleed | null {
+    for (const viewItem of this.adaptViewer_.opfView?.spineItems || []) {
+      const page = viewItem?.pages.find((p) => p.container === container);
+      if (page) {
+        return page.pageSizeAndBleed || null;
+      }
+    }
+    return null;
+  }
+
   /**
    * Returns the current structure of the TOC once it has
    * been shown, or the empty array if there is no TOC.
@@ -461,6 +654,297 @@ export class CoreViewer {
     return this.adaptViewer_.opfView?.tocView?.getTOC();
   }
 
+  /**
+   * Returns the bookmarks (PDF outline entries) generated by the CSS
+   * bookmark-level, bookmark-label and bookmark-state properties, in document
+   * order. Only the bookmarks of rendered pages are returned.
+   */
+  getBookmarks(): Bookmark[] {
+    const opfView = this.adaptViewer_.opfView;
+    if (!opfView) {
+      return [];
+    }
+    const firstPageIndices = getFirstPageIndices(opfView);
+    return opfView.counterStore.getBookmarks().map((bookmark) => ({
+      level: bookmark.level,
+      label: bookmark.label,
+      open: bookmark.open,
+      pageIndex: firstPageIndices[bookmark.spineIndex] + bookmark.pageIndex,
+    }));
+  }
+
+  /**
+   * Search the text of all documents in the publication, including those not
+   * rendered yet.
+   * @returns The hits in document order. It is rejected with a SyntaxError if
+   *     `options.regexp` is true and the query is not a valid regular
+   *     expression.
+   */
+  searchText(
+    query: string,
+    options: TextSearchOptions = {},
+  ): Promise<TextSearchHit[]> {
+    const opf = this.adaptViewer_.opf;
+    if (!query || !opf?.spine) {
+      return Promise.resolve([]);
+    }
+    let pattern: RegExp;
+    try {
+      pattern = TextSearch.createPattern(query, options);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    return runTaskAsPromise("searchText", () =>
+      opf.searchText(pattern, options.maxHits ?? TextSearch.DEFAULT_MAX_HITS),
+    );
+  }
+
+  /**
+   * Check the rendered pages for problems to be fixed before publishing:
+   * content overflowing its area, unresolved `target-counter()` references,
+   * web fonts that failed to load, low resolution images, broken internal links,
+   * resources that failed to load and blank pages inserted by forced breaks.
+   * Pages not rendered yet are not checked; use the `renderAllPages` option
+   * and wait for the `complete` ready state to check all pages.
+   * Navigate to an issue with `navigateToInternalUrl("#" + issue.cfi)`.
+   */
+  getPreflightReport(options: PreflightOptions = {}): Promise<PreflightReport> {
+    const opfView = this.adaptViewer_.opfView;
+    if (!opfView) {
+      return Promise.resolve({ complete: false, pageCount: 0, issues: [] });
+    }
+    return runTaskAsPromise("getPreflightReport", () =>
+      Preflight.collectIssues(
+        opfView,
+        this.adaptViewer_.fontMapper,
+        options,
+      ).thenAsync((issues) =>
+        Task.newResult({
+          complete:
+            this.adaptViewer_.readyState === Constants.ReadyState.COMPLETE,
+          pageCount: opfView.getRenderedPages().length,
+          issues,
+        }),
+      ),
+    );
+  }
+
+  /**
+   * Returns the page list (`<nav epub:type="page-list">`, or `pageList` of
+   * the NCX), which maps the page numbers of the print edition to the
+   * locations in the publication.
+   */
+  getPageList(): Promise<PageListEntry[]> {
+    return this.loadNavigation().then((opf) => {
+      const opfView = this.adaptViewer_.opfView;
+      if (!opf || !opfView) {
+        return [];
+      }
+      const firstPageIndices = getFirstPageIndices(opfView);
+      return opf.pageList.map(({ label, href }) => {
+        const found = opfView.findRenderedPage(href);
+        return {
+          label,
+          href,
+          pageIndex: found
+            ? firstPageIndices[found.position.spineIndex] +
+              found.position.pageIndex
+            : null,
+        };
+      });
+    });
+  }
+
+  /**
+   * Navigate to the page break of the print edition with the given page
+   * label, e.g. "xii" or "215". The label is compared case-insensitively.
+   * @returns false if the page list has no such label
+   */
+  navigateToPrintPage(label: string): Promise<boolean> {
+    const normalized = label.trim().toLowerCase();
+    return this.loadNavigation().then((opf) => {
+      const item = opf?.pageList.find(
+        (item) => item.label.toLowerCase() === normalized,
+      );
+      if (!item) {
+        return false;
+      }
+      this.navigateToInternalUrl(item.href);
+      return true;
+    });
+  }
+
+  /**
+   * Returns the landmarks (`<nav epub:type="landmarks">`) of the publication.
+   */
+  getLandmarks(): Promise<Landmark[]> {
+    return this.loadNavigation().then((opf) =>
+      opf ? opf.landmarks.slice() : [],
+    );
+  }
+
+  /**
+   * Navigate to the first landmark of the given type, e.g. "cover",
+   * "bodymatter" or "index".
+   * @returns false if the publication has no such landmark
+   */
+  navigateToLandmark(type: string): Promise<boolean> {
+    return this.loadNavigation().then((opf) => {
+      const landmark = opf?.landmarks.find((item) => item.type === type);
+      if (!landmark) {
+        return false;
+      }
+      this.navigateToInternalUrl(landmark.href);
+      return true;
+    });
+  }
+
+  private loadNavigation(): Promise<Epub.OPFDoc | null> {
+    const opf = this.adaptViewer_.opf;
+    if (!opf) {
+      return Promise.resolve(null);
+    }
+    return runTaskAsPromise("loadNavigation", () =>
+      opf.loadNavigation().thenReturn(opf),
+    );
+  }
+
+  /**
+   * Returns true if the publication has EPUB Media Overlays.
+   */
+  hasMediaOverlay(): boolean {
+    return !!this.adaptViewer_.opf?.hasMediaOverlay();
+  }
+
+  /**
+   * Returns the playback state of the media overlays.
+   */
+  getMediaOverlayState(): Constants.MediaOverlayState {
+    return this.mediaOverlayPlayer
+      ? this.mediaOverlayPlayer.state
+      : Constants.MediaOverlayState.STOPPED;
+  }
+
+  /**
+   * Play the media overlays from the current page, or resume the paused
+   * playback. The text being read is highlighted and the pages are turned to
+   * follow it. A "mediaoverlay" event is dispatched when the playback state
+   * changes.
+   */
+  playMediaOverlay(): Promise<void> {
+    const player = this.getMediaOverlayPlayer();
+    if (player.state === Constants.MediaOverlayState.PAUSED) {
+      return player.play();
+    }
+    return player.play(this.adaptViewer_.pagePosition?.spineIndex ?? 0);
+  }
+
+  /**
+   * Pause the playback of the media overlays.
+   */
+  pauseMediaOverlay() {
+    this.mediaOverlayPlayer?.pause();
+  }
+
+  /**
+   * Stop the playback of the media overlays.
+   */
+  stopMediaOverlay() {
+    this.mediaOverlayPlayer?.stop();
+  }
+
+  /**
+   * Skip to the next (step = 1) or the previous (step = -1) media overlay
+   * clip in the current document.
+   */
+  skipMediaOverlayClip(step: number) {
+    this.mediaOverlayPlayer?.skip(step);
+  }
+
+  private getMediaOverlayPlayer(): MediaOverlay.MediaOverlayPlayer {
+    if (!this.mediaOverlayPlayer) {
+      const adaptViewer = this.adaptViewer_;
+      const host: MediaOverlay.MediaOverlayHost = {
+        get spineCount() {
+          return adaptViewer.opf?.spine?.length ?? 0;
+        },
+        loadClips: (spineIndex) =>
+          runTaskAsPromise("loadClips", () =>
+            adaptViewer.opf.loadMediaOverlay(spineIndex),
+          ),
+        getStartClipIndex: (spineIndex, clips) =>
+          Math.max(
+            clips.findIndex((clip) =>
+              this.findMediaOverlayElements(clip).some(isDisplayed),
+            ),
+            0,
+          ),
+        activate: (clip) => {
+          this.highlightMediaOverlayClip();
+          if (clip && !this.mediaOverlayElements.some(isDisplayed)) {
+            this.navigateToInternalUrl(clip.textSrc);
+          }
+        },
+        stateChanged: (state) => {
+          this.dispatcher({ t: "mediaoverlay", mediaOverlayState: state });
+        },
+      };
+      this.mediaOverlayPlayer = new MediaOverlay.MediaOverlayPlayer(
+        host,
+        this.settings.audioPlayer ||
+          new MediaOverlay.HTMLAudioPlayer(
+            this.settings.viewportElement.ownerDocument,
+          ),
+      );
+    }
+    return this.mediaOverlayPlayer;
+  }
+
+  /**
+   * Returns the elements of the clip's text in the rendered pages, or no
+   * elements if the fragment of the text is malformed (e.g. "100%").
+   */
+  private findMediaOverlayElements(clip: MediaOverlay.Clip): Element[] {
+    const opf = this.adaptViewer_.opf;
+    const r = clip.textSrc.match(/^([^#]*)#(.+)$/);
+    if (!opf || !r) {
+      return [];
+    }
+    let fragment: string;
+    try {
+      fragment = decodeURIComponent(r[2]);
+    } catch (e) {
+      return [];
+    }
+    const id = opf.documentURLTransformer.transformFragment(fragment, r[1]);
+    return Array.from(
+      this.settings.viewportElement.querySelectorAll(
+        `[id="${CSS.escape(id)}"]`,
+      ),
+    );
+  }
+
+  /**
+   * Highlight the text of the active media overlay clip.
+   */
+  private highlightMediaOverlayClip() {
+    const opf = this.adaptViewer_.opf;
+    const clip = this.mediaOverlayPlayer?.activeClip;
+    if (!opf || (!clip && !this.mediaOverlayElements.length)) {
+      return;
+    }
+    const activeClass = opf.getMediaOverlayActiveClass();
+    for (const elem of this.mediaOverlayElements) {
+      elem.classList.remove(activeClass);
+      elem.removeAttribute(MediaOverlay.ACTIVE_ATTRIBUTE);
+    }
+    this.mediaOverlayElements = clip ? this.findMediaOverlayElements(clip) : [];
+    for (const elem of this.mediaOverlayElements) {
+      elem.classList.add(activeClass);
+      elem.setAttribute(MediaOverlay.ACTIVE_ATTRIBUTE, "true");
+    }
+  }
+
   /**
    * Returns metadata for the publication. Metadata is
    * organized as an object of fully-qualified IRI properties
@@ -480,6 +964,54 @@ export class CoreViewer {
   }
 }
 
+/**
+ * Run the asynchronous function in a new task. The returned Promise is
+ * rejected if an exception is thrown in the task.
+ */
+function runTaskAsPromise<T>(
+  name: string,
+  func: () => Task.Result<T>,
+): Promise<T> {
+  return new Promise((resolve, reject) => {
+    Task.start(() =>
+      Task.handle(
+        name,
+        (frame: Task.Frame<boolean>) => {
+          func().then((result) => {
+            resolve(result);
+            frame.finish(true);
+          });
+        },
+        (frame, err) => {
+          reject(err);
+          frame.finish(false);
+        },
+      ),
+    );
+  });
+}
+
+/**
+ * Returns the index of the first page of each spine item in the whole
+ * publication.
+ */
+function getFirstPageIndices(opfView: Epub.OPFView): number[] {
+  const firstPageIndices: number[] = [];
+  let pageCount = 0;
+  for (let i = 0; i < opfView.spineItems.length; i++) {
+    firstPageIndices[i] = pageCount;
+    pageCount += opfView.spineItems[i]?.pages.length ?? 0;
+  }
+  return firstPageIndices;
+}
+
+function isDisplayed(elem: Element): boolean {
+  const pageContainer = elem.closest(
+    "[data-vivliostyle-page-container]",
+  ) as HTMLElement | null;
+  return !!pageContainer && pageContainer.style.display !== "none";
+}
+
 function convertSingleDocumentOptions(
   singleDocumentOptions: SingleDocumentOptions | SingleDocumentOptions[],
 ): AdaptiveViewer.SingleDocumentParam[] | null {
@@ -530,4 +1062,11 @@ export const ZoomType = AdaptiveViewer.ZoomType; // eslint-disable-line no-redec
 export type PageViewMode = AdaptiveViewer.PageViewMode;
 export const PageViewMode = AdaptiveViewer.PageViewMode; // eslint-disable-line no-redeclare
 
+export type ImpositionOptions = Imposition.ImpositionOptions;
+export type ImpositionMode = Imposition.ImpositionMode;
+export const ImpositionMode = Imposition.ImpositionMode; // eslint-disable-line no-redeclare
+
+export type PreflightIssueType = Preflight.IssueType;
+export const PreflightIssueType = Preflight.IssueType; // eslint-disable-line no-redeclare
+
 Profile.profiler.forceRegisterEndTiming("load_vivliostyle");
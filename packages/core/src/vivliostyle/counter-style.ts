@@ -0,0 +1,499 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @fileoverview CounterStyle - CSS Counter Styles (`@counter-style` rule).
+ * https://drafts.csswg.org/css-counter-styles-3/
+ */
+import * as Css from "./css";
+import * as Logging from "./logging";
+
+/**
+ * Counter style names that cannot be defined by `@counter-style` rules.
+ */
+export const reservedNames = [
+  "decimal",
+  "disc",
+  "square",
+  "circle",
+  "disclosure-open",
+  "disclosure-closed",
+  "none",
+  "inherit",
+  "initial",
+  "unset",
+  "revert",
+  "default",
+];
+
+/**
+ * Maximum number of symbols repeated by the symbolic and additive systems.
+ * Larger values are represented with the fallback style.
+ */
+const MAX_REPEAT = 60;
+
+/**
+ * Descriptors of a `@counter-style` rule, keyed by descriptor name.
+ */
+export type Descriptors = { [name: string]: Css.Val };
+
+export type AdditiveTuple = { weight: number; symbol: string };
+
+/**
+ * Formats a number with a predefined counter style of the given name,
+ * returning null if the number cannot be represented.
+ */
+export type PredefinedFormatter = (num: number, name: string) => string | null;
+
+export class CounterStyle {
+  /**
+   * One of "cyclic", "numeric", "alphabetic", "symbolic", "additive", "fixed"
+   * or "predefined" (implemented by `predefinedAlgorithm`).
+   */
+  system: string = "symbolic";
+  firstSymbolValue: number = 1;
+  symbols: string[] = [];
+  additiveSymbols: AdditiveTuple[] = [];
+  negative: [string, string] = ["-", ""];
+  prefix: string = "";
+  suffix: string = ". ";
+  /** null means `range: auto` */
+  range: [number, number][] | null = null;
+  pad: { length: number; symbol: string } = { length: 0, symbol: "" };
+  fallback: string = "decimal";
+  /** Algorithm of the "predefined" system */
+  predefinedAlgorithm: ((num: number) => string | null) | null = null;
+
+  constructor(public readonly name: string) {}
+
+  isInRange(num: number): boolean {
+    if (this.range) {
+      return this.range.some(([lower, upper]) => num >= lower && num <= upper);
+    }
+    switch (this.system) {
+      case "alphabetic":
+      case "symbolic":
+        return num >= 1;
+      case "additive":
+        return num >= 0;
+      default:
+        return true;
+    }
+  }
+
+  usesNegativeSign(): boolean {
+    switch (this.system) {
+      case "cyclic":
+      case "fixed":
+        return false;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Generate the initial representation of the number with the counter
+   * system, or null if the number cannot be represented.
+   */
+  generateInitialRepresentation(num: number): string | null {
+    const symbols = this.symbols;
+    const n = symbols.length;
+    switch (this.system) {
+      case "cyclic":
+        return symbols[(((num - 1) % n) + n) % n];
+      case "fixed": {
+        const index = num - this.firstSymbolValue;
+        return index >= 0 && index < n ? symbols[index] : null;
+      }
+      case "symbolic": {
+        if (num < 1) {
+          return null;
+        }
+        const repeat = Math.ceil(num / n);
+        return repeat > MAX_REPEAT
+          ? null
+          : symbols[(num - 1) % n].repeat(repeat);
+      }
+      case "alphabetic": {
+        if (num < 1) {
+          return null;
+        }
+        let result = "";
+        while (num > 0) {
+          num--;
+          result = symbols[num % n] + result;
+          num = Math.floor(num / n);
+        }
+        return result;
+      }
+      case "numeric": {
+        if (num == 0) {
+          return symbols[0];
+        }
+        let result = "";
+        while (num > 0) {
+          result = symbols[num % n] + result;
+          num = Math.floor(num / n);
+        }
+        return result;
+      }
+      case "additive": {
+        const tuples = this.additiveSymbols;
+        if (num == 0) {
+          const zero = tuples.find((tuple) => tuple.weight == 0);
+          return zero ? zero.symbol : null;
+        }
+        let result = "";
+        for (const { weight, symbol } of tuples) {
+          if (weight == 0 || weight > num) {
+            continue;
+          }
+          const repeat = Math.floor(num / weight);
+          if (repeat > MAX_REPEAT) {
+            return null;
+          }
+          result += symbol.repeat(repeat);
+          num -= weight * repeat;
+          if (num == 0) {
+            return result;
+          }
+        }
+        return null;
+      }
+      case "predefined":
+        return this.predefinedAlgorithm(num);
+    }
+    return null;
+  }
+}
+
+function getSymbol(val: Css.Val): string | null {
+  if (val instanceof Css.Str) {
+    return val.str;
+  }
+  if (val instanceof Css.Ident) {
+    return val.name;
+  }
+  // <image> symbols are not supported
+  return null;
+}
+
+function getInteger(val: Css.Val): number | null {
+  return val instanceof Css.Int ? val.num : null;
+}
+
+function getListValues(val: Css.Val): Css.Val[] {
+  return val instanceof Css.SpaceList ? val.values : [val];
+}
+
+function parseSymbols(val: Css.Val): string[] | null {
+  const symbols = getListValues(val).map(getSymbol);
+  return symbols.includes(null) ? null : symbols;
+}
+
+function parseAdditiveSymbols(val: Css.Val): AdditiveTuple[] | null {
+  const tuples: AdditiveTuple[] = [];
+  const items = val instanceof Css.CommaList ? val.values : [val];
+  for (const item of items) {
+    const values = getListValues(item);
+    if (values.length != 2) {
+      return null;
+    }
+    let weight = getInteger(values[0]);
+    let symbol = getSymbol(values[1]);
+    if (weight === null) {
+      weight = getInteger(values[1]);
+      symbol = getSymbol(values[0]);
+    }
+    if (weight === null || symbol === null || weight < 0) {
+      return null;
+    }
+    if (tuples.length && tuples[tuples.length - 1].weight <= weight) {
+      // weights must be in strictly descending order
+      return null;
+    }
+    tuples.push({ weight, symbol });
+  }
+  return tuples;
+}
+
+function parseRange(val: Css.Val): [number, number][] | null | undefined {
+  if (val === Css.ident.auto) {
+    return null;
+  }
+  const ranges: [number, number][] = [];
+  const items = val instanceof Css.CommaList ? val.values : [val];
+  for (const item of items) {
+    const values = getListValues(item);
+    if (values.length != 2) {
+      return undefined;
+    }
+    const bounds = values.map((v, i) =>
+      v instanceof Css.Ident && v.name == "infinite"
+        ? i == 0
+          ? -Infinity
+          : Infinity
+        : getInteger(v),
+    );
+    if (bounds[0] === null || bounds[1] === null || bounds[0] > bounds[1]) {
+      return undefined;
+    }
+    ranges.push([bounds[0], bounds[1]]);
+  }
+  return ranges;
+}
+
+/**
+ * Set the descriptors other than `system`, `symbols` and `additive-symbols`.
+ * @returns false if any of the descriptors is invalid
+ */
+function setCommonDescriptors(
+  style: CounterStyle,
+  descriptors: Descriptors,
+): boolean {
+  for (const name in descriptors) {
+    const val = descriptors[name];
+    switch (name) {
+      case "negative": {
+        const symbols = parseSymbols(val);
+        if (!symbols || symbols.length > 2) {
+          return false;
+        }
+        style.negative = [symbols[0], symbols[1] ?? ""];
+        break;
+      }
+      case "prefix":
+      case "suffix": {
+        const symbol = getSymbol(val);
+        if (symbol === null) {
+          return false;
+        }
+        style[name] = symbol;
+        break;
+      }
+      case "range": {
+        const range = parseRange(val);
+        if (range === undefined) {
+          return false;
+        }
+        style.range = range;
+        break;
+      }
+      case "pad": {
+        const values = getListValues(val);
+        if (values.length != 2) {
+          return false;
+        }
+        let length = getInteger(values[0]);
+        let symbol = getSymbol(values[1]);
+        if (length === null) {
+          length = getInteger(values[1]);
+          symbol = getSymbol(values[0]);
+        }
+        if (length === null || symbol === null || length < 0) {
+          return false;
+        }
+        style.pad = { length, symbol };
+        break;
+      }
+      case "fallback":
+        if (!(val instanceof Css.Ident)) {
+          return false;
+        }
+        style.fallback = val.name;
+        break;
+    }
+  }
+  return true;
+}
+
+/**
+ * Counter styles defined by `@counter-style` rules, falling back to the
+ * predefined counter styles.
+ */
+export class CounterStyleStore {
+  private styles: { [name: string]: CounterStyle } = {};
+  private definedNames: { [name: string]: boolean } = {};
+  private resolving: { [name: string]: boolean } = {};
+
+  /**
+   * @param rules descriptors of the `@counter-style` rules keyed by name
+   * @param predefinedFormatter formatter of the predefined counter styles
+   */
+  constructor(
+    public readonly rules: { [name: string]: Descriptors },
+    public readonly predefinedFormatter: PredefinedFormatter,
+  ) {}
+
+  /**
+   * @returns true if the name refers to a counter style defined by a valid
+   *     `@counter-style` rule
+   */
+  isDefined(name: string): boolean {
+    this.get(name);
+    return !!this.definedNames[name];
+  }
+
+  /**
+   * Get the counter style of the name. A predefined counter style is
+   * returned if there is no valid `@counter-style` rule with the name.
+   */
+  get(name: string): CounterStyle {
+    let style = this.styles[name];
+    if (!style) {
+      style = this.createFromRule(name);
+      if (style) {
+        this.definedNames[name] = true;
+      } else {
+        style = this.createPredefined(name);
+      }
+      this.styles[name] = style;
+    }
+    return style;
+  }
+
+  private createPredefined(name: string): CounterStyle {
+    const style = new CounterStyle(name);
+    style.system = "predefined";
+    style.predefinedAlgorithm = (num) => this.predefinedFormatter(num, name);
+    switch (name) {
+      case "disc":
+      case "circle":
+      case "square":
+      case "none":
+        style.suffix = " ";
+        break;
+      case "cjk-ideographic":
+      case "trad-chinese-informal":
+        style.suffix = "\u3001";
+        break;
+    }
+    return style;
+  }
+
+  private createFromRule(name: string): CounterStyle | null {
+    const descriptors = this.rules[name];
+    if (!descriptors || reservedNames.includes(name.toLowerCase())) {
+      return null;
+    }
+    const style = new CounterStyle(name);
+    const systemValues = descriptors["system"]
+      ? getListValues(descriptors["system"])
+      : [Css.getName("symbolic")];
+    const system = systemValues[0] instanceof Css.Ident && systemValues[0].name;
+    let valid = true;
+    if (system == "extends") {
+      const baseName = systemValues[1];
+      if (
+        systemValues.length != 2 ||
+        !(baseName instanceof Css.Ident) ||
+        descriptors["symbols"] ||
+        descriptors["additive-symbols"]
+      ) {
+        valid = false;
+      } else {
+        // Counter styles in a cycle of extends are treated as extending
+        // decimal.
+        this.resolving[name] = true;
+        const base = this.get(
+          this.rules[baseName.name] && this.resolving[baseName.name]
+            ? "decimal"
+            : baseName.name,
+        );
+        delete this.resolving[name];
+        Object.assign(style, base, { name });
+      }
+    } else {
+      switch (system) {
+        case "fixed":
+          if (systemValues.length == 2) {
+            style.firstSymbolValue = getInteger(systemValues[1]);
+            valid = style.firstSymbolValue !== null;
+          } else {
+            valid = systemValues.length == 1;
+          }
+          break;
+        case "cyclic":
+        case "numeric":
+        case "alphabetic":
+        case "symbolic":
+        case "additive":
+          valid = systemValues.length == 1;
+          break;
+        default:
+          valid = false;
+      }
+      style.system = system || "";
+      if (valid && system == "additive") {
+        const tuples =
+          descriptors["additive-symbols"] &&
+          parseAdditiveSymbols(descriptors["additive-symbols"]);
+        valid = !!tuples && tuples.length > 0;
+        style.additiveSymbols = tuples || [];
+      } else if (valid) {
+        const symbols =
+          descriptors["symbols"] && parseSymbols(descriptors["symbols"]);
+        const minLength = system == "numeric" || system == "alphabetic" ? 2 : 1;
+        valid = !!symbols && symbols.length >= minLength;
+        style.symbols = symbols || [];
+      }
+    }
+    if (valid) {
+      valid = setCommonDescriptors(style, descriptors);
+    }
+    if (!valid) {
+      Logging.logger.warn(`E_CSS_INVALID_COUNTER_STYLE ${name}`);
+      return null;
+    }
+    return style;
+  }
+
+  /**
+   * Generate the counter representation of the number, without the prefix and
+   * suffix, as used by `counter()` and `counters()` functions.
+   */
+  format(num: number, name: string): string {
+    const visited: { [name: string]: boolean } = {};
+    let style = this.get(name);
+    while (!visited[style.name]) {
+      visited[style.name] = true;
+      if (style.isInRange(num)) {
+        const negative = num < 0 && style.usesNegativeSign();
+        let result = style.generateInitialRepresentation(negative ? -num : num);
+        if (result !== null) {
+          const [negPrefix, negSuffix] = negative ? style.negative : ["", ""];
+          const padCount =
+            style.pad.length -
+            Array.from(negPrefix + result + negSuffix).length;
+          if (padCount > 0 && style.pad.symbol) {
+            result = style.pad.symbol.repeat(padCount) + result;
+          }
+          return negPrefix + result + negSuffix;
+        }
+      }
+      style = this.get(style.fallback);
+    }
+    return this.predefinedFormatter(num, "decimal");
+  }
+
+  /**
+   * Generate the marker string of the number, including the prefix and
+   * suffix, as used for list item markers.
+   */
+  formatMarker(num: number, name: string): string {
+    const style = this.get(name);
+    return style.prefix + this.format(num, name) + style.suffix;
+  }
+}
@@ -114,6 +114,25 @@ class CounterListener implements CssCascade.CounterListener {
   }
 }
 
+/**
+ * Bookmark generated by the CSS bookmark-level, bookmark-label and
+ * bookmark-state properties
+ * https://drafts.csswg.org/css-gcpm-3/#bookmarks
+ * @param elementOffset Offset of the bookmarked element in its document
+ * @param spineIndex Index of the spine item where the element is laid out
+ *     (-1 if not laid out yet)
+ * @param pageIndex Index of the page in the spine item where the element is
+ *     laid out (-1 if not laid out yet)
+ */
+export type Bookmark = {
+  level: number;
+  label: string;
+  open: boolean;
+  elementOffset: number;
+  spineIndex: number;
+  pageIndex: number;
+};
+
 /**
  * Map for named string name, element offset, and the string value
  */
@@ -505,6 +524,31 @@ class CounterResolver implements CssCascade.CounterResolver {
       this.runningElements[name] || (this.runningElements[name] = {});
     values[elementOffset] = String(elementOffset);
   }
+
+  /**
+   * Set bookmark for the CSS bookmark-level, bookmark-label and
+   * bookmark-state properties
+   * https://drafts.csswg.org/css-gcpm-3/#bookmarks
+   */
+  setBookmark(
+    level: number,
+    label: string,
+    open: boolean,
+    elementOffset: number,
+  ): void {
+    const bookmarks =
+      this.counterStore.bookmarksByURL[this.baseURL] ||
+      (this.counterStore.bookmarksByURL[this.baseURL] = {});
+    const oldBookmark = bookmarks[elementOffset];
+    bookmarks[elementOffset] = {
+      level,
+      label,
+      open,
+      elementOffset,
+      spineIndex: oldBookmark ? oldBookmark.spineIndex : -1,
+      pageIndex: oldBookmark ? oldBookmark.pageIndex : -1,
+    };
+  }
 }
 
 export class CounterStore {
@@ -517,6 +561,8 @@ export class CounterStore {
     [key: string]: { spineIndex: number; pageIndex: number };
   } = {};
   currentPage: Vtree.Page = null;
+  currentPageDocURL: string | null = null;
+  bookmarksByURL: { [url: string]: { [elementOffset: number]: Bookmark } } = {};
   newReferencesOfCurrentPage: TargetCounterReference[] = [];
   referencesToSolve: TargetCounterReference[] = [];
   referencesToSolveStack: TargetCounterReference[][] = [];
@@ -556,8 +602,12 @@ export class CounterStore {
     return new CounterResolver(this, baseURL, rootScope, pageScope);
   }
 
-  setCurrentPage(page: Vtree.Page) {
+  /**
+   * @param docURL URL of the document laid out in the page
+   */
+  setCurrentPage(page: Vtree.Page, docURL: string) {
     this.currentPage = page;
+    this.currentPageDocURL = docURL;
   }
 
   private definePageCounter(counterName: string, value: number) {
@@ -746,7 +796,78 @@ export class CounterStore {
         arr.push(ref);
       }
     }
+    this.finishPageBookmarks(spineIndex, pageIndex);
     this.currentPage = null;
+    this.currentPageDocURL = null;
+  }
+
+  /**
+   * Save the page where each bookmarked element in the current page is laid
+   * out. An element split across pages is bookmarked on its first page.
+   */
+  private finishPageBookmarks(spineIndex: number, pageIndex: number) {
+    const bookmarks = this.bookmarksByURL[this.currentPageDocURL];
+    if (!bookmarks) {
+      return;
+    }
+    const offsets: { [elementOffset: number]: boolean } = {};
+    this.currentPage.container
+      .querySelectorAll(`[${Base.ELEMENT_OFFSET_ATTR}]`)
+      .forEach((e) => {
+        offsets[e.getAttribute(Base.ELEMENT_OFFSET_ATTR)] = true;
+      });
+    Object.keys(bookmarks).forEach((key) => {
+      const bookmark = bookmarks[key];
+      const isOnPreviousPage =
+        bookmark.spineIndex === spineIndex && bookmark.pageIndex < pageIndex;
+      if (offsets[key]) {
+        if (!isOnPreviousPage) {
+          bookmark.spineIndex = spineIndex;
+          bookmark.pageIndex = pageIndex;
+        }
+      } else if (
+        bookmark.spineIndex === spineIndex &&
+        bookmark.pageIndex === pageIndex
+      ) {
+        // The element has moved to another page by re-layout.
+        bookmark.spineIndex = bookmark.pageIndex = -1;
+      }
+    });
+  }
+
+  /**
+   * Returns the bookmarks laid out in pages, in document order.
+   */
+  getBookmarks(): Bookmark[] {
+    const result: Bookmark[] = [];
+    Object.keys(this.bookmarksByURL).forEach((url) => {
+      const bookmarks = this.bookmarksByURL[url];
+      Object.keys(bookmarks).forEach((key) => {
+        if (bookmarks[key].pageIndex >= 0) {
+          result.push(bookmarks[key]);
+        }
+      });
+    });
+    return result.sort(
+      (b1, b2) =>
+        b1.spineIndex - b2.spineIndex || b1.elementOffset - b2.elementOffset,
+    );
+  }
+
+  /**
+   * Returns the references laid out in pages whose targets are not resolved,
+   * in the order of the pages.
+   */
+  getUnresolvedReferences(): TargetCounterReference[] {
+    const refs: TargetCounterReference[] = [];
+    Object.keys(this.unresolvedReferences).forEach((id) => {
+      refs.push(
+        ...this.unresolvedReferences[id].filter((ref) => ref.pageIndex >= 0),
+      );
+    });
+    return refs.sort(
+      (r1, r2) => r1.spineIndex - r2.spineIndex || r1.pageIndex - r2.pageIndex,
+    );
   }
 
   /**
@@ -20,6 +20,7 @@
  */
 import * as Asserts from "./asserts";
 import * as Base from "./base";
+import * as CounterStyle from "./counter-style";
 import * as Css from "./css";
 import * as CssParser from "./css-parser";
 import * as CssProp from "./css-prop";
@@ -78,6 +79,7 @@ export const inheritedProps = {
   "letter-spacing": true,
   "line-break": true,
   "line-height": true,
+  "line-snap": true,
   "list-style-image": true,
   "list-style-position": true,
   "list-style-type": true,
@@ -132,6 +134,7 @@ export const inheritedProps = {
 
 export const polyfilledInheritedProps = [
   "image-resolution",
+  "line-snap",
   "orphans",
   "widows",
 ];
@@ -1706,6 +1709,33 @@ export class RestoreLangItem implements ConditionItem {
   }
 }
 
+/**
+ * Not a true condition item, this class manages inheritance of
+ * list-style-type property
+ */
+export class ListStyleTypeScopeItem implements ConditionItem {
+  constructor(public readonly oldListStyleType: string) {}
+
+  /** @override */
+  fresh(cascadeInstance: CascadeInstance): ConditionItem {
+    return this;
+  }
+
+  /** @override */
+  push(cascadeInstance: CascadeInstance, depth: number): boolean {
+    return false;
+  }
+
+  /** @override */
+  pop(cascadeInstance: CascadeInstance, depth: number): boolean {
+    if (depth == 0) {
+      cascadeInstance.listStyleType = this.oldListStyleType;
+      return true;
+    }
+    return false;
+  }
+}
+
 /**
  * Not a true condition item, this class manages inheritance of quotes property
  */
@@ -1806,6 +1836,18 @@ export interface CounterResolver {
    * https://drafts.csswg.org/css-gcpm-3/#running-elements
    */
   setRunningElement(name: string, elementOffset: number): void;
+
+  /**
+   * Set bookmark for the CSS bookmark-level, bookmark-label and
+   * bookmark-state properties
+   * https://drafts.csswg.org/css-gcpm-3/#bookmarks
+   */
+  setBookmark(
+    level: number,
+    label: string,
+    open: boolean,
+    elementOffset: number,
+  ): void;
 }
 
 export class AttrValueFilterVisitor extends Css.FilterVisitor {
@@ -1918,42 +1960,7 @@ export class ContentPropVisitor extends Css.FilterVisitor {
   }
 
   private format(num: number, type: string): string {
-    let upper = false; // type == "armenian";
-    // content-counter-10.xht assumes armenian is uppercase, enable if desired
-
-    let lower = false;
-    let r: RegExpMatchArray;
-    if ((r = type.match(/^upper-(.*)/)) != null) {
-      upper = true;
-      type = r[1];
-    } else if ((r = type.match(/^lower-(.*)/)) != null) {
-      lower = true;
-      type = r[1];
-    }
-    let result = "";
-    if (additiveNumbering[type]) {
-      result = additiveFormat(additiveNumbering[type], num);
-    } else if (alphabeticNumbering[type]) {
-      result = alphabeticFormat(alphabeticNumbering[type], num);
-    } else if (fixed[type] != null) {
-      result = fixed[type];
-    } else if (type == "decimal-leading-zero") {
-      result = `${num}`;
-      if (result.length == 1) {
-        result = `0${result}`;
-      }
-    } else if (type == "cjk-ideographic" || type == "trad-chinese-informal") {
-      result = chineseCounter(num, chineseTradInformal);
-    } else {
-      result = `${num}`;
-    }
-    if (upper) {
-      return result.toUpperCase();
-    }
-    if (lower) {
-      return result.toLowerCase();
-    }
-    return result;
+    return this.cascade.counterStyles.format(num, type);
   }
 
   visitFuncCounter(values: Css.Val[]): Css.Val {
@@ -2415,6 +2422,48 @@ export function roman(num: number): string {
   return acc;
 }
 
+/**
+ * Format a number with a predefined counter style (list-style-type keyword).
+ */
+export function formatPredefinedCounter(num: number, type: string): string {
+  let upper = false; // type == "armenian";
+  // content-counter-10.xht assumes armenian is uppercase, enable if desired
+
+  let lower = false;
+  let r: RegExpMatchArray;
+  if ((r = type.match(/^upper-(.*)/)) != null) {
+    upper = true;
+    type = r[1];
+  } else if ((r = type.match(/^lower-(.*)/)) != null) {
+    lower = true;
+    type = r[1];
+  }
+  let result = "";
+  if (additiveNumbering[type]) {
+    result = additiveFormat(additiveNumbering[type], num);
+  } else if (alphabeticNumbering[type]) {
+    result = alphabeticFormat(alphabeticNumbering[type], num);
+  } else if (fixed[type] != null) {
+    result = fixed[type];
+  } else if (type == "decimal-leading-zero") {
+    result = `${num}`;
+    if (result.length == 1) {
+      result = `0${result}`;
+    }
+  } else if (type == "cjk-ideographic" || type == "trad-chinese-informal") {
+    result = chineseCounter(num, chineseTradInformal);
+  } else {
+    result = `${num}`;
+  }
+  if (upper) {
+    return result.toUpperCase();
+  }
+  if (lower) {
+    return result.toLowerCase();
+  }
+  return result;
+}
+
 export const additiveNumbering = {
   roman: [
     4999,
@@ -2793,8 +2842,9 @@ export function chineseCounter(
  * Fitting order and specificity in the same number. Order is recorded in the
  * fractional part. Select value so that
  *
- *   0x7FFFFFFF != 0x7FFFFFFF + ORDER_INCREMENT
+ *   0x1FFFFFFFF != 0x1FFFFFFFF + ORDER_INCREMENT
  *
+ * (priorities, including the cascade layer offsets, stay below 2^33)
  */
 export const ORDER_INCREMENT = 1 / 0x100000;
 
@@ -2804,6 +2854,71 @@ export function copyTable(src: ActionTable, dst: ActionTable): void {
   }
 }
 
+/**
+ * A cascade layer (`@layer`). The root layer holds the unlayered
+ * declarations.
+ */
+export class CascadeLayer {
+  children: CascadeLayer[] = [];
+
+  /**
+   * @param name null for an anonymous layer
+   */
+  constructor(
+    public readonly name: string | null,
+    public readonly parent: CascadeLayer | null,
+  ) {}
+
+  getChild(name: string): CascadeLayer {
+    let child = this.children.find((layer) => layer.name === name);
+    if (!child) {
+      child = new CascadeLayer(name, this);
+      this.children.push(child);
+    }
+    return child;
+  }
+
+  addAnonymousChild(): CascadeLayer {
+    const child = new CascadeLayer(null, this);
+    this.children.push(child);
+    return child;
+  }
+
+  /**
+   * @returns this layer and its descendants in the order of precedence
+   *     (lowest first); declarations not in any sublayer come last.
+   */
+  flatten(): CascadeLayer[] {
+    const layers: CascadeLayer[] = [];
+    for (const child of this.children) {
+      layers.push(...child.flatten());
+    }
+    layers.push(this);
+    return layers;
+  }
+}
+
+/**
+ * A declaration in a cascade layer, whose priority is adjusted by
+ * `Cascade.applyLayerOrder()` once the order of the layers is settled.
+ */
+export type LayeredValue = {
+  style: ElementStyle;
+  name: string;
+  value: CascadeValue;
+  layer: CascadeLayer;
+  important: boolean;
+};
+
+/**
+ * A `@counter-style` rule. The descriptors are not validated.
+ */
+export type CounterStyleRule = {
+  name: string;
+  descriptors: ElementStyle;
+  condition: Exprs.Val | null;
+};
+
 export class Cascade {
   nsCount: number = 0;
   nsPrefix: { [key: string]: string } = {};
@@ -2813,6 +2928,9 @@ export class Cascade {
   classes: ActionTable = {};
   ids: ActionTable = {};
   pagetypes: ActionTable = {};
+  counterStyleRules: CounterStyleRule[] = [];
+  rootLayer: CascadeLayer = new CascadeLayer("", null);
+  layeredValues: LayeredValue[] = [];
   order: number = 0;
 
   clone(): Cascade {
@@ -2827,6 +2945,7 @@ export class Cascade {
     copyTable(this.classes, r.classes);
     copyTable(this.ids, r.ids);
     copyTable(this.pagetypes, r.pagetypes);
+    r.counterStyleRules = Array.from(this.counterStyleRules);
     r.order = this.order;
     return r;
   }
@@ -2857,6 +2976,32 @@ export class Cascade {
   nextOrder(): number {
     return (this.order += ORDER_INCREMENT);
   }
+
+  /**
+   * Adjust the priorities of the declarations in cascade layers. Normal
+   * declarations in earlier layers get lower priorities, and !important
+   * declarations in earlier layers get higher priorities.
+   */
+  applyLayerOrder(): void {
+    const layers = this.rootLayer.flatten();
+    const count = layers.length - 1;
+    if (count > CssParser.MAX_CASCADE_LAYERS) {
+      Logging.logger.warn(`E_CSS_TOO_MANY_LAYERS ${count}`);
+    }
+    for (const { style, name, value, layer, important } of this.layeredValues) {
+      if (style[name] !== value) {
+        continue; // overridden in the same rule
+      }
+      const distance = Math.min(
+        count - layers.indexOf(layer),
+        CssParser.MAX_CASCADE_LAYERS,
+      );
+      style[name] = value.increaseSpecificity(
+        (important ? distance : -distance) * CssParser.SPECIFICITY_LAYER_SPAN,
+      );
+    }
+    this.layeredValues = [];
+  }
 }
 
 export class CascadeInstance {
@@ -2882,6 +3027,8 @@ export class CascadeInstance {
   counterScoping: { [key: string]: boolean }[] = [{}];
   quotes: Css.Str[];
   quoteDepth: number = 0;
+  counterStyles: CounterStyle.CounterStyleStore;
+  listStyleType: string = "disc";
   lang: string = "";
   siblingOrderStack: number[] = [0];
   currentSiblingOrder: number = 0;
@@ -2913,6 +3060,23 @@ export class CascadeInstance {
       new Css.Str("\u2018"),
       new Css.Str("\u2019"),
     ];
+    const counterStyleRules: { [name: string]: CounterStyle.Descriptors } = {};
+    for (const rule of cascade.counterStyleRules) {
+      if (!rule.condition || rule.condition.evaluate(context)) {
+        const descriptors: CounterStyle.Descriptors = {};
+        for (const name in rule.descriptors) {
+          descriptors[name.toLowerCase()] = getProp(
+            rule.descriptors,
+            name,
+          ).value;
+        }
+        counterStyleRules[rule.name] = descriptors;
+      }
+    }
+    this.counterStyles = new CounterStyle.CounterStyleStore(
+      counterStyleRules,
+      formatPredefinedCounter,
+    );
     this.currentSiblingTypeCounts = this.siblingTypeCountsStack[0];
     this.followingSiblingOrderStack = [this.currentFollowingSiblingOrder];
     this.currentFollowingSiblingTypeCounts = this.siblingTypeCountsStack[0];
@@ -3159,6 +3323,16 @@ export class CascadeInstance {
         new Css.Num(listItemCount),
         0,
       );
+      if (this.counterStyles.isDefined(this.listStyleType)) {
+        // The browser does not know counter styles defined by
+        // `@counter-style` rules, so give it the marker string.
+        props["list-style-type"] = new CascadeValue(
+          new Css.Str(
+            this.counterStyles.formatMarker(listItemCount, this.listStyleType),
+          ),
+          0,
+        );
+      }
     }
     this.counterScoping.push(null);
   }
@@ -3228,6 +3402,35 @@ export class CascadeInstance {
     }
   }
 
+  /**
+   * Process CSS bookmark-level, bookmark-label and bookmark-state properties
+   * https://drafts.csswg.org/css-gcpm-3/#bookmarks
+   */
+  setBookmark(props: ElementStyle): void {
+    const level = props["bookmark-level"] as CascadeValue;
+    let label = props["bookmark-label"] as CascadeValue;
+    const state = props["bookmark-state"] as CascadeValue;
+    delete props["bookmark-level"];
+    delete props["bookmark-label"];
+    delete props["bookmark-state"];
+    if (!level || !level.value.isNum()) {
+      return;
+    }
+    if (!label || Css.isDefaultingValue(label.value)) {
+      // The initial value is `content(text)`
+      label = new CascadeValue(new Css.Func("content", []), 0);
+    }
+    label = label.filterValue(
+      new ContentPropVisitor(this, this.currentElement, this.counterResolver),
+    );
+    this.counterResolver.setBookmark(
+      (level.value as Css.Num).num,
+      getStringValueFromCssContentVal(label.value).replace(/\s+/g, " ").trim(),
+      state?.value.stringValue() !== "closed",
+      this.currentElementOffset,
+    );
+  }
+
   processPseudoelementProps(pseudoprops: ElementStyle, element: Element): void {
     this.pushCounters(pseudoprops);
     const content = pseudoprops["content"] as CascadeValue;
@@ -3360,6 +3563,18 @@ export class CascadeInstance {
         }
       }
     }
+    const listStyleTypeCasc = baseStyle["list-style-type"] as CascadeValue;
+    let listStyleTypeItem: ListStyleTypeScopeItem | null = null;
+    if (listStyleTypeCasc) {
+      const listStyleTypeVal = listStyleTypeCasc.evaluate(this.context);
+      if (
+        listStyleTypeVal instanceof Css.Ident &&
+        !Css.isDefaultingValue(listStyleTypeVal)
+      ) {
+        listStyleTypeItem = new ListStyleTypeScopeItem(this.listStyleType);
+        this.listStyleType = listStyleTypeVal.name;
+      }
+    }
     this.pushCounters(this.currentStyle);
     const id =
       this.currentId || this.currentXmlId || element.getAttribute("name") || "";
@@ -3407,6 +3622,12 @@ export class CascadeInstance {
     // process CSS running elements
     this.setRunningElement(this.currentStyle);
 
+    // process CSS bookmark properties
+    this.setBookmark(this.currentStyle);
+
+    if (listStyleTypeItem) {
+      this.stack[this.stack.length - 2].push(listStyleTypeItem);
+    }
     if (itemToPushLast) {
       this.stack[this.stack.length - 2].push(itemToPushLast);
     }
@@ -3698,6 +3919,7 @@ export class CascadeParserHandler
   viewConditionId: string | null = null;
   insideSelectorRule: ParseState;
   invalid: boolean = false; // for `@supports selector()` check
+  layer: CascadeLayer | null;
 
   constructor(
     scope: Exprs.LexicalScope,
@@ -3714,6 +3936,7 @@ export class CascadeParserHandler
       : uaBaseCascade
         ? uaBaseCascade.clone()
         : new Cascade();
+    this.layer = parent ? parent.layer : null;
     this.state = ParseState.TOP;
   }
 
@@ -3757,7 +3980,7 @@ export class CascadeParserHandler
   }
 
   invalidSelector(message: string): void {
-    Logging.logger.warn(message);
+    this.warn(this.getCurrentToken(), message);
     this.chain.push(new CheckConditionAction("")); // always fails
     this.setInvalid();
   }
@@ -4104,6 +4327,58 @@ export class CascadeParserHandler
     this.invalid = false;
   }
 
+  /**
+   * @param name dot-separated layer name relative to the current layer, or
+   *     null for a new anonymous layer
+   */
+  resolveLayer(name: string | null): CascadeLayer {
+    let layer = this.layer || this.cascade.rootLayer;
+    if (name === null) {
+      return layer.addAnonymousChild();
+    }
+    for (const part of name.split(".")) {
+      layer = layer.getChild(part);
+    }
+    return layer;
+  }
+
+  override startLayerRule(name: string | null): void {
+    const handler = new CascadeParserHandler(
+      this.scope,
+      this.owner,
+      this.condition,
+      this,
+      this.regionId,
+      this.validatorSet,
+      false,
+    );
+    handler.layer = this.resolveLayer(name);
+    this.owner.pushHandler(handler);
+  }
+
+  override declareLayers(names: string[]): void {
+    names.forEach((name) => this.resolveLayer(name));
+  }
+
+  override startCounterStyleRule(name: string): void {
+    const descriptors = {} as ElementStyle;
+    this.cascade.counterStyleRules.push({
+      name,
+      descriptors,
+      condition: this.condition,
+    });
+    this.owner.pushHandler(
+      new PropSetParserHandler(
+        this.scope,
+        this.owner,
+        null,
+        descriptors,
+        this.validatorSet,
+        "counter-style",
+      ),
+    );
+  }
+
   override error(mnemonics: string, token: CssTokenizer.Token): void {
     super.error(mnemonics, token);
     if (this.state == ParseState.SELECTOR) {
@@ -4219,9 +4494,19 @@ export class CascadeParserHandler
       ? new ConditionalCascadeValue(value, priority, this.condition)
       : new CascadeValue(value, priority);
     setPropCascadeValue(this.elementStyle, name, cascval);
+    if (this.layer && this.flavor === CssParser.StylesheetFlavor.AUTHOR) {
+      this.cascade.layeredValues.push({
+        style: this.elementStyle,
+        name,
+        value: cascval,
+        layer: this.layer,
+        important,
+      });
+    }
   }
 
   finish(): Cascade {
+    this.cascade.applyLayerOrder();
     return this.cascade;
   }
 
@@ -4449,7 +4734,7 @@ export class PropSetParserHandler
 
   override property(name: string, value: Css.Val, important: boolean): void {
     if (important) {
-      Logging.logger.warn("E_IMPORTANT_NOT_ALLOWED");
+      this.warn(null, "E_IMPORTANT_NOT_ALLOWED");
     } else {
       this.validatorSet.validatePropertyAndHandleShorthand(
         name,
@@ -4462,16 +4747,12 @@ export class PropSetParserHandler
 
   /** @override */
   invalidPropertyValue(name: string, value: Css.Val): void {
-    Logging.logger.warn(
-      "E_INVALID_PROPERTY_VALUE",
-      `${name}:`,
-      value.toString(),
-    );
+    this.warn(null, "E_INVALID_PROPERTY_VALUE", `${name}:`, value.toString());
   }
 
   /** @override */
   unknownProperty(name: string, value: Css.Val): void {
-    Logging.logger.warn("E_INVALID_PROPERTY", `${name}:`, value.toString());
+    this.warn(null, "E_INVALID_PROPERTY", `${name}:`, value.toString());
   }
 
   /** @override */
@@ -4513,16 +4794,12 @@ export class PropertyParserHandler
 
   /** @override */
   invalidPropertyValue(name: string, value: Css.Val): void {
-    Logging.logger.warn(
-      "E_INVALID_PROPERTY_VALUE",
-      `${name}:`,
-      value.toString(),
-    );
+    this.warn(null, "E_INVALID_PROPERTY_VALUE", `${name}:`, value.toString());
   }
 
   /** @override */
   unknownProperty(name: string, value: Css.Val): void {
-    Logging.logger.warn("E_INVALID_PROPERTY", `${name}:`, value.toString());
+    this.warn(null, "E_INVALID_PROPERTY", `${name}:`, value.toString());
   }
 
   /** @override */
@@ -298,6 +298,21 @@ export type EvaluatedPageSizeAndBleed = {
   cropOffset: number;
 };
 
+/**
+ * Returns the rotation of the page area specified by `page-orientation`, in
+ * degrees clockwise.
+ */
+export function getPageOrientationAngle(value: Css.Val | undefined): number {
+  switch (value) {
+    case Css.ident.rotate_left:
+      return -90;
+    case Css.ident.rotate_right:
+      return 90;
+    default:
+      return 0;
+  }
+}
+
 /**
  * Evaluate actual page width, height and bleed from style specified in page
  * context.
@@ -654,6 +669,7 @@ export const propertiesAppliedToPartition = (() => {
     "outline-width": true,
     "outline-style": true,
     "outline-color": true,
+    "page-orientation": true,
   };
   sides.forEach((side) => {
     props[`margin-${side}`] = true;
@@ -1708,6 +1724,47 @@ export class PageRulePartitionInstance extends PageMaster.PartitionInstance<Page
     this.borderBoxHeight = dim.borderBoxExtent;
     this.marginTop = dim.marginStart;
     this.marginBottom = dim.marginEnd;
+    const rotation = getPageOrientationAngle(this.style["page-orientation"]);
+    if (rotation) {
+      this.rotatePageArea(rotation);
+    }
+  }
+
+  /**
+   * Swaps the width and height of the page area, so that the content is laid
+   * out in the rotated dimensions, and rotates it back into the page box
+   * after the layout. The border box is moved so that its center stays at the
+   * center of the original border box. The page size and the page-margin
+   * boxes are not affected.
+   */
+  private rotatePageArea(rotation: number): void {
+    const style = this.style;
+    const scope = this.pageBox.scope;
+    const width = (style["width"] as Css.Expr).expr;
+    const height = (style["height"] as Css.Expr).expr;
+    const insetWidth = Exprs.sub(scope, this.borderBoxWidth, width);
+    const insetHeight = Exprs.sub(scope, this.borderBoxHeight, height);
+    const rotatedWidth = new Css.Expr(
+      Exprs.sub(scope, this.borderBoxHeight, insetWidth),
+    );
+    const rotatedHeight = new Css.Expr(
+      Exprs.sub(scope, this.borderBoxWidth, insetHeight),
+    );
+    const shift = Exprs.mul(
+      scope,
+      Exprs.sub(scope, this.borderBoxWidth, this.borderBoxHeight),
+      new Exprs.Const(scope, 0.5),
+    );
+    style["left"] = new Css.Expr(Exprs.add(scope, this.marginLeft, shift));
+    style["top"] = new Css.Expr(Exprs.sub(scope, this.marginTop, shift));
+    style["width"] = rotatedWidth;
+    style["max-width"] = rotatedWidth;
+    style["height"] = rotatedHeight;
+    style["max-height"] = rotatedHeight;
+    // transform is applied after the layout (see delayedProperties)
+    style["transform"] = new Css.Func("rotate", [
+      new Css.Numeric(rotation, "deg"),
+    ]);
   }
 
   /**
@@ -1810,6 +1867,7 @@ export class PageRulePartitionInstance extends PageMaster.PartitionInstance<Page
     if (
       pageSize.width !== Css.fullWidth ||
       pageSize.height !== Css.fullHeight ||
+      getPageOrientationAngle(this.style["page-orientation"]) !== 0 ||
       this.hasBorderOrOutline() ||
       (marginStart instanceof Exprs.Numeric && marginStart.num < 0) ||
       (marginEnd instanceof Exprs.Numeric && marginEnd.num < 0)
@@ -37,30 +37,47 @@ export const SPECIFICITY_USER_AGENT: number = 0;
  */
 export const SPECIFICITY_USER: number = 0x1000000;
 
+/**
+ * Specificity span of a cascade layer. Declarations in cascade layers (`@layer`)
+ * of author stylesheets get their base specificity decreased (or increased
+ * when !important is used) by multiples of this value.
+ */
+export const SPECIFICITY_LAYER_SPAN: number = 0x1000000;
+
+/**
+ * Maximum number of cascade layers that can be distinguished.
+ */
+export const MAX_CASCADE_LAYERS = 127;
+
 /**
  * Author stylesheet ("normal" stylesheet) base specificity.
  */
-export const SPECIFICITY_AUTHOR: number = 0x2000000;
+export const SPECIFICITY_AUTHOR: number =
+  0x2000000 + MAX_CASCADE_LAYERS * SPECIFICITY_LAYER_SPAN;
 
 /**
  * Style attribute base specificity.
  */
-export const SPECIFICITY_STYLE: number = 0x3000000;
+export const SPECIFICITY_STYLE: number = SPECIFICITY_AUTHOR + 0x1000000;
 
 /**
  * Style attribute base specificity when !important is used.
  */
-export const SPECIFICITY_STYLE_IMPORTANT: number = 0x4000000;
+export const SPECIFICITY_STYLE_IMPORTANT: number =
+  SPECIFICITY_AUTHOR + 0x2000000;
 
 /**
  * Author stylesheet base specificity when !important is used.
  */
-export const SPECIFICITY_AUTHOR_IMPORTANT: number = 0x5000000;
+export const SPECIFICITY_AUTHOR_IMPORTANT: number =
+  SPECIFICITY_AUTHOR + 0x3000000;
 
 /**
  * User stylesheet base specificity when !important is used.
  */
-export const SPECIFICITY_USER_IMPORTANT: number = 0x6000000;
+export const SPECIFICITY_USER_IMPORTANT: number =
+  SPECIFICITY_AUTHOR_IMPORTANT +
+  (MAX_CASCADE_LAYERS + 1) * SPECIFICITY_LAYER_SPAN;
 
 /**
  * @enum {string}
@@ -71,8 +88,19 @@ export enum StylesheetFlavor {
   AUTHOR = "Author",
 }
 
+/**
+ * Property declaration being handled, for the locations of errors.
+ * - position: Position of the property name in the stylesheet source.
+ */
+export type Declaration = {
+  name: string;
+  position: number;
+};
+
 export class ParserHandler implements CssTokenizer.TokenizerHandler {
   flavor: StylesheetFlavor;
+  private sourceTokenizer: CssTokenizer.Tokenizer | null = null;
+  private declaration: Declaration | null = null;
 
   constructor(public scope: Exprs.LexicalScope) {
     this.flavor = StylesheetFlavor.AUTHOR;
@@ -82,6 +110,51 @@ export class ParserHandler implements CssTokenizer.TokenizerHandler {
     return null;
   }
 
+  /**
+   * Called by the parser with the tokenizer of the stylesheet being parsed
+   * and the property declaration being handled, if any.
+   */
+  setSource(
+    tokenizer: CssTokenizer.Tokenizer,
+    declaration: Declaration | null = null,
+  ): void {
+    this.sourceTokenizer = tokenizer;
+    this.declaration = declaration;
+  }
+
+  /**
+   * Returns the location in the stylesheet source of the property
+   * declaration being handled, or of the token if no declaration is being
+   * handled.
+   */
+  getSourceLocation(
+    token: CssTokenizer.Token | null,
+  ): Logging.SourceLocation | null {
+    const tokenizer = this.sourceTokenizer;
+    if (!tokenizer) {
+      return null;
+    }
+    if (this.declaration) {
+      return tokenizer.getSourceLocation(
+        this.declaration.position,
+        this.declaration.name,
+      );
+    }
+    return token ? tokenizer.getSourceLocation(token.position) : null;
+  }
+
+  /**
+   * Logs a warning with the location given by `getSourceLocation()`.
+   */
+  warn(token: CssTokenizer.Token | null, ...messages: string[]): void {
+    const location = this.getSourceLocation(token);
+    if (location) {
+      Logging.logger.warn(...messages, location);
+    } else {
+      Logging.logger.warn(...messages);
+    }
+  }
+
   getScope(): Exprs.LexicalScope {
     return this.scope;
   }
@@ -123,6 +196,20 @@ export class ParserHandler implements CssTokenizer.TokenizerHandler {
 
   startFontFaceRule(): void {}
 
+  startCounterStyleRule(name: string): void {}
+
+  /**
+   * `@layer` block rule
+   * @param name layer name (dot-separated for nested layers), or null for an
+   *     anonymous layer
+   */
+  startLayerRule(name: string | null): void {}
+
+  /**
+   * `@layer` statement rule that declares the order of the layers
+   */
+  declareLayers(names: string[]): void {}
+
   startFootnoteRule(pseudoelem: string | null): void {}
 
   startViewportRule(): void {}
@@ -245,7 +332,7 @@ export class DispatchParserHandler extends ParserHandler {
    * Called by a slave.
    */
   errorMsg(mnemonics: string, token: CssTokenizer.Token): void {
-    Logging.logger.warn(mnemonics, token?.toString() ?? "");
+    this.warn(token, mnemonics, token?.toString() ?? "");
   }
 
   override startStylesheet(flavor: StylesheetFlavor): void {
@@ -321,6 +408,18 @@ export class DispatchParserHandler extends ParserHandler {
     this.slave.startFontFaceRule();
   }
 
+  override startCounterStyleRule(name: string): void {
+    this.slave.startCounterStyleRule(name);
+  }
+
+  override startLayerRule(name: string | null): void {
+    this.slave.startLayerRule(name);
+  }
+
+  override declareLayers(names: string[]): void {
+    this.slave.declareLayers(names);
+  }
+
   override startFootnoteRule(pseudoelem: string | null): void {
     this.slave.startFootnoteRule(pseudoelem);
   }
@@ -424,6 +523,12 @@ export class SkippingParserHandler extends ParserHandler {
     return this.owner?.getCurrentToken();
   }
 
+  override getSourceLocation(
+    token: CssTokenizer.Token | null,
+  ): Logging.SourceLocation | null {
+    return this.owner?.getSourceLocation(token) ?? null;
+  }
+
   override error(mnemonics: string, token: CssTokenizer.Token): void {
     this.owner?.errorMsg(mnemonics, token);
   }
@@ -467,6 +572,18 @@ export class SlaveParserHandler extends SkippingParserHandler {
     this.reportAndSkip("E_CSS_UNEXPECTED_FONT_FACE");
   }
 
+  override startCounterStyleRule(name: string): void {
+    this.reportAndSkip("E_CSS_UNEXPECTED_COUNTER_STYLE");
+  }
+
+  override startLayerRule(name: string | null): void {
+    this.reportAndSkip("E_CSS_UNEXPECTED_LAYER");
+  }
+
+  override declareLayers(names: string[]): void {
+    this.report("E_CSS_UNEXPECTED_LAYER");
+  }
+
   override startFootnoteRule(pseudoelem: string | null): void {
     this.reportAndSkip("E_CSS_UNEXPECTED_FOOTNOTE");
   }
@@ -791,12 +908,15 @@ export class Parser {
   namespacePrefixToURI: { [key: string]: string } = {};
   defaultNamespaceURI: string | null = null;
   propName: string | null = null;
+  propPosition: number = 0;
   propImportant: boolean = false;
   exprContext: ExprContext;
   result: Css.Val = null;
   importReady: boolean = false;
   importURL: string | null = null;
   importCondition: Css.Expr = null;
+  /** null for an anonymous layer, undefined if not imported into a layer */
+  importLayer: string | null | undefined = undefined;
   errorBrackets: number[] = [];
   ruleStack: string[] = [];
   regionRule: boolean = false;
@@ -908,11 +1028,24 @@ export class Parser {
     }
   }
 
+  /**
+   * Passes the parsed property declaration to the handler, letting it know
+   * the declaration source position for error locations.
+   */
+  private handleProperty(val: Css.Val): void {
+    this.handler.setSource(this.tokenizer, {
+      name: this.propName,
+      position: this.propPosition,
+    });
+    this.handler.property(this.propName, val, this.propImportant);
+    this.handler.setSource(this.tokenizer);
+  }
+
   exprError(mnemonics: string, token: CssTokenizer.Token) {
     this.actions = this.propName ? actionsErrorDecl : actionsError;
     // this.handler.error(mnemonics, token);
     // (should not throw error by expression syntax errors)
-    Logging.logger.warn(mnemonics, token.toString());
+    this.handler.warn(token, mnemonics, token.toString());
   }
 
   exprStackReduce(op: number, token: CssTokenizer.Token): boolean {
@@ -1186,6 +1319,24 @@ export class Parser {
     }
   }
 
+  /**
+   * Read a cascade layer name such as `base` or `components.buttons`.
+   * @returns null if there is no layer name
+   */
+  private readLayerName(): string | null {
+    let token = this.tokenizer.token();
+    if (token.type != TokenType.IDENT) {
+      return null;
+    }
+    let name = token.text;
+    this.tokenizer.consume();
+    while ((token = this.tokenizer.token()).type == TokenType.CLASS) {
+      name += `.${token.text}`;
+      this.tokenizer.consume();
+    }
+    return name;
+  }
+
   /**
    * Read `an+b` argument of pseudoclasses. Roughly based on the algorithm at
    * https://drafts.csswg.org/css-syntax/#the-anb-type
@@ -1372,6 +1523,7 @@ export class Parser {
     switch (this.ruleStack[this.ruleStack.length - 1]) {
       case "[selector]":
       case "font-face":
+      case "counter-style":
       case "-epubx-flow":
       case "-epubx-viewport":
       case "-epubx-define":
@@ -1401,6 +1553,7 @@ export class Parser {
     let params: (number | string)[];
     let selectorStartPosition: number | null = null;
 
+    handler.setSource(tokenizer);
     if (parsingStyleAttr) {
       this.inStyleDeclaration = true;
     }
@@ -1463,6 +1616,7 @@ export class Parser {
           }
           // property assignment
           this.propName = token.text;
+          this.propPosition = token.position;
           this.propImportant = false;
           tokenizer.consume();
           tokenizer.consume();
@@ -1478,6 +1632,7 @@ export class Parser {
             continue;
           }
           this.propName = token.text;
+          this.propPosition = token.position;
           this.propImportant = false;
           tokenizer.consume();
           tokenizer.consume();
@@ -2011,7 +2166,7 @@ export class Parser {
         case Action.VAL_BRC:
           val = this.valStackReduce(";", token);
           if (val && this.propName) {
-            handler.property(this.propName as string, val, this.propImportant);
+            this.handleProperty(val);
           }
           this.actions = parsingStyleAttr ? actionsStyleAttribute : actionsBase;
           continue;
@@ -2031,7 +2186,7 @@ export class Parser {
             return true;
           }
           if (this.propName && val) {
-            handler.property(this.propName as string, val, this.propImportant);
+            this.handleProperty(val);
           }
           return true;
         case Action.EXPR_IDENT:
@@ -2248,6 +2403,31 @@ export class Parser {
                 this.importURL = token.text;
                 tokenizer.consume();
                 token = tokenizer.token();
+                if (
+                  token.type == TokenType.IDENT &&
+                  token.text.toLowerCase() == "layer"
+                ) {
+                  // `@import url layer;` imports into an anonymous layer
+                  this.importLayer = null;
+                  tokenizer.consume();
+                  token = tokenizer.token();
+                } else if (
+                  token.type == TokenType.FUNC &&
+                  token.text.toLowerCase() == "layer"
+                ) {
+                  tokenizer.consume();
+                  const layerName = this.readLayerName();
+                  token = tokenizer.token();
+                  if (layerName === null || token.type != TokenType.C_PAR) {
+                    this.importURL = null;
+                    handler.error("E_CSS_IMPORT_SYNTAX", token);
+                    this.actions = actionsError;
+                    continue;
+                  }
+                  this.importLayer = layerName;
+                  tokenizer.consume();
+                  token = tokenizer.token();
+                }
                 if (
                   token.type == TokenType.SEMICOL ||
                   token.type == TokenType.EOF
@@ -2347,6 +2527,51 @@ export class Parser {
                 continue;
               }
               break;
+            case "layer": {
+              tokenizer.consume();
+              const layerNames: string[] = [];
+              let layerName: string | null;
+              while ((layerName = this.readLayerName()) !== null) {
+                layerNames.push(layerName);
+                if (tokenizer.token().type != TokenType.COMMA) {
+                  break;
+                }
+                tokenizer.consume();
+              }
+              token = tokenizer.token();
+              if (token.type == TokenType.O_BRC && layerNames.length <= 1) {
+                tokenizer.consume();
+                handler.startLayerRule(layerNames[0] ?? null);
+                this.ruleStack.push(text);
+                handler.startRuleBody();
+                continue;
+              }
+              if (token.type == TokenType.SEMICOL && layerNames.length > 0) {
+                tokenizer.consume();
+                handler.declareLayers(layerNames);
+                continue;
+              }
+              handler.error("E_CSS_LAYER_SYNTAX", token);
+              this.actions = actionsError;
+              continue;
+            }
+            case "counter-style":
+              tokenizer.consume();
+              token = tokenizer.token();
+              if (
+                token.type == TokenType.IDENT &&
+                tokenizer.nthToken(1).type == TokenType.O_BRC
+              ) {
+                const name = token.text;
+                tokenizer.consume();
+                tokenizer.consume();
+                handler.startCounterStyleRule(name);
+                this.ruleStack.push(text);
+                handler.startRuleBody();
+                this.inStyleDeclaration = true;
+                continue;
+              }
+              break;
             case "-adapt-footnote-area":
               tokenizer.consume();
               token = tokenizer.token();
@@ -2696,7 +2921,7 @@ export class ErrorHandler extends ParserHandler {
 
   override error(mnemonics: string, token: CssTokenizer.Token): void {
     // throw new Error(mnemonics + " " + token);
-    Logging.logger.warn(mnemonics, token.toString());
+    this.warn(token, mnemonics, token.toString());
   }
 
   override getScope(): Exprs.LexicalScope {
@@ -2738,16 +2963,25 @@ export function parseStylesheet(
             handler.startMediaRule(parser.importCondition);
             handler.startRuleBody();
           }
+          const importLayer = parser.importLayer;
+          if (importLayer !== undefined) {
+            handler.startLayerRule(importLayer);
+            handler.startRuleBody();
+          }
           const innerFrame: Task.Frame<boolean> = Task.newFrame(
             "parseStylesheet.import",
           );
           parseStylesheetFromURL(resolvedURL, handler, null, null).then(() => {
+            if (importLayer !== undefined) {
+              handler.endRule();
+            }
             if (parser.importCondition) {
               handler.endRule();
             }
             parser.importReady = false;
             parser.importURL = null;
             parser.importCondition = null;
+            parser.importLayer = undefined;
             innerFrame.finish(true);
           });
           return innerFrame.result();
@@ -2778,7 +3012,7 @@ export function parseStylesheetFromText(
   return Task.handle(
     "parseStylesheetFromText",
     (frame) => {
-      const tok = new CssTokenizer.Tokenizer(text, handler);
+      const tok = new CssTokenizer.Tokenizer(text, handler, baseURL);
       parseStylesheet(tok, handler, baseURL, classes, media).thenFinish(frame);
     },
     (frame, err) => {
@@ -18,6 +18,8 @@
  *
  * @fileoverview CssTokenizer - CSS Tokenizer.
  */
+import * as Base from "./base";
+import * as Logging from "./logging";
 
 /** */
 export interface TokenizerHandler {
@@ -1475,10 +1477,15 @@ export class Tokenizer {
   tail: number = 0; // available, ready to write
   curr: number = 0; // ready to read
   position: number = 0;
+  private lineStarts: number[] | null = null;
 
+  /**
+   * @param url URL of the stylesheet, used for the locations of errors.
+   */
   constructor(
     public input: string,
     public readonly handler: TokenizerHandler,
+    public readonly url: string | null = null,
   ) {
     this.indexMask = INITIAL_INDEX_MASK;
     this.buffer = Array(this.indexMask + 1);
@@ -1505,6 +1512,36 @@ export class Tokenizer {
     this.curr = (this.curr + 1) & this.indexMask;
   }
 
+  /**
+   * Returns the location of the position (e.g. `Token.position`) in the
+   * input, or null if the URL of the stylesheet is not known.
+   * @param property Name of the property declared at the position.
+   */
+  getSourceLocation(
+    position: number,
+    property: string | null = null,
+  ): Logging.SourceLocation | null {
+    if (this.url === null) {
+      return null;
+    }
+    if (!this.lineStarts) {
+      this.lineStarts = [0];
+      const newline = /\r\n|[\n\r\f]/g;
+      while (newline.exec(this.input)) {
+        this.lineStarts.push(newline.lastIndex);
+      }
+    }
+    const lineStarts = this.lineStarts;
+    const line =
+      Base.binarySearch(lineStarts.length, (i) => lineStarts[i] > position) - 1;
+    return new Logging.SourceLocation(
+      this.url,
+      line + 1,
+      position - lineStarts[line] + 1,
+      property,
+    );
+  }
+
   private fillBuffer(): void {
     let tail = this.tail;
     let head = this.curr;
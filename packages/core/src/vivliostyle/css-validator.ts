@@ -2079,8 +2079,10 @@ export class ValidatorSet {
     if (
       Css.isCustomPropName(name) ||
       // Check if it is a `@font-face` descriptor (Issue #1307)
-      (receiver as PropertyReceiver & { ruleType?: string }).ruleType ===
-        "font-face" ||
+      // or a `@counter-style` descriptor
+      ["font-face", "counter-style"].includes(
+        (receiver as PropertyReceiver & { ruleType?: string }).ruleType,
+      ) ||
       // Check if the property value containing `var(…)`
       containsVar(value)
     ) {
@@ -637,6 +637,7 @@ export const ident: { [key: string]: Ident } = {
   break_all: getName("break-all"),
   break_word: getName("break-word"),
   clip: getName("clip"),
+  create: getName("create"),
   crop: getName("crop"),
   cross: getName("cross"),
   column: getName("column"),
@@ -665,6 +666,7 @@ export const ident: { [key: string]: Ident } = {
   list_item: getName("list-item"),
   ltr: getName("ltr"),
   manual: getName("manual"),
+  margin_note: getName("margin-note"),
   max_content: getName("max-content"),
   min_content: getName("min-content"),
   none: getName("none"),
@@ -676,6 +678,8 @@ export const ident: { [key: string]: Ident } = {
   relative: getName("relative"),
   revert: getName("revert"),
   right: getName("right"),
+  rotate_left: getName("rotate-left"),
+  rotate_right: getName("rotate-right"),
   same: getName("same"),
   scale: getName("scale"),
   snap_block: getName("snap-block"),
@@ -0,0 +1,257 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @fileoverview Endnotes - Collection of notes into endnote sections at the
+ * end of chapters or documents.
+ */
+import * as Base from "./base";
+import * as Logging from "./logging";
+import * as Plugin from "./plugin";
+
+/**
+ * Attribute set on the notes moved into an endnote section.
+ */
+export const ENDNOTE_ATTR = "data-viv-endnote";
+
+/**
+ * Attribute set on the endnote sections, including the placeholders.
+ */
+export const ENDNOTES_ATTR = "data-viv-endnotes";
+
+/**
+ * Attribute set on the note calls generated at the original positions of the
+ * notes.
+ */
+export const ENDNOTE_CALL_ATTR = "data-viv-endnote-call";
+
+/**
+ * Attribute set on the notes with generated calls, referring to the call.
+ */
+export const ENDNOTE_REF_ATTR = "data-viv-endnote-ref";
+
+const NOTE_TYPES = ["endnote", "rearnote"];
+const NOTES_TYPES = ["endnotes", "rearnotes"];
+const CHAPTER_TYPES = ["chapter"];
+const SECTION_NAMES = ["section", "article"];
+const HEADING_NAMES = ["h1", "h2", "h3", "h4", "h5", "h6", "hgroup"];
+
+let endnotesEnabled = false;
+let endnoteSelector: string | null = null;
+
+/**
+ * Enables or disables the collection of endnotes in the loaded documents. It
+ * is disabled by default, so that the documents are rendered as they are.
+ */
+export function setEndnotesEnabled(enabled: boolean): void {
+  endnotesEnabled = enabled;
+}
+
+/**
+ * Sets the CSS selector of the elements collected as endnotes in addition to
+ * the elements with `role="doc-endnote"` or `epub:type="endnote"`.
+ */
+export function setEndnoteSelector(selector: string | null): void {
+  endnoteSelector = selector || null;
+}
+
+function hasType(element: Element, role: string, epubTypes: string[]): boolean {
+  const roles = (element.getAttribute("role") || "").split(/\s+/);
+  if (roles.includes(role)) {
+    return true;
+  }
+  const epubType =
+    element.getAttributeNS(Base.NS.epub, "type") ||
+    element.getAttribute("epub:type") ||
+    "";
+  return epubType.split(/\s+/).some((type) => epubTypes.includes(type));
+}
+
+function isEndnotesSection(element: Element): boolean {
+  return hasType(element, "doc-endnotes", NOTES_TYPES);
+}
+
+function isEndnote(element: Element, selector: string | null): boolean {
+  if (hasType(element, "doc-endnote", NOTE_TYPES)) {
+    return true;
+  }
+  try {
+    return !!selector && element.matches(selector);
+  } catch (e) {
+    Logging.logger.warn(e, `Invalid endnote selector: ${selector}`);
+    return false;
+  }
+}
+
+function hasHeading(element: Element): boolean {
+  return Array.from(element.children).some((child) =>
+    HEADING_NAMES.includes(child.localName),
+  );
+}
+
+/**
+ * Finds the chapter containing the node: the nearest element with
+ * `role="doc-chapter"` or `epub:type="chapter"`, or else the nearest
+ * `section` or `article` element with a heading. The body element is
+ * returned if the node is not in a chapter.
+ */
+function findChapter(node: Node, body: Element): Element {
+  let section: Element | null = null;
+  for (
+    let element = node.parentElement;
+    element && element !== body;
+    element = element.parentElement
+  ) {
+    if (hasType(element, "doc-chapter", CHAPTER_TYPES)) {
+      return element;
+    }
+    if (
+      !section &&
+      SECTION_NAMES.includes(element.localName) &&
+      !isEndnotesSection(element) &&
+      hasHeading(element)
+    ) {
+      section = element;
+    }
+  }
+  return section || body;
+}
+
+function isFollowing(node: Node, other: Node): boolean {
+  return !!(
+    node.compareDocumentPosition(other) & Node.DOCUMENT_POSITION_FOLLOWING
+  );
+}
+
+/**
+ * Decodes the fragment of a link. A malformed fragment (e.g. "100%") is
+ * returned as is.
+ */
+function decodeFragment(fragment: string): string {
+  try {
+    return decodeURIComponent(fragment);
+  } catch (e) {
+    return fragment;
+  }
+}
+
+/**
+ * Moves the endnotes in the document into the endnote sections. The target
+ * of a note is the first endnote section placeholder (an element with
+ * `role="doc-endnotes"` or `epub:type="endnotes"`) following the note in the
+ * same chapter or outside chapters. If there is no such placeholder, a new
+ * endnote section is appended to the end of the chapter, or to the end of
+ * the document if the note is not in a chapter.
+ *
+ * A note call linking to the note is left at the original position unless
+ * the note is already referred to by a link. Ids of the notes are kept, so
+ * that `target-counter()` referring to the notes keeps working.
+ * @return The number of the moved notes.
+ */
+export function collectEndnotes(
+  document: Document,
+  selector: string | null = endnoteSelector,
+): number {
+  const body = document.body || document.documentElement;
+  if (!body) {
+    return 0;
+  }
+  const notes: Element[] = [];
+  const placeholders: Element[] = [];
+  const ids = new Set<string>();
+  const refs = new Set<string>();
+  for (const element of Array.from(body.getElementsByTagName("*"))) {
+    if (element.id) {
+      ids.add(element.id);
+    }
+    const href = element.getAttribute("href");
+    if (href && href.startsWith("#")) {
+      refs.add(decodeFragment(href.substring(1)));
+    }
+    if (isEndnotesSection(element)) {
+      placeholders.push(element);
+    } else if (
+      isEndnote(element, selector) &&
+      !notes.some((note) => note.contains(element)) &&
+      !placeholders.some((placeholder) => placeholder.contains(element))
+    ) {
+      notes.push(element);
+    }
+  }
+  const newId = (prefix: string): string => {
+    let i = ids.size + 1;
+    while (ids.has(`${prefix}-${i}`)) {
+      i++;
+    }
+    ids.add(`${prefix}-${i}`);
+    return `${prefix}-${i}`;
+  };
+  const generatedSections: Map<Element, Element> = new Map();
+  const findTarget = (note: Element): Element => {
+    const chapter = findChapter(note, body);
+    const placeholder = placeholders.find((p) => {
+      if (!isFollowing(note, p)) {
+        return false;
+      }
+      const placeholderChapter = findChapter(p, body);
+      return placeholderChapter === chapter || placeholderChapter === body;
+    });
+    if (placeholder) {
+      return placeholder;
+    }
+    let section = generatedSections.get(chapter);
+    if (!section) {
+      section = document.createElementNS(Base.NS.XHTML, "section");
+      section.setAttribute("role", "doc-endnotes");
+      chapter.appendChild(section);
+      generatedSections.set(chapter, section);
+    }
+    return section;
+  };
+  for (const note of notes) {
+    const target = findTarget(note);
+    target.setAttribute(ENDNOTES_ATTR, "");
+    if (!note.id) {
+      note.id = newId("viv-endnote");
+    }
+    if (!refs.has(note.id)) {
+      const call = document.createElementNS(Base.NS.XHTML, "a");
+      call.id = newId("viv-endnote-call");
+      call.setAttribute("href", `#${note.id}`);
+      call.setAttribute("role", "doc-noteref");
+      call.setAttribute(ENDNOTE_CALL_ATTR, "");
+      note.parentNode.insertBefore(call, note);
+      note.setAttribute(ENDNOTE_REF_ATTR, `#${call.id}`);
+    }
+    note.setAttribute(ENDNOTE_ATTR, "");
+    target.appendChild(note);
+  }
+  return notes.length;
+}
+
+Plugin.registerHook(Plugin.HOOKS.CONFIGURATION, (command) => {
+  if ("endnotes" in command || "endnoteSelector" in command) {
+    const selector = command["endnoteSelector"] as string | null;
+    setEndnoteSelector(selector);
+    setEndnotesEnabled(!!command["endnotes"] || !!selector);
+  }
+  return { needResize: false, needRefresh: false };
+});
+
+Plugin.registerHook(Plugin.HOOKS.PREPROCESS_SINGLE_DOCUMENT, (document) => {
+  if (endnotesEnabled) {
+    collectEndnotes(document);
+  }
+});
@@ -30,13 +30,17 @@ import * as CssTokenizer from "./css-tokenizer";
 import * as Exprs from "./exprs";
 import * as Font from "./font";
 import * as Logging from "./logging";
+import * as MediaOverlay from "./media-overlay";
 import * as Net from "./net";
 import * as OPS from "./ops";
+import * as Profile from "./profile";
 import * as Task from "./task";
+import * as TextSearch from "./text-search";
 import * as Toc from "./toc";
 import * as Vgen from "./vgen";
 import * as Vtree from "./vtree";
 import * as XmlDoc from "./xml-doc";
+import * as Zip from "./zip";
 
 export type Position = {
   spineIndex: number;
@@ -51,6 +55,15 @@ export class EPUBDocStore extends OPS.OPSDocStore {
   primaryOPFByEPubURL: { [key: string]: OPFDoc } = {};
   deobfuscators: { [key: string]: (p1: Blob) => Task.Result<Blob> } = {};
   documents: { [key: string]: Task.Result<XmlDoc.XMLDocHolder> } = {};
+  /**
+   * URLs of the source documents that failed to load.
+   */
+  loadErrors: string[] = [];
+  /**
+   * Archive of the zipped EPUB mounted by `loadEPUBArchive()`.
+   */
+  private archive: Zip.ZipArchive | null = null;
+  private objectURLs: string[] = [];
 
   constructor() {
     super(null);
@@ -67,6 +80,39 @@ export class EPUBDocStore extends OPS.OPSDocStore {
     };
   }
 
+  /**
+   * @override
+   */
+  abort(): void {
+    super.abort();
+    this.plainXMLStore.abort();
+    this.jsonStore.abort();
+  }
+
+  /**
+   * Create an object URL of the blob, which is revoked by `release()`.
+   */
+  createObjectURL(blob: Blob): string {
+    const url = Net.createObjectURL(blob);
+    this.objectURLs.push(url);
+    return url;
+  }
+
+  /**
+   * Unmount the archive of the zipped EPUB and revoke the object URLs, when
+   * the store is no longer used.
+   */
+  release(): void {
+    if (this.archive) {
+      Net.unmountArchive(this.archive);
+      this.archive = null;
+    }
+    for (const url of this.objectURLs) {
+      Net.revokeObjectURL(url);
+    }
+    this.objectURLs = [];
+  }
+
   loadAsPlainXML(
     url: string,
     opt_required?: boolean,
@@ -94,82 +140,135 @@ export class EPUBDocStore extends OPS.OPSDocStore {
   loadPubDoc(url: string): Task.Result<OPFDoc> {
     const frame: Task.Frame<OPFDoc> = Task.newFrame("loadPubDoc");
 
-    Net.fetchFromURL(url, null, "HEAD").then((response) => {
-      if (response.status >= 400) {
-        // This url can be the root of an unzipped EPUB.
-        this.loadEPUBDoc(url).then((opf) => {
-          if (opf) {
-            frame.finish(opf);
-            return;
-          }
-          Logging.logger.error(
-            `Failed to fetch a source document from ${url} (${response.status}${
-              response.statusText ? " " + response.statusText : ""
-            })`,
-          );
-          frame.finish(null);
-        });
-      } else {
-        if (
-          !response.status &&
-          !response.responseXML &&
-          !response.responseText &&
-          !response.responseBlob &&
-          !response.contentType
-        ) {
-          // Empty response
-          if (/\/[^/.]+(?:[#?]|$)/.test(url)) {
-            // Adding trailing "/" may solve the problem.
-            url = url.replace(/([#?]|$)/, "/$1");
-          } else {
-            // Ignore empty response of HEAD request, it may become OK with GET request.
-          }
-        }
-        if (
-          response.contentType == "application/oebps-package+xml" ||
-          /\.opf(?:[#?]|$)/.test(url)
-        ) {
-          // EPUB OPF
-          const [, pubURL, root] = url.match(/^((?:.*\/)?)([^/]*)$/);
-          this.loadOPF(pubURL, root).thenFinish(frame);
-        } else if (
-          response.contentType == "application/ld+json" ||
-          response.contentType == "application/webpub+json" ||
-          response.contentType == "application/audiobook+json" ||
-          response.contentType == "application/json" ||
-          /\.json(?:ld)?(?:[#?]|$)/.test(url)
-        ) {
-          // Web Publication Manifest
-          this.loadAsJSON(url, true).then((manifestObj) => {
-            if (!manifestObj) {
-              this.reportLoadError(url);
-              frame.finish(null);
+    Net.fetchFromURL(url, null, "HEAD", this.abortController.signal).then(
+      (response) => {
+        if (response.status >= 400) {
+          // This url can be the root of an unzipped EPUB.
+          this.loadEPUBDoc(url).then((opf) => {
+            if (opf) {
+              frame.finish(opf);
               return;
             }
-            const opf = new OPFDoc(this, url);
-            opf.initWithWebPubManifest(manifestObj, undefined, url).then(() => {
-              frame.finish(opf);
-            });
+            Logging.logger.error(
+              `Failed to fetch a source document from ${url} (${response.status}${
+                response.statusText ? " " + response.statusText : ""
+              })`,
+            );
+            frame.finish(null);
           });
         } else {
-          // Web Publication primary entry (X)HTML
-          this.loadWebPub(url).then((opf) => {
-            if (opf) {
-              frame.finish(opf);
-              return;
+          if (
+            !response.status &&
+            !response.responseXML &&
+            !response.responseText &&
+            !response.responseBlob &&
+            !response.contentType
+          ) {
+            // Empty response
+            if (/\/[^/.]+(?:[#?]|$)/.test(url)) {
+              // Adding trailing "/" may solve the problem.
+              url = url.replace(/([#?]|$)/, "/$1");
+            } else {
+              // Ignore empty response of HEAD request, it may become OK with GET request.
             }
-            // This url can be the root of an unzipped EPUB.
-            this.loadEPUBDoc(url).then((opf) => {
+          }
+          if (
+            response.contentType == "application/epub+zip" ||
+            (/\.epub(?:[#?]|$)/.test(url) &&
+              response.contentType != "text/html")
+          ) {
+            // Zipped EPUB
+            this.loadEPUBArchive(url).thenFinish(frame);
+          } else if (
+            response.contentType == "application/oebps-package+xml" ||
+            /\.opf(?:[#?]|$)/.test(url)
+          ) {
+            // EPUB OPF
+            const [, pubURL, root] = url.match(/^((?:.*\/)?)([^/]*)$/);
+            this.loadOPF(pubURL, root).thenFinish(frame);
+          } else if (
+            response.contentType == "application/ld+json" ||
+            response.contentType == "application/webpub+json" ||
+            response.contentType == "application/audiobook+json" ||
+            response.contentType == "application/json" ||
+            /\.json(?:ld)?(?:[#?]|$)/.test(url)
+          ) {
+            // Web Publication Manifest
+            this.loadAsJSON(url, true).then((manifestObj) => {
+              if (!manifestObj) {
+                this.reportLoadError(url);
+                frame.finish(null);
+                return;
+              }
+              const opf = new OPFDoc(this, url);
+              opf
+                .initWithWebPubManifest(manifestObj, undefined, url)
+                .then(() => {
+                  frame.finish(opf);
+                });
+            });
+          } else {
+            // Web Publication primary entry (X)HTML
+            this.loadWebPub(url).then((opf) => {
               if (opf) {
                 frame.finish(opf);
                 return;
               }
-              Logging.logger.error(`Failed to load ${url}.`);
-              frame.finish(null);
+              // This url can be the root of an unzipped EPUB.
+              this.loadEPUBDoc(url).then((opf) => {
+                if (opf) {
+                  frame.finish(opf);
+                  return;
+                }
+                Logging.logger.error(`Failed to load ${url}.`);
+                frame.finish(null);
+              });
             });
-          });
+          }
         }
+      },
+    );
+    return frame.result();
+  }
+
+  /**
+   * Load a zipped EPUB. The archive is unpacked in memory and its files are
+   * served under the URL of the archive followed by "/", so that they are
+   * loaded just like the files of an unzipped EPUB.
+   */
+  loadEPUBArchive(url: string): Task.Result<OPFDoc> {
+    const frame: Task.Frame<OPFDoc> = Task.newFrame("loadEPUBArchive");
+    Net.fetchFromURL(
+      url,
+      Net.FetchResponseType.BLOB,
+      undefined,
+      this.abortController.signal,
+    ).then((response) => {
+      if (response.status >= 400 || !response.responseBlob) {
+        this.reportLoadError(url);
+        frame.finish(null);
+        return;
       }
+      Zip.openArchive(response.responseBlob, `${url}/`).then((archive) => {
+        if (!archive) {
+          // This url can be the root of an unzipped EPUB.
+          this.loadEPUBDoc(url).thenFinish(frame);
+          return;
+        }
+        if (this.archive) {
+          Net.unmountArchive(this.archive);
+        }
+        this.archive = archive;
+        Net.mountArchive(archive);
+        this.loadEPUBDoc(url).then((opf) => {
+          if (!opf) {
+            Logging.logger.error(
+              `Failed to load ${url}. META-INF/container.xml is not found in the EPUB.`,
+            );
+          }
+          frame.finish(opf);
+        });
+      });
     });
     return frame.result();
   }
@@ -312,6 +411,9 @@ export class EPUBDocStore extends OPS.OPSDocStore {
   }
 
   reportLoadError(docURL: string): void {
+    if (!this.loadErrors.includes(docURL)) {
+      this.loadErrors.push(docURL);
+    }
     const removePath = (url: string) => {
       return url.replace(/([^:/?#]|^)[/?#].*/, "$1");
     };
@@ -436,6 +538,7 @@ export class OPFItem {
   startPage: number | null = null;
   skipPagesBefore: number | null = null;
   itemProperties: { [key: string]: boolean };
+  mediaOverlay: OPFItem | null = null;
 
   constructor() {
     this.itemProperties = Base.emptyObj;
@@ -542,6 +645,7 @@ export const metaTerms = {
   displaySeq: `${defaultIRI}display-seq`,
   alternateScript: `${defaultIRI}alternate-script`,
   role: `${defaultIRI}role`,
+  activeClass: `${predefinedPrefixes["media"]}active-class`,
 };
 
 export function getMetadataComparator(
@@ -767,10 +871,15 @@ export class OPFDoc {
   epageCountCallback: (p1: number) => void | null = null;
   metadata: Meta = {};
   toc: OPFItem = null;
+  ncx: OPFItem = null;
   cover: OPFItem = null;
   fallbackMap: { [key: string]: string } = {};
   pageProgression: Constants.PageProgression | null = null;
   documentURLTransformer: Base.DocumentURLTransformer;
+  textIndexes: TextSearch.TextIndex[] = [];
+  mediaOverlayClips: MediaOverlay.Clip[][] = [];
+  pageList: Toc.PageListItem[] | null = null;
+  landmarks: Toc.LandmarkItem[] | null = null;
 
   constructor(
     public readonly store: EPUBDocStore,
@@ -801,7 +910,8 @@ export class OPFDoc {
             }
           }
         }
-        return url;
+        // Files in a zipped EPUB have to be referred by object URLs
+        return Net.resolveArchiveURL(url);
       }
 
       /** @override */
@@ -870,6 +980,7 @@ export class OPFDoc {
       }
     }
     const srcToFallbackId = {};
+    const mediaOverlayIds = new Map<OPFItem, string>();
     this.items = pkg
       .child("manifest")
       .child("item")
@@ -882,6 +993,10 @@ export class OPFDoc {
         if (fallback && !supportedMediaTypes[item.mediaType]) {
           srcToFallbackId[item.src] = fallback;
         }
+        const mediaOverlayId = elem.getAttribute("media-overlay");
+        if (mediaOverlayId) {
+          mediaOverlayIds.set(item, mediaOverlayId);
+        }
         if (!this.toc && item.itemProperties["nav"]) {
           this.toc = item;
         }
@@ -897,6 +1012,9 @@ export class OPFDoc {
     this.itemMapByPath = Base.indexArray(this.items, (item) =>
       this.getPathFromURL(item.src),
     );
+    mediaOverlayIds.forEach((id, item) => {
+      item.mediaOverlay = this.itemMap[id] || null;
+    });
     for (const src in srcToFallbackId) {
       let fallbackSrc = src;
       while (true) {
@@ -925,6 +1043,13 @@ export class OPFDoc {
         }
         return item;
       });
+    const ncxId = pkg.child("spine").attribute("toc")[0];
+    this.ncx =
+      (ncxId && this.itemMap[ncxId]) ||
+      this.items.find(
+        (item) => item.mediaType === "application/x-dtbncx+xml",
+      ) ||
+      null;
     const pageProgressionAttr = pkg
       .child("spine")
       .attribute("page-progression-direction")[0];
@@ -1030,18 +1155,7 @@ export class OPFDoc {
         const item = this.spine[i++];
         item.epage = epage;
         this.store.load(item.src).then((xmldoc) => {
-          // According to the old comment,
-          // "Estimate that offset=2700 roughly corresponds to 1024 bytes of compressed size."
-          // However, it should depend on the language.
-          // Further adjustment needed.
-
-          //let offsetPerEPage = 2700;
-          let offsetPerEPage = 1800;
-          const lang = xmldoc.lang || this.lang;
-          if (lang && lang.match(/^(ja|ko|zh)/)) {
-            offsetPerEPage /= 3;
-          }
-          item.epageCount = Math.ceil(xmldoc.getTotalOffset() / offsetPerEPage);
+          item.epageCount = this.estimateEPageCount(xmldoc);
           epage += item.epageCount;
           this.epageCount = epage;
           if (this.epageCountCallback) {
@@ -1054,6 +1168,21 @@ export class OPFDoc {
     return frame.result();
   }
 
+  estimateEPageCount(xmldoc: XmlDoc.XMLDocHolder): number {
+    // According to the old comment,
+    // "Estimate that offset=2700 roughly corresponds to 1024 bytes of compressed size."
+    // However, it should depend on the language.
+    // Further adjustment needed.
+
+    //let offsetPerEPage = 2700;
+    let offsetPerEPage = 1800;
+    const lang = xmldoc.lang || this.lang;
+    if (lang && lang.match(/^(ja|ko|zh)/)) {
+      offsetPerEPage /= 3;
+    }
+    return Math.ceil(xmldoc.getTotalOffset() / offsetPerEPage);
+  }
+
   /**
    * Creates a fake OPF "document" that contains OPS chapters.
    */
@@ -1241,18 +1370,165 @@ export class OPFDoc {
       if (node) {
         const startOffset = xmldoc.getNodeOffset(node, 0, false);
         const offsetInNode = offsetInItem - startOffset;
-        const fragment = new CFI.Fragment();
-        fragment.prependPathFromNode(node, offsetInNode, false, null);
-        if (item.itemRefElement) {
-          fragment.prependPathFromNode(item.itemRefElement, 0, false, null);
-        }
-        cfi = fragment.toString();
+        cfi = this.makeCFI(item, node, offsetInNode, true);
       }
       frame.finish(cfi);
     });
     return frame.result();
   }
 
+  /**
+   * @param inPublication If true, the CFI starts from the itemref element in
+   *     the OPF (if any). Otherwise it is relative to the spine item document.
+   */
+  private makeCFI(
+    item: OPFItem,
+    node: Node,
+    offsetInNode: number,
+    inPublication: boolean,
+  ): string {
+    const fragment = new CFI.Fragment();
+    fragment.prependPathFromNode(node, offsetInNode, false, null);
+    if (inPublication && item.itemRefElement) {
+      fragment.prependPathFromNode(item.itemRefElement, 0, false, null);
+    }
+    return fragment.toString();
+  }
+
+  /**
+   * Search the text of all spine items.
+   * @param pattern A regular expression with the global flag
+   */
+  searchText(
+    pattern: RegExp,
+    maxHits: number,
+  ): Task.Result<TextSearch.SearchHit[]> {
+    const hits: TextSearch.SearchHit[] = [];
+    let i = 0;
+    const frame: Task.Frame<TextSearch.SearchHit[]> =
+      Task.newFrame("searchText");
+    frame
+      .loopWithFrame((loopFrame) => {
+        if (i === this.spine.length || hits.length >= maxHits) {
+          loopFrame.breakLoop();
+          return;
+        }
+        const item = this.spine[i++];
+        this.store.load(item.src).then((xmldoc) => {
+          if (!xmldoc) {
+            loopFrame.continueLoop();
+            return;
+          }
+          let index = this.textIndexes[item.spineIndex];
+          if (!index) {
+            index = this.textIndexes[item.spineIndex] =
+              new TextSearch.TextIndex(xmldoc.body || xmldoc.root);
+          }
+          for (const found of index.find(pattern, maxHits - hits.length)) {
+            const { node, offset } = found;
+            hits.push({
+              spineIndex: item.spineIndex,
+              offsetInItem: xmldoc.getNodeOffset(node, offset, false),
+              cfi: this.makeCFI(item, node, offset, true),
+              url: `${item.src}#${this.makeCFI(item, node, offset, false)}`,
+              before: found.before,
+              match: found.match,
+              after: found.after,
+            });
+          }
+          loopFrame.continueLoop();
+        });
+      })
+      .then(() => {
+        frame.finish(hits);
+      });
+    return frame.result();
+  }
+
+  /**
+   * Returns true if any spine item has a media overlay.
+   */
+  hasMediaOverlay(): boolean {
+    return !!this.spine?.some((item) => item?.mediaOverlay);
+  }
+
+  /**
+   * Returns the class name given to the element of the active media overlay
+   * text (`media:active-class` metadata).
+   */
+  getMediaOverlayActiveClass(): string {
+    const activeClass = this.metadata[metaTerms.activeClass];
+    return (
+      (activeClass && activeClass[0]["v"]) || MediaOverlay.DEFAULT_ACTIVE_CLASS
+    );
+  }
+
+  /**
+   * Load the media overlay clips of the spine item.
+   * @returns the clips, or null if the spine item has no media overlay
+   */
+  loadMediaOverlay(
+    spineIndex: number,
+  ): Task.Result<MediaOverlay.Clip[] | null> {
+    const item = this.spine[spineIndex];
+    const smil = item && item.mediaOverlay;
+    if (!smil) {
+      return Task.newResult(null);
+    }
+    if (this.mediaOverlayClips[spineIndex]) {
+      return Task.newResult(this.mediaOverlayClips[spineIndex]);
+    }
+    const frame: Task.Frame<MediaOverlay.Clip[] | null> =
+      Task.newFrame("loadMediaOverlay");
+    this.store.loadAsPlainXML(smil.src).then((smilXML) => {
+      if (!smilXML) {
+        Logging.logger.warn("Failed to load media overlay:", smil.src);
+        frame.finish(null);
+        return;
+      }
+      const clips = MediaOverlay.parseSMIL(smilXML.document, smil.src);
+      this.mediaOverlayClips[spineIndex] = clips;
+      frame.finish(clips);
+    });
+    return frame.result();
+  }
+
+  /**
+   * Load the page list and the landmarks from the navigation document. The
+   * page list of the NCX is used if the navigation document has none.
+   */
+  loadNavigation(): Task.Result<boolean> {
+    if (this.pageList) {
+      return Task.newResult(true);
+    }
+    const frame: Task.Frame<boolean> = Task.newFrame("loadNavigation");
+    let pageList: Toc.PageListItem[] = [];
+    let landmarks: Toc.LandmarkItem[] = [];
+    (this.toc
+      ? this.store.load(this.toc.src)
+      : Task.newResult(null as XmlDoc.XMLDocHolder)
+    )
+      .thenAsync((navXML) => {
+        if (navXML) {
+          pageList = Toc.getPageList(navXML.document, navXML.url);
+          landmarks = Toc.getLandmarks(navXML.document, navXML.url);
+        }
+        if (pageList.length > 0 || !this.ncx) {
+          return Task.newResult(null as XmlDoc.XMLDocHolder);
+        }
+        return this.store.loadAsPlainXML(this.ncx.src);
+      })
+      .then((ncxXML) => {
+        if (ncxXML) {
+          pageList = Toc.getNCXPageList(ncxXML.document, ncxXML.url);
+        }
+        this.pageList = pageList;
+        this.landmarks = landmarks;
+        frame.finish(true);
+      });
+    return frame.result();
+  }
+
   resolveFragment(fragstr: string | null): Task.Result<Position | null> {
     return Task.handle(
       "resolveFragment",
@@ -1383,6 +1659,27 @@ export type PageAndPosition = {
   position: Position;
 };
 
+/**
+ * Progress of the rendering of all pages.
+ * - spineIndex: Index of the spine item being rendered.
+ * - spineCount: Number of the spine items.
+ * - pageCount: Number of the pages rendered so far.
+ * - estimatedPageCount: Estimated total number of pages.
+ * - elapsedTime: Time in ms since the rendering started.
+ * - documentElapsedTime: Time in ms since the rendering of the spine item
+ *   started.
+ * - documentComplete: True if all pages of the spine item are rendered.
+ */
+export type RenderingProgress = {
+  spineIndex: number;
+  spineCount: number;
+  pageCount: number;
+  estimatedPageCount: number;
+  elapsedTime: number;
+  documentElapsedTime: number;
+  documentComplete: boolean;
+};
+
 export const makePageAndPosition = (
   page: Vtree.Page,
   pageIndex: number,
@@ -1408,11 +1705,14 @@ export class OPFView implements Vgen.CustomRendererFactory {
   spineItems: OPFViewItem[] = [];
   spineItemLoadingContinuations: Task.Continuation<any>[][] = [];
   pref: Exprs.Preferences;
-  clientLayout: Vgen.DefaultClientLayout;
+  clientLayout: Vtree.ClientLayout;
   counterStore: Counters.CounterStore;
   tocAutohide: boolean = false;
   tocVisible: boolean = false;
   tocView?: Toc.TOCView;
+  progressCallback: ((progress: RenderingProgress) => void) | null = null;
+  private renderingStartTime: number | null = null;
+  private documentStartTimes: number[] = [];
 
   constructor(
     public readonly opf: OPFDoc,
@@ -1425,9 +1725,10 @@ export class OPFView implements Vgen.CustomRendererFactory {
       p3: number,
       p4: number,
     ) => any,
+    clientLayout?: Vtree.ClientLayout,
   ) {
     this.pref = Exprs.clonePreferences(pref);
-    this.clientLayout = new Vgen.DefaultClientLayout(viewport);
+    this.clientLayout = clientLayout || new Vgen.DefaultClientLayout(viewport);
     this.counterStore = new Counters.CounterStore(opf.documentURLTransformer);
   }
 
@@ -1758,6 +2059,66 @@ export class OPFView implements Vgen.CustomRendererFactory {
     return frame.result();
   }
 
+  /**
+   * Estimate the number of pages of the spine item from its epage count
+   * (see `OPFDoc.countEPages()`), or from its document once loaded for
+   * rendering.
+   * @returns null if not estimated yet
+   */
+  private estimatePageCount(spineIndex: number): number | null {
+    const item = this.opf.spine[spineIndex];
+    if (this.opf.prePaginated) {
+      return 1;
+    }
+    if (!this.opf.epageIsRenderedPage && item.epageCount > 0) {
+      return item.epageCount;
+    }
+    const viewItem = this.spineItems[spineIndex];
+    return viewItem ? this.opf.estimateEPageCount(viewItem.xmldoc) : null;
+  }
+
+  /**
+   * Notify the progress of the rendering to `progressCallback`.
+   */
+  private reportProgress(
+    viewItem: OPFViewItem,
+    documentComplete: boolean,
+  ): void {
+    if (!this.progressCallback) {
+      return;
+    }
+    const spineIndex = viewItem.item.spineIndex;
+    let pageCount = 0;
+    let estimatedPageCount = 0;
+    let estimatedItemCount = 0;
+    for (let i = 0; i < this.opf.spine.length; i++) {
+      const pages = this.spineItems[i]?.pages.length ?? 0;
+      const complete =
+        this.spineItems[i]?.complete || (i === spineIndex && documentComplete);
+      const estimate = complete ? pages : this.estimatePageCount(i);
+      pageCount += pages;
+      if (estimate !== null) {
+        estimatedPageCount += Math.max(pages, estimate);
+        estimatedItemCount++;
+      }
+    }
+    // The spine items not estimated yet are assumed to be of average length.
+    estimatedPageCount = Math.round(
+      (estimatedPageCount * this.opf.spine.length) /
+        Math.max(estimatedItemCount, 1),
+    );
+    const now = Profile.profiler.now();
+    this.progressCallback({
+      spineIndex,
+      spineCount: this.opf.spine.length,
+      pageCount,
+      estimatedPageCount,
+      elapsedTime: now - (this.renderingStartTime ?? now),
+      documentElapsedTime: now - this.documentStartTimes[spineIndex],
+      documentComplete,
+    });
+  }
+
   /**
    * Renders a page at the specified position.
    */
@@ -1793,6 +2154,7 @@ export class OPFView implements Vgen.CustomRendererFactory {
           this.renderSinglePage(viewItem, pos).then((result) => {
             const page = result.pageAndPosition.page;
             pos = result.nextLayoutPosition;
+            this.reportProgress(viewItem, !pos);
             if (pos) {
               if (seekOffset >= 0) {
                 // Searching for offset, don't know the page number.
@@ -2179,6 +2541,31 @@ export class OPFView implements Vgen.CustomRendererFactory {
     return frame.result();
   }
 
+  /**
+   * Find the rendered page where the target of the URL (e.g. a page list
+   * entry) is laid out.
+   * @returns null if the target is not laid out yet
+   */
+  findRenderedPage(href: string): PageAndPosition | null {
+    const path = this.opf.getPathFromURL(Base.stripFragment(href));
+    const item = path == null ? null : this.opf.itemMapByPath[path];
+    const viewItem = item && this.spineItems[item.spineIndex];
+    if (!viewItem) {
+      return null;
+    }
+    const target = viewItem.xmldoc.getElement(href);
+    const { pageIndex } = this.normalizeSeekPosition(
+      {
+        spineIndex: item.spineIndex,
+        pageIndex: -1,
+        offsetInItem: target ? viewItem.xmldoc.getElementOffset(target) : 0,
+      },
+      viewItem,
+    );
+    const page = viewItem.pages[pageIndex];
+    return page ? makePageAndPosition(page, pageIndex) : null;
+  }
+
   /**
    * Move to the page specified by the given URL and render it.
    */
@@ -2190,7 +2577,12 @@ export class OPFView implements Vgen.CustomRendererFactory {
     Logging.logger.debug("Navigate to", href);
     let path = this.opf.getPathFromURL(Base.stripFragment(href));
     if (!path) {
-      if (this.opf.opfXML && href.match(/^#epubcfi\(/)) {
+      if (href.match(/^#epubcfi\(/)) {
+        if (!this.opf.opfXML) {
+          // Without OPF, the CFI is relative to the document (see
+          // OPFDoc.resolveFragment()).
+          return this.navigateToFragment(href.substring(1), position, sync);
+        }
         // CFI fragment is "relative" to OPF.
         path = this.opf.getPathFromURL(this.opf.opfXML.url);
       } else if (href.charAt(0) === "#") {
@@ -2234,12 +2626,34 @@ export class OPFView implements Vgen.CustomRendererFactory {
         frame.finish(null);
         return;
       }
-      const target = viewItem.xmldoc.getElement(href);
+      const xmldoc = viewItem.xmldoc;
+      let offsetInItem = 0;
+      const cfi = href.match(/#(epubcfi\(.*\))$/);
+      if (cfi) {
+        // CFI relative to the spine item document
+        try {
+          const fragment = new CFI.Fragment();
+          fragment.fromString(cfi[1]);
+          const nodeNav = fragment.navigate(xmldoc.document);
+          offsetInItem = xmldoc.getNodeOffset(
+            nodeNav.node,
+            nodeNav.offset,
+            nodeNav.after,
+          );
+        } catch (err) {
+          Logging.logger.warn(err, "Cannot resolve fragment:", cfi[1]);
+        }
+      } else {
+        const target = xmldoc.getElement(href);
+        if (target) {
+          offsetInItem = xmldoc.getElementOffset(target);
+        }
+      }
       this.findPage(
         {
           spineIndex: item.spineIndex,
           pageIndex: -1,
-          offsetInItem: target ? viewItem.xmldoc.getElementOffset(target) : 0,
+          offsetInItem,
         },
         sync,
       ).thenFinish(frame);
@@ -2471,6 +2885,10 @@ export class OPFView implements Vgen.CustomRendererFactory {
       loadingContinuations = this.spineItemLoadingContinuations[spineIndex] =
         [];
     }
+    this.documentStartTimes[spineIndex] = Profile.profiler.now();
+    if (this.renderingStartTime === null) {
+      this.renderingStartTime = this.documentStartTimes[spineIndex];
+    }
     const item = this.opf.spine[spineIndex];
     const store = this.opf.store;
     store.load(item.src).then((xmldoc: XmlDoc.XMLDocHolder) => {
@@ -2631,6 +3049,19 @@ export class OPFView implements Vgen.CustomRendererFactory {
     return this.spineItems.some((item) => item && item.pages.length > 0);
   }
 
+  /**
+   * Returns the rendered pages in the document order.
+   */
+  getRenderedPages(): Vtree.Page[] {
+    const pages: Vtree.Page[] = [];
+    for (const item of this.spineItems) {
+      if (item) {
+        pages.push(...item.pages.filter((page) => page));
+      }
+    }
+    return pages;
+  }
+
   showTOC(autohide: boolean): Task.Result<Vtree.Page> {
     const opf = this.opf;
     const toc = opf.toc;
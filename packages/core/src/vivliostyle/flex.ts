@@ -0,0 +1,238 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @fileoverview Flex - Fragmentation of flex containers.
+ */
+import * as BreakPosition from "./break-position";
+import * as Css from "./css";
+import * as Grid from "./grid";
+import * as LayoutProcessor from "./layout-processor";
+import * as Plugin from "./plugin";
+import * as Task from "./task";
+import * as Layout from "./layout";
+import { FormattingContextType, Layout as LayoutType, Vtree } from "./types";
+
+/**
+ * Judges if the flex container can break between its items: a single-line
+ * column flex container breaks between the items, and a multi-line row flex
+ * container (also `row-reverse`, which reverses the items only within each
+ * line) breaks between the flex lines. `column-reverse` and `wrap-reverse`
+ * flex containers are not broken since the order of the fragments would not
+ * be preserved.
+ */
+export function isFragmentable(
+  flexDirection: string,
+  flexWrap: string,
+): boolean {
+  return (
+    (flexDirection === "column" && flexWrap === "nowrap") ||
+    ((flexDirection === "row" || flexDirection === "row-reverse") &&
+      flexWrap === "wrap")
+  );
+}
+
+export class FlexFormattingContext implements Vtree.FormattingContext {
+  formattingContextType: FormattingContextType = "Flex";
+
+  constructor(
+    private readonly parent: Vtree.FormattingContext,
+    public readonly flexSourceNode: Element,
+  ) {}
+
+  /** @override */
+  getName(): string {
+    return "Flex formatting context (Flex.FlexFormattingContext)";
+  }
+
+  /** @override */
+  isFirstTime(nodeContext: Vtree.NodeContext, firstTime: boolean): boolean {
+    return firstTime;
+  }
+
+  /** @override */
+  getParent(): Vtree.FormattingContext {
+    return this.parent;
+  }
+
+  /** @override */
+  saveState(): any {}
+
+  /** @override */
+  restoreState(state: any) {}
+}
+
+/**
+ * Lays out a flex container so that it can break between the flex lines (or
+ * between the items of a column flex container). Flex items are not broken
+ * inside, and the remaining items are laid out again as a flex container in
+ * the next fragment.
+ */
+export class FlexLayoutProcessor implements LayoutProcessor.LayoutProcessor {
+  /** @override */
+  layout(
+    nodeContext: Vtree.NodeContext,
+    column: Layout.Column,
+    leadingEdge: boolean,
+  ): Task.Result<Vtree.NodeContext> {
+    if (column.isFloatNodeContext(nodeContext)) {
+      return column.layoutFloatOrFootnote(nodeContext);
+    }
+    const formattingContext = nodeContext.formattingContext;
+    if (
+      !column.isBreakable(nodeContext) ||
+      !(formattingContext instanceof FlexFormattingContext)
+    ) {
+      return column.layoutUnbreakable(nodeContext);
+    }
+    if (nodeContext.sourceNode === formattingContext.flexSourceNode) {
+      const style = column.clientLayout.getElementComputedStyle(
+        nodeContext.viewNode as Element,
+      );
+      if (!style || !isFragmentable(style.flexDirection, style.flexWrap)) {
+        return column.layoutUnbreakable(nodeContext);
+      }
+    }
+    const frame: Task.Frame<Vtree.NodeContext> = Task.newFrame(
+      "FlexLayoutProcessor.layout",
+    );
+    Grid.buildItemViews(
+      nodeContext,
+      column,
+      formattingContext.flexSourceNode,
+    ).then(({ items, after }) => {
+      const lineBreaks = Grid.findRowBreaks(
+        Grid.measureItemExtents(items, column),
+      );
+      frame.finish(
+        Grid.saveRowBreakPositions(items, lineBreaks, after, column),
+      );
+    });
+    return frame.result();
+  }
+
+  /** @override */
+  createEdgeBreakPosition(
+    position: Vtree.NodeContext,
+    breakOnEdge: string | null,
+    overflows: boolean,
+    columnBlockSize: number,
+  ): LayoutType.BreakPosition {
+    return new BreakPosition.EdgeBreakPosition(
+      position.copy(),
+      breakOnEdge,
+      overflows,
+      columnBlockSize,
+    );
+  }
+
+  /** @override */
+  startNonInlineElementNode(nodeContext: Vtree.NodeContext): boolean {
+    return false;
+  }
+
+  /** @override */
+  afterNonInlineElementNode(
+    nodeContext: Vtree.NodeContext,
+    stopAtOverflow: boolean,
+  ): boolean {
+    return false;
+  }
+
+  /** @override */
+  finishBreak(
+    column: Layout.Column,
+    nodeContext: Vtree.NodeContext,
+    forceRemoveSelf: boolean,
+    endOfColumn: boolean,
+  ): Task.Result<boolean> {
+    return LayoutProcessor.blockLayoutProcessor.finishBreak(
+      column,
+      nodeContext,
+      forceRemoveSelf,
+      endOfColumn,
+    );
+  }
+
+  /** @override */
+  clearOverflownViewNodes(
+    column: Layout.Column,
+    parentNodeContext: Vtree.NodeContext,
+    nodeContext: Vtree.NodeContext,
+    removeSelf: boolean,
+  ) {
+    LayoutProcessor.blockLayoutProcessor.clearOverflownViewNodes(
+      column,
+      parentNodeContext,
+      nodeContext,
+      removeSelf,
+    );
+  }
+}
+
+const flexLayoutProcessor = new FlexLayoutProcessor();
+
+function resolveFormattingContextHook(
+  nodeContext: Vtree.NodeContext,
+  firstTime: boolean,
+  display: Css.Ident,
+  position: Css.Ident,
+  floatSide: Css.Val,
+  isRoot: boolean,
+): FlexFormattingContext | null {
+  if (!firstTime) {
+    return null;
+  }
+  const parent = nodeContext.parent;
+  if (display === Css.ident.flex) {
+    return new FlexFormattingContext(
+      parent ? parent.formattingContext : null,
+      nodeContext.sourceNode as Element,
+    );
+  }
+  if (
+    nodeContext.establishesBFC &&
+    parent &&
+    parent.formattingContext instanceof FlexFormattingContext &&
+    parent.sourceNode === parent.formattingContext.flexSourceNode
+  ) {
+    // Keep flex items establishing block formatting contexts in the flex
+    // formatting context, so that they are laid out by FlexLayoutProcessor.
+    return parent.formattingContext;
+  }
+  return null;
+}
+
+function resolveLayoutProcessor(
+  formattingContext: Vtree.FormattingContext,
+): FlexLayoutProcessor | null {
+  if (formattingContext instanceof FlexFormattingContext) {
+    return flexLayoutProcessor;
+  }
+  return null;
+}
+
+// Registered at first since the flex container establishes a block
+// formatting context for the BlockFormattingContext hook.
+Plugin.registerHook(
+  Plugin.HOOKS.RESOLVE_FORMATTING_CONTEXT,
+  resolveFormattingContextHook,
+  true,
+);
+
+Plugin.registerHook(
+  Plugin.HOOKS.RESOLVE_LAYOUT_PROCESSOR,
+  resolveLayoutProcessor,
+);
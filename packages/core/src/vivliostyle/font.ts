@@ -179,6 +179,18 @@ export class Mapper {
   srcURLMap: { [key: string]: TaskUtil.Fetcher<Face> } = {};
   familyPrefix: string;
   familyCounter: number = 0;
+  /**
+   * Maps view font families to the source faces loaded with them.
+   */
+  private viewFamilySources: { [viewFamily: string]: Face[] } = {};
+  /**
+   * Source faces whose font data could not be fetched.
+   */
+  private unfetchedFaces: Face[] = [];
+  /**
+   * Font-face rules added to the view document, with their view faces.
+   */
+  private fontFaceRules: { rule: string; face: Face }[] = [];
 
   constructor(
     public readonly head: Element,
@@ -214,11 +226,18 @@ export class Mapper {
       props[prop] = srcFace.properties[prop];
     }
     const fontFamily = this.getViewFontFamily(srcFace, documentFaces);
+    let sources = this.viewFamilySources[fontFamily];
+    if (!sources) {
+      sources = this.viewFamilySources[fontFamily] = [];
+    }
+    sources.push(srcFace);
     props["font-family"] = Css.getName(fontFamily);
     const viewFontFace = new Face(props);
     const style = this.head.ownerDocument.createElement("style");
-    style.textContent = viewFontFace.makeAtRule(src, fontBytes);
+    const rule = viewFontFace.makeAtRule(src, fontBytes);
+    style.textContent = rule;
     this.head.appendChild(style);
+    this.fontFaceRules.push({ rule, face: viewFontFace });
     Logging.logger.debug("Load font:", src);
     frame.finish(viewFontFace);
     return frame.result();
@@ -249,13 +268,19 @@ export class Mapper {
         const deobfuscator = documentFaces.deobfuscator
           ? documentFaces.deobfuscator(url)
           : null;
-        if (deobfuscator) {
+        if (deobfuscator || Net.isArchiveURL(url)) {
+          // Fonts to be deobfuscated and fonts in a zipped EPUB have to be
+          // loaded via blob URLs.
           Net.fetchFromURL(url, Net.FetchResponseType.BLOB).then((response) => {
             if (!response.responseBlob) {
+              this.unfetchedFaces.push(srcFace);
               frame.finish(null);
               return;
             }
-            deobfuscator(response.responseBlob).then((fontBytes) => {
+            const fontBytes = deobfuscator
+              ? deobfuscator(response.responseBlob)
+              : Task.newResult(response.responseBlob);
+            fontBytes.then((fontBytes) => {
               this.initFont(srcFace, fontBytes, documentFaces).thenFinish(
                 frame,
               );
@@ -289,6 +314,84 @@ export class Mapper {
     );
   }
 
+  /**
+   * Returns the font-face rules of the loaded fonts for use outside of the
+   * view document: the font data loaded via blob URLs is inlined as data
+   * URLs.
+   */
+  getStandaloneFontFaceRules(): Task.Result<string> {
+    const frame: Task.Frame<string> = Task.newFrame(
+      "getStandaloneFontFaceRules",
+    );
+    const rules: string[] = [];
+    let index = 0;
+    frame
+      .loop(() => {
+        if (index >= this.fontFaceRules.length) {
+          return Task.newResult(false);
+        }
+        const { rule, face } = this.fontFaceRules[index++];
+        if (!face.blobs.length) {
+          rules.push(rule);
+          return Task.newResult(true);
+        }
+        // Each rule has at most one blob URL (see Face.makeAtRule()).
+        return Net.readBlobAsDataURL(face.blobs[0]).thenAsync((dataURL) => {
+          if (dataURL) {
+            rules.push(rule.replace(face.blobURLs[0], dataURL));
+          } else {
+            Logging.logger.warn("Failed to read font data:", face.blobURLs[0]);
+          }
+          return Task.newResult(true);
+        });
+      })
+      .then(() => {
+        frame.finish(rules.join(""));
+      });
+    return frame.result();
+  }
+
+  /**
+   * Release the blob URLs of the font data. The fonts loaded via them are
+   * no longer available in the view document.
+   */
+  revokeBlobURLs(): void {
+    for (const { face } of this.fontFaceRules) {
+      for (const blobURL of face.blobURLs) {
+        Net.revokeObjectURL(blobURL);
+      }
+    }
+  }
+
+  /**
+   * Returns the web fonts (source faces of `@font-face` rules) that failed to
+   * load. Whether the text is actually rendered with a fallback font is not
+   * checked.
+   */
+  getFailedFaces(): Face[] {
+    const faces = this.unfetchedFaces.concat();
+    const traitValue = (face: Face, name: string): string =>
+      face.properties[name]?.toString() ?? "normal";
+    this.head.ownerDocument.fonts.forEach((fontFace) => {
+      if (fontFace.status !== "error") {
+        return;
+      }
+      const family = fontFace.family.replace(/^(["'])(.*)\1$/, "$2");
+      const sources = this.viewFamilySources[family] ?? [];
+      const matched = sources.filter(
+        (face) =>
+          traitValue(face, "font-style") === fontFace.style &&
+          traitValue(face, "font-weight") === fontFace.weight,
+      );
+      for (const face of matched.length ? matched : sources) {
+        if (!faces.includes(face)) {
+          faces.push(face);
+        }
+      }
+    });
+    return faces;
+  }
+
   waitFontLoading(): Task.Result<boolean> {
     const fonts = this.head.ownerDocument.fonts; // FontFaceSet
     let unloadedCount = 0;
@@ -182,6 +182,28 @@ export class FootnoteLayoutStrategy
     column.setComputedWidthAndHeight(element, floatArea);
   }
 
+  /** @override */
+  setFloatAreaDimensions(
+    floatArea: Layout.PageFloatArea,
+    floatReference: PageFloats.FloatReference,
+    floatSide: string,
+    anchorEdge: number | null,
+    init: boolean,
+    force: boolean,
+    condition: PageFloats.PageFloatPlacementCondition,
+    pageFloatLayoutContext: PageFloats.PageFloatLayoutContext,
+  ): string | null {
+    return pageFloatLayoutContext.setFloatAreaDimensions(
+      floatArea,
+      floatReference,
+      floatSide,
+      anchorEdge,
+      init,
+      force,
+      condition,
+    );
+  }
+
   /** @override */
   forbid(
     float: PageFloats.PageFloat,
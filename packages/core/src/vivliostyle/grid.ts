@@ -0,0 +1,524 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @fileoverview Grid - Fragmentation of CSS Grid containers.
+ */
+import * as Base from "./base";
+import * as Break from "./break";
+import * as BreakPosition from "./break-position";
+import * as Css from "./css";
+import * as LayoutHelper from "./layout-helper";
+import * as LayoutProcessor from "./layout-processor";
+import * as Plugin from "./plugin";
+import * as Task from "./task";
+import * as Layout from "./layout";
+import { FormattingContextType, Layout as LayoutType, Vtree } from "./types";
+
+/**
+ * Tolerance (px) in comparing the edges of grid items.
+ */
+const EDGE_TOLERANCE = 1;
+
+/**
+ * Extent of a grid item (or a flex item) in the block direction.
+ * - start, end: Block-start and block-end edges, which increase in the block
+ *   progression direction.
+ * - breakBefore, breakAfter: The break-before/after values of the item.
+ */
+export type GridItemExtent = {
+  start: number;
+  end: number;
+  breakBefore: string | null;
+  breakAfter: string | null;
+};
+
+/**
+ * Possible break between grid rows (or flex lines).
+ * - index: Index of the first grid item after the break.
+ * - rowCount: Number of the grid rows before the break.
+ * - breakValue: Effective break value at the break.
+ */
+export type GridRowBreak = {
+  index: number;
+  rowCount: number;
+  breakValue: string | null;
+};
+
+/**
+ * Find the possible breaks between grid rows (or flex lines). No break is
+ * possible where a grid item spans across the rows, or where a grid item
+ * placed before the break follows the first item after the break in the
+ * document order, since everything after that item is moved to the next
+ * fragment.
+ * @param items Grid items in the document order (null for out-of-flow items)
+ */
+export function findRowBreaks(
+  items: (GridItemExtent | null)[],
+): GridRowBreak[] {
+  const rowStarts: number[] = [];
+  items
+    .filter((item) => item)
+    .map((item) => item.start)
+    .sort((a, b) => a - b)
+    .forEach((start) => {
+      if (
+        !rowStarts.length ||
+        start - rowStarts[rowStarts.length - 1] > EDGE_TOLERANCE
+      ) {
+        rowStarts.push(start);
+      }
+    });
+  const rowBreaks: GridRowBreak[] = [];
+  for (let row = 1; row < rowStarts.length; row++) {
+    const prevRowStartMax = rowStarts[row - 1] + EDGE_TOLERANCE;
+    const rowStart = rowStarts[row] - EDGE_TOLERANCE;
+    const rowStartMax = rowStarts[row] + EDGE_TOLERANCE;
+    const index = items.findIndex((item) => item && item.start >= rowStart);
+    if (
+      items.some(
+        (item, i) =>
+          item && (i < index ? item.end > rowStartMax : item.start < rowStart),
+      )
+    ) {
+      continue;
+    }
+    let breakValue: string | null = null;
+    items.forEach((item, i) => {
+      // Items ending in the row before the break
+      if (item && i < index && item.end > prevRowStartMax) {
+        breakValue = Break.resolveEffectiveBreakValue(
+          breakValue,
+          item.breakAfter,
+        );
+      }
+    });
+    items.forEach((item, i) => {
+      // Items starting in the row after the break
+      if (item && i >= index && item.start <= rowStartMax) {
+        breakValue = Break.resolveEffectiveBreakValue(
+          breakValue,
+          item.breakBefore,
+        );
+      }
+    });
+    rowBreaks.push({ index, rowCount: row, breakValue });
+  }
+  return rowBreaks;
+}
+
+/**
+ * Parse the resolved value of `grid-template-rows` (e.g. "[a] 50px 100px").
+ * @returns the track sizes, or null if it is not a list of lengths in px
+ */
+export function parseResolvedTrackList(value: string): string[] | null {
+  const tracks = value
+    .replace(/\[[^\]]*\]/g, " ")
+    .trim()
+    .split(/\s+/);
+  return tracks.every((track) => /^\d+(\.\d+)?px$/.test(track)) ? tracks : null;
+}
+
+/**
+ * Build the views of the items of a grid or flex container from the position
+ * to the end of the container. The items are not broken inside.
+ * @param containerSourceNode Source node of the container
+ * @returns the start positions of the items and the position after the
+ *     container
+ */
+export function buildItemViews(
+  nodeContext: Vtree.NodeContext,
+  column: Layout.Column,
+  containerSourceNode: Node,
+): Task.Result<{ items: Vtree.NodeContext[]; after: Vtree.NodeContext }> {
+  const items: Vtree.NodeContext[] = [];
+  let position = nodeContext;
+  const frame: Task.Frame<{
+    items: Vtree.NodeContext[];
+    after: Vtree.NodeContext;
+  }> = Task.newFrame("buildItemViews");
+  frame
+    .loopWithFrame((loopFrame) => {
+      if (
+        !position ||
+        (position.after && position.sourceNode === containerSourceNode)
+      ) {
+        loopFrame.breakLoop();
+        return;
+      }
+      let result: Task.Result<Vtree.NodeContext>;
+      if (
+        !position.after &&
+        position.parent?.sourceNode === containerSourceNode &&
+        position.viewNode?.nodeType === 1
+      ) {
+        items.push(position.copy());
+        result = column.buildDeepElementView(position);
+      } else {
+        result = Task.newResult(position);
+      }
+      result.then((positionParam) => {
+        column.nextInTree(positionParam).then((next) => {
+          position = next;
+          loopFrame.continueLoop();
+        });
+      });
+    })
+    .then(() => {
+      frame.finish({ items, after: position });
+    });
+  return frame.result();
+}
+
+/**
+ * Measure the extents of the items in the block direction.
+ */
+export function measureItemExtents(
+  items: Vtree.NodeContext[],
+  column: Layout.Column,
+): (GridItemExtent | null)[] {
+  const dir = column.getBoxDir();
+  return items.map((item) => {
+    if (LayoutHelper.isOutOfFlow(item.viewNode)) {
+      return null;
+    }
+    const rect = column.clientLayout.getElementClientRect(
+      item.viewNode as Element,
+    );
+    return {
+      start: dir * column.getBeforeEdge(rect),
+      end: dir * column.getAfterEdge(rect),
+      breakBefore: item.breakBefore,
+      breakAfter: item.breakAfter,
+    };
+  });
+}
+
+/**
+ * Save the break positions before the items at the row breaks, or break
+ * there if the break is forced. No break positions are saved inside the
+ * items, so the column breaks at one of the saved row breaks (or before the
+ * grid container) even if a row overflows.
+ * @returns the position to continue the layout from
+ */
+export function saveRowBreakPositions(
+  items: Vtree.NodeContext[],
+  rowBreaks: GridRowBreak[],
+  after: Vtree.NodeContext,
+  column: Layout.Column,
+): Vtree.NodeContext {
+  for (const rowBreak of rowBreaks) {
+    const item = items[rowBreak.index];
+    if (Break.isForcedBreakValue(rowBreak.breakValue)) {
+      column.clearOverflownViewNodes(item, true);
+      column.pageBreakType = rowBreak.breakValue;
+      return item;
+    }
+    if (
+      (column.checkOverflowAndSaveEdgeAndBreakPosition(
+        item,
+        null,
+        true,
+        rowBreak.breakValue,
+      ) ||
+        !column.layoutConstraint.allowLayout(item)) &&
+      column.stopAtOverflow
+    ) {
+      const overflown = item.modify();
+      overflown.overflow = true;
+      return overflown;
+    }
+  }
+  return after;
+}
+
+/**
+ * How the row tracks of a grid container continue after a break.
+ * - rowShift: Number of the row tracks in the preceding fragments, by which
+ *   the explicit row lines of the remaining grid items are shifted.
+ * - templateRows: Remaining explicit row tracks, or null if the grid
+ *   container has no `grid-template-rows`.
+ */
+export type GridContinuation = {
+  rowShift: number;
+  templateRows: string | null;
+};
+
+export class GridFormattingContext implements Vtree.FormattingContext {
+  formattingContextType: FormattingContextType = "Grid";
+  /**
+   * Continuations keyed by the source node of the first grid item after each
+   * possible break.
+   */
+  continuations: Map<Node, GridContinuation> = new Map();
+
+  constructor(
+    private readonly parent: Vtree.FormattingContext,
+    public readonly gridSourceNode: Element,
+  ) {}
+
+  /** @override */
+  getName(): string {
+    return "Grid formatting context (Grid.GridFormattingContext)";
+  }
+
+  /** @override */
+  isFirstTime(nodeContext: Vtree.NodeContext, firstTime: boolean): boolean {
+    return firstTime;
+  }
+
+  /** @override */
+  getParent(): Vtree.FormattingContext {
+    return this.parent;
+  }
+
+  /** @override */
+  saveState(): any {}
+
+  /** @override */
+  restoreState(state: any) {}
+}
+
+/**
+ * Lays out a grid container so that it can break between the grid rows.
+ * Grid items are not broken inside, and the layout of the remaining items
+ * restarts in the next fragment with the row tracks continued from the
+ * preceding fragment.
+ *
+ * A row that does not fit in the fragmentainer is pushed to the next
+ * fragment. A row taller than the fragmentainer is treated as monolithic:
+ * when it is at the start of a fragment, it is kept whole and overflows.
+ */
+export class GridLayoutProcessor implements LayoutProcessor.LayoutProcessor {
+  /** @override */
+  layout(
+    nodeContext: Vtree.NodeContext,
+    column: Layout.Column,
+    leadingEdge: boolean,
+  ): Task.Result<Vtree.NodeContext> {
+    if (column.isFloatNodeContext(nodeContext)) {
+      return column.layoutFloatOrFootnote(nodeContext);
+    }
+    if (!column.isBreakable(nodeContext)) {
+      return column.layoutUnbreakable(nodeContext);
+    }
+    const formattingContext = nodeContext.formattingContext;
+    if (!(formattingContext instanceof GridFormattingContext)) {
+      return column.layoutUnbreakable(nodeContext);
+    }
+    let gridNodeContext = nodeContext;
+    while (gridNodeContext.sourceNode !== formattingContext.gridSourceNode) {
+      gridNodeContext = gridNodeContext.parent;
+    }
+    const continuation =
+      nodeContext !== gridNodeContext
+        ? formattingContext.continuations.get(nodeContext.sourceNode)
+        : null;
+    const frame: Task.Frame<Vtree.NodeContext> = Task.newFrame(
+      "GridLayoutProcessor.layout",
+    );
+    buildItemViews(nodeContext, column, formattingContext.gridSourceNode).then(
+      ({ items, after }) => {
+        if (continuation) {
+          this.continueRowTracks(gridNodeContext, items, continuation);
+        }
+        const rowBreaks = findRowBreaks(measureItemExtents(items, column));
+        this.saveContinuations(
+          gridNodeContext,
+          items,
+          rowBreaks,
+          column,
+          formattingContext,
+          continuation ? continuation.rowShift : 0,
+        );
+        frame.finish(saveRowBreakPositions(items, rowBreaks, after, column));
+      },
+    );
+    return frame.result();
+  }
+
+  /**
+   * Continue the row tracks of the preceding fragment: drop the row tracks
+   * already laid out and shift the explicit row lines of the grid items.
+   */
+  private continueRowTracks(
+    gridNodeContext: Vtree.NodeContext,
+    items: Vtree.NodeContext[],
+    continuation: GridContinuation,
+  ) {
+    if (continuation.templateRows) {
+      Base.setCSSProperty(
+        gridNodeContext.viewNode as Element,
+        "grid-template-rows",
+        continuation.templateRows,
+      );
+    }
+    items.forEach((item) => {
+      const element = item.viewNode as HTMLElement;
+      ["grid-row-start", "grid-row-end"].forEach((name) => {
+        const value = element.style.getPropertyValue(name);
+        if (/^\d+$/.test(value)) {
+          const line = Math.max(1, parseInt(value, 10) - continuation.rowShift);
+          Base.setCSSProperty(element, name, line.toString());
+        }
+      });
+    });
+  }
+
+  /**
+   * Save how the row tracks continue after each possible row break.
+   * @param rowShift Number of the row tracks in the preceding fragments
+   */
+  private saveContinuations(
+    gridNodeContext: Vtree.NodeContext,
+    items: Vtree.NodeContext[],
+    rowBreaks: GridRowBreak[],
+    column: Layout.Column,
+    formattingContext: GridFormattingContext,
+    rowShift: number,
+  ): void {
+    const gridElement = gridNodeContext.viewNode as HTMLElement;
+    const tracks =
+      gridElement.style.gridTemplateRows &&
+      gridElement.style.gridTemplateRows !== "none"
+        ? parseResolvedTrackList(
+            column.clientLayout.getElementComputedStyle(gridElement)
+              .gridTemplateRows,
+          )
+        : null;
+    rowBreaks.forEach((rowBreak) => {
+      formattingContext.continuations.set(items[rowBreak.index].sourceNode, {
+        rowShift: rowShift + rowBreak.rowCount,
+        templateRows:
+          tracks && tracks.length > rowBreak.rowCount
+            ? tracks.slice(rowBreak.rowCount).join(" ")
+            : null,
+      });
+    });
+  }
+
+  /** @override */
+  createEdgeBreakPosition(
+    position: Vtree.NodeContext,
+    breakOnEdge: string | null,
+    overflows: boolean,
+    columnBlockSize: number,
+  ): LayoutType.BreakPosition {
+    return new BreakPosition.EdgeBreakPosition(
+      position.copy(),
+      breakOnEdge,
+      overflows,
+      columnBlockSize,
+    );
+  }
+
+  /** @override */
+  startNonInlineElementNode(nodeContext: Vtree.NodeContext): boolean {
+    return false;
+  }
+
+  /** @override */
+  afterNonInlineElementNode(
+    nodeContext: Vtree.NodeContext,
+    stopAtOverflow: boolean,
+  ): boolean {
+    return false;
+  }
+
+  /** @override */
+  finishBreak(
+    column: Layout.Column,
+    nodeContext: Vtree.NodeContext,
+    forceRemoveSelf: boolean,
+    endOfColumn: boolean,
+  ): Task.Result<boolean> {
+    return LayoutProcessor.blockLayoutProcessor.finishBreak(
+      column,
+      nodeContext,
+      forceRemoveSelf,
+      endOfColumn,
+    );
+  }
+
+  /** @override */
+  clearOverflownViewNodes(
+    column: Layout.Column,
+    parentNodeContext: Vtree.NodeContext,
+    nodeContext: Vtree.NodeContext,
+    removeSelf: boolean,
+  ) {
+    LayoutProcessor.blockLayoutProcessor.clearOverflownViewNodes(
+      column,
+      parentNodeContext,
+      nodeContext,
+      removeSelf,
+    );
+  }
+}
+
+const gridLayoutProcessor = new GridLayoutProcessor();
+
+function resolveFormattingContextHook(
+  nodeContext: Vtree.NodeContext,
+  firstTime: boolean,
+  display: Css.Ident,
+  position: Css.Ident,
+  floatSide: Css.Val,
+  isRoot: boolean,
+): GridFormattingContext | null {
+  if (!firstTime) {
+    return null;
+  }
+  const parent = nodeContext.parent;
+  if (display === Css.ident.grid) {
+    return new GridFormattingContext(
+      parent ? parent.formattingContext : null,
+      nodeContext.sourceNode as Element,
+    );
+  }
+  if (
+    nodeContext.establishesBFC &&
+    parent &&
+    parent.formattingContext instanceof GridFormattingContext &&
+    parent.sourceNode === parent.formattingContext.gridSourceNode
+  ) {
+    // Keep grid items establishing block formatting contexts in the grid
+    // formatting context, so that they are laid out by GridLayoutProcessor.
+    return parent.formattingContext;
+  }
+  return null;
+}
+
+function resolveLayoutProcessor(
+  formattingContext: Vtree.FormattingContext,
+): GridLayoutProcessor | null {
+  if (formattingContext instanceof GridFormattingContext) {
+    return gridLayoutProcessor;
+  }
+  return null;
+}
+
+// Registered at first since the grid container establishes a block
+// formatting context for the BlockFormattingContext hook.
+Plugin.registerHook(
+  Plugin.HOOKS.RESOLVE_FORMATTING_CONTEXT,
+  resolveFormattingContextHook,
+  true,
+);
+
+Plugin.registerHook(
+  Plugin.HOOKS.RESOLVE_LAYOUT_PROCESSOR,
+  resolveLayoutProcessor,
+);
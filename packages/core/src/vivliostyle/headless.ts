@@ -0,0 +1,247 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @fileoverview Headless - Render documents without the viewer and serialize
+ * the laid-out pages.
+ */
+import * as Base from "./base";
+import * as Epub from "./epub";
+import * as Exprs from "./exprs";
+import * as Font from "./font";
+import * as Task from "./task";
+import * as Vgen from "./vgen";
+import * as Vtree from "./vtree";
+import { VivliostylePolyfillCss, VivliostyleViewportCss } from "./assets";
+
+/**
+ * Options of `renderHeadless()`.
+ * - window: Window of the DOM implementation in which the pages are laid out,
+ *   e.g. a headless browser page or a jsdom window.
+ * - clientLayout: Creates the `ClientLayout` that measures the laid-out
+ *   boxes. The default is `DefaultClientLayout`, which needs a DOM
+ *   implementation that does layout. With jsdom, which does not, give an
+ *   implementation that computes the boxes.
+ * - url: URL(s) of the HTML or XML document(s), or of the publication if
+ *   bookMode is true. Relative URLs are resolved against the window location.
+ * - bookMode: Load the URL as a publication (EPUB, WebPub, etc.).
+ * - authorStyleSheet, userStyleSheet: Style sheets to be injected, as in
+ *   `DocumentOptions`.
+ * - fontSize: Default font size in px (default: 16).
+ * - width, height: Viewport size in px used for pages with `auto` size.
+ *
+ * In environments such as Node.js, the DOM globals used by Vivliostyle
+ * (`DOMParser`, `Node`, `NodeFilter`, etc.) must be provided by the DOM
+ * implementation.
+ */
+export type HeadlessOptions = {
+  window: Window;
+  clientLayout?: (viewport: Vgen.Viewport) => Vtree.ClientLayout;
+  url: string | string[];
+  bookMode?: boolean;
+  authorStyleSheet?: { url?: string; text?: string }[];
+  userStyleSheet?: { url?: string; text?: string }[];
+  fontSize?: number;
+  width?: number;
+  height?: number;
+};
+
+/**
+ * A laid-out page.
+ * - spineIndex: Index of the source document.
+ * - pageIndex: Index of the page in the whole document.
+ * - width, height: Page size in px.
+ * - html: Standalone HTML document of the page, with the CSS embedded.
+ * - css: CSS used by the page (viewer styles, web fonts and the page size).
+ *   The data of fonts loaded via blob URLs is inlined as data URLs.
+ */
+export type SerializedPage = {
+  spineIndex: number;
+  pageIndex: number;
+  width: number;
+  height: number;
+  html: string;
+  css: string;
+};
+
+function convertStyleSheets(
+  styleSheets: { url?: string; text?: string }[] | undefined,
+): { url: string | null; text: string | null }[] {
+  return (styleSheets || []).map((s) => ({
+    url: s.url || null,
+    text: s.text || null,
+  }));
+}
+
+/**
+ * The content of a style element is raw text, which ends at "</style".
+ */
+function escapeStyleText(css: string): string {
+  return css.replace(/<\/(style)/gi, "<\\/$1");
+}
+
+/**
+ * Serialize a page with the CSS shared by all pages.
+ */
+export function serializePage(
+  page: Vtree.Page,
+  pageIndex: number,
+  sharedCss: string,
+): SerializedPage {
+  const { width, height } = page.dimensions;
+  const css = `${sharedCss}\n@page {size: ${width}px ${height}px; margin: 0;}\n`;
+  const container = page.container.cloneNode(true) as HTMLElement;
+  container.style.display = "";
+  const html =
+    "<!DOCTYPE html>\n" +
+    '<html><head><meta charset="utf-8"/>' +
+    `<style>${escapeStyleText(css)}</style></head>` +
+    '<body style="margin: 0;"><div data-vivliostyle-spread-container="true">' +
+    container.outerHTML +
+    "</div></body></html>\n";
+  return {
+    spineIndex: page.spineIndex,
+    pageIndex,
+    width,
+    height,
+    html,
+    css,
+  };
+}
+
+/**
+ * Render all pages of the document(s) in the window and serialize them.
+ * The elements added to the window's document are removed when finished.
+ */
+export function renderHeadless(
+  options: HeadlessOptions,
+): Promise<SerializedPage[]> {
+  const win = options.window;
+  const doc = win.document;
+  const addedElements: Element[] = [];
+  const addStyle = (cssText: string) => {
+    const style = doc.createElement("style");
+    style.textContent = cssText;
+    doc.head.appendChild(style);
+    addedElements.push(style);
+  };
+  addStyle(VivliostyleViewportCss);
+  addStyle(VivliostylePolyfillCss);
+  const root = doc.createElement("div");
+  root.setAttribute("data-vivliostyle-viewer-viewport", "true");
+  doc.body.appendChild(root);
+  addedElements.push(root);
+  const headElements = new Set(Array.from(doc.head.children));
+  const urls = Array.isArray(options.url) ? options.url : [options.url];
+
+  const fontMapper = new Font.Mapper(doc.head, root);
+
+  return new Promise((resolve, reject) => {
+    const cleanUp = () => {
+      // Style elements added by the font mapper (@font-face rules)
+      for (const elem of Array.from(doc.head.children)) {
+        if (!headElements.has(elem)) {
+          addedElements.push(elem);
+        }
+      }
+      for (const elem of addedElements) {
+        elem.parentNode?.removeChild(elem);
+      }
+      fontMapper.revokeBlobURLs();
+    };
+    Task.start(() =>
+      Task.handle(
+        "renderHeadless",
+        (frame: Task.Frame<boolean>) => {
+          const store = new Epub.EPUBDocStore();
+          store
+            .init(
+              convertStyleSheets(options.authorStyleSheet),
+              convertStyleSheets(options.userStyleSheet),
+            )
+            .thenAsync(() => {
+              const resolvedURLs = urls.map((url) =>
+                Base.resolveURL(Base.convertSpecialURL(url), win.location.href),
+              );
+              if (options.bookMode) {
+                return store.loadPubDoc(resolvedURLs[0]);
+              }
+              const opf = new Epub.OPFDoc(store, "");
+              return opf
+                .initWithChapters(
+                  resolvedURLs.map((url, index) => ({
+                    url,
+                    index,
+                    startPage: null,
+                    skipPagesBefore: null,
+                  })),
+                )
+                .thenReturn(opf);
+            })
+            .then((opf) => {
+              if (!opf) {
+                throw new Error(`Failed to load ${urls.join(", ")}`);
+              }
+              // pixelRatio emulation is for browser viewers and not used here.
+              const viewport = new Vgen.Viewport(
+                win,
+                options.fontSize || 16,
+                0,
+                root,
+                options.width,
+                options.height,
+              );
+              const opfView = new Epub.OPFView(
+                opf,
+                viewport,
+                fontMapper,
+                Exprs.defaultPreferences(),
+                () => {},
+                options.clientLayout && options.clientLayout(viewport),
+              );
+              opfView
+                .renderAllPages()
+                .thenAsync(() => fontMapper.getStandaloneFontFaceRules())
+                .then((fontCss) => {
+                  const sharedCss = [
+                    VivliostyleViewportCss,
+                    VivliostylePolyfillCss,
+                    fontCss,
+                  ].join("\n");
+                  const pages: SerializedPage[] = [];
+                  for (const viewItem of opfView.spineItems) {
+                    for (const page of viewItem?.pages || []) {
+                      if (page) {
+                        pages.push(
+                          serializePage(page, pages.length, sharedCss),
+                        );
+                      }
+                    }
+                  }
+                  cleanUp();
+                  resolve(pages);
+                  frame.finish(true);
+                });
+            });
+        },
+        (frame, err) => {
+          cleanUp();
+          reject(err);
+          frame.finish(false);
+        },
+      ),
+    );
+  });
+}
@@ -0,0 +1,293 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @fileoverview Hyphenation - Dictionary-based hyphenation with Liang's
+ * patterns.
+ */
+import * as Css from "./css";
+import * as Logging from "./logging";
+import * as Net from "./net";
+import * as Plugin from "./plugin";
+import * as Task from "./task";
+import { Vtree } from "./types";
+
+const SOFT_HYPHEN = "\u00AD";
+
+/**
+ * Hyphenator using Liang's hyphenation patterns, as used by TeX.
+ */
+export class Hyphenator {
+  private patterns: Map<string, number[]> = new Map();
+  private exceptions: Map<string, number[]> = new Map();
+  private maxPatternLength = 0;
+
+  /**
+   * @param patterns Hyphenation patterns separated by whitespace, e.g.
+   *     `.ach4 a1b 4m1p`.
+   * @param exceptions Hyphenated words separated by whitespace, e.g.
+   *     `as-so-ciate`.
+   */
+  constructor(patterns: string, exceptions: string = "") {
+    for (const pattern of patterns.split(/\s+/)) {
+      if (!pattern) {
+        continue;
+      }
+      const letters = pattern.replace(/\d/g, "");
+      const points: number[] = new Array(letters.length + 1).fill(0);
+      let index = 0;
+      for (const ch of pattern) {
+        if (/\d/.test(ch)) {
+          points[index] = Number(ch);
+        } else {
+          index += ch.length;
+        }
+      }
+      this.patterns.set(letters, points);
+      this.maxPatternLength = Math.max(this.maxPatternLength, letters.length);
+    }
+    for (const exception of exceptions.split(/\s+/)) {
+      if (!exception) {
+        continue;
+      }
+      const word = exception.replace(/-/g, "");
+      const positions: number[] = [];
+      exception.split("-").reduce((position, part) => {
+        if (position > 0) {
+          positions.push(position);
+        }
+        return position + part.length;
+      }, 0);
+      this.exceptions.set(word.toLowerCase(), positions);
+    }
+  }
+
+  /**
+   * Finds the hyphenation opportunities in a word.
+   * @param leftMin Minimum number of characters before a hyphen.
+   * @param rightMin Minimum number of characters after a hyphen.
+   * @return The indices of the characters that can be preceded by a hyphen.
+   */
+  hyphenate(word: string, leftMin: number, rightMin: number): number[] {
+    const lower = word.toLowerCase();
+    if (lower.length !== word.length) {
+      return [];
+    }
+    const isAllowed = (position: number): boolean =>
+      position >= leftMin && word.length - position >= rightMin;
+    const exception = this.exceptions.get(lower);
+    if (exception) {
+      return exception.filter(isAllowed);
+    }
+    const text = `.${lower}.`;
+    const points: number[] = new Array(text.length + 1).fill(0);
+    for (let i = 0; i < text.length; i++) {
+      const end = Math.min(text.length, i + this.maxPatternLength);
+      for (let j = i + 1; j <= end; j++) {
+        const pattern = this.patterns.get(text.slice(i, j));
+        if (pattern) {
+          pattern.forEach((point, k) => {
+            points[i + k] = Math.max(points[i + k], point);
+          });
+        }
+      }
+    }
+    const positions: number[] = [];
+    for (let position = 1; position < word.length; position++) {
+      // points[position + 1] is the value between word[position - 1] and
+      // word[position], because of the leading ".".
+      if (points[position + 1] % 2 === 1 && isAllowed(position)) {
+        positions.push(position);
+      }
+    }
+    return positions;
+  }
+}
+
+/**
+ * Parses a hyphenation pattern file. Both the plain pattern files (e.g.
+ * `hyph-hu.pat.txt` of the TeX hyphenation patterns project) and the TeX
+ * files with `\patterns{…}` and `\hyphenation{…}` are accepted.
+ */
+export function parsePatternFile(text: string): Hyphenator {
+  text = text.replace(/%.*$/gm, "");
+  const block = (command: string): string | null => {
+    const r = text.match(new RegExp(`\\\\${command}\\s*\\{([^}]*)\\}`));
+    return r ? r[1] : null;
+  };
+  const patterns = block("patterns");
+  const exceptions = block("hyphenation");
+  if (patterns === null && exceptions === null) {
+    return new Hyphenator(text);
+  }
+  return new Hyphenator(patterns || "", exceptions || "");
+}
+
+const hyphenators: Map<string, Hyphenator> = new Map();
+
+/**
+ * Registers the hyphenation patterns for a language.
+ * @param lang Language tag, e.g. `hu` or `de-CH`.
+ * @param patterns Content of a hyphenation pattern file.
+ */
+export function registerPatterns(lang: string, patterns: string): void {
+  hyphenators.set(lang.toLowerCase(), parsePatternFile(patterns));
+}
+
+/**
+ * Finds the hyphenator for a language, falling back to the language tag
+ * without subtags (e.g. `de` for `de-CH`).
+ */
+export function getHyphenator(lang: string | null): Hyphenator | null {
+  let tag = lang?.toLowerCase();
+  while (tag) {
+    const hyphenator = hyphenators.get(tag);
+    if (hyphenator) {
+      return hyphenator;
+    }
+    tag = tag.replace(/-?[^-]*$/, "");
+  }
+  return null;
+}
+
+/**
+ * Loads the hyphenation pattern files.
+ */
+export function loadPatterns(
+  sources: { lang: string; url: string }[] | null,
+): Task.Result<boolean> {
+  if (!sources || sources.length === 0) {
+    return Task.newResult(true);
+  }
+  const frame: Task.Frame<boolean> = Task.newFrame("loadPatterns");
+  let index = 0;
+  frame
+    .loop(() => {
+      if (index >= sources.length) {
+        return Task.newResult(false);
+      }
+      const { lang, url } = sources[index++];
+      return Net.fetchFromURL(url).thenAsync((response) => {
+        if (response.status >= 400 || response.responseText === null) {
+          Logging.logger.warn(
+            `Failed to load hyphenation patterns for "${lang}": ${url}`,
+          );
+        } else {
+          registerPatterns(lang, response.responseText);
+        }
+        return Task.newResult(true);
+      });
+    })
+    .then(() => {
+      frame.finish(true);
+    });
+  return frame.result();
+}
+
+/**
+ * Resolves `hyphenate-limit-chars` to the minimum numbers of characters in a
+ * word, before a hyphen and after a hyphen.
+ */
+export function resolveLimitChars(
+  value: number | string | Css.Val | undefined,
+): { word: number; before: number; after: number } {
+  let values: (number | null)[] = [];
+  if (typeof value === "number") {
+    values = [value];
+  } else if (value instanceof Css.Int) {
+    values = [value.num];
+  } else if (value instanceof Css.SpaceList) {
+    values = value.values.map((v) => (v instanceof Css.Int ? v.num : null));
+  }
+  const before = values[1] ?? 2;
+  return {
+    word: values[0] ?? 5,
+    before,
+    after: values.length > 2 ? (values[2] ?? 2) : before,
+  };
+}
+
+/**
+ * Inserts soft hyphens at the hyphenation opportunities of the words in the
+ * text.
+ */
+export function hyphenateText(
+  text: string,
+  hyphenator: Hyphenator,
+  limits: { word: number; before: number; after: number },
+): string {
+  return text.replace(/[\p{L}\p{M}\u00AD]+/gu, (word) => {
+    if (word.length < limits.word || word.includes(SOFT_HYPHEN)) {
+      // Words with soft hyphens are hyphenated manually.
+      return word;
+    }
+    const positions = hyphenator.hyphenate(word, limits.before, limits.after);
+    let result = "";
+    let start = 0;
+    for (const position of positions) {
+      result += word.slice(start, position) + SOFT_HYPHEN;
+      start = position;
+    }
+    return result + word.slice(start);
+  });
+}
+
+/**
+ * Hyphenates the text with `hyphens: auto` when patterns are registered for
+ * its language. The browser hyphenation is turned off for the text so that
+ * the result does not depend on the browser.
+ */
+function preprocessTextContent(
+  nodeContext: Vtree.NodeContext,
+  textContent: string,
+): Task.Result<string> {
+  const props = nodeContext.inheritedProps;
+  if (props["hyphens"] !== "auto") {
+    return Task.newResult(textContent);
+  }
+  const hyphenator = getHyphenator(
+    nodeContext.lang ?? nodeContext.parent?.lang,
+  );
+  if (!hyphenator) {
+    return Task.newResult(textContent);
+  }
+  const parentElement = nodeContext.parent?.viewNode as HTMLElement;
+  if (parentElement?.style) {
+    parentElement.style.hyphens = "manual";
+  }
+  return Task.newResult(
+    hyphenateText(
+      textContent,
+      hyphenator,
+      resolveLimitChars(props["hyphenate-limit-chars"]),
+    ),
+  );
+}
+
+// `hyphenate-limit-last` is applied to the line before a page or column
+// break (see Layout.TextNodeBreaker). The value `always` also applies to the
+// last full line of a paragraph only when the lines are broken by
+// LineBreaking (`--viv-line-breaking: optimal`); otherwise the browser
+// breaks the lines and may hyphenate that line.
+Plugin.registerHook(Plugin.HOOKS.POLYFILLED_INHERITED_PROPS, () => [
+  "hyphens",
+  "hyphenate-limit-chars",
+  "hyphenate-limit-last",
+]);
+
+Plugin.registerHook(
+  Plugin.HOOKS.PREPROCESS_TEXT_CONTENT,
+  preprocessTextContent,
+);
@@ -0,0 +1,487 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @fileoverview Imposition - Arrangement of the paginated pages on printing
+ * sheets (saddle-stitch, perfect-bound signatures and n-up).
+ */
+import * as Constants from "./constants";
+import * as Css from "./css";
+import * as CssPage from "./css-page";
+import * as Exprs from "./exprs";
+import * as Logging from "./logging";
+import * as Vtree from "./vtree";
+
+/**
+ * Attribute set on the container of the imposed sheets.
+ */
+export const IMPOSITION_CONTAINER_ATTR =
+  "data-vivliostyle-imposition-container";
+
+/**
+ * Attribute set on the imposed sheets.
+ */
+export const IMPOSITION_SHEET_ATTR = "data-vivliostyle-imposition-sheet";
+
+/**
+ * Attribute set on the copies of the pages placed on the sheets.
+ */
+export const IMPOSED_PAGE_ATTR = "data-vivliostyle-imposed-page";
+
+/**
+ * @enum {string}
+ */
+export enum ImpositionMode {
+  NONE = "none",
+  SADDLE_STITCH = "saddleStitch",
+  PERFECT_BOUND = "perfectBound",
+  N_UP = "nUp",
+}
+
+/**
+ * Imposition options.
+ * - mode: Imposition mode. default: none
+ *   - saddleStitch: 2-up sheets folded and nested into one booklet. Blank
+ *     pages are added to make the page count a multiple of 4.
+ *   - perfectBound: 2-up sheets folded into signatures of `signaturePages`
+ *     pages, gathered in order.
+ *   - nUp: `pagesPerSheet` pages on one side of each sheet, in page order.
+ * - signaturePages: Pages in a signature of perfectBound, a multiple of 4.
+ *   default: 16
+ * - pagesPerSheet: Pages on a sheet of nUp. default: 2
+ */
+export type ImpositionOptions = {
+  mode: ImpositionMode;
+  signaturePages?: number;
+  pagesPerSheet?: number;
+};
+
+/**
+ * A side of a sheet: indices of the pages placed on the grid of the sheet,
+ * row by row from the top left, or null for blank cells.
+ */
+export type SheetSide = {
+  columns: number;
+  rows: number;
+  pageIndices: (number | null)[];
+};
+
+/**
+ * Dimensions of the sheets in px. The cells have the trim size of the
+ * largest page, and the margin around them is the largest crop offset.
+ */
+export type SheetLayout = {
+  columns: number;
+  rows: number;
+  cellWidth: number;
+  cellHeight: number;
+  bleed: number;
+  margin: number;
+  width: number;
+  height: number;
+};
+
+const DEFAULT_SIGNATURE_PAGES = 16;
+const DEFAULT_PAGES_PER_SHEET = 2;
+
+/**
+ * Returns the normalized imposition options, or null if the value is not
+ * valid imposition options.
+ */
+export function normalizeImpositionOptions(
+  options: unknown,
+): ImpositionOptions | null {
+  if (!options || typeof options != "object") {
+    return null;
+  }
+  const mode = options["mode"];
+  if (!Object.values(ImpositionMode).includes(mode)) {
+    Logging.logger.warn(`Unknown imposition mode: ${mode}`);
+    return null;
+  }
+  let signaturePages = options["signaturePages"] ?? DEFAULT_SIGNATURE_PAGES;
+  if (
+    !Number.isInteger(signaturePages) ||
+    signaturePages <= 0 ||
+    signaturePages % 4 !== 0
+  ) {
+    Logging.logger.warn(
+      `Pages in a signature must be a multiple of 4: ${signaturePages}`,
+    );
+    signaturePages = DEFAULT_SIGNATURE_PAGES;
+  }
+  let pagesPerSheet = options["pagesPerSheet"] ?? DEFAULT_PAGES_PER_SHEET;
+  if (!Number.isInteger(pagesPerSheet) || pagesPerSheet <= 0) {
+    Logging.logger.warn(`Invalid pages per sheet: ${pagesPerSheet}`);
+    pagesPerSheet = DEFAULT_PAGES_PER_SHEET;
+  }
+  return { mode, signaturePages, pagesPerSheet };
+}
+
+/**
+ * Imposes the pages of a folded section (a booklet or a signature).
+ * @param start Index of the first page of the section.
+ * @param count Page count of the section, a multiple of 4.
+ * @param pageCount Page count of the document. Indices not less than this are
+ *     blank pages.
+ */
+function imposeFoldedSection(
+  start: number,
+  count: number,
+  pageCount: number,
+  rtl: boolean,
+): SheetSide[] {
+  const page = (i: number): number | null =>
+    start + i < pageCount ? start + i : null;
+  const side = (left: number, right: number): SheetSide => ({
+    columns: 2,
+    rows: 1,
+    pageIndices: rtl ? [page(right), page(left)] : [page(left), page(right)],
+  });
+  const sides: SheetSide[] = [];
+  for (let i = 0; i < count / 4; i++) {
+    // The outside of the sheet has the last and the first pages of the
+    // sheet, and the inside has the pages following and preceding them.
+    sides.push(side(count - 1 - 2 * i, 2 * i));
+    sides.push(side(2 * i + 1, count - 2 - 2 * i));
+  }
+  return sides;
+}
+
+/**
+ * Returns the columns and rows of an n-up grid, with the rows as many as
+ * possible but not more than the columns.
+ */
+export function getGridSize(n: number): { columns: number; rows: number } {
+  let rows = Math.floor(Math.sqrt(n));
+  while (n % rows !== 0) {
+    rows--;
+  }
+  return { columns: n / rows, rows };
+}
+
+/**
+ * Arranges the pages on the sides of the sheets.
+ * @param pageCount Number of the pages of the document.
+ * @return The sides of the sheets in printing order. For the folded modes,
+ *     the front and back of each sheet follow each other, to be printed
+ *     duplex (flipped on the short edge).
+ */
+export function imposePages(
+  pageCount: number,
+  options: ImpositionOptions,
+  pageProgression: Constants.PageProgression | null,
+): SheetSide[] {
+  const rtl = pageProgression === Constants.PageProgression.RTL;
+  if (pageCount <= 0) {
+    return [];
+  }
+  switch (options.mode) {
+    case ImpositionMode.SADDLE_STITCH:
+      return imposeFoldedSection(
+        0,
+        Math.ceil(pageCount / 4) * 4,
+        pageCount,
+        rtl,
+      );
+    case ImpositionMode.PERFECT_BOUND: {
+      const signaturePages = options.signaturePages ?? DEFAULT_SIGNATURE_PAGES;
+      const total = Math.ceil(pageCount / 4) * 4;
+      const sides: SheetSide[] = [];
+      for (let start = 0; start < total; start += signaturePages) {
+        sides.push(
+          ...imposeFoldedSection(
+            start,
+            Math.min(signaturePages, total - start),
+            pageCount,
+            rtl,
+          ),
+        );
+      }
+      return sides;
+    }
+    case ImpositionMode.N_UP: {
+      const n = options.pagesPerSheet ?? DEFAULT_PAGES_PER_SHEET;
+      const { columns, rows } = getGridSize(n);
+      const sides: SheetSide[] = [];
+      for (let start = 0; start < pageCount; start += n) {
+        const pageIndices: (number | null)[] = [];
+        for (let row = 0; row < rows; row++) {
+          for (let column = 0; column < columns; column++) {
+            const i =
+              start + row * columns + (rtl ? columns - 1 - column : column);
+            pageIndices.push(i < pageCount ? i : null);
+          }
+        }
+        sides.push({ columns, rows, pageIndices });
+      }
+      return sides;
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Computes the dimensions of the sheets for the pages with the sizes.
+ */
+export function computeSheetLayout(
+  sizes: CssPage.EvaluatedPageSizeAndBleed[],
+  columns: number,
+  rows: number,
+): SheetLayout {
+  const max = (fn: (size: CssPage.EvaluatedPageSizeAndBleed) => number) =>
+    Math.max(0, ...sizes.map(fn));
+  const cellWidth = max((size) => size.pageWidth);
+  const cellHeight = max((size) => size.pageHeight);
+  const bleed = max((size) => size.bleed);
+  const margin = Math.max(
+    bleed,
+    max((size) => size.cropOffset),
+  );
+  return {
+    columns,
+    rows,
+    cellWidth,
+    cellHeight,
+    bleed,
+    margin,
+    width: columns * cellWidth + margin * 2,
+    height: rows * cellHeight + margin * 2,
+  };
+}
+
+function getPageSizeAndBleed(
+  page: Vtree.Page,
+): CssPage.EvaluatedPageSizeAndBleed {
+  return (
+    page.pageSizeAndBleed || {
+      pageWidth: page.dimensions.width,
+      pageHeight: page.dimensions.height,
+      bleed: 0,
+      bleedOffset: 0,
+      cropOffset: 0,
+    }
+  );
+}
+
+/**
+ * Attributes whose values are lists of ids.
+ */
+const ID_REFS_ATTRS = [
+  "for",
+  "headers",
+  "aria-activedescendant",
+  "aria-controls",
+  "aria-describedby",
+  "aria-details",
+  "aria-errormessage",
+  "aria-flowto",
+  "aria-labelledby",
+  "aria-owns",
+];
+
+/**
+ * Makes the ids in a copy of a page unique in the document by adding the
+ * suffix to them, and rewrites the references to these ids within the copy:
+ * fragment URLs (`#id` and `url(#id)`) and ID references (e.g. `for`,
+ * `aria-labelledby`). References to ids outside the copy are kept.
+ */
+export function rewriteIds(root: Element, suffix: string): void {
+  const elements = [root, ...Array.from(root.querySelectorAll("*"))];
+  const ids = new Set<string>();
+  for (const element of elements) {
+    if (element.id) {
+      ids.add(element.id);
+      element.id += suffix;
+    }
+  }
+  if (!ids.size) {
+    return;
+  }
+  const rewrite = (id: string): string => (ids.has(id) ? id + suffix : id);
+  for (const element of elements) {
+    for (const attr of Array.from(element.attributes)) {
+      if (attr.name === "id") {
+        continue;
+      }
+      const value = ID_REFS_ATTRS.includes(attr.name)
+        ? attr.value.replace(/\S+/g, rewrite)
+        : attr.value.replace(
+            /(^|url\(\s*["']?)#([^"')\s]+)/g,
+            (match, prefix: string, id: string) => `${prefix}#${rewrite(id)}`,
+          );
+      if (value !== attr.value) {
+        attr.value = value;
+      }
+    }
+  }
+}
+
+function toPx(value: Css.Numeric): number {
+  return value.num * Exprs.defaultUnitSizes[value.unit];
+}
+
+/**
+ * Adds crop marks at the corners of the trim area of the sheet, and fold or
+ * cut marks at the boundaries of the cells, in the margin of the sheet.
+ */
+function addSheetMarks(sheet: HTMLElement, layout: SheetLayout): void {
+  const doc = sheet.ownerDocument;
+  const bleedOffset = layout.margin - layout.bleed;
+  const lineWidth = toPx(CssPage.defaultPrinterMarkLineWidth);
+  const offset = Math.max(
+    0,
+    bleedOffset - toPx(CssPage.defaultPrinterMarkLineLength),
+  );
+  const lineLength = bleedOffset - offset;
+  Object.values(CssPage.CornerMarkPosition).forEach((position) => {
+    sheet.appendChild(
+      CssPage.createCornerMark(
+        doc,
+        position,
+        lineWidth,
+        Css.ident.auto,
+        lineLength,
+        layout.bleed,
+        offset,
+      ),
+    );
+  });
+  const addLine = (x: number, y: number, vertical: boolean) => {
+    const width = vertical ? lineWidth : lineLength;
+    const height = vertical ? lineLength : lineWidth;
+    const mark = CssPage.createPrinterMarkSvg(doc, width, height) as
+      | HTMLElement
+      | SVGElement;
+    mark.style.left = `${x - (vertical ? lineWidth / 2 : 0)}px`;
+    mark.style.top = `${y - (vertical ? 0 : lineWidth / 2)}px`;
+    const line = CssPage.createPrinterMarkElement(
+      doc,
+      lineWidth,
+      Css.ident.auto,
+      "line",
+    );
+    line.setAttribute("x1", `${vertical ? lineWidth / 2 : 0}`);
+    line.setAttribute("y1", `${vertical ? 0 : lineWidth / 2}`);
+    line.setAttribute("x2", `${vertical ? lineWidth / 2 : width}`);
+    line.setAttribute("y2", `${vertical ? height : lineWidth / 2}`);
+    mark.appendChild(line);
+    sheet.appendChild(mark);
+  };
+  for (let column = 1; column < layout.columns; column++) {
+    const x = layout.margin + column * layout.cellWidth;
+    addLine(x, offset, true);
+    addLine(x, layout.height - offset - lineLength, true);
+  }
+  for (let row = 1; row < layout.rows; row++) {
+    const y = layout.margin + row * layout.cellHeight;
+    addLine(offset, y, false);
+    addLine(layout.width - offset - lineLength, y, false);
+  }
+}
+
+/**
+ * Creates a sheet element with copies of the pages placed on it. The trim
+ * boxes of the pages are centered in the cells, and the bleed of the pages
+ * is kept only on the outer edges of the sheet.
+ * @param pages The rendered pages, indexed by the page indices of the side.
+ */
+export function createSheet(
+  doc: Document,
+  pages: Vtree.Page[],
+  side: SheetSide,
+  layout: SheetLayout,
+): HTMLElement {
+  const sheet = doc.createElement("div");
+  sheet.setAttribute(IMPOSITION_SHEET_ATTR, "true");
+  sheet.style.position = "relative";
+  sheet.style.overflow = "hidden";
+  sheet.style.flex = "none";
+  sheet.style.width = `${layout.width}px`;
+  sheet.style.height = `${layout.height}px`;
+  side.pageIndices.forEach((pageIndex, i) => {
+    const page = pageIndex === null ? null : pages[pageIndex];
+    if (!page) {
+      return;
+    }
+    const column = i % side.columns;
+    const row = Math.floor(i / side.columns);
+    const size = getPageSizeAndBleed(page);
+    const bleedLeft = column === 0 ? size.bleed : 0;
+    const bleedRight = column === side.columns - 1 ? size.bleed : 0;
+    const bleedTop = row === 0 ? size.bleed : 0;
+    const bleedBottom = row === side.rows - 1 ? size.bleed : 0;
+    const x =
+      layout.margin +
+      column * layout.cellWidth +
+      (layout.cellWidth - size.pageWidth) / 2;
+    const y =
+      layout.margin +
+      row * layout.cellHeight +
+      (layout.cellHeight - size.pageHeight) / 2;
+
+    const slot = doc.createElement("div");
+    slot.style.position = "absolute";
+    slot.style.overflow = "hidden";
+    slot.style.left = `${x - bleedLeft}px`;
+    slot.style.top = `${y - bleedTop}px`;
+    slot.style.width = `${size.pageWidth + bleedLeft + bleedRight}px`;
+    slot.style.height = `${size.pageHeight + bleedTop + bleedBottom}px`;
+
+    const copy = page.container.cloneNode(true) as HTMLElement;
+    copy.removeAttribute("data-vivliostyle-page-container");
+    copy.removeAttribute("data-vivliostyle-current-page");
+    copy.setAttribute(IMPOSED_PAGE_ATTR, "true");
+    rewriteIds(copy, `-imposed-${pageIndex}`);
+    copy.style.position = "absolute";
+    copy.style.display = "block";
+    copy.style.visibility = "visible";
+    copy.style.margin = "0";
+    copy.style.left = `${bleedLeft - size.cropOffset}px`;
+    copy.style.top = `${bleedTop - size.cropOffset}px`;
+    slot.appendChild(copy);
+    sheet.appendChild(slot);
+  });
+  if (layout.margin > layout.bleed) {
+    addSheetMarks(sheet, layout);
+  }
+  return sheet;
+}
+
+/**
+ * Imposes the rendered pages and creates the sheet elements.
+ * @return The sheets and their layout, or null if nothing is imposed.
+ */
+export function createSheets(
+  doc: Document,
+  pages: Vtree.Page[],
+  options: ImpositionOptions,
+  pageProgression: Constants.PageProgression | null,
+): { sheets: HTMLElement[]; layout: SheetLayout } | null {
+  const sides = imposePages(pages.length, options, pageProgression);
+  if (!sides.length) {
+    return null;
+  }
+  const layout = computeSheetLayout(
+    pages.map(getPageSizeAndBleed),
+    sides[0].columns,
+    sides[0].rows,
+  );
+  return {
+    sheets: sides.map((side) => createSheet(doc, pages, side, layout)),
+    layout,
+  };
+}
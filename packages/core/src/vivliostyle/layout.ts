@@ -31,6 +31,7 @@ import * as Diff from "./diff";
 import * as Base from "./base";
 import * as BreakPosition from "./break-position";
 import * as Css from "./css";
+import * as CssLogicalUtil from "./css-logical-util";
 import * as GeometryUtil from "./geometry-util";
 import * as LayoutHelper from "./layout-helper";
 import * as LayoutProcessor from "./layout-processor";
@@ -41,6 +42,7 @@ import * as PseudoElement from "./pseudo-element";
 import * as Task from "./task";
 import * as Vgen from "./vgen";
 import * as VtreeImpl from "./vtree";
+import * as WordSegmentation from "./word-segmentation";
 import {
   FragmentLayoutConstraintType,
   Layout,
@@ -420,6 +422,42 @@ export function validateCheckPoints(checkPoints: Vtree.NodeContext[]): void {
   }
 }
 
+/**
+ * Differences smaller than this (in px) are ignored when snapping to a line
+ * grid, to absorb rounding errors of the layout engine.
+ */
+const LINE_GRID_TOLERANCE = 0.01;
+
+/**
+ * Returns the space needed to extend a length to the next multiple of the
+ * pitch of a line grid.
+ */
+export function getLineGridSpace(length: number, pitch: number): number {
+  if (pitch <= 0) {
+    return 0;
+  }
+  const remainder = ((length % pitch) + pitch) % pitch;
+  if (
+    remainder < LINE_GRID_TOLERANCE ||
+    pitch - remainder < LINE_GRID_TOLERANCE
+  ) {
+    return 0;
+  }
+  return pitch - remainder;
+}
+
+/**
+ * Rounds up a line height to a multiple of the pitch of a line grid, so that
+ * every line box occupies whole lines of the grid.
+ */
+export function snapLineHeight(lineHeight: number, pitch: number): number {
+  if (pitch <= 0) {
+    return lineHeight;
+  }
+  const height = Math.max(lineHeight, pitch);
+  return height + getLineGridSpace(height, pitch);
+}
+
 export class Column extends VtreeImpl.Container implements Layout.Column {
   last: Node;
   viewDocument: Document;
@@ -561,6 +599,11 @@ export class Column extends VtreeImpl.Container implements Layout.Column {
       })
       .then(() => {
         Asserts.assert(nodeContext);
+        // Blocks continued from the previous column need their line heights
+        // snapped again, as their views are newly created.
+        for (let nc = nodeContext; nc; nc = nc.parent) {
+          this.snapLineHeightToLineGrid(nc);
+        }
         frame.finish(nodeContext);
       });
     return frame.result();
@@ -1299,7 +1342,7 @@ export class Column extends VtreeImpl.Container implements Layout.Column {
 
     // Calculate bands from the exclusions before setting float area dimensions
     area.init();
-    const fitWithinContainer = !!floatLayoutContext.setFloatAreaDimensions(
+    const fitWithinContainer = !!strategy.setFloatAreaDimensions(
       area,
       floatReference,
       floatSide,
@@ -1307,6 +1350,7 @@ export class Column extends VtreeImpl.Container implements Layout.Column {
       true,
       !floatLayoutContext.hasFloatFragments(),
       condition,
+      floatLayoutContext,
     );
     if (fitWithinContainer) {
       // New dimensions have been set, remove exclusion floats and re-init
@@ -1432,7 +1476,7 @@ export class Column extends VtreeImpl.Container implements Layout.Column {
       .then(() => {
         if (!failed) {
           Asserts.assert(floatArea);
-          const logicalFloatSide = context.setFloatAreaDimensions(
+          const logicalFloatSide = strategy.setFloatAreaDimensions(
             floatArea,
             firstFloat.floatReference,
             floatSide,
@@ -1440,6 +1484,7 @@ export class Column extends VtreeImpl.Container implements Layout.Column {
             false,
             allowFragmented,
             condition,
+            context,
           );
           if (!logicalFloatSide) {
             failed = true;
@@ -2560,7 +2605,11 @@ export class Column extends VtreeImpl.Container implements Layout.Column {
       case Base.NS.SVG:
         return false;
     }
-    return !flowPosition.flexContainer;
+    // Flex containers are unbreakable unless laid out by FlexLayoutProcessor
+    return (
+      !flowPosition.flexContainer ||
+      flowPosition.formattingContext?.formattingContextType === "Flex"
+    );
   }
 
   /**
@@ -2742,6 +2791,185 @@ export class Column extends VtreeImpl.Container implements Layout.Column {
     }
   }
 
+  /**
+   * Returns the element that creates the line grid used by the element of the
+   * node context: the nearest ancestor-or-self element with
+   * `line-grid: create`, or null if there is no such element.
+   */
+  getLineGridElement(nodeContext: Vtree.NodeContext): Element | null {
+    for (let nc = nodeContext; nc; nc = nc.parent) {
+      if (nc.lineGrid) {
+        return nc.viewNode && nc.viewNode.nodeType === 1
+          ? (nc.viewNode as Element)
+          : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Returns the pitch of the line grid used by the element of the node
+   * context: the line height of the element that creates the line grid, or 0
+   * if there is no such element.
+   */
+  getLineGridPitch(nodeContext: Vtree.NodeContext): number {
+    const gridElement = this.getLineGridElement(nodeContext);
+    return gridElement ? this.getComputedLineHeight(gridElement) : 0;
+  }
+
+  /**
+   * Converts a logical side (e.g. `block-start`) of the element to the
+   * physical side, according to its writing mode and direction.
+   */
+  toPhysicalSide(element: Element, logicalSide: string): string {
+    const style = this.clientLayout.getElementComputedStyle(element);
+    let writingMode = (style?.writingMode ?? "").replace(
+      "sideways",
+      "vertical",
+    );
+    if (!/^(horizontal-tb|vertical-rl|vertical-lr)$/.test(writingMode)) {
+      writingMode = this.vertical ? "vertical-rl" : "horizontal-tb";
+    }
+    return CssLogicalUtil.toPhysical(
+      logicalSide,
+      writingMode,
+      style?.direction === "rtl" ? "rtl" : "ltr",
+    );
+  }
+
+  /**
+   * Returns the position of the element's content edge on the specified side.
+   */
+  getContentEdge(element: Element, side: string): number {
+    const box = this.clientLayout.getElementClientRect(element);
+    const paddingBorder = this.getComputedPaddingBorder(element)[side];
+    return side === "top" || side === "left"
+      ? box[side] + paddingBorder
+      : box[side] - paddingBorder;
+  }
+
+  /**
+   * Reads element's computed line height, approximating `normal`.
+   */
+  getComputedLineHeight(element: Element): number {
+    const style = this.clientLayout.getElementComputedStyle(element);
+    if (!style) {
+      return 0;
+    }
+    return (
+      this.parseComputedLength(style.lineHeight) ||
+      this.parseComputedLength(style.fontSize) * 1.2
+    );
+  }
+
+  /**
+   * Rounds up the line height of a block with `line-snap: baseline` or
+   * `line-snap: contain` to a multiple of the line grid pitch, so that each
+   * line box is centered in whole grid lines.
+   * @return The line grid pitch, or 0 if the block is not snapped.
+   */
+  snapLineHeightToLineGrid(nodeContext: Vtree.NodeContext): number {
+    if (
+      this.isFloat ||
+      this.isFootnote ||
+      nodeContext.inline ||
+      nodeContext.floatSide ||
+      !nodeContext.viewNode ||
+      nodeContext.viewNode.nodeType !== 1
+    ) {
+      return 0;
+    }
+    const lineSnap = nodeContext.inheritedProps["line-snap"];
+    if (!lineSnap || lineSnap === "none") {
+      return 0;
+    }
+    const pitch = this.getLineGridPitch(nodeContext);
+    if (pitch > 0) {
+      const element = nodeContext.viewNode as Element;
+      const lineHeight = this.getComputedLineHeight(element);
+      const snappedLineHeight = snapLineHeight(lineHeight, pitch);
+      if (snappedLineHeight - lineHeight >= LINE_GRID_TOLERANCE) {
+        Base.setCSSProperty(element, "line-height", `${snappedLineHeight}px`);
+      }
+    }
+    return pitch;
+  }
+
+  /**
+   * Snaps a block with `line-snap: baseline` or `line-snap: contain` to the
+   * line grid, which starts at the block-start content edge of the element
+   * that creates the line grid. Besides the line height, the block-start
+   * padding is increased so that the first line box starts on a grid line.
+   */
+  snapToLineGrid(nodeContext: Vtree.NodeContext): void {
+    const pitch = this.snapLineHeightToLineGrid(nodeContext);
+    if (!pitch) {
+      return;
+    }
+    const element = nodeContext.viewNode as Element;
+    const gridElement = this.getLineGridElement(nodeContext);
+    const side = this.toPhysicalSide(element, "block-start");
+    const dir = side === "top" || side === "left" ? 1 : -1;
+    const space = getLineGridSpace(
+      (this.getContentEdge(element, side) -
+        this.getContentEdge(gridElement, side)) *
+        dir,
+      pitch,
+    );
+    if (space > 0) {
+      const style = this.clientLayout.getElementComputedStyle(element);
+      const padding = this.parseComputedLength(
+        style.getPropertyValue(`padding-${side}`),
+      );
+      Base.setCSSProperty(element, `padding-${side}`, `${padding + space}px`);
+    }
+  }
+
+  /**
+   * Extends the block size of an element with `block-step-size` to a multiple
+   * of the step size. The space is added equally to the block-start and
+   * block-end padding, so that the content stays centered.
+   */
+  applyBlockStep(nodeContext: Vtree.NodeContext): void {
+    if (
+      !nodeContext.blockStepSize ||
+      nodeContext.inline ||
+      !nodeContext.viewNode ||
+      nodeContext.viewNode.nodeType !== 1
+    ) {
+      return;
+    }
+    const element = nodeContext.viewNode as Element;
+    const step = this.layoutContext.convertLengthToPx(
+      nodeContext.blockStepSize,
+      element,
+      this.clientLayout,
+    );
+    if (typeof step !== "number") {
+      return;
+    }
+    const space = getLineGridSpace(
+      this.getBoxSize(this.clientLayout.getElementClientRect(element)),
+      step,
+    );
+    if (space > 0) {
+      const style = this.clientLayout.getElementComputedStyle(element);
+      for (const side of [
+        this.toPhysicalSide(element, "block-start"),
+        this.toPhysicalSide(element, "block-end"),
+      ]) {
+        const padding = this.parseComputedLength(
+          style.getPropertyValue(`padding-${side}`),
+        );
+        Base.setCSSProperty(
+          element,
+          `padding-${side}`,
+          `${padding + space / 2}px`,
+        );
+      }
+    }
+  }
+
   isBFC(formattingContext: Vtree.FormattingContext): boolean {
     if (LayoutProcessor.isInstanceOfBlockFormattingContext(formattingContext)) {
       return true;
@@ -2910,6 +3138,7 @@ export class Column extends VtreeImpl.Container implements Layout.Column {
                   );
                 }
               }
+              this.snapToLineGrid(nodeContext);
               // Check break opportunity between anonymous block box and block-level box
               // (Issue #611)
               if (
@@ -2989,6 +3218,7 @@ export class Column extends VtreeImpl.Container implements Layout.Column {
                   breakAtTheEdge ?? this.breakAtTheEdgeBeforeFloat;
                 this.breakAtTheEdgeBeforeFloat = null;
               }
+              this.applyBlockStep(nodeContext);
               const element = nodeContext.sourceNode as Element;
               // Make breakable after svg and math elements
               // (Fix for issue #750)
@@ -3935,6 +4165,24 @@ export class TextNodeBreaker implements Layout.TextNodeBreaker {
       // Character with index low is the last one that fits.
       let viewIndex = low - nodeContext.boxOffset;
       const text = textNode.data;
+      // Do not split a word of the scripts without spaces between words.
+      viewIndex = WordSegmentation.adjustBreakIndex(text, viewIndex);
+      const hyphenateLimitLast =
+        nodeContext.inheritedProps["hyphenate-limit-last"];
+      if (
+        text.charCodeAt(viewIndex) == 173 &&
+        hyphenateLimitLast &&
+        hyphenateLimitLast !== "none"
+      ) {
+        // The last line before the break should not be hyphenated, so
+        // break at the preceding space if any.
+        const spaceIndex = text
+          .slice(0, viewIndex)
+          .search(/[ \t\n\r\f][^ \t\n\r\f]*$/);
+        if (spaceIndex > 0) {
+          viewIndex = spaceIndex;
+        }
+      }
       if (text.charCodeAt(viewIndex) == 173) {
         viewIndex = this.breakAfterSoftHyphen(
           textNode,
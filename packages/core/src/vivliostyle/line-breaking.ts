@@ -0,0 +1,705 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @fileoverview LineBreaking - Optimal (Knuth-Plass) line breaking of
+ * justified text.
+ */
+import * as Layout from "./layout";
+import * as Plugin from "./plugin";
+import { Vtree } from "./types";
+
+/**
+ * Custom property selecting the line breaking of justified text. The value
+ * `optimal` enables the Knuth-Plass line breaking, `auto` (default) leaves
+ * line breaking to the browser.
+ */
+export const LINE_BREAKING_PROPERTY = "--viv-line-breaking";
+
+/**
+ * Penalty value meaning "never break here" (positive) or "always break
+ * here" (negative).
+ */
+export const INFINITE_PENALTY = 10000;
+
+export type LineItem =
+  | { type: "box"; width: number }
+  | { type: "glue"; width: number; stretch: number; shrink: number }
+  | { type: "penalty"; width: number; penalty: number; flagged: boolean };
+
+export type LineBreakOptions = {
+  /** Maximum adjustment ratio of a feasible line */
+  tolerance: number;
+  /** Penalty added to the badness of every line */
+  linePenalty: number;
+  /** Demerits for consecutive lines ending with flagged (hyphen) penalties */
+  flaggedDemerits: number;
+  /** Demerits for adjacent lines whose tightness differs a lot */
+  fitnessDemerits: number;
+  /** Demerits for the penultimate line ending with a flagged penalty */
+  finalHyphenDemerits: number;
+};
+
+export const defaultLineBreakOptions: LineBreakOptions = {
+  tolerance: 2,
+  linePenalty: 10,
+  flaggedDemerits: 3000,
+  fitnessDemerits: 3000,
+  finalHyphenDemerits: 5000,
+};
+
+export type LineBreak = {
+  /** Index of the glue or penalty item where the line ends */
+  position: number;
+  /** Adjustment ratio of the line ending here */
+  ratio: number;
+};
+
+type Totals = { width: number; stretch: number; shrink: number };
+
+type BreakNode = {
+  position: number;
+  line: number;
+  fitness: number;
+  flagged: boolean;
+  totals: Totals;
+  demerits: number;
+  ratio: number;
+  previous: BreakNode | null;
+};
+
+function fitnessClass(ratio: number): number {
+  if (ratio < -0.5) {
+    return 0; // tight
+  } else if (ratio <= 0.5) {
+    return 1; // decent
+  } else if (ratio <= 1) {
+    return 2; // loose
+  } else {
+    return 3; // very loose
+  }
+}
+
+/**
+ * Finds the line breaks minimizing the total demerits of a paragraph with the
+ * Knuth-Plass algorithm. The paragraph has to end with a forced break
+ * (a penalty of -INFINITE_PENALTY), usually preceded by a glue with a large
+ * stretch. Besides the badness of each line, demerits are added for
+ * consecutive hyphenated lines and for adjacent lines of very different
+ * tightness, which produces evenly spaced lines.
+ * @param lineWidths The widths of the lines; the last one is used for all
+ *     lines beyond the array.
+ * @return The breaks in order (the last one is the final forced break), or
+ *     null if the paragraph cannot be broken within the tolerance.
+ */
+export function findOptimalBreaks(
+  items: LineItem[],
+  lineWidths: number[],
+  options: LineBreakOptions = defaultLineBreakOptions,
+): LineBreak[] | null {
+  const sum: Totals = { width: 0, stretch: 0, shrink: 0 };
+  let active: BreakNode[] = [
+    {
+      position: 0,
+      line: 0,
+      fitness: 1,
+      flagged: false,
+      totals: { ...sum },
+      demerits: 0,
+      ratio: 0,
+      previous: null,
+    },
+  ];
+
+  const lineWidthAt = (line: number): number =>
+    lineWidths[Math.min(line, lineWidths.length - 1)];
+
+  // Totals at the start of the line following a break at the position,
+  // skipping the glues and penalties discarded at the break.
+  const totalsAfter = (position: number): Totals => {
+    const totals = { ...sum };
+    for (let i = position; i < items.length; i++) {
+      const item = items[i];
+      if (item.type === "glue") {
+        totals.width += item.width;
+        totals.stretch += item.stretch;
+        totals.shrink += item.shrink;
+      } else if (
+        item.type === "box" ||
+        (item.penalty === -INFINITE_PENALTY && i > position)
+      ) {
+        break;
+      }
+    }
+    return totals;
+  };
+
+  const computeRatio = (node: BreakNode, item: LineItem): number => {
+    const width =
+      sum.width -
+      node.totals.width +
+      (item.type === "penalty" ? item.width : 0);
+    const lineWidth = lineWidthAt(node.line);
+    if (width < lineWidth) {
+      const stretch = sum.stretch - node.totals.stretch;
+      return stretch > 0 ? (lineWidth - width) / stretch : INFINITE_PENALTY;
+    } else if (width > lineWidth) {
+      const shrink = sum.shrink - node.totals.shrink;
+      return shrink > 0 ? (lineWidth - width) / shrink : -INFINITE_PENALTY;
+    }
+    return 0;
+  };
+
+  const tryBreak = (position: number): void => {
+    const item = items[position];
+    const penalty = item.type === "penalty" ? item.penalty : 0;
+    const flagged = item.type === "penalty" && item.flagged;
+    const forced = penalty === -INFINITE_PENALTY;
+    const candidates = new Map<string, BreakNode>();
+    active = active.filter((node) => {
+      const ratio = computeRatio(node, item);
+      if (ratio >= -1 && ratio <= options.tolerance) {
+        const badness = 100 * Math.pow(Math.abs(ratio), 3);
+        let demerits = Math.pow(options.linePenalty + badness, 2);
+        if (penalty >= 0) {
+          demerits += penalty * penalty;
+        } else if (!forced) {
+          demerits -= penalty * penalty;
+        }
+        if (flagged && node.flagged) {
+          demerits += options.flaggedDemerits;
+        } else if (forced && node.flagged) {
+          demerits += options.finalHyphenDemerits;
+        }
+        const fitness = fitnessClass(ratio);
+        if (Math.abs(fitness - node.fitness) > 1) {
+          demerits += options.fitnessDemerits;
+        }
+        demerits += node.demerits;
+        const key = `${node.line + 1}:${fitness}`;
+        const candidate = candidates.get(key);
+        if (!candidate || demerits < candidate.demerits) {
+          candidates.set(key, {
+            position,
+            line: node.line + 1,
+            fitness,
+            flagged,
+            totals: null,
+            demerits,
+            ratio,
+            previous: node,
+          });
+        }
+      }
+      // Lines from this node can only get longer.
+      return ratio >= -1 && !forced;
+    });
+    if (candidates.size > 0) {
+      const totals = totalsAfter(position);
+      candidates.forEach((candidate) => {
+        candidate.totals = totals;
+        active.push(candidate);
+      });
+    }
+  };
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    if (item.type === "box") {
+      sum.width += item.width;
+    } else if (item.type === "glue") {
+      if (i > 0 && items[i - 1].type === "box") {
+        tryBreak(i);
+      }
+      sum.width += item.width;
+      sum.stretch += item.stretch;
+      sum.shrink += item.shrink;
+    } else if (item.penalty !== INFINITE_PENALTY) {
+      tryBreak(i);
+    }
+    if (active.length === 0) {
+      return null;
+    }
+  }
+
+  let best: BreakNode = null;
+  for (const node of active) {
+    if (node.previous && (!best || node.demerits < best.demerits)) {
+      best = node;
+    }
+  }
+  if (!best || items[best.position].type !== "penalty") {
+    return null;
+  }
+  const breaks: LineBreak[] = [];
+  for (let node = best; node.previous; node = node.previous) {
+    breaks.unshift({ position: node.position, ratio: node.ratio });
+  }
+  return breaks;
+}
+
+/**
+ * Ratio of the stretchability of an interword space to its width
+ */
+const SPACE_STRETCH = 0.5;
+
+/**
+ * Penalty for breaking at a hyphenation opportunity
+ */
+const HYPHEN_PENALTY = 50;
+
+const SOFT_HYPHEN = "\u00AD";
+
+/**
+ * Scripts breaking lines between letters rather than at spaces, whose
+ * paragraphs are left to the browser.
+ */
+const NON_SPACE_BREAKING_SCRIPTS =
+  /[\p{sc=Han}\p{sc=Hiragana}\p{sc=Katakana}\p{sc=Hangul}\p{sc=Thai}\p{sc=Lao}\p{sc=Khmer}\p{sc=Myanmar}\p{sc=Tibetan}]/u;
+
+const COLLAPSIBLE_SPACE = /[ \t\n\r\f]/;
+
+type TextRun = {
+  node: Text;
+  checkPoint: Vtree.NodeContext;
+  hyphenateCharacter: string | null;
+};
+
+type BreakLocation = {
+  run: TextRun;
+  offset: number;
+  hyphenAt: number;
+  spaceAt: number;
+};
+
+function findBlockNodeContext(
+  nodeContext: Vtree.NodeContext,
+): Vtree.NodeContext {
+  let p = nodeContext.parent;
+  while (p && p.inline) {
+    p = p.parent;
+  }
+  return p;
+}
+
+/**
+ * Collects the text nodes of the inline content, or returns null if the
+ * content is not suitable for the optimal line breaking.
+ */
+function collectTextRuns(
+  checkPoints: Vtree.NodeContext[],
+  block: Vtree.NodeContext,
+  column: Layout.Column,
+): TextRun[] | null {
+  const runs: TextRun[] = [];
+  for (const p of checkPoints) {
+    if (p.after || p.viewNode?.nodeType !== 3) {
+      continue;
+    }
+    const node = p.viewNode as Text;
+    const parent = node.parentElement;
+    if (
+      !parent ||
+      findBlockNodeContext(p) !== block ||
+      runs.some((run) => run.node === node) ||
+      p.whitespace !== Vtree.Whitespace.IGNORE ||
+      parent.localName.startsWith("viv-ts") ||
+      NON_SPACE_BREAKING_SCRIPTS.test(node.data)
+    ) {
+      return null;
+    }
+    const style = column.clientLayout.getElementComputedStyle(parent);
+    if (style.whiteSpace !== "normal") {
+      return null;
+    }
+    const hyphenateCharacter = Layout.resolveHyphenateCharacter(p);
+    runs.push({
+      node,
+      checkPoint: p,
+      // Keep the text length when a soft hyphen is replaced by the hyphenate
+      // character, since the check points depend on it.
+      hyphenateCharacter:
+        style.hyphens !== "none" && hyphenateCharacter.length === 1
+          ? hyphenateCharacter
+          : null,
+    });
+  }
+  return runs.length > 0 ? runs : null;
+}
+
+/**
+ * Measures the inline content laid out on a single line and converts it to
+ * Knuth-Plass items. Each item width includes the gap from the end of the
+ * preceding item, so that inline paddings and atomic inlines are accounted
+ * for.
+ */
+function buildItems(
+  runs: TextRun[],
+  measure: (node: Text, start: number, end: number) => number[] | null,
+  items: LineItem[],
+  locations: BreakLocation[],
+): number | null {
+  let lineStart: number = null;
+  let lastEnd: number = null;
+
+  const advance = (extent: number[] | null): number | null => {
+    if (!extent) {
+      return 0;
+    }
+    if (lastEnd === null) {
+      lineStart = lastEnd = extent[0];
+    } else if (extent[0] < lastEnd - 1) {
+      // not laid out on a single line (e.g. forced line breaks or bidi)
+      return null;
+    }
+    const width = extent[1] - lastEnd;
+    lastEnd = extent[1];
+    return width;
+  };
+  const lastType = (): string =>
+    items.length > 0 ? items[items.length - 1].type : null;
+
+  for (const run of runs) {
+    const text = run.node.data;
+    let i = 0;
+    while (i < text.length) {
+      const ch = text.charAt(i);
+      if (/\s/.test(ch) && ch !== " ") {
+        let j = i + 1;
+        while (j < text.length && /\s/.test(text.charAt(j))) {
+          j++;
+        }
+        // Leading and collapsed spaces are not break opportunities.
+        if (lastType() === "box" || lastType() === "penalty") {
+          const width = advance(measure(run.node, i, i + 1));
+          if (width === null) {
+            return null;
+          }
+          items.push({
+            type: "glue",
+            width,
+            stretch: width * SPACE_STRETCH,
+            shrink: 0,
+          });
+          locations.push({ run, offset: j, hyphenAt: -1, spaceAt: i });
+        }
+        i = j;
+      } else if (ch === SOFT_HYPHEN) {
+        if (run.hyphenateCharacter && lastType() === "box") {
+          // The width is measured later with the hyphenate character.
+          items.push({
+            type: "penalty",
+            width: 0,
+            penalty: HYPHEN_PENALTY,
+            flagged: true,
+          });
+          locations.push({ run, offset: i + 1, hyphenAt: i, spaceAt: -1 });
+        }
+        i++;
+      } else {
+        let j = i;
+        let hyphenated = false;
+        while (j < text.length) {
+          const c = text.charAt(j);
+          if (c === SOFT_HYPHEN || (/\s/.test(c) && c !== " ")) {
+            break;
+          }
+          j++;
+          if (
+            (c === "-" || c === "\u2010") &&
+            j - 1 > i &&
+            /\p{L}/u.test(text.charAt(j))
+          ) {
+            hyphenated = true;
+            break;
+          }
+        }
+        const width = advance(measure(run.node, i, j));
+        if (width === null) {
+          return null;
+        }
+        items.push({ type: "box", width });
+        locations.push(null);
+        if (hyphenated) {
+          items.push({
+            type: "penalty",
+            width: 0,
+            penalty: HYPHEN_PENALTY,
+            flagged: true,
+          });
+          locations.push({ run, offset: j, hyphenAt: -1, spaceAt: -1 });
+        }
+        i = j;
+      }
+    }
+  }
+  return lineStart;
+}
+
+/**
+ * Splits the text node at the offset and inserts a forced line break there.
+ * A check point is added for the new text node, keeping the box offsets
+ * consistent with the offsets in the node.
+ */
+function insertLineBreak(
+  location: BreakLocation,
+  checkPoints: Vtree.NodeContext[],
+): HTMLElement {
+  const { run, offset } = location;
+  const node = run.node;
+  const br = node.ownerDocument.createElement("br");
+  if (offset < node.length) {
+    const rest = node.splitText(offset);
+    node.parentNode.insertBefore(br, rest);
+    const index = checkPoints.indexOf(run.checkPoint);
+    const checkPoint = run.checkPoint.copy().modify();
+    checkPoint.viewNode = rest;
+    checkPoint.offsetInNode += offset;
+    checkPoint.boxOffset += offset;
+    checkPoints.splice(index + 1, 0, checkPoint);
+  } else {
+    node.parentNode.insertBefore(br, node.nextSibling);
+  }
+  return br;
+}
+
+/**
+ * Wraps the interword space at the location in an element with the word
+ * spacing. The space is split off its text node and the text following it
+ * gets a new check point, as in insertLineBreak().
+ * @return false if the space starts its text node and cannot be split off.
+ */
+function setWordSpacing(
+  location: BreakLocation,
+  wordSpacing: number,
+  checkPoints: Vtree.NodeContext[],
+): boolean {
+  const { run, offset, spaceAt } = location;
+  const node = run.node;
+  if (spaceAt <= 0) {
+    return false;
+  }
+  if (offset < node.length) {
+    const rest = node.splitText(offset);
+    const index = checkPoints.indexOf(run.checkPoint);
+    const checkPoint = run.checkPoint.copy().modify();
+    checkPoint.viewNode = rest;
+    checkPoint.offsetInNode += offset;
+    checkPoint.boxOffset += offset;
+    checkPoints.splice(index + 1, 0, checkPoint);
+  }
+  const space = node.splitText(spaceAt);
+  const wrapper = node.ownerDocument.createElement("viv-word-space");
+  wrapper.style.wordSpacing = `${wordSpacing}px`;
+  node.parentNode.insertBefore(wrapper, space);
+  wrapper.appendChild(space);
+  return true;
+}
+
+/**
+ * Breaks the lines of a justified block with the Knuth-Plass algorithm when
+ * the block has `--viv-line-breaking: optimal`. The chosen breaks are
+ * re-emitted as forced line breaks, and the interword spaces of each line but
+ * the last are widened by the adjustment ratio of the line with an explicit
+ * `word-spacing`. The block is set to `white-space: nowrap`, so that the
+ * lines are not broken again because of rounding.
+ */
+const postLayoutBlockLineBreaking: Plugin.PostLayoutBlockHook = (
+  nodeContext: Vtree.NodeContext,
+  checkPoints: Vtree.NodeContext[],
+  column: Layout.Column,
+) => {
+  const first = checkPoints.find((p) => !p.after && p.viewNode?.nodeType === 3);
+  const block = first && findBlockNodeContext(first);
+  if (!block || !block.viewNode || block.viewNode.nodeType !== 1) {
+    return;
+  }
+  const blockElement = block.viewNode as HTMLElement;
+  const style = column.clientLayout.getElementComputedStyle(blockElement);
+  if (
+    !style ||
+    style.getPropertyValue(LINE_BREAKING_PROPERTY).trim() !== "optimal" ||
+    style.textAlign !== "justify" ||
+    style.whiteSpace !== "normal"
+  ) {
+    return;
+  }
+  const runs = collectTextRuns(checkPoints, block, column);
+  if (!runs) {
+    return;
+  }
+
+  const vertical = block.vertical;
+  const rtl = style.direction === "rtl";
+  const inlineExtent = (rects: Vtree.ClientRect[]): number[] | null => {
+    let start = Infinity;
+    let end = -Infinity;
+    for (const rect of rects) {
+      const s = vertical
+        ? rtl
+          ? -rect.bottom
+          : rect.top
+        : rtl
+          ? -rect.right
+          : rect.left;
+      const e = vertical
+        ? rtl
+          ? -rect.top
+          : rect.bottom
+        : rtl
+          ? -rect.left
+          : rect.right;
+      start = Math.min(start, s);
+      end = Math.max(end, e);
+    }
+    return start <= end ? [start, end] : null;
+  };
+  const doc = blockElement.ownerDocument;
+  const range = doc.createRange();
+  const measure = (node: Text, start: number, end: number): number[] => {
+    range.setStart(node, start);
+    range.setEnd(node, end);
+    return inlineExtent(column.clientLayout.getRangeClientRects(range));
+  };
+
+  // The probe gives the content box of the block in client coordinates.
+  const probe = doc.createElement("div");
+  probe.style.display = "block";
+  probe.style.margin = probe.style.padding = probe.style.border = "0";
+  probe.style.blockSize = "0";
+  blockElement.appendChild(probe);
+  const probeExtent = inlineExtent([
+    column.clientLayout.getElementClientRect(probe),
+  ]);
+  const probeSize = vertical ? probe.offsetHeight : probe.offsetWidth;
+
+  // Measure the content laid out on a single line.
+  const whiteSpaceSave = blockElement.style.whiteSpace;
+  blockElement.style.whiteSpace = "nowrap";
+  const items: LineItem[] = [];
+  const locations: BreakLocation[] = [];
+  const lineStart = buildItems(runs, measure, items, locations);
+  const nowrapProbeExtent = inlineExtent([
+    column.clientLayout.getElementClientRect(probe),
+  ]);
+  const hyphenWidths = new Map<Element, number>();
+  items.forEach((item, i) => {
+    const location = locations[i];
+    if (item.type !== "penalty" || !location || location.hyphenAt < 0) {
+      return;
+    }
+    const { node, hyphenateCharacter } = location.run;
+    let width = hyphenWidths.get(node.parentElement);
+    if (width === undefined) {
+      node.replaceData(location.hyphenAt, 1, hyphenateCharacter);
+      const extent = measure(node, location.hyphenAt, location.hyphenAt + 1);
+      node.replaceData(location.hyphenAt, 1, SOFT_HYPHEN);
+      width = extent ? extent[1] - extent[0] : 0;
+      hyphenWidths.set(node.parentElement, width);
+    }
+    item.width = width;
+  });
+  blockElement.style.whiteSpace = whiteSpaceSave;
+  blockElement.removeChild(probe);
+
+  if (
+    lineStart === null ||
+    !probeExtent ||
+    !nowrapProbeExtent ||
+    probeSize <= 0
+  ) {
+    return;
+  }
+  const lineWidth = probeExtent[1] - probeExtent[0];
+  const lineWidths = [
+    lineWidth - (lineStart - nowrapProbeExtent[0]),
+    lineWidth,
+  ];
+  items.push({ type: "glue", width: 0, stretch: INFINITE_PENALTY, shrink: 0 });
+  items.push({
+    type: "penalty",
+    width: 0,
+    penalty: -INFINITE_PENALTY,
+    flagged: false,
+  });
+  const options: LineBreakOptions = { ...defaultLineBreakOptions };
+  if (block.inheritedProps["hyphenate-limit-last"] === "always") {
+    // The last full line of the paragraph should not be hyphenated.
+    options.finalHyphenDemerits = Infinity;
+  }
+  const breaks =
+    findOptimalBreaks(items, lineWidths, options) ||
+    findOptimalBreaks(items, lineWidths, { ...options, tolerance: Infinity });
+  if (!breaks || breaks.length < 2) {
+    return;
+  }
+
+  // Widen the spaces of each line but the last by the adjustment ratio, and
+  // insert the line breaks. This is done from the end so that the earlier
+  // locations stay valid.
+  const scale = lineWidth / probeSize;
+  const breakPositions = new Set(breaks.map((b) => b.position));
+  let line = breaks.length - 1;
+  let glues: number[] = [];
+  const spaceLine = () => {
+    const ratio = breaks[line].ratio;
+    const stretch = glues.reduce(
+      (total, i) => total + (items[i] as { stretch: number }).stretch,
+      0,
+    );
+    if (ratio <= 0 || stretch <= 0) {
+      return;
+    }
+    // Spaces that cannot be split off their text nodes are left as they
+    // are, and the others are widened to make up for them.
+    const spaced = glues.filter((i) => locations[i].spaceAt > 0);
+    const spacedStretch = spaced.reduce(
+      (total, i) => total + (items[i] as { stretch: number }).stretch,
+      0,
+    );
+    for (const i of spaced) {
+      const glueStretch = (items[i] as { stretch: number }).stretch;
+      const wordSpacing =
+        (ratio * stretch * glueStretch) / spacedStretch / scale;
+      setWordSpacing(locations[i], wordSpacing, checkPoints);
+    }
+  };
+  for (let i = breaks[line].position - 1; i >= 0; i--) {
+    if (breakPositions.has(i)) {
+      line--;
+      const location = locations[i];
+      if (location.hyphenAt >= 0) {
+        location.run.node.replaceData(
+          location.hyphenAt,
+          1,
+          location.run.hyphenateCharacter,
+        );
+      }
+      insertLineBreak(location, checkPoints);
+      glues = [];
+    } else if (line < breaks.length - 1 && items[i].type === "glue") {
+      glues.push(i);
+    }
+    if (line < breaks.length - 1 && (i === 0 || breakPositions.has(i - 1))) {
+      spaceLine();
+    }
+  }
+  blockElement.style.whiteSpace = "nowrap";
+};
+
+Plugin.registerHook(
+  Plugin.HOOKS.POST_LAYOUT_BLOCK,
+  postLayoutBlockLineBreaking,
+);
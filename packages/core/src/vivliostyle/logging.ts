@@ -29,9 +29,35 @@ export enum LogLevel {
   ERROR,
 }
 
+/**
+ * Location in a stylesheet source where a problem is found. Line and column
+ * numbers start from 1. For a stylesheet in a `<style>` element, the URL is
+ * that of the document and the lines are counted from the start of the
+ * element content.
+ * - property: Name of the property of the declaration with the problem, or
+ *   null if the problem is not in a declaration.
+ */
+export class SourceLocation {
+  constructor(
+    public readonly url: string,
+    public readonly line: number,
+    public readonly column: number,
+    public readonly property: string | null = null,
+  ) {}
+
+  toString(): string {
+    return `${this.url}:${this.line}:${this.column}`;
+  }
+}
+
+/**
+ * - location: Location in the stylesheet source, given as the last argument
+ *   of the log method.
+ */
 export type ErrorInfo = {
   error: Error;
   messages: any[];
+  location?: SourceLocation;
 };
 
 /**
@@ -139,6 +165,9 @@ function argumentsToErrorInfo(args: IArguments): ErrorInfo {
   if (a[0] instanceof Error) {
     e = a.shift();
   }
+  if (a[a.length - 1] instanceof SourceLocation) {
+    return { error: e, messages: a.slice(0, -1), location: a[a.length - 1] };
+  }
   return { error: e, messages: a };
 }
 
@@ -146,6 +175,9 @@ function buildMessageAndStackTrace(args: ErrorInfo): string[] {
   const e = args.error;
   const stack = e && (e["frameTrace"] || e["stack"]);
   let messages = [].concat(args["messages"]);
+  if (args.location) {
+    messages = messages.concat([`(${args.location})`]);
+  }
   if (e) {
     if (messages.length > 0) {
       messages = messages.concat(["\n"]);
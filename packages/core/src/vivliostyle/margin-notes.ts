@@ -0,0 +1,304 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @fileoverview MarginNotes - Margin notes (sidenotes) specified with
+ * `float: margin-note`, placed in the outside margin of the page.
+ */
+import * as Asserts from "./asserts";
+import * as Constants from "./constants";
+import * as Css from "./css";
+import * as PageFloats from "./page-floats";
+import * as Task from "./task";
+import { Layout, Vtree } from "./types";
+
+export const MARGIN_NOTE = "margin-note";
+
+export class MarginNote extends PageFloats.PageFloat {
+  constructor(
+    nodePosition: Vtree.NodePosition,
+    flowName: string,
+    floatMinWrapBlock: Css.Numeric | null,
+  ) {
+    super(
+      nodePosition,
+      PageFloats.FloatReference.PAGE,
+      MARGIN_NOTE,
+      null,
+      flowName,
+      floatMinWrapBlock,
+    );
+  }
+
+  override isAllowedToPrecede(other: PageFloats.PageFloat): boolean {
+    return !(other instanceof MarginNote);
+  }
+}
+
+export class MarginNoteFragment extends PageFloats.PageFloatFragment {
+  constructor(
+    continuations: PageFloats.PageFloatContinuation[],
+    area: Vtree.Container,
+    continues: boolean,
+  ) {
+    super(
+      PageFloats.FloatReference.PAGE,
+      MARGIN_NOTE,
+      continuations,
+      area,
+      continues,
+    );
+  }
+
+  override isOutsideContainer(): boolean {
+    return true;
+  }
+}
+
+/**
+ * Resolves the page margin where margin notes are placed: the outside margin
+ * (left on left pages and right on right pages) in horizontal writing mode,
+ * and the top margin in vertical writing mode.
+ */
+export function resolveMarginNoteSide(
+  pageSide: Constants.PageSide | null,
+  vertical: boolean,
+): string {
+  if (vertical) {
+    return "top";
+  }
+  return pageSide === Constants.PageSide.LEFT ? "left" : "right";
+}
+
+/**
+ * Finds the position of a margin note along the block axis. The note is
+ * placed at the preferred position if possible, moved after the preceding
+ * notes, and moved back to fit in the available space.
+ * @param preferred Preferred position, aligned to the line of the anchor.
+ * @param size Block size of the note.
+ * @param start End of the preceding notes, or the start of the space.
+ * @param end End of the space.
+ * @return The position, or null if the note does not fit after the preceding
+ *     notes.
+ */
+export function findMarginNotePosition(
+  preferred: number,
+  size: number,
+  start: number,
+  end: number,
+): number | null {
+  if (start + size > end) {
+    return null;
+  }
+  return Math.min(Math.max(preferred, start), end - size);
+}
+
+/**
+ * Returns the distance from the block-start edge of the float area to the
+ * after edge of the first line of the margin note.
+ */
+function getFirstLineExtent(floatArea: Layout.PageFloatArea): number {
+  const element = floatArea.element;
+  const clientLayout = floatArea.clientLayout;
+  const areaRect = clientLayout.getElementClientRect(element);
+  const walker = element.ownerDocument.createTreeWalker(
+    element,
+    NodeFilter.SHOW_TEXT,
+  );
+  let node: Node;
+  while ((node = walker.nextNode())) {
+    if (!node.textContent.trim()) {
+      continue;
+    }
+    const range = element.ownerDocument.createRange();
+    range.selectNodeContents(node);
+    const rect = clientLayout.getRangeClientRects(range)[0];
+    if (!rect) {
+      continue;
+    }
+    if (!floatArea.vertical) {
+      return rect.bottom - areaRect.top;
+    }
+    return floatArea.getBoxDir() < 0
+      ? areaRect.right - rect.left
+      : rect.right - areaRect.left;
+  }
+  return 0;
+}
+
+export class MarginNoteLayoutStrategy
+  implements PageFloats.PageFloatLayoutStrategy
+{
+  /** @override */
+  appliesToNodeContext(nodeContext: Vtree.NodeContext): boolean {
+    return nodeContext.floatSide === MARGIN_NOTE;
+  }
+
+  /** @override */
+  appliesToFloat(float: PageFloats.PageFloat): boolean {
+    return float instanceof MarginNote;
+  }
+
+  /** @override */
+  createPageFloat(
+    nodeContext: Vtree.NodeContext,
+    pageFloatLayoutContext: PageFloats.PageFloatLayoutContext,
+    column: Layout.Column,
+  ): Task.Result<PageFloats.PageFloat> {
+    Asserts.assert(pageFloatLayoutContext.flowName);
+    const float = new MarginNote(
+      nodeContext.toNodePosition(),
+      pageFloatLayoutContext.flowName,
+      nodeContext.floatMinWrapBlock,
+    );
+    pageFloatLayoutContext.addPageFloat(float);
+    return Task.newResult(float as PageFloats.PageFloat);
+  }
+
+  /** @override */
+  createPageFloatFragment(
+    continuations: PageFloats.PageFloatContinuation[],
+    floatSide: string,
+    floatArea: Layout.PageFloatArea,
+    continues: boolean,
+  ): PageFloats.PageFloatFragment {
+    return new MarginNoteFragment(continuations, floatArea, continues);
+  }
+
+  /** @override */
+  findPageFloatFragment(
+    float: PageFloats.PageFloat,
+    pageFloatLayoutContext: PageFloats.PageFloatLayoutContext,
+  ): PageFloats.PageFloatFragment | null {
+    return pageFloatLayoutContext.findPageFloatFragment(float);
+  }
+
+  /** @override */
+  adjustPageFloatArea(
+    floatArea: Layout.PageFloatArea,
+    floatContainer: Vtree.Container,
+    column: Layout.Column,
+  ) {
+    floatArea.adjustContentRelativeSize = false;
+  }
+
+  /**
+   * Places the float area in the page margin next to the line of the anchor,
+   * after the preceding margin notes on the page.
+   * @override
+   */
+  setFloatAreaDimensions(
+    floatArea: Layout.PageFloatArea,
+    floatReference: PageFloats.FloatReference,
+    floatSide: string,
+    anchorEdge: number | null,
+    init: boolean,
+    force: boolean,
+    condition: PageFloats.PageFloatPlacementCondition,
+    pageFloatLayoutContext: PageFloats.PageFloatLayoutContext,
+  ): string | null {
+    const context =
+      pageFloatLayoutContext.getPageFloatLayoutContext(floatReference);
+    const container = context.getContainer();
+    const containerRect = container.getPaddingRect();
+    const pageRect = floatArea.clientLayout.getElementClientRect(
+      container.element.parentNode as Element,
+    );
+    const vertical = floatArea.vertical;
+    const dir = floatArea.getBoxDir();
+
+    // Positions along the block axis are measured from the block-start edge
+    // of the container.
+    const blockStart = vertical
+      ? dir < 0
+        ? containerRect.x2
+        : containerRect.x1
+      : containerRect.y1;
+    const extent = vertical
+      ? containerRect.x2 - containerRect.x1
+      : containerRect.y2 - containerRect.y1;
+    const toBlockPosition = (edge: number): number => (edge - blockStart) * dir;
+    const start = context.floatFragments
+      .filter((fragment) => fragment instanceof MarginNoteFragment)
+      .reduce((position, fragment) => {
+        const rect = fragment.getOuterRect();
+        const after = vertical ? (dir < 0 ? rect.x1 : rect.x2) : rect.y2;
+        return Math.max(position, toBlockPosition(after));
+      }, 0);
+
+    let position: number;
+    let size: number;
+    if (init) {
+      switch (resolveMarginNoteSide(context.pageSide, vertical)) {
+        case "left":
+          floatArea.setHorizontalPosition(
+            pageRect.left - floatArea.originX,
+            containerRect.x1 - pageRect.left,
+          );
+          break;
+        case "right":
+          floatArea.setHorizontalPosition(
+            containerRect.x2 - floatArea.originX,
+            pageRect.right - containerRect.x2,
+          );
+          break;
+        case "top":
+          floatArea.setVerticalPosition(
+            pageRect.top - floatArea.originY,
+            containerRect.y1 - pageRect.top,
+          );
+          break;
+      }
+      position = start;
+      size = extent - start;
+      if (!force && size <= 0) {
+        return null;
+      }
+    } else {
+      size = floatArea.computedBlockSize;
+      const preferred =
+        anchorEdge === null
+          ? start
+          : toBlockPosition(anchorEdge) - getFirstLineExtent(floatArea);
+      position = findMarginNotePosition(preferred, size, start, extent);
+      if (position === null) {
+        if (!force) {
+          return null;
+        }
+        position = start;
+      }
+    }
+    const edge = blockStart + position * dir;
+    if (vertical) {
+      floatArea.setHorizontalPosition(
+        (dir < 0 ? edge - size : edge) - floatArea.originX,
+        size,
+      );
+    } else {
+      floatArea.setVerticalPosition(edge - floatArea.originY, size);
+    }
+    return floatSide;
+  }
+
+  /** @override */
+  forbid(
+    float: PageFloats.PageFloat,
+    pageFloatLayoutContext: PageFloats.PageFloatLayoutContext,
+  ) {}
+}
+
+PageFloats.PageFloatLayoutStrategyResolver.register(
+  new MarginNoteLayoutStrategy(),
+);
@@ -0,0 +1,423 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @fileoverview MediaOverlay - EPUB Media Overlays (SMIL) playback.
+ */
+import * as Base from "./base";
+import * as Constants from "./constants";
+import * as Logging from "./logging";
+import * as Net from "./net";
+
+/**
+ * The default class name given to the element of the active text.
+ */
+export const DEFAULT_ACTIVE_CLASS = "-epub-media-overlay-active";
+
+/**
+ * The attribute given to the element of the active text, which is used for
+ * the highlighting since the author style sheets do not apply to the classes
+ * added after the layout.
+ */
+export const ACTIVE_ATTRIBUTE = "data-vivliostyle-media-overlay-active";
+
+/**
+ * A media overlay clip, i.e. a `par` element of SMIL.
+ * - textSrc: URL of the text fragment (with `#id`).
+ * - audioSrc: URL of the audio, or null if the clip has no audio.
+ * - clipBegin, clipEnd: Range of the audio in seconds. clipEnd is null when
+ *   the audio is played to its end.
+ */
+export type Clip = {
+  textSrc: string;
+  audioSrc: string | null;
+  clipBegin: number;
+  clipEnd: number | null;
+};
+
+/**
+ * Parse a SMIL clock value, e.g. "0:01:02.5", "02:30", "1.5s", "500ms",
+ * "2min", "1h" or "12.3" (seconds).
+ * @returns the time in seconds, or null if the value is invalid
+ */
+export function parseClockValue(str: string | null | undefined): number | null {
+  if (!str) {
+    return null;
+  }
+  str = str.trim();
+  let r = str.match(/^(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)$/);
+  if (r) {
+    return (
+      parseInt(r[1] || "0", 10) * 3600 +
+      parseInt(r[2], 10) * 60 +
+      parseFloat(r[3])
+    );
+  }
+  r = str.match(/^(\d+(?:\.\d+)?)(h|min|s|ms)?$/);
+  if (r) {
+    const value = parseFloat(r[1]);
+    switch (r[2]) {
+      case "h":
+        return value * 3600;
+      case "min":
+        return value * 60;
+      case "ms":
+        return value / 1000;
+      default:
+        return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect the clips of a SMIL document in the document order.
+ * @param url URL of the SMIL document to resolve the relative URLs
+ */
+export function parseSMIL(doc: Document, url: string): Clip[] {
+  const clips: Clip[] = [];
+  const body = Array.from(doc.documentElement.children).find(
+    (elem) => elem.localName === "body",
+  );
+  const walk = (parent: Element) => {
+    for (const elem of Array.from(parent.children)) {
+      if (elem.localName === "seq") {
+        walk(elem);
+      } else if (elem.localName === "par") {
+        const children = Array.from(elem.children);
+        const text = children.find((child) => child.localName === "text");
+        const audio = children.find((child) => child.localName === "audio");
+        const textSrc = text && text.getAttribute("src");
+        if (!textSrc) {
+          Logging.logger.warn("Media overlay clip without text:", url);
+          continue;
+        }
+        const audioSrc = audio && audio.getAttribute("src");
+        clips.push({
+          textSrc: Base.resolveURL(textSrc, url),
+          audioSrc: audioSrc ? Base.resolveURL(audioSrc, url) : null,
+          clipBegin:
+            (audio && parseClockValue(audio.getAttribute("clipBegin"))) || 0,
+          clipEnd:
+            (audio && parseClockValue(audio.getAttribute("clipEnd"))) ?? null,
+        });
+      }
+    }
+  };
+  if (body) {
+    walk(body);
+  }
+  return clips;
+}
+
+/**
+ * Abstraction of the audio output, which can be replaced (e.g. in tests).
+ */
+export interface AudioPlayer {
+  /**
+   * Play the audio from `begin` to `end` (seconds, or to the end of the
+   * audio if null) and call `onEnded` when the end is reached.
+   */
+  play(
+    src: string,
+    begin: number,
+    end: number | null,
+    onEnded: () => void,
+  ): void;
+  pause(): void;
+  resume(): void;
+  stop(): void;
+}
+
+/**
+ * AudioPlayer using an HTML audio element. Consecutive clips of the same
+ * audio are played without seeking.
+ */
+export class HTMLAudioPlayer implements AudioPlayer {
+  private audio: HTMLAudioElement | null = null;
+  private src: string | null = null;
+  private end: number | null = null;
+  private onEnded: (() => void) | null = null;
+
+  constructor(private readonly document: Document) {}
+
+  private getAudio(): HTMLAudioElement {
+    if (!this.audio) {
+      const audio = this.document.createElement("audio");
+      audio.addEventListener("timeupdate", () => {
+        if (this.end !== null && audio.currentTime >= this.end) {
+          this.finishClip();
+        }
+      });
+      audio.addEventListener("ended", () => {
+        this.finishClip();
+      });
+      audio.addEventListener("error", () => {
+        Logging.logger.warn("Failed to play audio:", this.src);
+        this.finishClip();
+      });
+      this.audio = audio;
+    }
+    return this.audio;
+  }
+
+  private finishClip() {
+    const onEnded = this.onEnded;
+    this.onEnded = null;
+    if (onEnded) {
+      onEnded();
+    }
+  }
+
+  /** @override */
+  play(
+    src: string,
+    begin: number,
+    end: number | null,
+    onEnded: () => void,
+  ): void {
+    const audio = this.getAudio();
+    this.end = end;
+    this.onEnded = onEnded;
+    if (this.src !== src) {
+      this.src = src;
+      audio.src = Net.resolveArchiveURL(src);
+      audio.currentTime = begin;
+    } else if (Math.abs(audio.currentTime - begin) > 0.25) {
+      audio.currentTime = begin;
+    }
+    audio.play().catch((err) => {
+      Logging.logger.warn(err, "Failed to play audio:", src);
+    });
+  }
+
+  /** @override */
+  pause(): void {
+    this.audio?.pause();
+  }
+
+  /** @override */
+  resume(): void {
+    this.audio?.play().catch((err) => {
+      Logging.logger.warn(err, "Failed to play audio:", this.src);
+    });
+  }
+
+  /** @override */
+  stop(): void {
+    this.onEnded = null;
+    if (this.audio) {
+      this.audio.pause();
+      this.audio.removeAttribute("src");
+      this.audio.load();
+    }
+    this.src = null;
+  }
+}
+
+/**
+ * What the MediaOverlayPlayer needs from the viewer.
+ * - spineCount: Number of the spine items.
+ * - loadClips: Load the clips of the spine item, or null if it has no media
+ *   overlay.
+ * - getStartClipIndex: Index of the clip to start from in the spine item
+ *   (e.g. the first clip on the current page).
+ * - activate: Highlight the text of the active clip (null when stopped) and
+ *   show its page.
+ * - stateChanged: Notify the change of the playback state.
+ */
+export interface MediaOverlayHost {
+  spineCount: number;
+  loadClips(spineIndex: number): Promise<Clip[] | null>;
+  getStartClipIndex(spineIndex: number, clips: Clip[]): number;
+  activate(clip: Clip | null): void;
+  stateChanged(state: Constants.MediaOverlayState): void;
+}
+
+/**
+ * Plays the media overlays of the spine items in order.
+ */
+export class MediaOverlayPlayer {
+  state: Constants.MediaOverlayState = Constants.MediaOverlayState.STOPPED;
+  spineIndex: number = -1;
+  clipIndex: number = -1;
+  private clips: Clip[] = [];
+  // Incremented on each start and stop to ignore callbacks of the old
+  // playback.
+  private generation: number = 0;
+
+  constructor(
+    private readonly host: MediaOverlayHost,
+    private readonly audioPlayer: AudioPlayer,
+  ) {}
+
+  get activeClip(): Clip | null {
+    return this.clips[this.clipIndex] ?? null;
+  }
+
+  private setState(state: Constants.MediaOverlayState) {
+    if (this.state !== state) {
+      this.state = state;
+      this.host.stateChanged(state);
+    }
+  }
+
+  /**
+   * Start the playback at the spine item (or the next one with a media
+   * overlay), or resume the paused playback if spineIndex is not specified.
+   */
+  play(spineIndex?: number): Promise<void> {
+    if (
+      spineIndex === undefined &&
+      this.state === Constants.MediaOverlayState.PAUSED
+    ) {
+      this.setState(Constants.MediaOverlayState.PLAYING);
+      if (this.activeClip?.audioSrc) {
+        this.audioPlayer.resume();
+      } else {
+        this.playClip(this.generation);
+      }
+      return Promise.resolve();
+    }
+    this.audioPlayer.stop();
+    const generation = ++this.generation;
+    return this.loadSpineItem(
+      spineIndex ?? Math.max(this.spineIndex, 0),
+      generation,
+    ).then((loaded) => {
+      if (loaded) {
+        this.clipIndex = this.host.getStartClipIndex(
+          this.spineIndex,
+          this.clips,
+        );
+        this.setState(Constants.MediaOverlayState.PLAYING);
+        this.playClip(generation);
+      }
+    });
+  }
+
+  pause(): void {
+    if (this.state === Constants.MediaOverlayState.PLAYING) {
+      this.audioPlayer.pause();
+      this.setState(Constants.MediaOverlayState.PAUSED);
+    }
+  }
+
+  stop(): void {
+    this.generation++;
+    this.audioPlayer.stop();
+    this.clips = [];
+    this.clipIndex = -1;
+    if (this.state !== Constants.MediaOverlayState.STOPPED) {
+      this.host.activate(null);
+    }
+    this.setState(Constants.MediaOverlayState.STOPPED);
+  }
+
+  /**
+   * Skip to the next (step = 1) or the previous (step = -1) clip in the
+   * spine item.
+   */
+  skip(step: number): void {
+    const clipIndex = this.clipIndex + step;
+    if (
+      this.state === Constants.MediaOverlayState.STOPPED ||
+      clipIndex < 0 ||
+      clipIndex >= this.clips.length
+    ) {
+      return;
+    }
+    this.audioPlayer.stop();
+    this.clipIndex = clipIndex;
+    this.setState(Constants.MediaOverlayState.PLAYING);
+    this.playClip(++this.generation);
+  }
+
+  /**
+   * Load the clips of the first spine item with a media overlay from
+   * `spineIndex`.
+   * @returns false if no such spine item or the playback is superseded
+   */
+  private loadSpineItem(
+    spineIndex: number,
+    generation: number,
+  ): Promise<boolean> {
+    if (spineIndex >= this.host.spineCount) {
+      this.stop();
+      return Promise.resolve(false);
+    }
+    return this.host.loadClips(spineIndex).then(
+      (clips) => {
+        if (generation !== this.generation) {
+          return false;
+        }
+        if (clips && clips.length) {
+          this.spineIndex = spineIndex;
+          this.clips = clips;
+          return true;
+        }
+        return this.loadSpineItem(spineIndex + 1, generation);
+      },
+      (err) => {
+        Logging.logger.warn(err, "Failed to load media overlay:", spineIndex);
+        if (generation === this.generation) {
+          this.stop();
+        }
+        return false;
+      },
+    );
+  }
+
+  private playClip(generation: number): void {
+    const clip = this.activeClip;
+    if (!clip) {
+      return;
+    }
+    this.host.activate(clip);
+    const onEnded = () => {
+      if (
+        generation === this.generation &&
+        this.state === Constants.MediaOverlayState.PLAYING
+      ) {
+        this.playNextClip(generation);
+      }
+    };
+    if (clip.audioSrc) {
+      this.audioPlayer.play(
+        clip.audioSrc,
+        clip.clipBegin,
+        clip.clipEnd,
+        onEnded,
+      );
+    } else {
+      // A clip without audio is skipped asynchronously.
+      Promise.resolve().then(onEnded);
+    }
+  }
+
+  private playNextClip(generation: number): void {
+    if (this.clipIndex + 1 < this.clips.length) {
+      this.clipIndex++;
+      this.playClip(generation);
+      return;
+    }
+    this.loadSpineItem(this.spineIndex + 1, generation).then((loaded) => {
+      if (loaded) {
+        this.clipIndex = 0;
+        this.playClip(generation);
+      }
+    });
+  }
+}
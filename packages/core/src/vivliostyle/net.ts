@@ -24,6 +24,7 @@ import * as Task from "./task";
 import * as TaskUtil from "./task-util";
 import { Net, XmlDoc } from "./types";
 import { UserAgentXml } from "./assets";
+import * as Zip from "./zip";
 
 /**
  * @enum {string}
@@ -39,15 +40,113 @@ export enum FetchResponseType {
 
 export type FetchResponse = Net.FetchResponse;
 
+/**
+ * Archives whose files are served by fetchFromURL() instead of the network.
+ */
+const mountedArchives: Zip.ZipArchive[] = [];
+
+/**
+ * Make the files in the archive accessible with URLs under its base URL.
+ * An archive already mounted on the same base URL is replaced.
+ */
+export function mountArchive(archive: Zip.ZipArchive): void {
+  const index = mountedArchives.findIndex((a) => a.baseURL === archive.baseURL);
+  if (index >= 0) {
+    mountedArchives[index].revokeObjectURLs();
+    mountedArchives.splice(index, 1);
+  }
+  mountedArchives.push(archive);
+}
+
+export function unmountArchive(archive: Zip.ZipArchive): void {
+  const index = mountedArchives.indexOf(archive);
+  if (index >= 0) {
+    archive.revokeObjectURLs();
+    mountedArchives.splice(index, 1);
+  }
+}
+
+function findMountedArchive(url: string): Zip.ZipArchive | null {
+  return (
+    mountedArchives.find((archive) => url.startsWith(archive.baseURL)) || null
+  );
+}
+
+export function isArchiveURL(url: string): boolean {
+  return !!findMountedArchive(url);
+}
+
+/**
+ * Convert a URL of a file in a mounted archive to an object URL so that the
+ * browser can load it (e.g. in img src). Other URLs are returned as is.
+ */
+export function resolveArchiveURL(url: string): string {
+  const archive = url && findMountedArchive(url);
+  return (archive && archive.getObjectURL(url)) || url;
+}
+
+function fetchFromArchive(
+  archive: Zip.ZipArchive,
+  url: string,
+  opt_type?: FetchResponseType,
+  opt_method?: string,
+): Task.Result<FetchResponse> {
+  const file = archive.getFile(url);
+  const response: FetchResponse = {
+    status: file ? 200 : 404,
+    statusText: file ? "OK" : "Not Found",
+    url,
+    contentType: file ? file.type || null : null,
+    responseText: null,
+    responseXML: null,
+    responseBlob: null,
+  };
+  if (!file || opt_method === "HEAD") {
+    return Task.newResult(response);
+  }
+  if (
+    opt_type === FetchResponseType.BLOB ||
+    opt_type === FetchResponseType.ARRAYBUFFER
+  ) {
+    response.responseBlob = file;
+    return Task.newResult(response);
+  }
+  const frame: Task.Frame<FetchResponse> = Task.newFrame("fetchFromArchive");
+  const continuation = frame.suspend();
+  file
+    .text()
+    .then((text) => {
+      response.responseText = text;
+      continuation.schedule(response);
+    })
+    .catch((e) => {
+      Logging.logger.warn(e, `Error reading ${url} from the archive`);
+      response.status = 500;
+      response.statusText = "Internal Server Error";
+      continuation.schedule(response);
+    });
+  return frame.result();
+}
+
+/**
+ * Fetch a resource. If the fetch is aborted with `opt_signal`, the result is
+ * a response with status 0.
+ */
 export function fetchFromURL(
   url: string,
   opt_type?: FetchResponseType,
   opt_method?: string,
+  opt_signal?: AbortSignal,
 ): Task.Result<FetchResponse> {
+  const archive = findMountedArchive(url);
+  if (archive) {
+    return fetchFromArchive(archive, url, opt_type, opt_method);
+  }
   const frame: Task.Frame<FetchResponse> = Task.newFrame("fetchFromURL");
   const requestInit: RequestInit = {
     method: opt_method || "GET",
     mode: "cors",
+    signal: opt_signal,
   };
 
   const continuation = frame.suspend();
@@ -122,7 +221,11 @@ export function fetchFromURL(
       continuation.schedule(response);
     })
     .catch((e) => {
-      Logging.logger.warn(e, `Error fetching ${url}`);
+      if (opt_signal?.aborted) {
+        Logging.logger.debug(`Fetching ${url} aborted`);
+      } else {
+        Logging.logger.warn(e, `Error fetching ${url}`);
+      }
       continuation.schedule(response);
     });
   return frame.result();
@@ -151,6 +254,31 @@ export function readBlob(blob: Blob): Task.Result<ArrayBuffer> {
   return frame.result();
 }
 
+/**
+ * @return data URL of the blob, or null if it cannot be read
+ */
+export function readBlobAsDataURL(blob: Blob): Task.Result<string | null> {
+  const frame: Task.Frame<string | null> = Task.newFrame("readBlobAsDataURL");
+  const fileReader = new FileReader();
+  const continuation = frame.suspend(fileReader);
+  fileReader.addEventListener(
+    "load",
+    () => {
+      continuation.schedule(fileReader.result as string);
+    },
+    false,
+  );
+  fileReader.addEventListener(
+    "error",
+    () => {
+      continuation.schedule(null);
+    },
+    false,
+  );
+  fileReader.readAsDataURL(blob);
+  return frame.result();
+}
+
 export function revokeObjectURL(url: string): void {
   URL.revokeObjectURL(url);
 }
@@ -168,6 +296,7 @@ export function createObjectURL(blob: Blob): string {
 export class ResourceStore<Resource> implements Net.ResourceStore<Resource> {
   resources: { [key: string]: Resource } = {};
   fetchers: { [key: string]: TaskUtil.Fetcher<Resource> } = {};
+  abortController: AbortController = new AbortController();
 
   constructor(
     public readonly parser: (
@@ -215,31 +344,33 @@ export class ResourceStore<Resource> implements Net.ResourceStore<Resource> {
       url = `data:application/xml,${encodeURIComponent(UserAgentXml)}`;
     }
 
-    fetchFromURL(url, this.type).then((response) => {
-      if (response.status >= 400) {
-        if (opt_required) {
-          throw new Error(
-            (opt_message || `Failed to fetch required resource: ${url}`) +
-              ` (${response.status}${
-                response.statusText ? " " + response.statusText : ""
-              })`,
-          );
+    fetchFromURL(url, this.type, undefined, this.abortController.signal).then(
+      (response) => {
+        if (response.status >= 400) {
+          if (opt_required) {
+            throw new Error(
+              (opt_message || `Failed to fetch required resource: ${url}`) +
+                ` (${response.status}${
+                  response.statusText ? " " + response.statusText : ""
+                })`,
+            );
+          }
         }
-      }
-      if (isTocBox) {
-        // Hack for TOCView.showTOC()
-        url += "?viv-toc-box";
-        response.url += "?viv-toc-box";
-      } else if (isUserAgentXml) {
-        // Restore "user-agent.xml" URL
-        response.url = url = userAgentXmlUrl;
-      }
-      this.parser(response, this).then((resource) => {
-        delete this.fetchers[url];
-        this.resources[url] = resource;
-        frame.finish(resource);
-      });
-    });
+        if (isTocBox) {
+          // Hack for TOCView.showTOC()
+          url += "?viv-toc-box";
+          response.url += "?viv-toc-box";
+        } else if (isUserAgentXml) {
+          // Restore "user-agent.xml" URL
+          response.url = url = userAgentXmlUrl;
+        }
+        this.parser(response, this).then((resource) => {
+          delete this.fetchers[url];
+          this.resources[url] = resource;
+          frame.finish(resource);
+        });
+      },
+    );
     return frame.result();
   }
 
@@ -276,6 +407,13 @@ export class ResourceStore<Resource> implements Net.ResourceStore<Resource> {
   delete(url: string) {
     delete this.resources[Base.stripFragment(url)];
   }
+
+  /**
+   * Abort the fetches in progress. Resources fetched later are not loaded.
+   */
+  abort(): void {
+    this.abortController.abort();
+  }
 }
 
 export type JSONStore = ResourceStore<Base.JSON>;
@@ -316,6 +454,9 @@ export function loadElement(
       elem.addEventListener("load", handler, false);
       elem.addEventListener("error", handler, false);
       elem.addEventListener("abort", handler, false);
+      if (src) {
+        src = resolveArchiveURL(src);
+      }
       if (elem.namespaceURI == Base.NS.SVG) {
         if (src) {
           elem.setAttributeNS(Base.NS.XLINK, "xlink:href", src);
@@ -19,8 +19,15 @@
  * @fileoverview Ops - Render EPUB content files by applying page masters,
  * styling and layout.
  */
+import "./endnotes";
+import "./flex";
 import "./footnotes";
+import "./grid";
+import "./hyphenation";
+import "./line-breaking";
+import "./margin-notes";
 import "./table";
+import "./word-segmentation";
 import * as Asserts from "./asserts";
 import * as Base from "./base";
 import * as Break from "./break";
@@ -1852,7 +1859,7 @@ export class StyleInstance
         (pageMaster.pageBox.specified["height"] as CssCascade.CascadeValue)
           .value === Css.fullHeight,
       );
-      this.counterStore.setCurrentPage(page);
+      this.counterStore.setCurrentPage(page, this.xmldoc.url);
       this.counterStore.updatePageCounters(cascadedPageStyle, this);
 
       // setup bleed area and crop marks
@@ -1861,6 +1868,11 @@ export class StyleInstance
         this,
       );
       this.setPageSizeAndBleed(evaluatedPageSizeAndBleed, page);
+      this.setPageOrientation(
+        (cascadedPageStyle["page-orientation"] as CssCascade.CascadeValue)
+          ?.value,
+        page,
+      );
 
       CssPage.addPrinterMarks(
         cascadedPageStyle,
@@ -1888,6 +1900,14 @@ export class StyleInstance
       writingMode,
       direction,
     );
+    if (!isTocBox) {
+      // The page side is needed during the layout to place margin notes in
+      // the outside margin.
+      const isLeftPage = new Exprs.Named(pageMaster.pageBox.scope, "left-page");
+      pageFloatLayoutContext.pageSide = isLeftPage.evaluate(this)
+        ? Constants.PageSide.LEFT
+        : Constants.PageSide.RIGHT;
+    }
     const frame: Task.Frame<Vtree.LayoutPosition> =
       Task.newFrame("layoutNextPage");
     frame
@@ -1972,6 +1992,23 @@ export class StyleInstance
     page.bleedBox.style.top = `${evaluatedPageSizeAndBleed.bleedOffset}px`;
     page.bleedBox.style.bottom = `${evaluatedPageSizeAndBleed.bleedOffset}px`;
     page.bleedBox.style.padding = `${evaluatedPageSizeAndBleed.bleed}px`;
+    page.pageSizeAndBleed = evaluatedPageSizeAndBleed;
+  }
+
+  /**
+   * Record the rotation of the page area specified by `page-orientation`, so
+   * that the viewer can show the rotated content upright.
+   */
+  private setPageOrientation(value: Css.Val | undefined, page: Vtree.Page) {
+    page.pageOrientation = CssPage.getPageOrientationAngle(value);
+    if (page.pageOrientation) {
+      page.container.setAttribute(
+        "data-vivliostyle-page-orientation",
+        value.toString(),
+      );
+    } else {
+      page.container.removeAttribute("data-vivliostyle-page-orientation");
+    }
   }
 }
 
@@ -2031,6 +2068,17 @@ export class BaseParserHandler extends CssCascade.CascadeParserHandler {
     );
   }
 
+  override startLayerRule(name: string | null): void {
+    const handler = new BaseParserHandler(
+      this.masterHandler,
+      this.condition,
+      this,
+      this.regionId,
+    );
+    handler.layer = this.resolveLayer(name);
+    this.masterHandler.pushHandler(handler);
+  }
+
   override startDefineRule(): void {
     this.masterHandler.pushHandler(
       new CssCascade.DefineParserHandler(this.scope, this.owner),
@@ -18,6 +18,7 @@
  * @fileoverview PageFloats - CSS Page Floats
  */
 import * as Asserts from "./asserts";
+import * as Constants from "./constants";
 import * as Css from "./css";
 import * as GeometryUtil from "./geometry-util";
 import * as Logging from "./logging";
@@ -240,6 +241,14 @@ export class PageFloatFragment implements PageFloats.PageFloatFragment {
     );
     return flowName;
   }
+
+  /**
+   * Returns true if the fragment is placed outside the container (e.g. a
+   * margin note in the page margin) and does not take space from the content.
+   */
+  isOutsideContainer(): boolean {
+    return false;
+  }
 }
 
 export class PageFloatContinuation implements PageFloats.PageFloatContinuation {
@@ -280,6 +289,11 @@ export class PageFloatLayoutContext
   private floatStore: PageFloatStore;
   private forbiddenFloats: PageFloatID[] = [];
   floatFragments: PageFloatFragment[] = [];
+  /**
+   * Side of the page for the page context, used to place floats in the
+   * outside margin of the page.
+   */
+  pageSide: Constants.PageSide | null = null;
   private stashedFloatFragments: PageFloatFragment[] = [];
   private floatAnchors: { [key in PageFloatID]: Node } = {};
   private floatsDeferredToNext: PageFloatContinuation[] = [];
@@ -1052,7 +1066,7 @@ export class PageFloatLayoutContext
     const fragments = this.floatFragments;
     if (fragments.length > 0) {
       limits = fragments.reduce((l, f) => {
-        if (condition && !condition(f, this)) {
+        if ((condition && !condition(f, this)) || f.isOutsideContainer()) {
           return l;
         }
         const logicalFloatSide = this.toLogicalFloatSides(f.floatSide)[0];
@@ -1408,9 +1422,9 @@ export class PageFloatLayoutContext
   }
 
   getFloatFragmentExclusions(): GeometryUtil.Shape[] {
-    const result = this.floatFragments.map((fragment) =>
-      fragment.getOuterShape(),
-    );
+    const result = this.floatFragments
+      .filter((fragment) => !fragment.isOutsideContainer())
+      .map((fragment) => fragment.getOuterShape());
     if (this.parent) {
       return this.parent.getFloatFragmentExclusions().concat(result);
     } else {
@@ -1429,17 +1443,19 @@ export class PageFloatLayoutContext
 
   getMaxReachedAfterEdge(): number {
     const isVertical = this.getContainer().vertical;
-    return this.floatFragments.reduce(
-      (edge, fragment) => {
-        const rect = fragment.getOuterRect();
-        if (isVertical) {
-          return Math.min(edge, rect.x1);
-        } else {
-          return Math.max(edge, rect.y2);
-        }
-      },
-      isVertical ? Infinity : 0,
-    );
+    return this.floatFragments
+      .filter((fragment) => !fragment.isOutsideContainer())
+      .reduce(
+        (edge, fragment) => {
+          const rect = fragment.getOuterRect();
+          if (isVertical) {
+            return Math.min(edge, rect.x1);
+          } else {
+            return Math.max(edge, rect.y2);
+          }
+        },
+        isVertical ? Infinity : 0,
+      );
   }
 
   getBlockStartEdgeOfBlockEndFloats(): number {
@@ -1659,12 +1675,15 @@ export class PageFloatLayoutContext
 
   getMaxBlockSizeOfPageFloats(): number {
     const isVertical = this.getContainer().vertical;
-    if (!this.floatFragments.length) {
+    const fragments = this.floatFragments.filter(
+      (fragment) => !fragment.isOutsideContainer(),
+    );
+    if (!fragments.length) {
       return 0;
     }
     return Math.max.apply(
       null,
-      this.floatFragments.map((fragment) => {
+      fragments.map((fragment) => {
         const area = fragment.area;
         if (isVertical) {
           return area.width;
@@ -1794,6 +1813,28 @@ export class NormalPageFloatLayoutStrategy implements PageFloatLayoutStrategy {
     column: LayoutType.Column,
   ) {}
 
+  /** @override */
+  setFloatAreaDimensions(
+    floatArea: LayoutType.PageFloatArea,
+    floatReference: FloatReference,
+    floatSide: string,
+    anchorEdge: number | null,
+    init: boolean,
+    force: boolean,
+    condition: PageFloatPlacementCondition,
+    pageFloatLayoutContext: PageFloatLayoutContext,
+  ): string | null {
+    return pageFloatLayoutContext.setFloatAreaDimensions(
+      floatArea,
+      floatReference,
+      floatSide,
+      anchorEdge,
+      init,
+      force,
+      condition,
+    );
+  }
+
   /** @override */
   forbid(float: PageFloat, pageFloatLayoutContext: PageFloatLayoutContext) {}
 }
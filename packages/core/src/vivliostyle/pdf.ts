@@ -0,0 +1,352 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @fileoverview PDF - Write PDF files from rendered page images.
+ */
+
+/**
+ * Ratio of PDF units (pt) to CSS px.
+ */
+export const PT_PER_PX = 0.75;
+
+/**
+ * JPEG image of a page.
+ */
+export type PageImage = {
+  data: Uint8Array;
+  width: number;
+  height: number;
+};
+
+/**
+ * A page of the PDF. Sizes are in CSS px.
+ * - width, height: size of the page sheet, including the crop offset.
+ * - bleed: width of the bleed area around the trim box.
+ * - cropOffset: distance between the edges of the page sheet and the trim
+ *   box.
+ */
+export type Page = {
+  width: number;
+  height: number;
+  bleed: number;
+  cropOffset: number;
+  image: PageImage | null;
+};
+
+/**
+ * An outline (bookmark) item. `pageIndex` is -1 if the destination is
+ * unknown. The item is closed (its children are hidden) if `open` is false.
+ */
+export type OutlineItem = {
+  title: string;
+  pageIndex: number;
+  open?: boolean;
+  children: OutlineItem[];
+};
+
+/**
+ * Build the outline tree from a flat list of bookmarks in document order,
+ * such as the result of `CoreViewer.getBookmarks()`.
+ */
+export function outlineFromBookmarks(
+  bookmarks: {
+    level: number;
+    label: string;
+    open: boolean;
+    pageIndex: number;
+  }[],
+): OutlineItem[] {
+  const root: OutlineItem[] = [];
+  const stack: { level: number; children: OutlineItem[] }[] = [
+    { level: 0, children: root },
+  ];
+  bookmarks.forEach((bookmark) => {
+    while (stack[stack.length - 1].level >= bookmark.level) {
+      stack.pop();
+    }
+    const item: OutlineItem = {
+      title: bookmark.label,
+      pageIndex: bookmark.pageIndex,
+      open: bookmark.open,
+      children: [],
+    };
+    stack[stack.length - 1].children.push(item);
+    stack.push({ level: bookmark.level, children: item.children });
+  });
+  return root;
+}
+
+export type DocumentInfo = {
+  title?: string;
+  author?: string;
+  subject?: string;
+  keywords?: string;
+  language?: string;
+  creator?: string;
+  producer?: string;
+  creationDate?: Date;
+};
+
+function formatNumber(num: number): string {
+  return (Math.round(num * 1000) / 1000).toString();
+}
+
+function formatRect(
+  left: number,
+  bottom: number,
+  right: number,
+  top: number,
+): string {
+  return `[${[left, bottom, right, top].map(formatNumber).join(" ")}]`;
+}
+
+/**
+ * Encode a string as a PDF text string (UTF-16BE hexadecimal string with
+ * BOM), which can contain any Unicode characters.
+ */
+export function encodeTextString(str: string): string {
+  let hex = "FEFF";
+  for (let i = 0; i < str.length; i++) {
+    hex += str.charCodeAt(i).toString(16).toUpperCase().padStart(4, "0");
+  }
+  return `<${hex}>`;
+}
+
+/**
+ * Encode a string as a PDF name object. Characters other than regular ASCII
+ * characters are written as #xx escapes of UTF-8 bytes.
+ */
+export function encodeName(str: string): string {
+  let name = "/";
+  new TextEncoder().encode(str).forEach((c) => {
+    name +=
+      c > 0x20 && c < 0x7f && !/[#%()/<>[\]{}]/.test(String.fromCharCode(c))
+        ? String.fromCharCode(c)
+        : `#${c.toString(16).toUpperCase().padStart(2, "0")}`;
+  });
+  return name;
+}
+
+/**
+ * Format a date as a PDF date string.
+ */
+export function encodeDate(date: Date): string {
+  const pad = (n: number) => n.toString().padStart(2, "0");
+  return (
+    `(D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}` +
+    `${pad(date.getUTCDate())}${pad(date.getUTCHours())}` +
+    `${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z)`
+  );
+}
+
+type Part = string | Uint8Array;
+
+/**
+ * Low-level PDF writer that holds indirect objects and serializes them with
+ * the cross-reference table.
+ */
+export class Writer {
+  private objects: Part[][] = [];
+
+  /**
+   * Reserve an object number that is defined later with `setObject()`.
+   */
+  reserve(): number {
+    this.objects.push(null);
+    return this.objects.length;
+  }
+
+  setObject(num: number, ...parts: Part[]): void {
+    this.objects[num - 1] = parts;
+  }
+
+  addObject(...parts: Part[]): number {
+    const num = this.reserve();
+    this.setObject(num, ...parts);
+    return num;
+  }
+
+  addStream(dict: string, data: Part): number {
+    const length = typeof data === "string" ? data.length : data.byteLength;
+    return this.addObject(
+      `<< ${dict} /Length ${length} >>\nstream\n`,
+      data,
+      "\nendstream",
+    );
+  }
+
+  toBlob(rootNum: number, infoNum: number): Blob {
+    const blobParts: BlobPart[] = [];
+    let offset = 0;
+    const write = (part: Part) => {
+      // Strings written here contain only ASCII characters.
+      blobParts.push(part as BlobPart);
+      offset += typeof part === "string" ? part.length : part.byteLength;
+    };
+    write("%PDF-1.7\n");
+    write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+    const offsets: number[] = [];
+    this.objects.forEach((parts, i) => {
+      offsets.push(offset);
+      write(`${i + 1} 0 obj\n`);
+      (parts || ["null"]).forEach(write);
+      write("\nendobj\n");
+    });
+    const xrefOffset = offset;
+    write(`xref\n0 ${this.objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach((o) => {
+      write(`${o.toString().padStart(10, "0")} 00000 n \n`);
+    });
+    write(
+      `trailer\n<< /Size ${this.objects.length + 1} /Root ${rootNum} 0 R` +
+        (infoNum ? ` /Info ${infoNum} 0 R` : "") +
+        ` >>\nstartxref\n${xrefOffset}\n%%EOF\n`,
+    );
+    return new Blob(blobParts, { type: "application/pdf" });
+  }
+}
+
+function writeOutline(
+  writer: Writer,
+  items: OutlineItem[],
+  parentNum: number,
+  pageNums: number[],
+): { first: number; last: number; count: number } {
+  const nums = items.map(() => writer.reserve());
+  let count = 0;
+  items.forEach((item, i) => {
+    const num = nums[i];
+    let dict = `<< /Title ${encodeTextString(item.title)} /Parent ${parentNum} 0 R`;
+    if (i > 0) {
+      dict += ` /Prev ${nums[i - 1]} 0 R`;
+    }
+    if (i < nums.length - 1) {
+      dict += ` /Next ${nums[i + 1]} 0 R`;
+    }
+    const pageNum = pageNums[item.pageIndex];
+    if (pageNum) {
+      dict += ` /Dest [${pageNum} 0 R /Fit]`;
+    }
+    if (item.children.length > 0) {
+      const children = writeOutline(writer, item.children, num, pageNums);
+      // A negative count means that the item is closed.
+      const open = item.open !== false;
+      dict += ` /First ${children.first} 0 R /Last ${children.last} 0 R /Count ${open ? children.count : -children.count}`;
+      if (open) {
+        count += children.count;
+      }
+    }
+    writer.setObject(num, `${dict} >>`);
+    count++;
+  });
+  return { first: nums[0], last: nums[nums.length - 1], count };
+}
+
+/**
+ * Create a PDF with the page images, page boxes, outline, named destinations
+ * and document information. Each page consists only of its JPEG image, so the
+ * PDF has no text content.
+ * @param destinations Page indices keyed by destination names
+ */
+export function createPDF(
+  pages: Page[],
+  outline: OutlineItem[],
+  info: DocumentInfo,
+  destinations: { [name: string]: number } = {},
+): Blob {
+  const writer = new Writer();
+  const catalogNum = writer.reserve();
+  const pagesNum = writer.reserve();
+  const pageNums = pages.map(() => writer.reserve());
+
+  pages.forEach((page, i) => {
+    const width = page.width * PT_PER_PX;
+    const height = page.height * PT_PER_PX;
+    const trim = page.cropOffset * PT_PER_PX;
+    const bleed = Math.max(0, page.cropOffset - page.bleed) * PT_PER_PX;
+    let resources = "<< >>";
+    let content = "";
+    if (page.image) {
+      const imageNum = writer.addStream(
+        `/Type /XObject /Subtype /Image /Width ${page.image.width}` +
+          ` /Height ${page.image.height} /ColorSpace /DeviceRGB` +
+          ` /BitsPerComponent 8 /Filter /DCTDecode`,
+        page.image.data,
+      );
+      resources = `<< /XObject << /Im0 ${imageNum} 0 R >> >>`;
+      content = `q ${formatNumber(width)} 0 0 ${formatNumber(height)} 0 0 cm /Im0 Do Q`;
+    }
+    const contentNum = writer.addStream("", content);
+    writer.setObject(
+      pageNums[i],
+      `<< /Type /Page /Parent ${pagesNum} 0 R` +
+        ` /MediaBox ${formatRect(0, 0, width, height)}` +
+        ` /BleedBox ${formatRect(bleed, bleed, width - bleed, height - bleed)}` +
+        ` /TrimBox ${formatRect(trim, trim, width - trim, height - trim)}` +
+        ` /Resources ${resources} /Contents ${contentNum} 0 R >>`,
+    );
+  });
+  writer.setObject(
+    pagesNum,
+    `<< /Type /Pages /Kids [${pageNums.map((n) => `${n} 0 R`).join(" ")}]` +
+      ` /Count ${pageNums.length} >>`,
+  );
+
+  let catalog = `<< /Type /Catalog /Pages ${pagesNum} 0 R`;
+  if (outline.length > 0) {
+    const outlinesNum = writer.reserve();
+    const items = writeOutline(writer, outline, outlinesNum, pageNums);
+    writer.setObject(
+      outlinesNum,
+      `<< /Type /Outlines /First ${items.first} 0 R /Last ${items.last} 0 R` +
+        ` /Count ${items.count} >>`,
+    );
+    catalog += ` /Outlines ${outlinesNum} 0 R /PageMode /UseOutlines`;
+  }
+  const dests = Object.keys(destinations)
+    .filter((name) => pageNums[destinations[name]])
+    .map(
+      (name) =>
+        `${encodeName(name)} [${pageNums[destinations[name]]} 0 R /XYZ null null null]`,
+    );
+  if (dests.length > 0) {
+    catalog += ` /Dests ${writer.addObject(`<< ${dests.join(" ")} >>`)} 0 R`;
+  }
+  if (info.language) {
+    catalog += ` /Lang ${encodeTextString(info.language)}`;
+  }
+  writer.setObject(catalogNum, `${catalog} >>`);
+
+  const infoEntries: string[] = [];
+  [
+    ["Title", info.title],
+    ["Author", info.author],
+    ["Subject", info.subject],
+    ["Keywords", info.keywords],
+    ["Creator", info.creator],
+    ["Producer", info.producer],
+  ].forEach(([key, value]) => {
+    if (value) {
+      infoEntries.push(`/${key} ${encodeTextString(value)}`);
+    }
+  });
+  infoEntries.push(
+    `/CreationDate ${encodeDate(info.creationDate || new Date())}`,
+  );
+  const infoNum = writer.addObject(`<< ${infoEntries.join(" ")} >>`);
+
+  return writer.toBlob(catalogNum, infoNum);
+}
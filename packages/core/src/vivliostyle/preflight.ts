@@ -0,0 +1,424 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @fileoverview Preflight - Checks of the rendered pages for problems to be
+ * fixed before publishing, such as overflowing content, unresolved references
+ * and low resolution images.
+ */
+import * as Base from "./base";
+import * as Epub from "./epub";
+import * as Font from "./font";
+import * as Task from "./task";
+import * as Vtree from "./vtree";
+
+export enum IssueType {
+  OVERFLOW = "overflow",
+  UNRESOLVED_REFERENCE = "unresolvedReference",
+  FONT_FALLBACK = "fontFallback",
+  LOW_RESOLUTION_IMAGE = "lowResolutionImage",
+  BROKEN_LINK = "brokenLink",
+  MISSING_RESOURCE = "missingResource",
+  BLANK_PAGE = "blankPage",
+}
+
+/**
+ * A problem found by the preflight check.
+ * - type: Type of the problem.
+ * - message: Description of the problem.
+ * - pageIndex: Index of the page where the problem is found, the same as the
+ *   page index (EPage) shown by the viewer, counted from 0 at the first page
+ *   of the publication, or null if the problem is not related to a page
+ *   (e.g. a web font that failed to load).
+ * - cfi: EPUB CFI of the content with the problem, or of the start of the
+ *   page, or null if the problem is not related to a page.
+ * - url: URL of the resource, link target or referenced element related to
+ *   the problem, or null.
+ */
+export type Issue = {
+  type: IssueType;
+  message: string;
+  pageIndex: number | null;
+  cfi: string | null;
+  url: string | null;
+};
+
+/**
+ * Options of the preflight check.
+ * - minImageResolution: Images rendered with an effective resolution (in dpi)
+ *   below this value are reported (default: 150).
+ */
+export type Options = {
+  minImageResolution?: number;
+};
+
+/**
+ * Result of the preflight check.
+ * - complete: False if some pages are not rendered yet and are not checked.
+ * - pageCount: Number of the checked pages.
+ * - issues: The problems found, in the order of the pages. Problems not
+ *   related to a page come last.
+ */
+export type Report = {
+  complete: boolean;
+  pageCount: number;
+  issues: Issue[];
+};
+
+export const DEFAULT_MIN_IMAGE_RESOLUTION = 150;
+
+/**
+ * Overflow smaller than this (in px) is ignored.
+ */
+const OVERFLOW_TOLERANCE = 1;
+
+/**
+ * Returns the effective resolution (in dpi) of an image with the given
+ * intrinsic size rendered in the given size (in CSS px), the lower one of the
+ * horizontal and vertical resolutions.
+ */
+export function getEffectiveResolution(
+  naturalWidth: number,
+  naturalHeight: number,
+  width: number,
+  height: number,
+): number {
+  // 1 CSS px is 1/96 inch.
+  return Math.min((naturalWidth * 96) / width, (naturalHeight * 96) / height);
+}
+
+/**
+ * Finds the content elements extending outside the box containing the
+ * content, e.g. a column or a page float area. Descendants of an overflowing
+ * element and absolutely positioned elements are not reported.
+ */
+export function findOverflowingElements(root: Element): Element[] {
+  const result: Element[] = [];
+  const skipped: Element[] = [];
+  const containerRects: Map<Element, DOMRect> = new Map();
+  const window = root.ownerDocument.defaultView;
+  root.querySelectorAll(`[${Base.ELEMENT_OFFSET_ATTR}]`).forEach((element) => {
+    if (skipped.some((e) => e.contains(element))) {
+      return;
+    }
+    const position = window.getComputedStyle(element).position;
+    if (position === "absolute" || position === "fixed") {
+      skipped.push(element);
+      return;
+    }
+    let outermost = element;
+    for (let e = element.parentElement; e && e !== root; e = e.parentElement) {
+      if (e.hasAttribute(Base.ELEMENT_OFFSET_ATTR)) {
+        outermost = e;
+      }
+    }
+    const container = outermost.parentElement;
+    let containerRect = containerRects.get(container);
+    if (!containerRect) {
+      containerRect = container.getBoundingClientRect();
+      containerRects.set(container, containerRect);
+    }
+    const rect = element.getBoundingClientRect();
+    if (!rect.width && !rect.height) {
+      return;
+    }
+    if (
+      rect.left < containerRect.left - OVERFLOW_TOLERANCE ||
+      rect.top < containerRect.top - OVERFLOW_TOLERANCE ||
+      rect.right > containerRect.right + OVERFLOW_TOLERANCE ||
+      rect.bottom > containerRect.bottom + OVERFLOW_TOLERANCE
+    ) {
+      result.push(element);
+      skipped.push(element);
+    }
+  });
+  return result;
+}
+
+/**
+ * Calls the function with the page container displayed, so that the page
+ * content can be measured even if the page is not shown.
+ */
+function withPageDisplayed<T>(page: Vtree.Page, fn: () => T): T {
+  const style = page.container.style;
+  const display = style.getPropertyValue("display");
+  const priority = style.getPropertyPriority("display");
+  style.setProperty("display", "block", "important");
+  try {
+    return fn();
+  } finally {
+    style.setProperty("display", display, priority);
+  }
+}
+
+function isVectorImage(url: string): boolean {
+  return /^data:image\/svg|\.svgz?(?:[?#]|$)/i.test(url);
+}
+
+function getElementOffset(element: Element): number | null {
+  const content = element.closest(`[${Base.ELEMENT_OFFSET_ATTR}]`);
+  return content
+    ? parseInt(content.getAttribute(Base.ELEMENT_OFFSET_ATTR), 10)
+    : null;
+}
+
+/**
+ * An issue whose page index is computed from the position of the page, and
+ * whose CFI is computed from the position in the spine item.
+ */
+type PendingIssue = {
+  issue: Issue;
+  pagePosition: Epub.Position | null;
+  spineIndex: number;
+  offsetInItem: number;
+};
+
+/**
+ * A link to an element in a spine item, to be checked whether the target
+ * element exists.
+ */
+type InternalLink = {
+  pagePosition: Epub.Position;
+  spineIndex: number;
+  offsetInItem: number;
+  url: string;
+  fragment: string;
+};
+
+/**
+ * Checks the rendered pages and the resources of the publication.
+ */
+export function collectIssues(
+  opfView: Epub.OPFView,
+  fontMapper: Font.Mapper,
+  options: Options,
+): Task.Result<Issue[]> {
+  const opf = opfView.opf;
+  const minImageResolution =
+    options.minImageResolution ?? DEFAULT_MIN_IMAGE_RESOLUTION;
+  const pending: PendingIssue[] = [];
+  const links: InternalLink[] = [];
+
+  const addIssue = (
+    type: IssueType,
+    message: string,
+    pagePosition: Epub.Position | null,
+    url: string | null,
+    spineIndex?: number,
+    offsetInItem?: number,
+  ): void => {
+    const issue: Issue = { type, message, pageIndex: null, cfi: null, url };
+    pending.push({ issue, pagePosition, spineIndex, offsetInItem });
+  };
+
+  opfView.spineItems.forEach((viewItem) => {
+    viewItem?.pages.forEach((page, i) => {
+      if (!page) {
+        return;
+      }
+      const pagePosition = Epub.makePageAndPosition(page, i).position;
+      if (page.isBlankPage) {
+        addIssue(
+          IssueType.BLANK_PAGE,
+          "Blank page inserted by a forced break",
+          pagePosition,
+          null,
+          page.spineIndex,
+          page.offset,
+        );
+      }
+      withPageDisplayed(page, () => {
+        for (const element of findOverflowingElements(page.container)) {
+          addIssue(
+            IssueType.OVERFLOW,
+            `<${element.localName}> element overflows its area`,
+            pagePosition,
+            null,
+            page.spineIndex,
+            getElementOffset(element) ?? page.offset,
+          );
+        }
+        const scale = page.dimensions.width
+          ? page.container.getBoundingClientRect().width / page.dimensions.width
+          : 1;
+        page.container.querySelectorAll("img").forEach((img) => {
+          if (!img.getAttribute("src")) {
+            return;
+          }
+          const offsetInItem = getElementOffset(img) ?? page.offset;
+          if (img.complete && !img.naturalWidth) {
+            addIssue(
+              IssueType.MISSING_RESOURCE,
+              `Failed to load image ${img.src}`,
+              pagePosition,
+              img.src,
+              page.spineIndex,
+              offsetInItem,
+            );
+            return;
+          }
+          const rect = img.getBoundingClientRect();
+          if (!rect.width || !rect.height || isVectorImage(img.src)) {
+            return;
+          }
+          const resolution = getEffectiveResolution(
+            img.naturalWidth,
+            img.naturalHeight,
+            rect.width / scale,
+            rect.height / scale,
+          );
+          if (resolution < minImageResolution) {
+            addIssue(
+              IssueType.LOW_RESOLUTION_IMAGE,
+              `Image resolution ${Math.round(resolution)} dpi is below ${minImageResolution} dpi`,
+              pagePosition,
+              img.src,
+              page.spineIndex,
+              offsetInItem,
+            );
+          }
+        });
+      });
+      page.container
+        .querySelectorAll(`a[href^="#${Epub.transformedIdPrefix}"]`)
+        .forEach((anchor) => {
+          const [url, fragment] = opf.documentURLTransformer.restoreURL(
+            anchor.getAttribute("href"),
+          );
+          if (fragment && !fragment.startsWith("epubcfi(")) {
+            links.push({
+              pagePosition,
+              spineIndex: page.spineIndex,
+              offsetInItem: getElementOffset(anchor) ?? page.offset,
+              url,
+              fragment,
+            });
+          }
+        });
+    });
+  });
+
+  for (const ref of opfView.counterStore.getUnresolvedReferences()) {
+    const [url, fragment] = opf.documentURLTransformer.restoreURL(ref.targetId);
+    const target = fragment ? `${url}#${fragment}` : url;
+    const page = opfView.spineItems[ref.spineIndex]?.pages[ref.pageIndex];
+    addIssue(
+      IssueType.UNRESOLVED_REFERENCE,
+      `Unresolved target-counter reference to ${target}`,
+      {
+        spineIndex: ref.spineIndex,
+        pageIndex: ref.pageIndex,
+        offsetInItem: page ? page.offset : -1,
+      },
+      target,
+      ref.spineIndex,
+      page ? page.offset : undefined,
+    );
+  }
+
+  for (const face of fontMapper.getFailedFaces()) {
+    const url = face.src.replace(/^url\("([^"]+)"\).*$/, "$1");
+    addIssue(
+      IssueType.FONT_FALLBACK,
+      `Web font "${face.family}" failed to load`,
+      null,
+      url,
+    );
+  }
+
+  for (const url of opf.store.loadErrors) {
+    addIssue(IssueType.MISSING_RESOURCE, `Failed to load ${url}`, null, url);
+  }
+
+  const frame: Task.Frame<Issue[]> = Task.newFrame("collectIssues");
+  let linkIndex = 0;
+  frame
+    .loopWithFrame((loopFrame) => {
+      if (linkIndex === links.length) {
+        loopFrame.breakLoop();
+        return;
+      }
+      const link = links[linkIndex++];
+      const path = opf.getPathFromURL(link.url);
+      const item = path == null ? null : opf.itemMapByPath[path];
+      const target = `${link.url}#${link.fragment}`;
+      const report = () => {
+        addIssue(
+          IssueType.BROKEN_LINK,
+          `Link target not found: ${target}`,
+          link.pagePosition,
+          target,
+          link.spineIndex,
+          link.offsetInItem,
+        );
+      };
+      if (!item) {
+        report();
+        loopFrame.continueLoop();
+        return;
+      }
+      opf.store.load(item.src).then((xmldoc) => {
+        if (xmldoc && !xmldoc.getElement(`#${link.fragment}`)) {
+          report();
+        }
+        loopFrame.continueLoop();
+      });
+    })
+    .then(() => {
+      let i = 0;
+      frame
+        .loopWithFrame((loopFrame) => {
+          if (i === pending.length) {
+            loopFrame.breakLoop();
+            return;
+          }
+          const { issue, pagePosition, spineIndex, offsetInItem } =
+            pending[i++];
+          const pageIndexResult: Task.Result<number | null> = pagePosition
+            ? opf.getEPageFromPosition(pagePosition)
+            : Task.newResult(null);
+          pageIndexResult.then((epage) => {
+            issue.pageIndex = epage === null ? null : Math.round(epage);
+            if (
+              spineIndex == null ||
+              offsetInItem == null ||
+              offsetInItem < 0
+            ) {
+              loopFrame.continueLoop();
+              return;
+            }
+            opf.getCFI(spineIndex, offsetInItem).then((cfi) => {
+              issue.cfi = cfi;
+              loopFrame.continueLoop();
+            });
+          });
+        })
+        .then(() => {
+          const issues = pending.map(({ issue }) => issue);
+          // Stable sort by page; issues not related to a page come last.
+          issues.sort((i1, i2) =>
+            i1.pageIndex === null
+              ? i2.pageIndex === null
+                ? 0
+                : 1
+              : i2.pageIndex === null
+                ? -1
+                : i1.pageIndex - i2.pageIndex,
+          );
+          frame.finish(issues);
+        });
+    });
+  return frame.result();
+}
@@ -1,18 +1,47 @@
 // Johannes Wilm
 // Vivliostyle Foundation
 
-import { CoreViewer } from "./core-viewer";
-
-interface IFrameWindowForPrint {
-  printInstance?: VivliostylePrint;
-}
+import {
+  CoreViewer,
+  CoreViewerOptions,
+  ImpositionOptions,
+  Payload,
+} from "./core-viewer";
+import * as Epub from "./epub";
+import * as Pdf from "./pdf";
+import * as Toc from "./toc";
+import * as Vtree from "./vtree";
 
 export interface PrintConfig {
   title: string;
   printCallback: (iframeWin: Window) => void;
-  errorCallback: (message: string) => void | null;
+  errorCallback: ((message: string) => void) | null;
   hideIframe: boolean;
   removeIframe: boolean;
+  /**
+   * Imposition of the pages on printing sheets, e.g.
+   * `{ mode: "saddleStitch" }`. The sheets are printed instead of the pages.
+   */
+  imposition?: ImpositionOptions;
+}
+
+export interface PDFConfig {
+  title: string;
+  errorCallback: ((message: string) => void) | null;
+  hideIframe: boolean;
+  /**
+   * Paper size in px used when `@page` size is not specified.
+   * Default is A4.
+   */
+  defaultPaperSize: { width: number; height: number };
+  /**
+   * Resolution of the page images relative to CSS px. Default is 2.
+   */
+  pixelRatio: number;
+  /**
+   * JPEG quality of the page images, between 0 and 1. Default is 0.92.
+   */
+  imageQuality: number;
 }
 
 class VivliostylePrint {
@@ -24,7 +53,8 @@ class VivliostylePrint {
   removeIframe: boolean;
   iframe: HTMLIFrameElement;
   iframeWin: Window;
-  window: Window & typeof globalThis & IFrameWindowForPrint;
+  viewer: CoreViewer;
+  viewerOptions: CoreViewerOptions;
 
   constructor(
     htmlDoc: string,
@@ -34,6 +64,7 @@ class VivliostylePrint {
       errorCallback = null,
       hideIframe = true,
       removeIframe = true,
+      imposition = null,
     }: PrintConfig,
   ) {
     this.htmlDoc = htmlDoc;
@@ -42,6 +73,9 @@ class VivliostylePrint {
     this.errorCallback = errorCallback;
     this.hideIframe = hideIframe;
     this.removeIframe = removeIframe;
+    if (imposition) {
+      this.viewerOptions = { imposition };
+    }
   }
 
   init() {
@@ -53,8 +87,11 @@ class VivliostylePrint {
       this.iframe.style.borderWidth = "0";
     }
 
-    this.window = window;
-    this.window.printInstance = this;
+    // Each instance listens to its own iframe, so that several documents can
+    // be printed at the same time.
+    this.iframe.addEventListener("load", () => {
+      this.runInIframe(this.iframe.contentWindow);
+    });
     this.iframe.srcdoc = `
       <!DOCTYPE html>
       <html data-vivliostyle-paginated="true">
@@ -80,7 +117,7 @@ class VivliostylePrint {
           </style>
           <style id='vivliostyle-page-rules'></style>
         </head>
-        <body onload='parent.printInstance.runInIframe(window)'>
+        <body>
           <div id="vivliostyle-viewer-viewport"></div>
         </body>
       </html>`;
@@ -91,7 +128,10 @@ class VivliostylePrint {
   runInIframe(iframeWin: Window) {
     this.iframeWin = iframeWin;
     return this.preparePrint()
-      .then(() => this.browserPrint())
+      .then(
+        () => this.browserPrint(),
+        (error: Error) => this.handleLoadError(error),
+      )
       .then(() => this.cleanUp());
   }
 
@@ -107,41 +147,480 @@ class VivliostylePrint {
         window: this.iframeWin,
         debug: true,
       });
-    return new Promise<void>((resolve) => {
+    this.viewer = Viewer;
+    return new Promise<void>((resolve, reject) => {
       Viewer.addListener("readystatechange", () => {
         if (Viewer.readyState === "complete") {
           resolve();
         }
       });
 
-      if (this.errorCallback) {
-        Viewer.addListener("error", (payload) => {
-          const message =
-            payload.content.error?.toString() ??
-            payload.content.messages.join("\n");
+      // Errors logged by the viewer are not always fatal (e.g. a missing
+      // image), so they are only reported to errorCallback.
+      let lastErrorMessage: string | null = null;
+      Viewer.addListener("error", (payload) => {
+        const message =
+          payload.content.error?.toString() ??
+          payload.content.messages.join("\n");
+        lastErrorMessage = message;
+        if (this.errorCallback) {
           this.errorCallback(message);
-        });
-      }
+        }
+      });
 
-      Viewer.loadDocument({
-        url: docURL,
+      // The document failed to load if the loading action is done but the
+      // viewer is still loading. Without rejecting, the promise would never
+      // be settled.
+      Viewer.addListener("done", (payload) => {
+        if (
+          (payload["a"] === "loadXML" || payload["a"] === "loadPublication") &&
+          Viewer.readyState === "loading"
+        ) {
+          reject(new Error(lastErrorMessage ?? "Failed to load the document"));
+        }
       });
+
+      Viewer.loadDocument(
+        {
+          url: docURL,
+        },
+        undefined,
+        this.viewerOptions,
+      );
     });
   }
 
-  browserPrint() {
+  browserPrint(): void | Promise<void> {
     this.printCallback(this.iframeWin);
   }
 
+  /**
+   * Called instead of `browserPrint()` when the document fails to load. The
+   * error is already reported to `errorCallback`.
+   */
+  handleLoadError(error: Error): void {}
+
   cleanUp() {
-    delete this.window.printInstance;
     if (this.removeIframe) {
       this.iframe.parentElement.removeChild(this.iframe);
     }
   }
 }
 
+// A4 in px
+const defaultPDFPaperSize = {
+  width: (210 / 25.4) * 96,
+  height: (297 / 25.4) * 96,
+};
+
+const cssURLPattern = /url\(\s*(["']?)([^"')]+)\1\s*\)/g;
+
+function blobToDataURL(blob: Blob): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result as string);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Returns a function that fetches a resource and converts it to a data URL,
+ * so that it can be used in an SVG image that cannot load external
+ * resources. Resources that cannot be fetched are left as is.
+ */
+function createDataURLFetcher(): (url: string) => Promise<string> {
+  const cache: { [key: string]: Promise<string> } = {};
+  return (url) => {
+    if (!url || url.startsWith("data:")) {
+      return Promise.resolve(url);
+    }
+    if (!cache[url]) {
+      cache[url] = fetch(url)
+        .then((response) => response.blob())
+        .then(blobToDataURL)
+        .catch(() => url);
+    }
+    return cache[url];
+  };
+}
+
+function inlineCSSURLs(
+  cssText: string,
+  baseURL: string,
+  fetchDataURL: (url: string) => Promise<string>,
+): Promise<string> {
+  const urls: string[] = [];
+  cssText.replace(cssURLPattern, (match, quote, url) => {
+    urls.push(url);
+    return match;
+  });
+  return Promise.all(
+    urls.map((url) => fetchDataURL(new URL(url, baseURL).href)),
+  ).then((dataURLs) => {
+    let i = 0;
+    return cssText.replace(cssURLPattern, () => `url("${dataURLs[i++]}")`);
+  });
+}
+
+function getStyleText(
+  doc: Document,
+  fetchDataURL: (url: string) => Promise<string>,
+): Promise<string> {
+  const texts: Promise<string>[] = [];
+  for (const sheet of Array.from(doc.styleSheets)) {
+    let rules: CSSRuleList;
+    try {
+      rules = sheet.cssRules;
+    } catch (e) {
+      // cross-origin stylesheet
+      continue;
+    }
+    const text = Array.from(rules)
+      .map((rule) => rule.cssText)
+      .join("\n");
+    texts.push(inlineCSSURLs(text, sheet.href || doc.baseURI, fetchDataURL));
+  }
+  return Promise.all(texts).then((t) => t.join("\n"));
+}
+
+/**
+ * Replace the URLs of images in the cloned page with data URLs.
+ */
+function inlinePageResources(
+  original: HTMLElement,
+  clone: HTMLElement,
+  fetchDataURL: (url: string) => Promise<string>,
+): Promise<unknown> {
+  const doc = original.ownerDocument;
+  const tasks: Promise<void>[] = [];
+  const originalImages = original.querySelectorAll("img");
+  clone.querySelectorAll("img").forEach((img, i) => {
+    const src = originalImages[i].currentSrc || originalImages[i].src;
+    img.removeAttribute("srcset");
+    img.removeAttribute("sizes");
+    tasks.push(
+      fetchDataURL(src).then((dataURL) => {
+        img.src = dataURL;
+      }),
+    );
+  });
+  clone.querySelectorAll("image").forEach((image) => {
+    const href =
+      image.getAttribute("href") ||
+      image.getAttributeNS("http://www.w3.org/1999/xlink", "href");
+    if (href) {
+      tasks.push(
+        fetchDataURL(new URL(href, doc.baseURI).href).then((dataURL) => {
+          image.removeAttributeNS("http://www.w3.org/1999/xlink", "href");
+          image.setAttribute("href", dataURL);
+        }),
+      );
+    }
+  });
+  clone.querySelectorAll("[style*='url(']").forEach((elem) => {
+    tasks.push(
+      inlineCSSURLs(elem.getAttribute("style"), doc.baseURI, fetchDataURL).then(
+        (style) => {
+          elem.setAttribute("style", style);
+        },
+      ),
+    );
+  });
+  // The content of canvas elements is not cloned.
+  const originalCanvases = original.querySelectorAll("canvas");
+  clone.querySelectorAll("canvas").forEach((canvas, i) => {
+    const img = doc.createElement("img");
+    try {
+      img.src = originalCanvases[i].toDataURL();
+    } catch (e) {
+      // tainted canvas
+    }
+    img.setAttribute("style", canvas.getAttribute("style") || "");
+    img.width = canvas.width;
+    img.height = canvas.height;
+    canvas.parentNode.replaceChild(img, canvas);
+  });
+  return Promise.all(tasks);
+}
+
+function loadImage(url: string): Promise<HTMLImageElement> {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Failed to load page image."));
+    img.src = url;
+  });
+}
+
+/**
+ * Render a page container to a JPEG image, via an SVG image containing the
+ * page in a foreignObject.
+ */
+function renderPageImage(
+  container: HTMLElement,
+  width: number,
+  height: number,
+  styleText: string,
+  fetchDataURL: (url: string) => Promise<string>,
+  pixelRatio: number,
+  imageQuality: number,
+): Promise<Pdf.PageImage> {
+  const doc = container.ownerDocument;
+  const clone = container.cloneNode(true) as HTMLElement;
+  clone.style.display = "block";
+  clone.style.margin = "0";
+  clone.style.transform = "none";
+  const canvas = doc.createElement("canvas");
+  canvas.width = Math.ceil(width * pixelRatio);
+  canvas.height = Math.ceil(height * pixelRatio);
+
+  return inlinePageResources(container, clone, fetchDataURL)
+    .then(() => {
+      const wrapper = doc.createElement("div");
+      const style = doc.createElement("style");
+      style.textContent = styleText;
+      wrapper.appendChild(style);
+      wrapper.appendChild(clone);
+      const svg =
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+        `<foreignObject x="0" y="0" width="100%" height="100%">` +
+        new XMLSerializer().serializeToString(wrapper) +
+        `</foreignObject></svg>`;
+      return loadImage(
+        `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`,
+      );
+    })
+    .then((img) => {
+      const context = canvas.getContext("2d");
+      context.fillStyle = "#ffffff";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(img, 0, 0, canvas.width, canvas.height);
+      return new Promise<Blob>((resolve, reject) => {
+        canvas.toBlob(
+          (blob) =>
+            blob
+              ? resolve(blob)
+              : reject(new Error("Failed to render page image.")),
+          "image/jpeg",
+          imageQuality,
+        );
+      });
+    })
+    .then((blob) => blob.arrayBuffer())
+    .then((buffer) => ({
+      data: new Uint8Array(buffer),
+      width: canvas.width,
+      height: canvas.height,
+    }));
+}
+
+function getDocumentInfo(metadata: Epub.Meta, title: string): Pdf.DocumentInfo {
+  const values = (term: string) =>
+    ((metadata && metadata[term]) || []).map((item) => item.v);
+  const dcterms = Epub.predefinedPrefixes.dcterms;
+  return {
+    title: title || values(Epub.metaTerms.title)[0],
+    author: values(Epub.metaTerms.creator).join(", "),
+    subject: values(`${dcterms}description`)[0],
+    keywords: values(`${dcterms}subject`).join(", "),
+    language: values(Epub.metaTerms.language)[0],
+    creator: "Vivliostyle.js",
+    producer: "Vivliostyle.js",
+  };
+}
+
+class VivliostylePDFExport extends VivliostylePrint {
+  pixelRatio: number;
+  imageQuality: number;
+  resolve: (pdf: Blob) => void;
+  reject: (error: Error) => void;
+
+  constructor(
+    htmlDoc: string,
+    {
+      title = "",
+      errorCallback = null,
+      hideIframe = true,
+      defaultPaperSize = defaultPDFPaperSize,
+      pixelRatio = 2,
+      imageQuality = 0.92,
+    }: Partial<PDFConfig>,
+    resolve: (pdf: Blob) => void,
+    reject: (error: Error) => void,
+  ) {
+    super(htmlDoc, {
+      title,
+      printCallback: null,
+      errorCallback,
+      hideIframe,
+      removeIframe: true,
+    });
+    this.viewerOptions = { defaultPaperSize };
+    this.pixelRatio = pixelRatio;
+    this.imageQuality = imageQuality;
+    this.resolve = resolve;
+    this.reject = reject;
+  }
+
+  override browserPrint(): Promise<void> {
+    return this.createPDF().then(this.resolve, this.reject);
+  }
+
+  override handleLoadError(error: Error): void {
+    this.reject(error);
+  }
+
+  getPageContainers(): HTMLElement[] {
+    return (
+      Array.from(
+        this.iframeWin.document.querySelectorAll(
+          "[data-vivliostyle-page-container]",
+        ),
+      ) as HTMLElement[]
+    ).filter((container) => !container.closest("[data-vivliostyle-toc-box]"));
+  }
+
+  /**
+   * Get the PDF outline from the bookmarks generated by the CSS bookmark-*
+   * properties if any. Otherwise, show the TOC box temporarily to get the TOC
+   * structure, and convert it to the PDF outline.
+   */
+  getOutline(containers: HTMLElement[]): Promise<Pdf.OutlineItem[]> {
+    const bookmarks = this.viewer.getBookmarks();
+    if (bookmarks.length > 0) {
+      return Promise.resolve(Pdf.outlineFromBookmarks(bookmarks));
+    }
+    const findPageIndex = (id: string) => {
+      if (!id) {
+        return -1;
+      }
+      const selector = `[id="${CSS.escape(id)}"],[data-vivliostyle-id="${CSS.escape(id)}"]`;
+      return containers.findIndex((container) =>
+        container.querySelector(selector),
+      );
+    };
+    const convert = (items: Toc.TOCItem[]): Pdf.OutlineItem[] =>
+      items.map((item) => ({
+        title: item.title,
+        pageIndex: findPageIndex(item.id),
+        children: convert(item.children),
+      }));
+
+    return new Promise((resolve) => {
+      const listener = (payload: Payload) => {
+        if (payload["a"] !== "toc") {
+          return;
+        }
+        this.viewer.removeListener("done", listener);
+        const toc = this.viewer.getTOC() || [];
+        this.viewer.showTOC(false);
+        resolve(convert(toc));
+      };
+      this.viewer.addListener("done", listener);
+      this.viewer.showTOC(true, false);
+    });
+  }
+
+  /**
+   * Returns the page index of each element ID, used as named destinations.
+   */
+  getDestinations(containers: HTMLElement[]): { [name: string]: number } {
+    const destinations: { [name: string]: number } = {};
+    containers.forEach((container, pageIndex) => {
+      container
+        .querySelectorAll(`[id]:not([${Vtree.SPECIAL_ATTR}])`)
+        .forEach((elem) => {
+          if (!(elem.id in destinations)) {
+            destinations[elem.id] = pageIndex;
+          }
+        });
+    });
+    return destinations;
+  }
+
+  createPDF(): Promise<Blob> {
+    const containers = this.getPageContainers();
+    const fetchDataURL = createDataURLFetcher();
+    const pages: Pdf.Page[] = [];
+    let outline: Pdf.OutlineItem[];
+
+    return this.getOutline(containers)
+      .then((items) => {
+        outline = items;
+        return getStyleText(this.iframeWin.document, fetchDataURL);
+      })
+      .then((styleText) =>
+        // Render the pages one by one to limit the memory usage.
+        containers.reduce(
+          (prev, container) =>
+            prev.then(() => {
+              // The page container is sized to the page sheet.
+              const size = {
+                width:
+                  parseFloat(container.style.width) || container.offsetWidth,
+                height:
+                  parseFloat(container.style.height) || container.offsetHeight,
+              };
+              const sizeAndBleed = this.viewer.getPageSizeAndBleed(container);
+              return renderPageImage(
+                container,
+                size.width,
+                size.height,
+                styleText,
+                fetchDataURL,
+                this.pixelRatio,
+                this.imageQuality,
+              ).then((image) => {
+                pages.push({
+                  width: size.width,
+                  height: size.height,
+                  bleed: sizeAndBleed ? sizeAndBleed.bleed : 0,
+                  cropOffset: sizeAndBleed ? sizeAndBleed.cropOffset : 0,
+                  image,
+                });
+              });
+            }),
+          Promise.resolve(),
+        ),
+      )
+      .then(() =>
+        Pdf.createPDF(
+          pages,
+          outline,
+          getDocumentInfo(this.viewer.getMetadata(), this.title),
+          this.getDestinations(containers),
+        ),
+      );
+  }
+}
+
 export function printHTML(htmlDoc: string, config: PrintConfig) {
   const instance = new VivliostylePrint(htmlDoc, config);
   instance.init();
 }
+
+/**
+ * Render the HTML document and export it as a PDF. Each page is embedded as
+ * an image with the page size, bleed box and trim box of the page. The
+ * bookmarks (or the TOC if no bookmarks) and metadata of the document are
+ * exported as the PDF outline and document information, and the element IDs
+ * as named destinations.
+ *
+ * Note that the pages are rasterized: the PDF contains no text, so its
+ * content cannot be selected, searched or read by assistive technologies,
+ * and text and images are rendered at the resolution given by `pixelRatio`
+ * and compressed as JPEG. For print-quality PDF with text, use the print
+ * function of the browser (`printHTML()`) or Vivliostyle CLI.
+ * @returns Promise resolved with the PDF Blob, or rejected if the document
+ *   fails to load or to be exported
+ */
+export function exportPDF(
+  htmlDoc: string,
+  config: Partial<PDFConfig> = {},
+): Promise<Blob> {
+  return new Promise((resolve, reject) => {
+    const instance = new VivliostylePDFExport(htmlDoc, config, resolve, reject);
+    instance.init();
+  });
+}
@@ -56,6 +56,13 @@ export class Profiler {
     registerTiming.call(this, name, "end", timestamp);
   }
 
+  /**
+   * Returns the current timestamp in ms, even if profile is disabled.
+   */
+  now(): number {
+    return this.performanceInstance.now();
+  }
+
   /**
    * Log registered timings (start/end/duration).
    * All values are printed in ms unit.
@@ -125,7 +125,7 @@ export function loadScript(
   const scriptElem = window.document.createElement("script");
   scriptElem.textContent = scriptContent;
   if (src) {
-    scriptElem.src = src;
+    scriptElem.src = Net.resolveArchiveURL(src);
   }
   scriptElem.async = async;
   scriptElem.defer = defer;
@@ -340,6 +340,7 @@ export class Continuation<T> implements Base.Comparable {
   scheduledTime: number = 0;
   order: number = 0;
   result: T = null;
+  exception: Error | null = null;
   canceled: boolean = false;
 
   constructor(public task: Task) {}
@@ -374,7 +375,11 @@ export class Continuation<T> implements Base.Comparable {
       task.continuation = null;
       const savedTask = privateCurrentTask;
       privateCurrentTask = task;
-      task.top.finish(this.result);
+      if (this.exception) {
+        task.raise(this.exception);
+      } else {
+        task.top.finish(this.result);
+      }
       privateCurrentTask = savedTask;
       return true;
     }
@@ -417,14 +422,18 @@ export class Task {
    * @param err exception to throw in the task's context.
    */
   interrupt(err: Error): void {
-    this.raise(err || new Error("E_TASK_INTERRUPT"));
+    err = err || new Error("E_TASK_INTERRUPT");
     if (this !== privateCurrentTask && this.continuation) {
-      // blocked on something
+      // blocked on something: the exception is thrown when the task resumes,
+      // so that the error handlers run in the task's context.
       this.continuation.cancel();
       const continuation = new Continuation(this);
+      continuation.exception = err;
       this.waitTarget = "interrupt";
       this.continuation = continuation;
       this.scheduler.schedule(continuation);
+    } else {
+      this.raise(err);
     }
   }
 
@@ -0,0 +1,216 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @fileoverview TextSearch - Full-text search in the source documents.
+ */
+import * as Base from "./base";
+
+/**
+ * Options of the text search.
+ * - caseSensitive: Distinguish upper and lower case letters.
+ * - wholeWord: Match only whole words.
+ * - regexp: The query is a regular expression.
+ * - maxHits: Stop searching after this number of hits (default: 1000).
+ */
+export type SearchOptions = {
+  caseSensitive?: boolean;
+  wholeWord?: boolean;
+  regexp?: boolean;
+  maxHits?: number;
+};
+
+/**
+ * A search hit.
+ * - spineIndex, offsetInItem: Position of the start of the match.
+ * - cfi: EPUB CFI of the start of the match.
+ * - url: Internal URL of the match, for `CoreViewer.navigateToInternalUrl()`.
+ * - before, match, after: The matched text and its surrounding context.
+ */
+export type SearchHit = {
+  spineIndex: number;
+  offsetInItem: number;
+  cfi: string;
+  url: string;
+  before: string;
+  match: string;
+  after: string;
+};
+
+export const DEFAULT_MAX_HITS = 1000;
+
+const CONTEXT_LENGTH = 30;
+
+/**
+ * Elements whose content is not searched.
+ */
+const SKIPPED_ELEMENTS = ["head", "script", "style", "template", "rp", "rt"];
+
+/**
+ * Elements that separate the text so that a match does not span them.
+ */
+const BLOCK_ELEMENTS = [
+  "address",
+  "article",
+  "aside",
+  "blockquote",
+  "br",
+  "caption",
+  "dd",
+  "div",
+  "dt",
+  "figcaption",
+  "footer",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "header",
+  "hr",
+  "li",
+  "nav",
+  "p",
+  "pre",
+  "section",
+  "td",
+  "th",
+  "title",
+];
+
+/**
+ * Create the regular expression for the query.
+ * @throws SyntaxError if the query is an invalid regular expression
+ */
+export function createPattern(query: string, options: SearchOptions): RegExp {
+  let source = options.regexp
+    ? query
+    : query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  if (options.wholeWord) {
+    source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+  }
+  return new RegExp(source, options.caseSensitive ? "gu" : "giu");
+}
+
+/**
+ * Text content of a document, with the text nodes it comes from.
+ */
+export class TextIndex {
+  text: string = "";
+  nodes: Text[] = [];
+  starts: number[] = [];
+
+  constructor(root: Element) {
+    const sb = new Base.StringBuffer();
+    let length = 0;
+    const separate = () => {
+      if (length > 0) {
+        sb.append("\n");
+        length++;
+      }
+    };
+    const walk = (node: Node) => {
+      for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType == 3 || child.nodeType == 4) {
+          this.nodes.push(child as Text);
+          this.starts.push(length);
+          sb.append(child.textContent);
+          length += child.textContent.length;
+        } else if (child.nodeType == 1) {
+          const name = (child as Element).localName;
+          if (SKIPPED_ELEMENTS.includes(name)) {
+            continue;
+          }
+          const block = BLOCK_ELEMENTS.includes(name);
+          if (block) {
+            separate();
+          }
+          walk(child);
+          if (block) {
+            separate();
+          }
+        }
+      }
+    };
+    walk(root);
+    this.text = sb.toString();
+  }
+
+  /**
+   * @returns the text node and the offset in it at the index in the text
+   */
+  locate(index: number): { node: Text; offset: number } | null {
+    let low = 0;
+    let high = this.starts.length - 1;
+    if (high < 0) {
+      return null;
+    }
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.starts[mid] <= index) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    const node = this.nodes[low];
+    return {
+      node,
+      offset: Math.min(index - this.starts[low], node.length),
+    };
+  }
+
+  /**
+   * Find the matches of the pattern.
+   * @param pattern A regular expression with the global flag
+   */
+  find(
+    pattern: RegExp,
+    maxHits: number,
+  ): {
+    node: Text;
+    offset: number;
+    before: string;
+    match: string;
+    after: string;
+  }[] {
+    const results = [];
+    const normalize = (str: string) => str.replace(/\s+/g, " ");
+    pattern.lastIndex = 0;
+    let r: RegExpExecArray | null;
+    while (results.length < maxHits && (r = pattern.exec(this.text))) {
+      if (r[0].length == 0) {
+        pattern.lastIndex++;
+        continue;
+      }
+      const position = this.locate(r.index);
+      if (!position) {
+        break;
+      }
+      results.push({
+        ...position,
+        before: normalize(
+          this.text.substring(r.index - CONTEXT_LENGTH, r.index),
+        ).trimStart(),
+        match: normalize(r[0]),
+        after: normalize(
+          this.text.substr(r.index + r[0].length, CONTEXT_LENGTH),
+        ).trimEnd(),
+      });
+    }
+    return results;
+  }
+}
@@ -93,6 +93,118 @@ export function findTocAnchorElements(doc: Document): Array<Element> {
   return anchors;
 }
 
+/**
+ * An entry of the page list (`<nav epub:type="page-list">` or NCX
+ * `pageList`), i.e. the location of a page break of the print edition.
+ * - label: Page label, e.g. "xii" or "215".
+ * - href: Absolute URL of the page break location.
+ */
+export type PageListItem = {
+  label: string;
+  href: string;
+};
+
+/**
+ * An entry of the landmarks (`<nav epub:type="landmarks">`).
+ * - type: Structural semantics of the landmark, e.g. "cover", "toc",
+ *   "bodymatter" or "index".
+ * - label: Text of the landmark link.
+ * - href: Absolute URL of the landmark.
+ */
+export type LandmarkItem = {
+  type: string;
+  label: string;
+  href: string;
+};
+
+function getEpubTypes(elem: Element): string[] {
+  const types =
+    elem.getAttributeNS(Base.NS.epub, "type") || elem.getAttribute("epub:type");
+  return types ? types.trim().split(/\s+/) : [];
+}
+
+function getLabelText(elem: Element): string {
+  return elem.textContent.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Find the navigation elements of the given EPUB type (e.g. "page-list") or,
+ * if not found, of the given ARIA role (e.g. "doc-pagelist") for webpub.
+ */
+export function findNavElements(
+  doc: Document,
+  epubType: string,
+  role: string,
+): Element[] {
+  const navElems = Array.from(doc.querySelectorAll("nav")).filter((elem) =>
+    getEpubTypes(elem).includes(epubType),
+  );
+  if (navElems.length > 0) {
+    return navElems;
+  }
+  return Array.from(doc.querySelectorAll("[role]")).filter((elem) =>
+    elem.getAttribute("role").split(/\s+/).includes(role),
+  );
+}
+
+/**
+ * Collect the page list entries of the navigation document.
+ * @param baseURL URL of the navigation document to resolve the links
+ */
+export function getPageList(doc: Document, baseURL: string): PageListItem[] {
+  const items: PageListItem[] = [];
+  for (const navElem of findNavElements(doc, "page-list", "doc-pagelist")) {
+    for (const anchor of navElem.querySelectorAll("li a[href]")) {
+      items.push({
+        label: getLabelText(anchor),
+        href: Base.resolveURL(anchor.getAttribute("href"), baseURL),
+      });
+    }
+  }
+  return items;
+}
+
+/**
+ * Collect the landmarks of the navigation document.
+ * @param baseURL URL of the navigation document to resolve the links
+ */
+export function getLandmarks(doc: Document, baseURL: string): LandmarkItem[] {
+  const items: LandmarkItem[] = [];
+  for (const navElem of findNavElements(doc, "landmarks", "doc-landmarks")) {
+    for (const anchor of navElem.querySelectorAll("li a[href]")) {
+      const href = Base.resolveURL(anchor.getAttribute("href"), baseURL);
+      const label = getLabelText(anchor);
+      for (const type of getEpubTypes(anchor)) {
+        items.push({ type, label, href });
+      }
+    }
+  }
+  return items;
+}
+
+/**
+ * Collect the page list entries of an EPUB 2 NCX document (`pageList`).
+ * @param baseURL URL of the NCX document to resolve the links
+ */
+export function getNCXPageList(doc: Document, baseURL: string): PageListItem[] {
+  const items: PageListItem[] = [];
+  for (const pageTarget of Array.from(
+    doc.getElementsByTagNameNS("*", "pageTarget"),
+  )) {
+    const text = pageTarget.getElementsByTagNameNS("*", "text")[0];
+    const content = pageTarget.getElementsByTagNameNS("*", "content")[0];
+    const src = content && content.getAttribute("src");
+    if (!src) {
+      continue;
+    }
+    items.push({
+      label: text ? getLabelText(text) : pageTarget.getAttribute("value") || "",
+      href: Base.resolveURL(src, baseURL),
+    });
+  }
+  return items;
+}
+
 export class TOCView implements Vgen.CustomRendererFactory {
   pref: Exprs.Preferences;
   page: Vtree.Page = null;
@@ -26,6 +26,8 @@ import * as TaskUtil from "./task-util";
 
 export type FormattingContextType =
   | "Block"
+  | "Flex"
+  | "Grid"
   | "RepetitiveElementsOwner"
   | "Table";
 
@@ -622,6 +624,10 @@ export namespace Net {
     ): TaskUtil.Fetcher<Resource>;
     get(url: string): XmlDoc.XMLDocHolder;
     delete(url: string): void;
+    /**
+     * Abort the fetches in progress.
+     */
+    abort(): void;
   }
 }
 
@@ -669,6 +675,7 @@ export namespace PageFloats {
     shouldBeStashedBefore(float: PageFloat): boolean;
     addContinuations(continuations: PageFloatContinuation[]): void;
     getFlowName(): string;
+    isOutsideContainer(): boolean;
   }
 
   export interface PageFloatContinuation {
@@ -686,6 +693,7 @@ export namespace PageFloats {
     writingMode: Css.Val;
     direction: Css.Val;
     floatFragments: PageFloatFragment[];
+    pageSide: string | null;
     readonly parent: PageFloatLayoutContext;
     readonly flowName: string | null;
     readonly generatingNodePosition: Vtree.NodePosition | null;
@@ -801,6 +809,20 @@ export namespace PageFloats {
       floatContainer: Vtree.Container,
       column: Layout.Column,
     );
+    /**
+     * Sets the position and size of the float area.
+     * @see PageFloatLayoutContext.setFloatAreaDimensions
+     */
+    setFloatAreaDimensions(
+      floatArea: Layout.PageFloatArea,
+      floatReference: FloatReference,
+      floatSide: string,
+      anchorEdge: number | null,
+      init: boolean,
+      force: boolean,
+      condition: PageFloatPlacementCondition,
+      pageFloatLayoutContext: PageFloatLayoutContext,
+    ): string | null;
     forbid(float: PageFloat, pageFloatLayoutContext: PageFloatLayoutContext);
   }
 }
@@ -1298,6 +1320,8 @@ export namespace Vtree {
     fragmentIndex: number;
     afterIfContinues: Selectors.AfterIfContinues;
     footnotePolicy: Css.Ident | null;
+    lineGrid: boolean;
+    blockStepSize: Css.Numeric | null;
     pageType: string | null;
 
     sourceNode: Node;
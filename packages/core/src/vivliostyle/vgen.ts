@@ -708,10 +708,20 @@ export class ViewFactory
           } else {
             props[name] = value;
           }
-          if (!["widows", "orphans"].includes(name)) {
+          if (
+            ![
+              "widows",
+              "orphans",
+              "hyphens",
+              "hyphenate-limit-chars",
+              "hyphenate-limit-last",
+            ].includes(name)
+          ) {
             // Note: widows and orphans are polyfilled for page and
             // root multi-column, but they should be left to the browser
             // for multi-column boxes inside body. (Issue #1182)
+            // Hyphenation properties are also left to the browser for the
+            // languages not hyphenated by Hyphenation.
             delete computedStyle[name];
           }
         }
@@ -780,14 +790,17 @@ export class ViewFactory
     const floatCV: CssCascade.CascadeValue = elementStyle["float"];
     const floatReferenceCV: CssCascade.CascadeValue =
       elementStyle["float-reference"];
+    // Margin notes are always placed in the margin of the page.
     const floatReference =
-      floatCV &&
-      !Css.isDefaultingValue(floatCV.value) &&
-      floatCV.value !== Css.ident.none &&
-      floatReferenceCV &&
-      !Css.isDefaultingValue(floatReferenceCV.value)
-        ? PageFloats.floatReferenceOf(floatReferenceCV.value.toString())
-        : null;
+      floatCV && floatCV.value === Css.ident.margin_note
+        ? PageFloats.FloatReference.PAGE
+        : floatCV &&
+            !Css.isDefaultingValue(floatCV.value) &&
+            floatCV.value !== Css.ident.none &&
+            floatReferenceCV &&
+            !Css.isDefaultingValue(floatReferenceCV.value)
+          ? PageFloats.floatReferenceOf(floatReferenceCV.value.toString())
+          : null;
     if (
       this.nodeContext.parent &&
       (Display.isRunning(positionCV?.value) ||
@@ -917,7 +930,8 @@ export class ViewFactory
         floatSide === Css.ident.block_end ||
         floatSide === Css.ident.snap_block ||
         floatSide === Css.ident.snap_inline ||
-        floatSide === Css.ident.footnote;
+        floatSide === Css.ident.footnote ||
+        floatSide === Css.ident.margin_note;
       if (floatSide) {
         // Don't want to set it in view DOM CSS.
         delete computedStyle["float"];
@@ -931,6 +945,13 @@ export class ViewFactory
           } else {
             computedStyle["display"] = Css.ident.inline;
           }
+        } else if (
+          floatSide === Css.ident.margin_note &&
+          (!display || Display.isInlineLevel(display))
+        ) {
+          // Margin notes are blockified like floats.
+          display = Css.ident.flow_root;
+          computedStyle["display"] = display;
         }
       }
       if (clearSide) {
@@ -993,6 +1014,11 @@ export class ViewFactory
         floatMinWrapBlock && !Css.isDefaultingValue(floatMinWrapBlock)
           ? (floatMinWrapBlock as Css.Numeric)
           : null;
+      this.nodeContext.lineGrid =
+        computedStyle["line-grid"] === Css.ident.create;
+      const blockStepSize = computedStyle["block-step-size"];
+      this.nodeContext.blockStepSize =
+        blockStepSize instanceof Css.Numeric ? blockStepSize : null;
 
       // Leaves handling of multicol specified on non-root/body elements to the browser
       const insideNonRootMultiColumn = this.isInsideNonRootMultiColumn();
@@ -1362,11 +1388,17 @@ export class ViewFactory
                   attributeValue,
                   this.xmldoc.url,
                 );
+              } else {
+                attributeValue = Net.resolveArchiveURL(attributeValue);
               }
             } else if (attributeName == "srcset") {
               attributeValue = attributeValue
                 .split(",")
-                .map((value) => this.resolveURL(value.trim()))
+                .map((value) => {
+                  const [url, descriptor] = value.trim().split(/\s+/, 2);
+                  const resolved = Net.resolveArchiveURL(this.resolveURL(url));
+                  return descriptor ? `${resolved} ${descriptor}` : resolved;
+                })
                 .join(",");
             } else if (
               attributeName === "data" &&
@@ -1518,7 +1550,9 @@ export class ViewFactory
         delete computedStyle["content"];
         const listStyleImage = computedStyle["list-style-image"];
         if (listStyleImage && listStyleImage instanceof Css.URL) {
-          const listStyleURL = (listStyleImage as Css.URL).url;
+          const listStyleURL = Net.resolveArchiveURL(
+            (listStyleImage as Css.URL).url,
+          );
           fetchers.push(Net.loadElement(new Image(), listStyleURL));
         }
         this.preprocessElementStyle(computedStyle);
@@ -2256,7 +2290,7 @@ export class ViewFactory
         this.addImageFetchers(values[i]);
       }
     } else if (bg instanceof Css.URL) {
-      const url = (bg as Css.URL).url;
+      const url = Net.resolveArchiveURL((bg as Css.URL).url);
       this.page.fetchers.push(Net.loadElement(new Image(), url));
     }
   }
@@ -28,6 +28,7 @@ import * as CssTokenizer from "./css-tokenizer";
 import * as Diff from "./diff";
 import * as Exprs from "./exprs";
 import * as GeometryUtil from "./geometry-util";
+import * as Net from "./net";
 import * as TaskUtil from "./task-util";
 import { assert } from "./asserts";
 import {
@@ -143,6 +144,22 @@ export class Page extends Base.SimpleEventTarget {
     right: { [key: string]: Container };
   } = { top: {}, bottom: {}, left: {}, right: {} };
   pageType: string | null = null;
+  /**
+   * Page size, bleed and crop offset in px, evaluated from the page context
+   * (see CssPage.EvaluatedPageSizeAndBleed).
+   */
+  pageSizeAndBleed: {
+    pageWidth: number;
+    pageHeight: number;
+    bleed: number;
+    bleedOffset: number;
+    cropOffset: number;
+  } | null = null;
+  /**
+   * Rotation of the page area specified by `page-orientation`, in degrees
+   * clockwise (-90, 0 or 90).
+   */
+  pageOrientation: number = 0;
 
   constructor(
     public readonly container: HTMLElement,
@@ -615,6 +632,8 @@ export class NodeContext implements Vtree.NodeContext {
   fragmentIndex: number = 1;
   afterIfContinues: Selectors.AfterIfContinues = null;
   footnotePolicy: Css.Ident | null = null;
+  lineGrid: boolean = false;
+  blockStepSize: Css.Numeric | null = null;
   pageType: string | null;
 
   constructor(
@@ -671,6 +690,8 @@ export class NodeContext implements Vtree.NodeContext {
     this.fragmentIndex = 1;
     this.afterIfContinues = null;
     this.footnotePolicy = null;
+    this.lineGrid = false;
+    this.blockStepSize = null;
   }
 
   private cloneItem(): NodeContext {
@@ -713,6 +734,8 @@ export class NodeContext implements Vtree.NodeContext {
     np.fragmentIndex = this.fragmentIndex;
     np.afterIfContinues = this.afterIfContinues;
     np.footnotePolicy = this.footnotePolicy;
+    np.lineGrid = this.lineGrid;
+    np.blockStepSize = this.blockStepSize;
     return np;
   }
 
@@ -1348,11 +1371,13 @@ export class ContentPropertyHandler extends Css.Visitor {
   }
 
   override visitURL(url: Css.URL): Css.Val {
+    // Files in a zipped EPUB have to be referred by object URLs
+    const src = Net.resolveArchiveURL(url.url);
     if ((this.rootContentValue as any).url) {
-      this.elem.setAttribute("src", url.url);
+      this.elem.setAttribute("src", src);
     } else {
       const img = this.elem.ownerDocument.createElementNS(Base.NS.XHTML, "img");
-      img.setAttribute("src", url.url);
+      img.setAttribute("src", src);
       this.elem.appendChild(img);
     }
     return null;
@@ -0,0 +1,268 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @fileoverview WordSegmentation - Word segmentation of Southeast Asian
+ * scripts (Thai, Lao, Khmer and Burmese) written without spaces between
+ * words.
+ */
+import * as Logging from "./logging";
+import * as Net from "./net";
+import * as Plugin from "./plugin";
+import * as Task from "./task";
+import { Vtree } from "./types";
+
+const ZERO_WIDTH_SPACE = "\u200B";
+
+/**
+ * The scripts needing word segmentation, with the languages used for the
+ * segmentation.
+ */
+const SCRIPTS: { lang: string; char: RegExp; run: RegExp }[] = [
+  ["th", "Thai"],
+  ["lo", "Lao"],
+  ["km", "Khmer"],
+  ["my", "Myanmar"],
+].map(([lang, script]) => ({
+  lang,
+  char: new RegExp(`\\p{sc=${script}}`, "u"),
+  run: new RegExp(`\\p{sc=${script}}+`, "gu"),
+}));
+
+const SOUTHEAST_ASIAN_CHAR =
+  /[\p{sc=Thai}\p{sc=Lao}\p{sc=Khmer}\p{sc=Myanmar}]/u;
+
+/**
+ * Word segmenter by the longest match with a word list, used where
+ * `Intl.Segmenter` is not available.
+ */
+export class DictionarySegmenter {
+  private words: Set<string>;
+  private maxLength = 0;
+
+  constructor(words: string[]) {
+    this.words = new Set(words);
+    for (const word of words) {
+      this.maxLength = Math.max(this.maxLength, word.length);
+    }
+  }
+
+  /**
+   * @return The word boundaries in the text, including 0 and the length of
+   *     the text. Consecutive characters not found in the word list are kept
+   *     together.
+   */
+  segment(text: string): number[] {
+    const boundaries = [0];
+    let i = 0;
+    while (i < text.length) {
+      let length = Math.min(this.maxLength, text.length - i);
+      while (length > 0 && !this.words.has(text.substr(i, length))) {
+        length--;
+      }
+      if (length > 0) {
+        if (boundaries[boundaries.length - 1] !== i) {
+          boundaries.push(i);
+        }
+        i += length;
+        boundaries.push(i);
+      } else {
+        i++;
+      }
+    }
+    if (boundaries[boundaries.length - 1] !== text.length) {
+      boundaries.push(text.length);
+    }
+    return boundaries;
+  }
+}
+
+const dictionaries: Map<string, DictionarySegmenter> = new Map();
+
+/**
+ * Registers the word list used for the word segmentation of a language when
+ * `Intl.Segmenter` is not available.
+ * @param lang Language of the script: `th` (Thai), `lo` (Lao), `km` (Khmer)
+ *     or `my` (Burmese).
+ * @param words Content of the word list, one word per line.
+ */
+export function registerDictionary(lang: string, words: string): void {
+  dictionaries.set(
+    lang.toLowerCase(),
+    new DictionarySegmenter(
+      words
+        .split(/\r?\n/)
+        .map((word) => word.trim())
+        .filter((word) => word),
+    ),
+  );
+}
+
+/**
+ * Loads the word list files for the fallback word segmentation.
+ */
+export function loadDictionaries(
+  sources: { lang: string; url: string }[] | null,
+): Task.Result<boolean> {
+  if (!sources || sources.length === 0) {
+    return Task.newResult(true);
+  }
+  const frame: Task.Frame<boolean> = Task.newFrame("loadDictionaries");
+  let index = 0;
+  frame
+    .loop(() => {
+      if (index >= sources.length) {
+        return Task.newResult(false);
+      }
+      const { lang, url } = sources[index++];
+      return Net.fetchFromURL(url).thenAsync((response) => {
+        if (response.status >= 400 || response.responseText === null) {
+          Logging.logger.warn(
+            `Failed to load word segmentation dictionary for "${lang}": ${url}`,
+          );
+        } else {
+          registerDictionary(lang, response.responseText);
+        }
+        return Task.newResult(true);
+      });
+    })
+    .then(() => {
+      frame.finish(true);
+    });
+  return frame.result();
+}
+
+type IntlSegmenter = {
+  segment(text: string): Iterable<{ index: number }>;
+};
+
+const segmenters: Map<string, IntlSegmenter | null> = new Map();
+
+function getIntlSegmenter(lang: string): IntlSegmenter | null {
+  if (!segmenters.has(lang)) {
+    const Segmenter = (Intl as any).Segmenter;
+    let segmenter: IntlSegmenter | null = null;
+    if (Segmenter) {
+      try {
+        segmenter = new Segmenter(lang, { granularity: "word" });
+      } catch (e) {
+        Logging.logger.warn(e, `Intl.Segmenter is not available for ${lang}`);
+      }
+    }
+    segmenters.set(lang, segmenter);
+  }
+  return segmenters.get(lang);
+}
+
+function getSegment(lang: string): ((text: string) => number[]) | null {
+  const segmenter = getIntlSegmenter(lang);
+  if (segmenter) {
+    return (text) => Array.from(segmenter.segment(text), (s) => s.index);
+  }
+  const dictionary = dictionaries.get(lang);
+  if (dictionary) {
+    return (text) => dictionary.segment(text);
+  }
+  return null;
+}
+
+/**
+ * Finds the word boundaries inside the runs of Southeast Asian scripts in the
+ * text, with `Intl.Segmenter` or the registered dictionaries.
+ * @return Sorted indices of the boundaries, excluding the edges of the runs.
+ */
+export function findWordBoundaries(text: string): number[] {
+  const boundaries: number[] = [];
+  for (const { lang, run } of SCRIPTS) {
+    const segment = getSegment(lang);
+    if (!segment) {
+      continue;
+    }
+    run.lastIndex = 0;
+    let r: RegExpExecArray;
+    while ((r = run.exec(text))) {
+      for (const boundary of segment(r[0])) {
+        if (boundary > 0 && boundary < r[0].length) {
+          boundaries.push(r.index + boundary);
+        }
+      }
+    }
+  }
+  return boundaries.sort((a, b) => a - b);
+}
+
+/**
+ * Inserts zero width spaces at the word boundaries of Southeast Asian
+ * scripts, so that lines are broken only between words, regardless of the
+ * browser support of the script.
+ */
+export function insertBreakOpportunities(text: string): string {
+  const boundaries = findWordBoundaries(text);
+  let result = "";
+  let start = 0;
+  for (const boundary of boundaries) {
+    result += text.slice(start, boundary);
+    if (
+      text.charAt(boundary - 1) !== ZERO_WIDTH_SPACE &&
+      text.charAt(boundary) !== ZERO_WIDTH_SPACE
+    ) {
+      result += ZERO_WIDTH_SPACE;
+    }
+    start = boundary;
+  }
+  return result + text.slice(start);
+}
+
+/**
+ * Adjusts the index of the last character before a text break so that the
+ * break does not split a word of Southeast Asian scripts.
+ * @return The index of the last character of the preceding word, or the
+ *     given index if the break is not inside a word or no preceding word
+ *     boundary is found in the text.
+ */
+export function adjustBreakIndex(text: string, index: number): number {
+  const ch0 = text.charAt(index);
+  const ch1 = text.charAt(index + 1);
+  const script = SCRIPTS.find(({ char }) => char.test(ch0) && char.test(ch1));
+  if (!script || !getSegment(script.lang)) {
+    return index;
+  }
+  const boundaries = findWordBoundaries(text);
+  for (let b = index + 1; b > 0; b--) {
+    if (
+      boundaries.includes(b) ||
+      !script.char.test(text.charAt(b - 1)) ||
+      !script.char.test(text.charAt(b))
+    ) {
+      return b - 1;
+    }
+  }
+  return index;
+}
+
+function preprocessTextContent(
+  nodeContext: Vtree.NodeContext,
+  textContent: string,
+): Task.Result<string> {
+  if (!SOUTHEAST_ASIAN_CHAR.test(textContent)) {
+    return Task.newResult(textContent);
+  }
+  return Task.newResult(insertBreakOpportunities(textContent));
+}
+
+Plugin.registerHook(
+  Plugin.HOOKS.PREPROCESS_TEXT_CONTENT,
+  preprocessTextContent,
+);
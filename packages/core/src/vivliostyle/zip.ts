@@ -0,0 +1,274 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * @fileoverview Zip - Read ZIP archives (e.g. zipped EPUB) in memory.
+ */
+import * as Logging from "./logging";
+import * as Task from "./task";
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+/**
+ * Compression methods used in ZIP archives.
+ * @enum {number}
+ */
+export enum CompressionMethod {
+  STORED = 0,
+  DEFLATED = 8,
+}
+
+/**
+ * Media types of the files that can be found in EPUB containers, keyed by
+ * file extension. Used as the type of the Blobs served from an archive so
+ * that the browser can render them via object URLs.
+ */
+export const mediaTypesByExtension: { [key: string]: string } = {
+  css: "text/css",
+  gif: "image/gif",
+  htm: "text/html",
+  html: "text/html",
+  jpeg: "image/jpeg",
+  jpg: "image/jpeg",
+  js: "text/javascript",
+  json: "application/json",
+  m4a: "audio/mp4",
+  mp3: "audio/mpeg",
+  mp4: "video/mp4",
+  ncx: "application/x-dtbncx+xml",
+  opf: "application/oebps-package+xml",
+  otf: "font/otf",
+  png: "image/png",
+  smil: "application/smil+xml",
+  svg: "image/svg+xml",
+  ttf: "font/ttf",
+  webp: "image/webp",
+  woff: "font/woff",
+  woff2: "font/woff2",
+  xht: "application/xhtml+xml",
+  xhtml: "application/xhtml+xml",
+  xml: "application/xml",
+};
+
+export function getMediaTypeFromPath(path: string): string {
+  const r = path.match(/\.([^./]+)$/);
+  return (r && mediaTypesByExtension[r[1].toLowerCase()]) || "";
+}
+
+export type ZipEntry = {
+  path: string;
+  method: number;
+  compressedSize: number;
+  size: number;
+  localHeaderOffset: number;
+};
+
+/**
+ * Parse the central directory of a ZIP archive.
+ * @param bytes content of the whole archive
+ * @returns entries of the archive, or null if the content is not a ZIP archive
+ */
+export function readCentralDirectory(bytes: ArrayBuffer): ZipEntry[] | null {
+  const view = new DataView(bytes);
+  const minOffset = Math.max(
+    0,
+    bytes.byteLength - END_OF_CENTRAL_DIRECTORY_SIZE - MAX_COMMENT_LENGTH,
+  );
+  let eocdOffset = -1;
+  for (
+    let offset = bytes.byteLength - END_OF_CENTRAL_DIRECTORY_SIZE;
+    offset >= minOffset;
+    offset--
+  ) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      eocdOffset = offset;
+      break;
+    }
+  }
+  if (eocdOffset < 0) {
+    return null;
+  }
+  const entryCount = view.getUint16(eocdOffset + 10, true);
+  let offset = view.getUint32(eocdOffset + 16, true);
+  if (offset === 0xffffffff || entryCount === 0xffff) {
+    Logging.logger.error("ZIP64 archives are not supported.");
+    return null;
+  }
+  const decoder = new TextDecoder("utf-8");
+  const entries: ZipEntry[] = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (
+      offset + 46 > bytes.byteLength ||
+      view.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE
+    ) {
+      Logging.logger.error("Broken ZIP central directory.");
+      return null;
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    entries.push({
+      path: decoder.decode(new Uint8Array(bytes, offset + 46, nameLength)),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      localHeaderOffset: view.getUint32(offset + 42, true),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * @returns offset of the (possibly compressed) data of the entry
+ */
+function getDataOffset(view: DataView, entry: ZipEntry): number {
+  const offset = entry.localHeaderOffset;
+  if (view.getUint32(offset, true) !== LOCAL_FILE_HEADER_SIGNATURE) {
+    throw new Error(`Broken ZIP local file header: ${entry.path}`);
+  }
+  const nameLength = view.getUint16(offset + 26, true);
+  const extraLength = view.getUint16(offset + 28, true);
+  return offset + 30 + nameLength + extraLength;
+}
+
+function inflate(data: Blob, type: string): Promise<Blob> {
+  const stream = data
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Response(stream).blob().then((blob) => new Blob([blob], { type }));
+}
+
+/**
+ * A ZIP archive whose files are decompressed in memory and made accessible
+ * with URLs under `baseURL`.
+ */
+export class ZipArchive {
+  files: { [key: string]: Blob } = {};
+  objectURLs: { [key: string]: string } = {};
+
+  constructor(public readonly baseURL: string) {}
+
+  /**
+   * @returns path of the file in the archive, or null if the URL is not under
+   *     the base URL of this archive
+   */
+  getPathFromURL(url: string): string | null {
+    if (!url.startsWith(this.baseURL)) {
+      return null;
+    }
+    const path = url.substring(this.baseURL.length).replace(/[?#].*$/, "");
+    try {
+      return decodeURIComponent(path);
+    } catch (e) {
+      return path;
+    }
+  }
+
+  getFile(url: string): Blob | null {
+    const path = this.getPathFromURL(url);
+    return (path !== null && this.files[path]) || null;
+  }
+
+  /**
+   * Returns an object URL by which the browser can load the file, keeping the
+   * fragment of the given URL.
+   * @returns null if the file does not exist in the archive
+   */
+  getObjectURL(url: string): string | null {
+    const path = this.getPathFromURL(url);
+    const file = path !== null && this.files[path];
+    if (!file) {
+      return null;
+    }
+    let objectURL = this.objectURLs[path];
+    if (!objectURL) {
+      objectURL = this.objectURLs[path] = URL.createObjectURL(file);
+    }
+    const r = url.match(/#.*$/);
+    return r ? objectURL + r[0] : objectURL;
+  }
+
+  revokeObjectURLs(): void {
+    for (const path in this.objectURLs) {
+      URL.revokeObjectURL(this.objectURLs[path]);
+    }
+    this.objectURLs = {};
+  }
+}
+
+/**
+ * Read a ZIP archive and decompress all of its files.
+ * @param data content of the archive
+ * @param baseURL URL prefix by which the files in the archive are accessed
+ * @returns the archive, or null if the data is not a valid ZIP archive
+ */
+export function openArchive(
+  data: Blob,
+  baseURL: string,
+): Task.Result<ZipArchive | null> {
+  const frame: Task.Frame<ZipArchive | null> = Task.newFrame("openArchive");
+  const continuation = frame.suspend();
+  data
+    .arrayBuffer()
+    .then((bytes) => {
+      const entries = readCentralDirectory(bytes);
+      if (!entries) {
+        return null;
+      }
+      const view = new DataView(bytes);
+      const archive = new ZipArchive(baseURL);
+      return Promise.all(
+        entries
+          .filter((entry) => !entry.path.endsWith("/"))
+          .map((entry) => {
+            const start = getDataOffset(view, entry);
+            const content = data.slice(start, start + entry.compressedSize);
+            const type = getMediaTypeFromPath(entry.path);
+            let file: Promise<Blob>;
+            switch (entry.method) {
+              case CompressionMethod.STORED:
+                file = Promise.resolve(new Blob([content], { type }));
+                break;
+              case CompressionMethod.DEFLATED:
+                file = inflate(content, type);
+                break;
+              default:
+                Logging.logger.warn(
+                  `Unsupported ZIP compression method ${entry.method}: ${entry.path}`,
+                );
+                return null;
+            }
+            return file.then((blob) => {
+              archive.files[entry.path] = blob;
+            });
+          }),
+      ).then(() => archive);
+    })
+    .then(
+      (archive) => {
+        continuation.schedule(archive);
+      },
+      (err) => {
+        Logging.logger.error(err, "Failed to read ZIP archive.");
+        continuation.schedule(null);
+      },
+    );
+  return frame.result();
+}
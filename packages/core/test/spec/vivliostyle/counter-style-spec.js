@@ -0,0 +1,249 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import * as vivliostyle_counter_style from "../../../src/vivliostyle/counter-style";
+import * as vivliostyle_css from "../../../src/vivliostyle/css";
+import * as vivliostyle_css_cascade from "../../../src/vivliostyle/css-cascade";
+import * as vivliostyle_css_parser from "../../../src/vivliostyle/css-parser";
+import * as vivliostyle_css_validator from "../../../src/vivliostyle/css-validator";
+import * as vivliostyle_task from "../../../src/vivliostyle/task";
+
+describe("counter-style", function () {
+  var css = vivliostyle_css;
+
+  function str(s) {
+    return new css.Str(s);
+  }
+
+  function int(n) {
+    return new css.Int(n);
+  }
+
+  function ident(name) {
+    return css.getName(name);
+  }
+
+  function space() {
+    return new css.SpaceList(Array.from(arguments));
+  }
+
+  function comma() {
+    return new css.CommaList(Array.from(arguments));
+  }
+
+  function createStore(rules) {
+    return new vivliostyle_counter_style.CounterStyleStore(
+      rules,
+      vivliostyle_css_cascade.formatPredefinedCounter,
+    );
+  }
+
+  function formatAll(store, name, nums) {
+    return nums.map(function (num) {
+      return store.format(num, name);
+    });
+  }
+
+  describe("CounterStyleStore", function () {
+    it("formats with the counter systems", function () {
+      var store = createStore({
+        cyclic: { system: ident("cyclic"), symbols: space(str("*"), str("†")) },
+        fixed: {
+          system: space(ident("fixed"), int(3)),
+          symbols: space(str("c"), str("d")),
+        },
+        symbolic: {
+          system: ident("symbolic"),
+          symbols: space(str("*"), str("†")),
+        },
+        alphabetic: {
+          system: ident("alphabetic"),
+          symbols: space(str("a"), str("b")),
+        },
+        numeric: {
+          system: ident("numeric"),
+          symbols: space(str("0"), str("1")),
+        },
+        additive: {
+          system: ident("additive"),
+          "additive-symbols": comma(
+            space(int(5), str("V")),
+            space(str("IV"), int(4)),
+            space(int(1), str("I")),
+          ),
+        },
+      });
+      expect(formatAll(store, "cyclic", [1, 2, 3, 0, -1])).toEqual([
+        "*",
+        "†",
+        "*",
+        "†",
+        "*",
+      ]);
+      expect(formatAll(store, "fixed", [3, 4, 5, 2])).toEqual([
+        "c",
+        "d",
+        "5",
+        "2",
+      ]);
+      expect(formatAll(store, "symbolic", [1, 2, 3, 4, 0])).toEqual([
+        "*",
+        "†",
+        "**",
+        "††",
+        "0",
+      ]);
+      expect(formatAll(store, "alphabetic", [1, 2, 3, 6, 0])).toEqual([
+        "a",
+        "b",
+        "aa",
+        "bb",
+        "0",
+      ]);
+      expect(formatAll(store, "numeric", [0, 1, 2, 5, -5])).toEqual([
+        "0",
+        "1",
+        "10",
+        "101",
+        "-101",
+      ]);
+      expect(formatAll(store, "additive", [1, 4, 9, 0])).toEqual([
+        "I",
+        "IV",
+        "VIV",
+        "0",
+      ]);
+    });
+
+    it("applies range, pad, negative and fallback", function () {
+      var store = createStore({
+        padded: {
+          system: ident("numeric"),
+          symbols: space(
+            str("0"),
+            str("1"),
+            str("2"),
+            str("3"),
+            str("4"),
+            str("5"),
+            str("6"),
+            str("7"),
+            str("8"),
+            str("9"),
+          ),
+          pad: space(int(3), str("0")),
+          negative: space(str("("), str(")")),
+          range: comma(
+            space(ident("infinite"), int(-1)),
+            space(int(1), int(100)),
+          ),
+          fallback: ident("lower-roman"),
+        },
+      });
+      expect(formatAll(store, "padded", [7, -7, 0, 101])).toEqual([
+        "007",
+        "(7)",
+        "",
+        "ci",
+      ]);
+    });
+
+    it("extends other counter styles", function () {
+      var store = createStore({
+        paren: {
+          system: space(ident("extends"), ident("decimal")),
+          prefix: str("("),
+          suffix: str(") "),
+        },
+        "paren-roman": {
+          system: space(ident("extends"), ident("upper-roman")),
+          suffix: str("."),
+        },
+        loop1: { system: space(ident("extends"), ident("loop2")) },
+        loop2: { system: space(ident("extends"), ident("loop1")) },
+      });
+      expect(store.format(12, "paren")).toBe("12");
+      expect(store.formatMarker(12, "paren")).toBe("(12) ");
+      expect(store.formatMarker(4, "paren-roman")).toBe("IV.");
+      expect(store.format(4, "loop1")).toBe("4");
+      expect(store.isDefined("paren")).toBe(true);
+      expect(store.isDefined("upper-roman")).toBe(false);
+    });
+
+    it("ignores invalid rules", function () {
+      var store = createStore({
+        decimal: { system: ident("cyclic"), symbols: str("x") },
+        "too-few": { system: ident("alphabetic"), symbols: str("a") },
+        "no-symbols": { system: ident("cyclic") },
+        "extends-symbols": {
+          system: space(ident("extends"), ident("decimal")),
+          symbols: str("x"),
+        },
+        "lower-roman": { system: ident("cyclic"), symbols: str("x") },
+      });
+      expect(store.format(3, "decimal")).toBe("3");
+      expect(store.format(3, "too-few")).toBe("3");
+      expect(store.format(3, "no-symbols")).toBe("3");
+      expect(store.format(3, "extends-symbols")).toBe("3");
+      // Predefined counter styles other than decimal etc. can be redefined.
+      expect(store.format(3, "lower-roman")).toBe("x");
+    });
+  });
+
+  describe("@counter-style rule", function () {
+    it("is collected into the cascade", function (done) {
+      var validatorSet = new vivliostyle_css_validator.ValidatorSet();
+      validatorSet.initBuiltInValidators();
+      var dispatcher = new vivliostyle_css_parser.DispatchParserHandler();
+      var handler = new vivliostyle_css_cascade.CascadeParserHandler(
+        null,
+        dispatcher,
+        null,
+        null,
+        null,
+        validatorSet,
+        true,
+      );
+      dispatcher.slave = handler;
+      vivliostyle_task.start(function () {
+        vivliostyle_css_parser
+          .parseStylesheetFromText(
+            "@counter-style circled { system: fixed; symbols: ① ② ③; suffix: ' '; }",
+            dispatcher,
+            null,
+            null,
+            null,
+          )
+          .then(function (result) {
+            expect(result).toBe(true);
+            var rules = handler.cascade.counterStyleRules;
+            expect(rules.length).toBe(1);
+            expect(rules[0].name).toBe("circled");
+            expect(rules[0].descriptors["system"].value).toBe(ident("fixed"));
+            expect(rules[0].descriptors["symbols"].value.toString()).toBe(
+              "① ② ③",
+            );
+            expect(rules[0].descriptors["suffix"].value.stringValue()).toBe(
+              " ",
+            );
+            done();
+          });
+        return vivliostyle_task.newResult(true);
+      });
+    });
+  });
+});
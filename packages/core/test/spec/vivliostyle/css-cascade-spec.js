@@ -15,9 +15,13 @@
  * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+import * as adapt_assets from "../../../src/vivliostyle/assets";
 import * as adapt_css from "../../../src/vivliostyle/css";
 import * as adapt_csscasc from "../../../src/vivliostyle/css-cascade";
+import * as adapt_cssparse from "../../../src/vivliostyle/css-parser";
 import * as adapt_csstok from "../../../src/vivliostyle/css-tokenizer";
+import * as adapt_cssvalid from "../../../src/vivliostyle/css-validator";
+import * as adapt_task from "../../../src/vivliostyle/task";
 import * as vivliostyle_plugin from "../../../src/vivliostyle/plugin";
 import * as vivliostyle_test_util_mock_plugin from "../../util/mock/vivliostyle/plugin-mock";
 
@@ -827,6 +831,9 @@ describe("css-cascade", function () {
         expect("foo1" in style).toBe(false);
         expect(style["foo12"].value).toBe(adapt_css.getName("bar12"));
         expect(style["foo12"].priority).not.toBe(originalPriority);
+
+        vivliostyle_plugin.removeHook("SIMPLE_PROPERTY", hook1);
+        vivliostyle_plugin.removeHook("SIMPLE_PROPERTY", hook2);
       });
     });
 
@@ -1107,4 +1114,150 @@ describe("css-cascade", function () {
       });
     });
   });
+
+  describe("cascade layers", function () {
+    function parse(text, callback, done) {
+      var validatorSet = new adapt_cssvalid.ValidatorSet();
+      validatorSet.initBuiltInValidators();
+      var dispatcher = new adapt_cssparse.DispatchParserHandler();
+      var handler = new adapt_csscasc.CascadeParserHandler(
+        null,
+        dispatcher,
+        null,
+        null,
+        null,
+        validatorSet,
+        true,
+      );
+      dispatcher.slave = handler;
+      dispatcher.startStylesheet(adapt_cssparse.StylesheetFlavor.AUTHOR);
+      adapt_task.start(function () {
+        adapt_cssparse
+          .parseStylesheetFromText(text, dispatcher, null, null, null)
+          .then(function (result) {
+            expect(result).toBe(true);
+            var cascade = handler.finish();
+            callback(function (id, name) {
+              return cascade.ids[id].style[name].priority;
+            }, cascade);
+            done();
+          });
+        return adapt_task.newResult(true);
+      });
+    }
+
+    it("orders layers by their first declaration", function (done) {
+      parse(
+        "#u { color: red; margin: 0 !important }" +
+          "@layer a, b;" +
+          "@layer b { #b { color: blue; margin: 2px !important } }" +
+          "@layer a { #a { color: green; margin: 1px !important } }",
+        function (priority, cascade) {
+          expect(
+            cascade.rootLayer.children.map(function (layer) {
+              return layer.name;
+            }),
+          ).toEqual(["a", "b"]);
+          expect(priority("u", "color")).toBeGreaterThan(
+            priority("b", "color"),
+          );
+          expect(priority("b", "color")).toBeGreaterThan(
+            priority("a", "color"),
+          );
+          expect(priority("a", "margin")).toBeGreaterThan(
+            priority("b", "margin"),
+          );
+          expect(priority("b", "margin")).toBeGreaterThan(
+            priority("u", "margin"),
+          );
+          expect(priority("u", "margin")).toBeGreaterThan(
+            priority("u", "color"),
+          );
+          // Layered author declarations still win over user declarations.
+          expect(priority("a", "color")).toBeGreaterThan(
+            adapt_cssparse.SPECIFICITY_USER +
+              adapt_cssparse.SPECIFICITY_LAYER_SPAN,
+          );
+        },
+        done,
+      );
+    });
+
+    it("supports nested and anonymous layers", function (done) {
+      parse(
+        "@layer a { #a { color: red } @layer inner { #i { color: red } } }" +
+          "@layer a.inner { #j { color: red } }" +
+          "@layer { #x { color: red } }",
+        function (priority, cascade) {
+          var a = cascade.rootLayer.children[0];
+          expect(a.children.length).toBe(1);
+          expect(a.children[0].name).toBe("inner");
+          expect(cascade.rootLayer.children[1].name).toBe(null);
+          expect(priority("a", "color")).toBeGreaterThan(
+            priority("i", "color"),
+          );
+          expect(priority("j", "color")).toBeGreaterThan(
+            priority("i", "color"),
+          );
+          expect(priority("x", "color")).toBeGreaterThan(
+            priority("a", "color"),
+          );
+        },
+        done,
+      );
+    });
+  });
+
+  describe("user agent stylesheet", function () {
+    it("sets bookmark-level on h1-h6 elements", function (done) {
+      var dispatcher = new adapt_cssparse.DispatchParserHandler();
+      var handler = new adapt_csscasc.CascadeParserHandler(
+        null,
+        dispatcher,
+        null,
+        null,
+        null,
+        adapt_cssvalid.baseValidatorSet(),
+        true,
+      );
+      dispatcher.slave = handler;
+      dispatcher.startStylesheet(adapt_cssparse.StylesheetFlavor.USER_AGENT);
+      adapt_task.start(function () {
+        adapt_cssparse
+          .parseStylesheetFromText(
+            adapt_assets.UserAgentBaseCss,
+            dispatcher,
+            null,
+            null,
+            null,
+          )
+          .then(function (result) {
+            expect(result).toBe(true);
+            var cascade = handler.finish();
+            var prefix = cascade.nsPrefix["http://www.w3.org/1999/xhtml"];
+            function bookmarkLevel(localName) {
+              var action = cascade.nstags[prefix + localName];
+              var actions = action ? action.list || [action] : [];
+              var levels = actions
+                .filter(function (a) {
+                  return a.style && a.style["bookmark-level"];
+                })
+                .map(function (a) {
+                  return a.style["bookmark-level"].value.toString();
+                });
+              return levels.length ? levels[levels.length - 1] : null;
+            }
+            expect(bookmarkLevel("h1")).toBe("1");
+            expect(bookmarkLevel("h2")).toBe("2");
+            expect(bookmarkLevel("h3")).toBe("3");
+            expect(bookmarkLevel("h4")).toBe("4");
+            expect(bookmarkLevel("h5")).toBe("5");
+            expect(bookmarkLevel("h6")).toBe("6");
+            expect(bookmarkLevel("p")).toBe(null);
+            done();
+          });
+        return adapt_task.newResult(true);
+      });
+    });
+  });
 });
@@ -18,7 +18,10 @@
 import * as adapt_css from "../../../src/vivliostyle/css";
 import * as adapt_csscasc from "../../../src/vivliostyle/css-cascade";
 import * as adapt_cssparse from "../../../src/vivliostyle/css-parser";
+import * as adapt_expr from "../../../src/vivliostyle/exprs";
 import * as vivliostyle_css_page from "../../../src/vivliostyle/css-page";
+import * as vivliostyle_headless from "../../../src/vivliostyle/headless";
+import * as adapt_pm from "../../../src/vivliostyle/page-master";
 
 describe("css-page", function () {
   var module = vivliostyle_css_page;
@@ -327,4 +330,97 @@ describe("css-page", function () {
       );
     });
   });
+
+  describe("PageRuleMaster", function () {
+    it("transfers 'page-orientation' to the page area partition", function () {
+      var scope = new adapt_expr.LexicalScope(null);
+      var orientation = new adapt_csscasc.CascadeValue(
+        adapt_css.ident.rotate_left,
+        0,
+      );
+      var master = new module.PageRuleMaster(
+        scope,
+        new adapt_pm.RootPageBox(scope),
+        { "page-orientation": orientation },
+      );
+      var partition = master.children.find(function (child) {
+        return child instanceof module.PageRulePartition;
+      });
+
+      expect(partition.specified["page-orientation"]).toBe(orientation);
+      expect(master.specified["page-orientation"]).toBeUndefined();
+    });
+  });
+
+  describe("page-orientation", function () {
+    // Lays out a 400x300px page with 20px 30px margins and returns the page
+    // container, the page area and the top-center margin box.
+    function renderPage(orientation) {
+      var html =
+        "<!DOCTYPE html><html><head><style>@page { size: 400px 300px; " +
+        "margin: 20px 30px; page-orientation: " +
+        orientation +
+        "; @top-center { content: 'Top'; } }</style></head>" +
+        "<body><p>Text</p></body></html>";
+      var url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+      return vivliostyle_headless
+        .renderHeadless({ window: window, url: url, width: 800, height: 600 })
+        .then(function (pages) {
+          URL.revokeObjectURL(url);
+          var doc = new DOMParser().parseFromString(pages[0].html, "text/html");
+          var pageBox = doc.querySelector("[data-vivliostyle-page-box]");
+          var children = Array.from(pageBox.children);
+          return {
+            container: doc.querySelector("[data-vivliostyle-page-container]"),
+            pageArea: children.find(function (child) {
+              return child.querySelector("p");
+            }),
+            marginBox: children.find(function (child) {
+              return child.textContent === "Top";
+            }),
+          };
+        });
+    }
+
+    function expectRotated(result, orientation, angle) {
+      expect(
+        result.container.getAttribute("data-vivliostyle-page-orientation"),
+      ).toBe(orientation);
+      // The page area (340x260px) is laid out in the swapped dimensions and
+      // rotated around the center of the page.
+      var style = result.pageArea.style;
+      expect(style.width).toBe("260px");
+      expect(style.height).toBe("340px");
+      expect(style.left).toBe("70px");
+      expect(style.top).toBe("-20px");
+      expect(style.transform).toBe("rotate(" + angle + "deg)");
+      expect(result.marginBox.style.width).toBe("340px");
+      expect(result.marginBox.style.transform).toBe("");
+    }
+
+    it("rotates the page area counter-clockwise with rotate-left", function (done) {
+      renderPage("rotate-left").then(function (result) {
+        expectRotated(result, "rotate-left", -90);
+        done();
+      }, done.fail);
+    });
+
+    it("rotates the page area clockwise with rotate-right", function (done) {
+      renderPage("rotate-right").then(function (result) {
+        expectRotated(result, "rotate-right", 90);
+        done();
+      }, done.fail);
+    });
+
+    it("does not rotate the page area with upright", function (done) {
+      renderPage("upright").then(function (result) {
+        expect(
+          result.container.hasAttribute("data-vivliostyle-page-orientation"),
+        ).toBe(false);
+        expect(result.pageArea.style.width).toBe("340px");
+        expect(result.pageArea.style.transform).toBe("");
+        done();
+      }, done.fail);
+    });
+  });
 });
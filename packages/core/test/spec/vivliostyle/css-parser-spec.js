@@ -1085,4 +1085,57 @@ describe("css-parser", function () {
       });
     });
   });
+
+  describe("source locations", function () {
+    var url = "http://example.com/style.css";
+
+    it("are computed from the tokenizer input", function () {
+      var tokenizer = new adapt_csstok.Tokenizer(
+        "a {\r\n  color: red;\n}",
+        null,
+        url,
+      );
+      var location = tokenizer.getSourceLocation(7, "color");
+      expect(location.url).toBe(url);
+      expect(location.line).toBe(2);
+      expect(location.column).toBe(3);
+      expect(location.property).toBe("color");
+      expect(location.toString()).toBe(url + ":2:3");
+      expect(tokenizer.getSourceLocation(22).line).toBe(3);
+    });
+
+    it("are not available without the stylesheet URL", function () {
+      var tokenizer = new adapt_csstok.Tokenizer("a {}", null);
+      expect(tokenizer.getSourceLocation(0)).toBe(null);
+    });
+
+    it("point to the declaration handled by the parser", function (done) {
+      var handler = new adapt_cssparse.ParserHandler(null);
+      var locations = [];
+      handler.property = function () {
+        locations.push(handler.getSourceLocation(null));
+      };
+      var tokenizer = new adapt_csstok.Tokenizer(
+        "a {\n  color: red;\n  width: 1px;\n}",
+        handler,
+        url,
+      );
+
+      adapt_task.start(function () {
+        adapt_cssparse
+          .parseStylesheet(tokenizer, handler, null, null, null)
+          .then(function () {
+            expect(locations.length).toBe(2);
+            expect(locations[0].line).toBe(2);
+            expect(locations[0].column).toBe(3);
+            expect(locations[0].property).toBe("color");
+            expect(locations[1].line).toBe(3);
+            expect(locations[1].property).toBe("width");
+            expect(handler.getSourceLocation(null)).toBe(null);
+            done();
+          });
+        return adapt_task.newResult(true);
+      });
+    });
+  });
 });
@@ -386,5 +386,54 @@ describe("css-validator", function () {
         return adapt_task.newResult(true);
       });
     });
+
+    it("should validate bookmark properties with the base validators", function (done) {
+      var dispatcher = new adapt_cssparse.DispatchParserHandler();
+      var handler = new adapt_csscasc.CascadeParserHandler(
+        null,
+        dispatcher,
+        null,
+        null,
+        null,
+        adapt_cssvalid.baseValidatorSet(),
+        true,
+      );
+      dispatcher.slave = handler;
+      var warnListener = jasmine.createSpy("warn listener");
+      vivliostyle_logging.logger.addListener(
+        vivliostyle_logging.LogLevel.WARN,
+        warnListener,
+      );
+      adapt_task.start(function () {
+        adapt_cssparse
+          .parseStylesheetFromText(
+            ".test  { bookmark-level: 1; bookmark-state: closed; }\n" +
+              ".test2 { bookmark-level: none; bookmark-state: open; }\n" +
+              '.test3 { bookmark-label: "Chapter " counter(chapter) content(text); }',
+            dispatcher,
+            null,
+            null,
+            null,
+          )
+          .thenAsync(function (result) {
+            expect(result).toBe(true);
+            expect(warnListener).not.toHaveBeenCalled();
+            return adapt_cssparse.parseStylesheetFromText(
+              ".test4 { bookmark-level: 0; }\n" +
+                ".test5 { bookmark-state: folded; }",
+              dispatcher,
+              null,
+              null,
+              null,
+            );
+          })
+          .then(function (result) {
+            expect(result).toBe(true);
+            expect(warnListener).toHaveBeenCalledTimes(2);
+            done();
+          });
+        return adapt_task.newResult(true);
+      });
+    });
   });
 });
@@ -0,0 +1,174 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+import * as Endnotes from "../../../src/vivliostyle/endnotes";
+import * as vivliostyle_headless from "../../../src/vivliostyle/headless";
+import * as vivliostyle_plugin from "../../../src/vivliostyle/plugin";
+
+describe("endnotes", function () {
+  describe("collectEndnotes", function () {
+    var collectEndnotes = Endnotes.collectEndnotes;
+
+    function createDocument(body) {
+      var doc = document.implementation.createHTMLDocument("");
+      doc.body.innerHTML = body;
+      return doc;
+    }
+
+    it("moves notes to a new section at the end of the chapter", function () {
+      var doc = createDocument(
+        '<section id="ch1"><h1>Chapter 1</h1>' +
+          '<p>A<span role="doc-endnote">Note 1</span></p><p>B</p></section>' +
+          '<section id="ch2"><h1>Chapter 2</h1>' +
+          '<p>C<span role="doc-endnote">Note 2</span></p></section>',
+      );
+      expect(collectEndnotes(doc, null)).toBe(2);
+
+      var ch1 = doc.getElementById("ch1");
+      var section = ch1.lastElementChild;
+      expect(section.getAttribute("role")).toBe("doc-endnotes");
+      expect(section.hasAttribute("data-viv-endnotes")).toBe(true);
+      expect(section.textContent).toBe("Note 1");
+      expect(section.previousElementSibling.textContent).toBe("B");
+
+      var note = section.firstElementChild;
+      expect(note.hasAttribute("data-viv-endnote")).toBe(true);
+      var call = ch1.querySelector("a[data-viv-endnote-call]");
+      expect(call.getAttribute("href")).toBe("#" + note.id);
+      expect(note.getAttribute("data-viv-endnote-ref")).toBe("#" + call.id);
+
+      var ch2 = doc.getElementById("ch2");
+      expect(ch2.lastElementChild.textContent).toBe("Note 2");
+    });
+
+    it("moves notes to the following placeholder", function () {
+      var doc = createDocument(
+        '<section><p>A<span epub:type="endnote">Note 1</span></p>' +
+          '<section id="notes" role="doc-endnotes"></section><p>B</p></section>',
+      );
+      expect(collectEndnotes(doc, null)).toBe(1);
+      expect(doc.getElementById("notes").textContent).toBe("Note 1");
+      expect(doc.querySelectorAll('[role="doc-endnotes"]').length).toBe(1);
+    });
+
+    it("moves notes to the nearest section with a heading", function () {
+      var doc = createDocument(
+        '<section id="wrapper"><section id="ch"><h1>Chapter</h1>' +
+          '<section><p>A<span role="doc-endnote">Note</span></p></section>' +
+          '<p id="last">B</p></section></section>',
+      );
+      expect(collectEndnotes(doc, null)).toBe(1);
+      var section = doc.getElementById("ch").lastElementChild;
+      expect(section.getAttribute("role")).toBe("doc-endnotes");
+      expect(section.textContent).toBe("Note");
+      expect(section.previousElementSibling.id).toBe("last");
+      expect(doc.getElementById("wrapper").lastElementChild.id).toBe("ch");
+    });
+
+    it("moves notes outside chapters to the end of the document", function () {
+      var doc = createDocument(
+        '<p>A<span role="doc-endnote">Note</span></p><p id="last">B</p>',
+      );
+      expect(collectEndnotes(doc, null)).toBe(1);
+      var section = doc.body.lastElementChild;
+      expect(section.getAttribute("role")).toBe("doc-endnotes");
+      expect(section.previousElementSibling.id).toBe("last");
+    });
+
+    it("collects the notes matching the selector", function () {
+      var doc = createDocument(
+        '<p>A<span class="fn">Note 1</span>' +
+          '<a href="#n2">2</a></p><aside id="n2" class="fn">Note 2</aside>',
+      );
+      expect(collectEndnotes(doc, ".fn")).toBe(2);
+      var notes = doc.body.lastElementChild.children;
+      expect(notes.length).toBe(2);
+      expect(notes[0].hasAttribute("data-viv-endnote-ref")).toBe(true);
+      expect(notes[1].id).toBe("n2");
+      expect(notes[1].hasAttribute("data-viv-endnote-ref")).toBe(false);
+      expect(doc.querySelectorAll("a[data-viv-endnote-call]").length).toBe(1);
+    });
+
+    it("accepts links with a malformed fragment", function () {
+      var doc = createDocument(
+        '<p>A<a href="#100%">1</a><span id="100%" role="doc-endnote">Note</span></p>',
+      );
+      expect(collectEndnotes(doc, null)).toBe(1);
+      var note = doc.getElementById("100%");
+      expect(note.parentElement.getAttribute("role")).toBe("doc-endnotes");
+      // The note is referred to by the link, so no note call is added.
+      expect(note.hasAttribute("data-viv-endnote-ref")).toBe(false);
+    });
+
+    it("leaves notes already in an endnote section", function () {
+      var doc = createDocument(
+        '<section role="doc-endnotes"><p role="doc-endnote">Note</p></section>',
+      );
+      expect(collectEndnotes(doc, null)).toBe(0);
+      expect(doc.querySelector("[data-viv-endnote]")).toBe(null);
+    });
+  });
+
+  describe("rendering", function () {
+    var html =
+      "<!DOCTYPE html><html><head><title>Test</title></head><body>" +
+      '<section><h1>Chapter</h1><p>A<span role="doc-endnote">Note</span></p>' +
+      "<p>B</p></section></body></html>";
+
+    function configure(command) {
+      vivliostyle_plugin
+        .getHooksForName(vivliostyle_plugin.HOOKS.CONFIGURATION)
+        .forEach(function (hook) {
+          hook(command);
+        });
+    }
+
+    function render() {
+      var url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+      return vivliostyle_headless
+        .renderHeadless({ window: window, url: url, width: 400, height: 300 })
+        .then(function (pages) {
+          URL.revokeObjectURL(url);
+          return pages
+            .map(function (page) {
+              return page.html;
+            })
+            .join("");
+        });
+    }
+
+    afterEach(function () {
+      configure({ endnotes: false, endnoteSelector: null });
+    });
+
+    it("leaves the notes in place by default", function (done) {
+      render().then(function (result) {
+        expect(result).toContain("Note");
+        expect(result).not.toContain("data-viv-endnote");
+        done();
+      }, done.fail);
+    });
+
+    it("collects the notes if enabled", function (done) {
+      configure({ endnotes: true });
+      render().then(function (result) {
+        expect(result).toContain("data-viv-endnote-call");
+        expect(result).toContain("data-viv-endnotes");
+        done();
+      }, done.fail);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import * as vivliostyle_flex from "../../../src/vivliostyle/flex";
+
+describe("flex", function () {
+  describe("isFragmentable", function () {
+    var isFragmentable = vivliostyle_flex.isFragmentable;
+
+    it("breaks single-line column flex containers between items", function () {
+      expect(isFragmentable("column", "nowrap")).toBe(true);
+      expect(isFragmentable("column", "wrap")).toBe(false);
+      expect(isFragmentable("column-reverse", "nowrap")).toBe(false);
+    });
+
+    it("breaks multi-line row flex containers between lines", function () {
+      expect(isFragmentable("row", "wrap")).toBe(true);
+      expect(isFragmentable("row-reverse", "wrap")).toBe(true);
+      expect(isFragmentable("row", "nowrap")).toBe(false);
+      expect(isFragmentable("row", "wrap-reverse")).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import * as vivliostyle_grid from "../../../src/vivliostyle/grid";
+import * as vivliostyle_task from "../../../src/vivliostyle/task";
+import * as vivliostyle_vtree from "../../../src/vivliostyle/vtree";
+
+describe("grid", function () {
+  describe("findRowBreaks", function () {
+    var findRowBreaks = vivliostyle_grid.findRowBreaks;
+
+    function item(start, end, breakBefore, breakAfter) {
+      return {
+        start: start,
+        end: end,
+        breakBefore: breakBefore || null,
+        breakAfter: breakAfter || null,
+      };
+    }
+
+    it("finds breaks between rows", function () {
+      var breaks = findRowBreaks([
+        item(0, 100),
+        item(0, 50),
+        item(110, 200),
+        item(110.5, 150),
+        item(210, 300),
+      ]);
+      expect(breaks).toEqual([
+        { index: 2, rowCount: 1, breakValue: null },
+        { index: 4, rowCount: 2, breakValue: null },
+      ]);
+    });
+
+    it("does not break across items spanning rows", function () {
+      var breaks = findRowBreaks([
+        item(0, 200),
+        item(0, 50),
+        item(110, 200),
+        item(210, 300),
+      ]);
+      expect(breaks).toEqual([{ index: 3, rowCount: 2, breakValue: null }]);
+    });
+
+    it("does not break where items are not in the document order", function () {
+      var breaks = findRowBreaks([
+        item(110, 200),
+        item(0, 100),
+        item(210, 300),
+      ]);
+      expect(breaks).toEqual([{ index: 2, rowCount: 2, breakValue: null }]);
+    });
+
+    it("ignores out-of-flow items", function () {
+      var breaks = findRowBreaks([item(0, 100), null, item(110, 200)]);
+      expect(breaks).toEqual([{ index: 2, rowCount: 1, breakValue: null }]);
+    });
+
+    it("resolves break values of the items around the break", function () {
+      var breaks = findRowBreaks([
+        item(0, 100, null, "avoid"),
+        item(0, 100),
+        item(110, 200, null, "page"),
+        item(110, 200),
+        item(210, 300, "column"),
+      ]);
+      expect(breaks).toEqual([
+        { index: 2, rowCount: 1, breakValue: "avoid" },
+        { index: 4, rowCount: 2, breakValue: "page" },
+      ]);
+    });
+  });
+
+  describe("parseResolvedTrackList", function () {
+    var parseResolvedTrackList = vivliostyle_grid.parseResolvedTrackList;
+
+    it("parses track sizes in px", function () {
+      expect(parseResolvedTrackList("50px 100.5px")).toEqual([
+        "50px",
+        "100.5px",
+      ]);
+      expect(
+        parseResolvedTrackList("[header] 50px [main-start] 100px"),
+      ).toEqual(["50px", "100px"]);
+    });
+
+    it("returns null for values other than track sizes in px", function () {
+      expect(parseResolvedTrackList("none")).toBe(null);
+      expect(parseResolvedTrackList("")).toBe(null);
+      expect(parseResolvedTrackList("subgrid")).toBe(null);
+    });
+  });
+
+  describe("GridLayoutProcessor", function () {
+    var NodeContext = vivliostyle_vtree.NodeContext;
+    var processor = new vivliostyle_grid.GridLayoutProcessor();
+    var grid, items, afterItems, gridAfter;
+
+    // A grid with one column and rows of the given heights (px), whose items
+    // are laid out one after another from the block-start of the column.
+    function createGrid(heights) {
+      var source = document.createElement("div");
+      var view = document.createElement("div");
+      view.style.gridTemplateRows = heights.join("px ") + "px";
+      grid = new NodeContext(source, null, 0);
+      grid.viewNode = view;
+      grid.formattingContext = new vivliostyle_grid.GridFormattingContext(
+        null,
+        source,
+      );
+      var top = 0;
+      items = [];
+      afterItems = [];
+      heights.forEach(function (height, i) {
+        var itemView = document.createElement("div");
+        itemView.style.gridRowStart = String(i + 1);
+        itemView.setAttribute("data-top", String(top));
+        itemView.setAttribute("data-bottom", String(top + height));
+        top += height;
+        var item = new NodeContext(document.createElement("div"), grid, 0);
+        item.viewNode = itemView;
+        items.push(item);
+        var after = item.copy().modify();
+        after.after = true;
+        afterItems.push(after);
+      });
+      gridAfter = grid.copy().modify();
+      gridAfter.after = true;
+    }
+
+    // A column of the given block size, whose block-start is at the given
+    // offset in the grid. The break positions saved by the processor are
+    // recorded with the block-start of the item after them.
+    function createColumn(blockSize, offset) {
+      var column = {
+        savedBreaks: [],
+        stopAtOverflow: true,
+        layoutConstraint: {
+          allowLayout: function () {
+            return true;
+          },
+        },
+        clientLayout: {
+          getElementClientRect: function (element) {
+            return {
+              top: Number(element.getAttribute("data-top")) - offset,
+              bottom: Number(element.getAttribute("data-bottom")) - offset,
+            };
+          },
+          getElementComputedStyle: function (element) {
+            return { gridTemplateRows: element.style.gridTemplateRows };
+          },
+        },
+        isFloatNodeContext: function () {
+          return false;
+        },
+        isBreakable: function () {
+          return true;
+        },
+        getBoxDir: function () {
+          return 1;
+        },
+        getBeforeEdge: function (rect) {
+          return rect.top;
+        },
+        getAfterEdge: function (rect) {
+          return rect.bottom;
+        },
+        buildDeepElementView: function (position) {
+          return vivliostyle_task.newResult(
+            afterItems[items.indexOf(position)],
+          );
+        },
+        nextInTree: function (position) {
+          var index = afterItems.indexOf(position);
+          return vivliostyle_task.newResult(
+            position === grid
+              ? items[0]
+              : index === items.length - 1
+                ? gridAfter
+                : items[index + 1],
+          );
+        },
+        checkOverflowAndSaveEdgeAndBreakPosition: function (position) {
+          var top = column.clientLayout.getElementClientRect(
+            position.viewNode,
+          ).top;
+          column.savedBreaks.push(top);
+          return top > blockSize;
+        },
+      };
+      return column;
+    }
+
+    function layout(nodeContext, column, callback) {
+      vivliostyle_task.start(function () {
+        processor.layout(nodeContext, column, true).then(callback);
+        return vivliostyle_task.newResult(true);
+      });
+    }
+
+    it("breaks a grid between the rows and continues the row tracks", function (done) {
+      createGrid([100, 100, 100, 100]);
+      var column = createColumn(250, 0);
+      layout(grid, column, function (result) {
+        expect(column.savedBreaks).toEqual([100, 200, 300]);
+        expect(result.sourceNode).toBe(items[3].sourceNode);
+        expect(result.overflow).toBe(true);
+        // The layout continues from the last break that does not overflow.
+        expect(
+          grid.formattingContext.continuations.get(items[2].sourceNode),
+        ).toEqual({ rowShift: 2, templateRows: "100px 100px" });
+
+        column = createColumn(250, 200);
+        layout(items[2], column, function (result) {
+          expect(column.savedBreaks).toEqual([100]);
+          expect(result).toBe(gridAfter);
+          expect(grid.viewNode.style.gridTemplateRows).toBe("100px 100px");
+          expect(items[2].viewNode.style.gridRowStart).toBe("1");
+          expect(items[3].viewNode.style.gridRowStart).toBe("2");
+          done();
+        });
+      });
+    });
+
+    it("does not break inside a row taller than the column", function (done) {
+      createGrid([300, 100]);
+      var column = createColumn(200, 0);
+      layout(grid, column, function (result) {
+        expect(column.savedBreaks).toEqual([300]);
+        expect(result.sourceNode).toBe(items[1].sourceNode);
+        expect(result.overflow).toBe(true);
+        done();
+      });
+    });
+  });
+});
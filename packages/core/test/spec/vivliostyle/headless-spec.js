@@ -0,0 +1,132 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import * as vivliostyle_css from "../../../src/vivliostyle/css";
+import * as vivliostyle_font from "../../../src/vivliostyle/font";
+import * as vivliostyle_headless from "../../../src/vivliostyle/headless";
+import * as vivliostyle_task from "../../../src/vivliostyle/task";
+
+describe("headless", function () {
+  describe("serializePage", function () {
+    it("serializes the page container with the page size", function () {
+      var container = document.createElement("div");
+      container.setAttribute("data-vivliostyle-page-container", "true");
+      container.style.display = "none";
+      container.innerHTML = "<p>a &lt; b</p>";
+      var page = {
+        container: container,
+        spineIndex: 2,
+        dimensions: { width: 300, height: 400 },
+      };
+      var result = vivliostyle_headless.serializePage(
+        page,
+        5,
+        "p::before { content: '<&>'; }",
+      );
+      expect(result.spineIndex).toBe(2);
+      expect(result.pageIndex).toBe(5);
+      expect(result.width).toBe(300);
+      expect(result.height).toBe(400);
+      expect(result.css).toContain("@page {size: 300px 400px; margin: 0;}");
+      expect(result.html).toContain("<style>p::before { content: '<&>'; }");
+      expect(result.html).toContain("<p>a &lt; b</p>");
+      expect(result.html).not.toContain("display: none");
+      // The original container is not modified.
+      expect(container.style.display).toBe("none");
+    });
+
+    it("does not let the CSS end the style element", function () {
+      var page = {
+        container: document.createElement("div"),
+        spineIndex: 0,
+        dimensions: { width: 300, height: 400 },
+      };
+      var result = vivliostyle_headless.serializePage(
+        page,
+        0,
+        "p::before { content: '</style>'; }",
+      );
+      expect(result.html).toContain("p::before { content: '<\\/style>'; }");
+    });
+  });
+
+  describe("renderHeadless", function () {
+    it("renders the pages and removes the added elements", function (done) {
+      var url = URL.createObjectURL(
+        new Blob(
+          [
+            "<!DOCTYPE html><html><head><title>Test</title></head>" +
+              "<body><p>Hello</p></body></html>",
+          ],
+          { type: "text/html" },
+        ),
+      );
+      var headCount = document.head.children.length;
+      var bodyCount = document.body.children.length;
+      vivliostyle_headless
+        .renderHeadless({ window: window, url: url, width: 400, height: 300 })
+        .then(function (pages) {
+          expect(pages.length).toBe(1);
+          expect(pages[0].html).toContain("Hello");
+          expect(document.head.children.length).toBe(headCount);
+          expect(document.body.children.length).toBe(bodyCount);
+          URL.revokeObjectURL(url);
+          done();
+        }, done.fail);
+    });
+  });
+
+  describe("Font.Mapper#getStandaloneFontFaceRules", function () {
+    it("inlines the font data loaded via blob URLs", function (done) {
+      var fontURL = URL.createObjectURL(new Blob(["font data"]));
+      var mapper = new vivliostyle_font.Mapper(
+        document.createElement("div"),
+        document.body,
+        "Headless_",
+      );
+      var face = new vivliostyle_font.Face({
+        "font-family": new vivliostyle_css.Str("Test"),
+        src: new vivliostyle_css.URL(fontURL),
+      });
+      // A deobfuscator makes the font loaded via a blob URL.
+      var documentFaces = new vivliostyle_font.DocumentFaces(function () {
+        return function (blob) {
+          return vivliostyle_task.newResult(blob);
+        };
+      });
+      vivliostyle_task.start(function () {
+        var frame = vivliostyle_task.newFrame("test");
+        mapper
+          .loadFont(face, documentFaces)
+          .get()
+          .thenAsync(function () {
+            return mapper.getStandaloneFontFaceRules();
+          })
+          .then(function (rules) {
+            expect(rules).toContain("font-family: Headless_1;");
+            expect(rules).toContain('src: url("data:');
+            expect(rules).not.toContain("blob:");
+            mapper.revokeBlobURLs();
+            URL.revokeObjectURL(fontURL);
+            frame.finish(true);
+            done();
+          });
+        return frame.result();
+      });
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+import * as vivliostyle_css from "../../../src/vivliostyle/css";
+import * as vivliostyle_hyphenation from "../../../src/vivliostyle/hyphenation";
+
+describe("hyphenation", function () {
+  // Patterns hyphenating "hyphenation" from Liang's thesis
+  var patterns = "hy3ph he2n hena4 hen5at 1na n2at 1tio 2io o2n";
+
+  describe("Hyphenator", function () {
+    var Hyphenator = vivliostyle_hyphenation.Hyphenator;
+
+    it("finds hyphenation opportunities with the patterns", function () {
+      var hyphenator = new Hyphenator(patterns);
+      expect(hyphenator.hyphenate("hyphenation", 2, 2)).toEqual([2, 6]);
+      expect(hyphenator.hyphenate("Hyphenation", 2, 2)).toEqual([2, 6]);
+    });
+
+    it("respects the minimum numbers of characters", function () {
+      var hyphenator = new Hyphenator(patterns);
+      expect(hyphenator.hyphenate("hyphenation", 3, 2)).toEqual([6]);
+      expect(hyphenator.hyphenate("hyphenation", 2, 6)).toEqual([2]);
+    });
+
+    it("uses the exceptions before the patterns", function () {
+      var hyphenator = new Hyphenator(patterns, "hy-phen-a-tion");
+      expect(hyphenator.hyphenate("hyphenation", 2, 2)).toEqual([2, 6, 7]);
+    });
+  });
+
+  describe("parsePatternFile", function () {
+    it("parses TeX pattern files", function () {
+      var hyphenator = vivliostyle_hyphenation.parsePatternFile(
+        "% comment\n\\patterns{\n" +
+          patterns +
+          "\n}\n\\hyphenation{hyph-en-ation}\n",
+      );
+      expect(hyphenator.hyphenate("hyphenation", 2, 2)).toEqual([4, 6]);
+      expect(hyphenator.hyphenate("hyphenate", 2, 2)).toEqual([2, 6]);
+    });
+  });
+
+  describe("getHyphenator", function () {
+    it("falls back to the language without subtags", function () {
+      vivliostyle_hyphenation.registerPatterns("x-test", patterns);
+      expect(vivliostyle_hyphenation.getHyphenator("x-test-CH")).not.toBe(null);
+      expect(vivliostyle_hyphenation.getHyphenator("X-Test")).not.toBe(null);
+      expect(vivliostyle_hyphenation.getHyphenator("x")).toBe(null);
+      expect(vivliostyle_hyphenation.getHyphenator(null)).toBe(null);
+    });
+  });
+
+  describe("resolveLimitChars", function () {
+    var resolveLimitChars = vivliostyle_hyphenation.resolveLimitChars;
+    var Css = vivliostyle_css;
+
+    it("resolves auto and missing values", function () {
+      expect(resolveLimitChars(undefined)).toEqual({
+        word: 5,
+        before: 2,
+        after: 2,
+      });
+      expect(resolveLimitChars("auto")).toEqual({
+        word: 5,
+        before: 2,
+        after: 2,
+      });
+      expect(resolveLimitChars(6)).toEqual({ word: 6, before: 2, after: 2 });
+    });
+
+    it("uses the second value for the missing third value", function () {
+      expect(
+        resolveLimitChars(new Css.SpaceList([new Css.Int(6), new Css.Int(3)])),
+      ).toEqual({ word: 6, before: 3, after: 3 });
+      expect(
+        resolveLimitChars(
+          new Css.SpaceList([Css.ident.auto, Css.ident.auto, new Css.Int(4)]),
+        ),
+      ).toEqual({ word: 5, before: 2, after: 4 });
+    });
+  });
+
+  describe("hyphenateText", function () {
+    it("inserts soft hyphens into words", function () {
+      var hyphenator = new vivliostyle_hyphenation.Hyphenator(patterns);
+      var limits = { word: 5, before: 2, after: 2 };
+      expect(
+        vivliostyle_hyphenation.hyphenateText(
+          "Hyphenation, hyphenation!",
+          hyphenator,
+          limits,
+        ),
+      ).toBe("Hy\u00ADphen\u00ADation, hy\u00ADphen\u00ADation!");
+      // Words with soft hyphens are left as they are.
+      expect(
+        vivliostyle_hyphenation.hyphenateText(
+          "hyphen\u00ADation",
+          hyphenator,
+          limits,
+        ),
+      ).toBe("hyphen\u00ADation");
+      expect(
+        vivliostyle_hyphenation.hyphenateText("hyphenation", hyphenator, {
+          word: 12,
+          before: 2,
+          after: 2,
+        }),
+      ).toBe("hyphenation");
+    });
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+import * as vivliostyle_constants from "../../../src/vivliostyle/constants";
+import * as vivliostyle_imposition from "../../../src/vivliostyle/imposition";
+
+describe("imposition", function () {
+  var module = vivliostyle_imposition;
+  var Mode = module.ImpositionMode;
+  var LTR = vivliostyle_constants.PageProgression.LTR;
+  var RTL = vivliostyle_constants.PageProgression.RTL;
+
+  function indices(sides) {
+    return sides.map(function (side) {
+      return side.pageIndices;
+    });
+  }
+
+  describe("imposePages", function () {
+    it("imposes 8 pages for saddle stitch", function () {
+      var sides = module.imposePages(8, { mode: Mode.SADDLE_STITCH }, LTR);
+      expect(indices(sides)).toEqual([
+        [7, 0],
+        [1, 6],
+        [5, 2],
+        [3, 4],
+      ]);
+      sides.forEach(function (side) {
+        expect(side.columns).toBe(2);
+        expect(side.rows).toBe(1);
+      });
+    });
+
+    it("pads saddle stitch with blank pages to a multiple of 4", function () {
+      var sides = module.imposePages(6, { mode: Mode.SADDLE_STITCH }, LTR);
+      expect(indices(sides)).toEqual([
+        [null, 0],
+        [1, null],
+        [5, 2],
+        [3, 4],
+      ]);
+    });
+
+    it("mirrors the sheets for right-to-left page progression", function () {
+      var sides = module.imposePages(4, { mode: Mode.SADDLE_STITCH }, RTL);
+      expect(indices(sides)).toEqual([
+        [0, 3],
+        [2, 1],
+      ]);
+    });
+
+    it("imposes perfect-bound signatures in order", function () {
+      var sides = module.imposePages(
+        10,
+        { mode: Mode.PERFECT_BOUND, signaturePages: 8 },
+        LTR,
+      );
+      expect(indices(sides)).toEqual([
+        [7, 0],
+        [1, 6],
+        [5, 2],
+        [3, 4],
+        [null, 8],
+        [9, null],
+      ]);
+    });
+
+    it("imposes n-up sheets in page order", function () {
+      var sides = module.imposePages(
+        5,
+        { mode: Mode.N_UP, pagesPerSheet: 4 },
+        LTR,
+      );
+      expect(indices(sides)).toEqual([
+        [0, 1, 2, 3],
+        [4, null, null, null],
+      ]);
+      expect(sides[0].columns).toBe(2);
+      expect(sides[0].rows).toBe(2);
+
+      sides = module.imposePages(3, { mode: Mode.N_UP, pagesPerSheet: 2 }, RTL);
+      expect(indices(sides)).toEqual([
+        [1, 0],
+        [null, 2],
+      ]);
+    });
+
+    it("returns no sheets without imposition or pages", function () {
+      expect(module.imposePages(4, { mode: Mode.NONE }, LTR)).toEqual([]);
+      expect(module.imposePages(0, { mode: Mode.SADDLE_STITCH }, LTR)).toEqual(
+        [],
+      );
+    });
+  });
+
+  describe("getGridSize", function () {
+    it("returns the grid with rows not more than columns", function () {
+      expect(module.getGridSize(1)).toEqual({ columns: 1, rows: 1 });
+      expect(module.getGridSize(2)).toEqual({ columns: 2, rows: 1 });
+      expect(module.getGridSize(4)).toEqual({ columns: 2, rows: 2 });
+      expect(module.getGridSize(6)).toEqual({ columns: 3, rows: 2 });
+      expect(module.getGridSize(8)).toEqual({ columns: 4, rows: 2 });
+      expect(module.getGridSize(7)).toEqual({ columns: 7, rows: 1 });
+    });
+  });
+
+  describe("normalizeImpositionOptions", function () {
+    it("fills in the defaults", function () {
+      expect(
+        module.normalizeImpositionOptions({ mode: Mode.PERFECT_BOUND }),
+      ).toEqual({
+        mode: Mode.PERFECT_BOUND,
+        signaturePages: 16,
+        pagesPerSheet: 2,
+      });
+    });
+
+    it("rejects unknown modes and invalid values", function () {
+      expect(module.normalizeImpositionOptions({ mode: "foo" })).toBe(null);
+      expect(module.normalizeImpositionOptions(null)).toBe(null);
+      expect(
+        module.normalizeImpositionOptions({
+          mode: Mode.PERFECT_BOUND,
+          signaturePages: 6,
+          pagesPerSheet: 0,
+        }),
+      ).toEqual({
+        mode: Mode.PERFECT_BOUND,
+        signaturePages: 16,
+        pagesPerSheet: 2,
+      });
+    });
+  });
+
+  describe("computeSheetLayout", function () {
+    it("uses the largest trim size and crop offset of the pages", function () {
+      var layout = module.computeSheetLayout(
+        [
+          {
+            pageWidth: 400,
+            pageHeight: 600,
+            bleed: 10,
+            bleedOffset: 30,
+            cropOffset: 40,
+          },
+          {
+            pageWidth: 380,
+            pageHeight: 620,
+            bleed: 0,
+            bleedOffset: 0,
+            cropOffset: 0,
+          },
+        ],
+        2,
+        1,
+      );
+      expect(layout).toEqual({
+        columns: 2,
+        rows: 1,
+        cellWidth: 400,
+        cellHeight: 620,
+        bleed: 10,
+        margin: 40,
+        width: 880,
+        height: 700,
+      });
+    });
+  });
+
+  describe("createSheet", function () {
+    function createPage(html) {
+      var container = document.createElement("div");
+      container.innerHTML = html;
+      return { container: container, dimensions: { width: 400, height: 600 } };
+    }
+
+    it("makes the ids in the copies of the pages unique", function () {
+      var pages = [
+        createPage(
+          '<p id="p1">text</p><label for="c1 p1">label</label><input id="c1">' +
+            '<a href="#p1">link</a><a href="#other">other</a>' +
+            '<div style="clip-path: url(#clip)"></div>' +
+            '<svg><clipPath id="clip"></clipPath><use href="#clip"/></svg>',
+        ),
+        createPage('<p id="p1">text</p>'),
+      ];
+      var layout = module.computeSheetLayout(
+        pages.map(function (page) {
+          return {
+            pageWidth: 400,
+            pageHeight: 600,
+            bleed: 0,
+            bleedOffset: 0,
+            cropOffset: 0,
+          };
+        }),
+        2,
+        1,
+      );
+      var sheet = module.createSheet(
+        document,
+        pages,
+        { columns: 2, rows: 1, pageIndices: [1, 0] },
+        layout,
+      );
+      var copies = sheet.querySelectorAll("[" + module.IMPOSED_PAGE_ATTR + "]");
+      expect(copies[0].querySelector("p").id).toBe("p1-imposed-1");
+      var copy = copies[1];
+      expect(copy.querySelector("p").id).toBe("p1-imposed-0");
+      expect(copy.querySelector("input").id).toBe("c1-imposed-0");
+      expect(copy.querySelector("label").getAttribute("for")).toBe(
+        "c1-imposed-0 p1-imposed-0",
+      );
+      var links = copy.querySelectorAll("a");
+      expect(links[0].getAttribute("href")).toBe("#p1-imposed-0");
+      expect(links[1].getAttribute("href")).toBe("#other");
+      expect(copy.querySelector("div").getAttribute("style")).toContain(
+        "url(#clip-imposed-0)",
+      );
+      expect(copy.querySelector("clipPath").id).toBe("clip-imposed-0");
+      expect(copy.querySelector("use").getAttribute("href")).toBe(
+        "#clip-imposed-0",
+      );
+      expect(pages[0].container.querySelector("p").id).toBe("p1");
+    });
+  });
+});
@@ -102,6 +102,41 @@ describe("layout", function () {
         );
         expect(textNode.replaceData).toHaveBeenCalledWith(8, 9, "");
       });
+
+      describe("with hyphenate-limit-last", function () {
+        var paragraphText;
+        beforeEach(function () {
+          paragraphText = {
+            length: 15,
+            data: "abc defgh\u00ADij kl",
+            replaceData: function () {},
+          };
+          spyOn(paragraphText, "replaceData").and.callThrough();
+          nodeContext.preprocessedTextContent = null;
+        });
+
+        it("breaks at the soft hyphen if the value is none.", function () {
+          nodeContext.inheritedProps = { "hyphenate-limit-last": "none" };
+          var newContext = breaker.breakTextNode(
+            paragraphText,
+            nodeContext,
+            12,
+          );
+          expect(newContext.offsetInNode).toEqual(10);
+          expect(paragraphText.replaceData).toHaveBeenCalledWith(9, 6, "_");
+        });
+
+        it("breaks at the preceding space instead of the soft hyphen if the value is always.", function () {
+          nodeContext.inheritedProps = { "hyphenate-limit-last": "always" };
+          var newContext = breaker.breakTextNode(
+            paragraphText,
+            nodeContext,
+            12,
+          );
+          expect(newContext.offsetInNode).toEqual(4);
+          expect(paragraphText.replaceData).toHaveBeenCalledWith(4, 11, "");
+        });
+      });
     });
   });
 
@@ -125,6 +160,36 @@ describe("layout", function () {
       expect(adapt_layout.resolveHyphenateCharacter({})).toEqual("-");
     });
   });
+
+  describe("adapt_layout.getLineGridSpace", function () {
+    it("returns the space to the next multiple of the pitch.", function () {
+      expect(adapt_layout.getLineGridSpace(30, 24)).toBe(18);
+      expect(adapt_layout.getLineGridSpace(5, 24)).toBe(19);
+    });
+    it("returns 0 for a multiple of the pitch, ignoring rounding errors.", function () {
+      expect(adapt_layout.getLineGridSpace(0, 24)).toBe(0);
+      expect(adapt_layout.getLineGridSpace(48, 24)).toBe(0);
+      expect(adapt_layout.getLineGridSpace(47.999, 24)).toBe(0);
+      expect(adapt_layout.getLineGridSpace(48.001, 24)).toBe(0);
+    });
+    it("handles negative lengths.", function () {
+      expect(adapt_layout.getLineGridSpace(-6, 24)).toBe(6);
+    });
+    it("returns 0 without a grid.", function () {
+      expect(adapt_layout.getLineGridSpace(30, 0)).toBe(0);
+    });
+  });
+
+  describe("adapt_layout.snapLineHeight", function () {
+    it("rounds up the line height to a multiple of the pitch.", function () {
+      expect(adapt_layout.snapLineHeight(24, 24)).toBe(24);
+      expect(adapt_layout.snapLineHeight(16, 24)).toBe(24);
+      expect(adapt_layout.snapLineHeight(36, 24)).toBe(48);
+    });
+    it("keeps the line height without a grid.", function () {
+      expect(adapt_layout.snapLineHeight(36, 0)).toBe(36);
+    });
+  });
 });
 
 describe("selectors", function () {
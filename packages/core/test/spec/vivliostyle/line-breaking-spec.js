@@ -0,0 +1,100 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+import * as vivliostyle_line_breaking from "../../../src/vivliostyle/line-breaking";
+
+describe("line-breaking", function () {
+  describe("findOptimalBreaks", function () {
+    var findOptimalBreaks = vivliostyle_line_breaking.findOptimalBreaks;
+    var INFINITE_PENALTY = vivliostyle_line_breaking.INFINITE_PENALTY;
+
+    function box(width) {
+      return { type: "box", width: width };
+    }
+
+    function space() {
+      return { type: "glue", width: 10, stretch: 5, shrink: 0 };
+    }
+
+    function hyphen() {
+      return { type: "penalty", width: 5, penalty: 50, flagged: true };
+    }
+
+    function paragraph(items) {
+      return items.concat([
+        { type: "glue", width: 0, stretch: INFINITE_PENALTY, shrink: 0 },
+        {
+          type: "penalty",
+          width: 0,
+          penalty: -INFINITE_PENALTY,
+          flagged: true,
+        },
+      ]);
+    }
+
+    function words(widths) {
+      var items = [];
+      widths.forEach(function (width, i) {
+        if (i > 0) {
+          items.push(space());
+        }
+        items.push(box(width));
+      });
+      return paragraph(items);
+    }
+
+    function positions(breaks) {
+      return breaks.map(function (b) {
+        return b.position;
+      });
+    }
+
+    it("breaks lines at glues with adjustment ratios", function () {
+      var breaks = findOptimalBreaks(words([30, 30, 30, 30, 30, 30]), [75]);
+      expect(positions(breaks)).toEqual([3, 7, 12]);
+      expect(breaks[0].ratio).toBe(1);
+      expect(breaks[1].ratio).toBe(1);
+    });
+
+    it("avoids a loose line that greedy breaking would produce", function () {
+      // Greedy breaking fills the first line exactly and leaves the second
+      // line with the adjustment ratio 6.
+      var breaks = findOptimalBreaks(words([40, 10, 10, 10, 50, 10, 40]), [
+        100,
+      ]);
+      expect(positions(breaks)).toEqual([5, 11, 14]);
+      expect(breaks[0].ratio).toBe(2);
+      expect(breaks[1].ratio).toBe(1);
+    });
+
+    it("uses the first line width for the first line", function () {
+      var items = words([20, 20, 20, 20, 20]);
+      expect(positions(findOptimalBreaks(items, [100]))).toEqual([5, 10]);
+      expect(positions(findOptimalBreaks(items, [55, 100]))).toEqual([3, 10]);
+    });
+
+    it("breaks at hyphenation opportunities only when needed", function () {
+      var items = paragraph([box(40), space(), box(25), hyphen(), box(25)]);
+      expect(positions(findOptimalBreaks(items, [80]))).toEqual([3, 6]);
+      expect(positions(findOptimalBreaks(items, [100]))).toEqual([6]);
+    });
+
+    it("returns null if a line cannot be fitted", function () {
+      expect(findOptimalBreaks(words([150, 20]), [100])).toBe(null);
+      expect(findOptimalBreaks(words([40, 40]), [45])).toBe(null);
+    });
+  });
+});
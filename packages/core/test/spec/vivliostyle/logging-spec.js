@@ -103,5 +103,22 @@ describe("logging", function () {
         messages: [str1, str2],
       });
     });
+
+    it("passes a source location given as the last argument to listeners", function () {
+      var location = new vivliostyle_logging.SourceLocation(
+        "http://example.com/style.css",
+        2,
+        3,
+        "color",
+      );
+      var warnListener = jasmine.createSpy("warn listener");
+      logger.addListener(vivliostyle_logging.LogLevel.WARN, warnListener);
+      logger.warn(str1, str2, location);
+      expect(warnListener).toHaveBeenCalledWith({
+        error: null,
+        messages: [str1, str2],
+        location: location,
+      });
+    });
   });
 });
@@ -0,0 +1,61 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+import * as Constants from "../../../src/vivliostyle/constants";
+import * as MarginNotes from "../../../src/vivliostyle/margin-notes";
+
+describe("margin-notes", function () {
+  describe("resolveMarginNoteSide", function () {
+    var resolveMarginNoteSide = MarginNotes.resolveMarginNoteSide;
+
+    it("returns the outside margin in horizontal writing mode", function () {
+      expect(resolveMarginNoteSide(Constants.PageSide.LEFT, false)).toBe(
+        "left",
+      );
+      expect(resolveMarginNoteSide(Constants.PageSide.RIGHT, false)).toBe(
+        "right",
+      );
+      expect(resolveMarginNoteSide(null, false)).toBe("right");
+    });
+
+    it("returns the top margin in vertical writing mode", function () {
+      expect(resolveMarginNoteSide(Constants.PageSide.LEFT, true)).toBe("top");
+      expect(resolveMarginNoteSide(Constants.PageSide.RIGHT, true)).toBe("top");
+    });
+  });
+
+  describe("findMarginNotePosition", function () {
+    var findMarginNotePosition = MarginNotes.findMarginNotePosition;
+
+    it("aligns the note to the preferred position", function () {
+      expect(findMarginNotePosition(100, 30, 0, 500)).toBe(100);
+    });
+
+    it("moves the note after the preceding notes", function () {
+      expect(findMarginNotePosition(100, 30, 120, 500)).toBe(120);
+    });
+
+    it("moves the note back to fit in the space", function () {
+      expect(findMarginNotePosition(480, 30, 0, 500)).toBe(470);
+      expect(findMarginNotePosition(-10, 30, 0, 500)).toBe(0);
+    });
+
+    it("returns null if the note does not fit after the preceding notes", function () {
+      expect(findMarginNotePosition(100, 30, 480, 500)).toBe(null);
+      expect(findMarginNotePosition(0, 600, 0, 500)).toBe(null);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import * as vivliostyle_constants from "../../../src/vivliostyle/constants";
+import * as vivliostyle_media_overlay from "../../../src/vivliostyle/media-overlay";
+
+describe("media-overlay", function () {
+  var mediaOverlay = vivliostyle_media_overlay;
+  var State = vivliostyle_constants.MediaOverlayState;
+
+  describe("parseClockValue", function () {
+    it("parses clock values", function () {
+      expect(mediaOverlay.parseClockValue("0:01:02.5")).toBe(62.5);
+      expect(mediaOverlay.parseClockValue("02:30")).toBe(150);
+      expect(mediaOverlay.parseClockValue("1.5s")).toBe(1.5);
+      expect(mediaOverlay.parseClockValue("500ms")).toBe(0.5);
+      expect(mediaOverlay.parseClockValue("2min")).toBe(120);
+      expect(mediaOverlay.parseClockValue("1h")).toBe(3600);
+      expect(mediaOverlay.parseClockValue("12.3")).toBe(12.3);
+      expect(mediaOverlay.parseClockValue("abc")).toBe(null);
+      expect(mediaOverlay.parseClockValue(null)).toBe(null);
+    });
+  });
+
+  describe("parseSMIL", function () {
+    it("collects the clips in document order", function () {
+      var doc = new DOMParser().parseFromString(
+        "<smil xmlns='http://www.w3.org/ns/SMIL' version='3.0'><body>" +
+          "<par><text src='../ch1.xhtml#p1'/>" +
+          "<audio src='audio/ch1.mp3' clipBegin='0:00:01' clipEnd='2.5s'/></par>" +
+          "<seq><par><text src='../ch1.xhtml#p2'/>" +
+          "<audio src='audio/ch1.mp3' clipBegin='2.5s'/></par></seq>" +
+          "<par><text src='../ch1.xhtml#p3'/></par>" +
+          "<par><audio src='audio/ch1.mp3'/></par>" +
+          "</body></smil>",
+        "application/xml",
+      );
+      var clips = mediaOverlay.parseSMIL(
+        doc,
+        "http://example.com/book/smil/ch1.smil",
+      );
+      expect(clips).toEqual([
+        {
+          textSrc: "http://example.com/book/ch1.xhtml#p1",
+          audioSrc: "http://example.com/book/smil/audio/ch1.mp3",
+          clipBegin: 1,
+          clipEnd: 2.5,
+        },
+        {
+          textSrc: "http://example.com/book/ch1.xhtml#p2",
+          audioSrc: "http://example.com/book/smil/audio/ch1.mp3",
+          clipBegin: 2.5,
+          clipEnd: null,
+        },
+        {
+          textSrc: "http://example.com/book/ch1.xhtml#p3",
+          audioSrc: null,
+          clipBegin: 0,
+          clipEnd: null,
+        },
+      ]);
+    });
+  });
+
+  describe("MediaOverlayPlayer", function () {
+    var audio;
+    var host;
+    var activated;
+    var states;
+
+    function clip(id) {
+      return {
+        textSrc: "doc.xhtml#" + id,
+        audioSrc: "a.mp3",
+        clipBegin: 0,
+        clipEnd: null,
+      };
+    }
+
+    function ids() {
+      return activated.map(function (c) {
+        return c ? c.textSrc.split("#")[1] : null;
+      });
+    }
+
+    beforeEach(function () {
+      activated = [];
+      states = [];
+      audio = {
+        onEnded: null,
+        play: function (src, begin, end, onEnded) {
+          this.onEnded = onEnded;
+        },
+        pause: jasmine.createSpy("pause"),
+        resume: jasmine.createSpy("resume"),
+        stop: function () {
+          this.onEnded = null;
+        },
+        end: function () {
+          var onEnded = this.onEnded;
+          this.onEnded = null;
+          onEnded();
+        },
+      };
+      var clips = [[clip("a"), clip("b")], null, [clip("c")]];
+      host = {
+        spineCount: 3,
+        loadClips: function (spineIndex) {
+          return Promise.resolve(clips[spineIndex]);
+        },
+        getStartClipIndex: function () {
+          return 0;
+        },
+        activate: function (c) {
+          activated.push(c);
+        },
+        stateChanged: function (state) {
+          states.push(state);
+        },
+      };
+    });
+
+    it("plays the clips across the spine items", function (done) {
+      var player = new mediaOverlay.MediaOverlayPlayer(host, audio);
+      player
+        .play(0)
+        .then(function () {
+          expect(ids()).toEqual(["a"]);
+          expect(player.state).toBe(State.PLAYING);
+          audio.end();
+          expect(ids()).toEqual(["a", "b"]);
+          audio.end();
+          // The spine item without media overlay is skipped.
+          return new Promise(function (resolve) {
+            setTimeout(resolve, 0);
+          });
+        })
+        .then(function () {
+          expect(ids()).toEqual(["a", "b", "c"]);
+          expect(player.spineIndex).toBe(2);
+          audio.end();
+          return new Promise(function (resolve) {
+            setTimeout(resolve, 0);
+          });
+        })
+        .then(function () {
+          expect(ids()).toEqual(["a", "b", "c", null]);
+          expect(states).toEqual([State.PLAYING, State.STOPPED]);
+          done();
+        });
+    });
+
+    it("pauses, resumes and stops", function (done) {
+      var player = new mediaOverlay.MediaOverlayPlayer(host, audio);
+      player.play(0).then(function () {
+        player.pause();
+        expect(audio.pause).toHaveBeenCalled();
+        expect(player.state).toBe(State.PAUSED);
+        player.play();
+        expect(audio.resume).toHaveBeenCalled();
+        expect(player.state).toBe(State.PLAYING);
+        player.skip(1);
+        expect(ids()).toEqual(["a", "b"]);
+        player.skip(1);
+        expect(ids()).toEqual(["a", "b"]);
+        player.stop();
+        expect(ids()).toEqual(["a", "b", null]);
+        expect(player.activeClip).toBe(null);
+        expect(states).toEqual([
+          State.PLAYING,
+          State.PAUSED,
+          State.PLAYING,
+          State.STOPPED,
+        ]);
+        done();
+      });
+    });
+
+    it("stops if the clips fail to load", function (done) {
+      host.loadClips = function () {
+        return Promise.reject(new Error("Failed"));
+      };
+      var player = new mediaOverlay.MediaOverlayPlayer(host, audio);
+      player.play(0).then(function () {
+        expect(ids()).toEqual([]);
+        expect(player.state).toBe(State.STOPPED);
+        done();
+      }, done.fail);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import * as vivliostyle_pdf from "../../../src/vivliostyle/pdf";
+
+describe("pdf", function () {
+  describe("encodeTextString", function () {
+    it("encodes a string as UTF-16BE with BOM", function () {
+      expect(vivliostyle_pdf.encodeTextString("Aあ")).toBe("<FEFF00413042>");
+    });
+  });
+
+  describe("encodeName", function () {
+    it("escapes delimiters and non-ASCII characters", function () {
+      expect(vivliostyle_pdf.encodeName("sec-1.2")).toBe("/sec-1.2");
+      expect(vivliostyle_pdf.encodeName("a b#(c)")).toBe("/a#20b#23#28c#29");
+      expect(vivliostyle_pdf.encodeName("é")).toBe("/#C3#A9");
+    });
+  });
+
+  describe("outlineFromBookmarks", function () {
+    it("nests bookmarks by level", function () {
+      var outline = vivliostyle_pdf.outlineFromBookmarks([
+        { level: 1, label: "Part", open: true, pageIndex: 0 },
+        { level: 3, label: "Section", open: true, pageIndex: 1 },
+        { level: 2, label: "Chapter", open: false, pageIndex: 2 },
+        { level: 1, label: "Appendix", open: true, pageIndex: 3 },
+      ]);
+      expect(outline.length).toBe(2);
+      expect(outline[0].title).toBe("Part");
+      expect(
+        outline[0].children.map(function (item) {
+          return item.title;
+        }),
+      ).toEqual(["Section", "Chapter"]);
+      expect(outline[0].children[1].open).toBe(false);
+      expect(outline[1].title).toBe("Appendix");
+      expect(outline[1].pageIndex).toBe(3);
+    });
+  });
+
+  describe("encodeDate", function () {
+    it("formats a date in UTC", function () {
+      expect(
+        vivliostyle_pdf.encodeDate(new Date(Date.UTC(2026, 0, 2, 3, 4, 5))),
+      ).toBe("(D:20260102030405Z)");
+    });
+  });
+
+  describe("createPDF", function () {
+    var pages = [
+      // 100mm x 150mm trim box with 3mm bleed and crop marks
+      {
+        width: 480,
+        height: 668,
+        bleed: 12,
+        cropOffset: 50,
+        image: { data: new Uint8Array([1, 2, 3]), width: 960, height: 1336 },
+      },
+      { width: 400, height: 600, bleed: 0, cropOffset: 0, image: null },
+    ];
+    var outline = [
+      {
+        title: "Chapter 1",
+        pageIndex: 0,
+        children: [{ title: "Section", pageIndex: 1, children: [] }],
+      },
+      { title: "Unknown", pageIndex: -1, children: [] },
+    ];
+    var info = {
+      title: "Title",
+      language: "en",
+      creationDate: new Date(Date.UTC(2026, 0, 1)),
+    };
+
+    function readPDF(done, callback, destinations) {
+      vivliostyle_pdf
+        .createPDF(pages, outline, info, destinations)
+        .arrayBuffer()
+        .then(function (buffer) {
+          var text = Array.from(new Uint8Array(buffer))
+            .map(function (c) {
+              return String.fromCharCode(c);
+            })
+            .join("");
+          callback(text);
+          done();
+        });
+    }
+
+    it("writes the page boxes in pt", function (done) {
+      readPDF(done, function (text) {
+        expect(text).toMatch(/^%PDF-1\.7\n/);
+        expect(text).toContain("/Type /Pages /Kids [3 0 R 4 0 R] /Count 2");
+        expect(text).toContain("/MediaBox [0 0 360 501]");
+        expect(text).toContain("/BleedBox [28.5 28.5 331.5 472.5]");
+        expect(text).toContain("/TrimBox [37.5 37.5 322.5 463.5]");
+        expect(text).toContain("/MediaBox [0 0 300 450]");
+        expect(text).toContain("/Width 960 /Height 1336");
+        expect(text).toContain("q 360 0 0 501 0 0 cm /Im0 Do Q");
+      });
+    });
+
+    it("writes the outline and document information", function (done) {
+      readPDF(done, function (text) {
+        var chapter = vivliostyle_pdf.encodeTextString("Chapter 1");
+        var unknown = vivliostyle_pdf.encodeTextString("Unknown");
+        expect(text).toMatch(/\/Type \/Outlines \/First \d+ 0 R .* \/Count 3/);
+        expect(text).toMatch(
+          new RegExp(
+            "/Title " +
+              chapter +
+              " .*/Dest \\[3 0 R /Fit\\] /First .* /Count 1",
+          ),
+        );
+        expect(text).not.toMatch(
+          new RegExp("/Title " + unknown + "[^\\n]*/Dest"),
+        );
+        expect(text).toContain(
+          "/Title " + vivliostyle_pdf.encodeTextString("Title"),
+        );
+        expect(text).toContain(
+          "/Lang " + vivliostyle_pdf.encodeTextString("en"),
+        );
+        expect(text).toContain("/CreationDate (D:20260101000000Z)");
+      });
+    });
+
+    it("writes closed outline items and named destinations", function (done) {
+      outline[0].open = false;
+      readPDF(
+        function () {
+          outline[0].open = true;
+          done();
+        },
+        function (text) {
+          expect(text).toMatch(/\/Type \/Outlines .* \/Count 2/);
+          expect(text).toMatch(/\/First \d+ 0 R \/Last \d+ 0 R \/Count -1/);
+          expect(text).toContain("/Dests");
+          expect(text).toContain("/chapter#201 [3 0 R /XYZ null null null]");
+          expect(text).not.toContain("/missing");
+        },
+        { "chapter 1": 0, missing: 5 },
+      );
+    });
+
+    it("writes a valid cross-reference table", function (done) {
+      readPDF(done, function (text) {
+        var xrefOffset = parseInt(text.match(/startxref\n(\d+)/)[1], 10);
+        expect(text.substring(xrefOffset, xrefOffset + 4)).toBe("xref");
+        var offsets = text.match(/\d{10} 00000 n /g);
+        offsets.forEach(function (entry, i) {
+          var offset = parseInt(entry, 10);
+          expect(text.substring(offset).indexOf(i + 1 + " 0 obj")).toBe(0);
+        });
+      });
+    });
+  });
+});
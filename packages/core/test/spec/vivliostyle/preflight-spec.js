@@ -0,0 +1,178 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+import * as vivliostyle_epub from "../../../src/vivliostyle/epub";
+import * as vivliostyle_preflight from "../../../src/vivliostyle/preflight";
+import * as vivliostyle_task from "../../../src/vivliostyle/task";
+
+describe("preflight", function () {
+  describe("getEffectiveResolution", function () {
+    var getEffectiveResolution = vivliostyle_preflight.getEffectiveResolution;
+
+    it("returns the resolution in dpi of the rendered image", function () {
+      expect(getEffectiveResolution(300, 300, 96, 96)).toBe(300);
+      expect(getEffectiveResolution(600, 300, 384, 192)).toBe(150);
+    });
+
+    it("returns the lower one of the horizontal and vertical resolutions", function () {
+      expect(getEffectiveResolution(300, 150, 96, 96)).toBe(150);
+    });
+  });
+
+  describe("findOverflowingElements", function () {
+    var findOverflowingElements = vivliostyle_preflight.findOverflowingElements;
+
+    function setRect(element, left, top, width, height) {
+      element.getBoundingClientRect = function () {
+        return {
+          left: left,
+          top: top,
+          right: left + width,
+          bottom: top + height,
+          width: width,
+          height: height,
+        };
+      };
+    }
+
+    function createPage() {
+      var page = document.createElement("div");
+      page.innerHTML =
+        '<div id="column">' +
+        '<p data-adapt-eloff="1"><span data-adapt-eloff="2"></span></p>' +
+        '<p data-adapt-eloff="3"><img data-adapt-eloff="4"></p>' +
+        "</div>";
+      document.body.appendChild(page);
+      setRect(page, 0, 0, 500, 700);
+      setRect(page.querySelector("#column"), 50, 50, 400, 600);
+      page.querySelectorAll("[data-adapt-eloff]").forEach(function (e) {
+        setRect(e, 50, 50, 400, 20);
+      });
+      return page;
+    }
+
+    it("returns no elements if the content fits in its container", function () {
+      var page = createPage();
+      expect(findOverflowingElements(page)).toEqual([]);
+      page.remove();
+    });
+
+    it("returns the outermost overflowing elements", function () {
+      var page = createPage();
+      var p = page.querySelector('[data-adapt-eloff="1"]');
+      setRect(p, 50, 640, 400, 40);
+      setRect(page.querySelector('[data-adapt-eloff="2"]'), 50, 660, 400, 20);
+      var img = page.querySelector("img");
+      setRect(img, 50, 50, 420, 20);
+      expect(findOverflowingElements(page)).toEqual([p, img]);
+      page.remove();
+    });
+
+    it("ignores overflow within the tolerance and empty elements", function () {
+      var page = createPage();
+      setRect(page.querySelector('[data-adapt-eloff="1"]'), 50, 50, 400.5, 20);
+      setRect(page.querySelector("img"), 500, 50, 0, 0);
+      expect(findOverflowingElements(page)).toEqual([]);
+      page.remove();
+    });
+
+    it("ignores absolutely positioned elements", function () {
+      var page = createPage();
+      var p = page.querySelector('[data-adapt-eloff="3"]');
+      p.style.position = "absolute";
+      setRect(p, 0, 0, 500, 700);
+      setRect(page.querySelector("img"), 0, 0, 500, 700);
+      expect(findOverflowingElements(page)).toEqual([]);
+      page.remove();
+    });
+  });
+
+  describe("collectIssues", function () {
+    function createPage(spineIndex, isBlankPage) {
+      return {
+        container: document.createElement("div"),
+        spineIndex: spineIndex,
+        offset: 0,
+        isBlankPage: isBlankPage,
+        dimensions: { width: 0, height: 0 },
+      };
+    }
+
+    // The second spine item is rendered without the first one, which is
+    // counted as 3 pages by the viewer.
+    function createOPFView() {
+      var opf = {
+        spine: [
+          { epage: 0, epageCount: 3 },
+          { epage: 3, epageCount: 2 },
+        ],
+        epageIsRenderedPage: true,
+        getEPageFromPosition:
+          vivliostyle_epub.OPFDoc.prototype.getEPageFromPosition,
+        getCFI: function (spineIndex, offsetInItem) {
+          return vivliostyle_task.newResult(
+            "epubcfi(/6/" + (spineIndex + 1) * 2 + "!)",
+          );
+        },
+        documentURLTransformer: {
+          restoreURL: function (url) {
+            return ["chapter.html", url.replace(/^#/, "")];
+          },
+        },
+        store: { loadErrors: [] },
+      };
+      return {
+        opf: opf,
+        spineItems: [
+          null,
+          { pages: [createPage(1, false), createPage(1, true)] },
+        ],
+        counterStore: {
+          getUnresolvedReferences: function () {
+            return [{ targetId: "#note", spineIndex: 1, pageIndex: 0 }];
+          },
+        },
+      };
+    }
+
+    var fontMapper = {
+      getFailedFaces: function () {
+        return [{ family: "Foo", src: 'url("foo.woff") format("woff")' }];
+      },
+    };
+
+    it("reports the issues with the page indices shown by the viewer", function (done) {
+      vivliostyle_task.start(function () {
+        vivliostyle_preflight
+          .collectIssues(createOPFView(), fontMapper, {})
+          .then(function (issues) {
+            expect(
+              issues.map(function (issue) {
+                return [issue.type, issue.pageIndex, issue.url];
+              }),
+            ).toEqual([
+              ["unresolvedReference", 3, "chapter.html#note"],
+              ["blankPage", 4, null],
+              ["fontFallback", null, "foo.woff"],
+            ]);
+            expect(issues[2].message).toBe('Web font "Foo" failed to load');
+            done();
+          });
+        return vivliostyle_task.newResult(true);
+      });
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import * as vivliostyle_task from "../../../src/vivliostyle/task";
+
+describe("task", function () {
+  var task = vivliostyle_task;
+
+  describe("Task#interrupt", function () {
+    it("throws the error in the context of the blocked task", function (done) {
+      var error = new Error("interrupted");
+      var handledError = null;
+      var handledInTask = false;
+      var blocked = task.start(function () {
+        return task.handle(
+          "blocked",
+          function (frame) {
+            // Never resumed
+            frame.suspend();
+          },
+          function (frame, err) {
+            handledError = err;
+            handledInTask = task.currentTask() === blocked;
+            frame.finish("finished by the handler");
+          },
+        );
+      });
+      task.start(function () {
+        var frame = task.newFrame("interrupter");
+        blocked.interrupt(error);
+        blocked.join().then(function (result) {
+          expect(handledError).toBe(error);
+          expect(handledInTask).toBe(true);
+          expect(result).toBe("finished by the handler");
+          frame.finish(true);
+          done();
+        });
+        return frame.result();
+      });
+    });
+
+    it("throws the error at once when called in the task itself", function (done) {
+      var error = new Error("interrupted");
+      var interrupting = false;
+      var handledError = null;
+      var handledAtOnce = false;
+      var self = task.start(function () {
+        return task.handle(
+          "self",
+          function (frame) {
+            interrupting = true;
+            task.currentTask().interrupt(error);
+            interrupting = false;
+          },
+          function (frame, err) {
+            handledError = err;
+            handledAtOnce = interrupting;
+            frame.finish("finished by the handler");
+          },
+        );
+      });
+      task.start(function () {
+        var frame = task.newFrame("joiner");
+        self.join().then(function (result) {
+          expect(handledError).toBe(error);
+          expect(handledAtOnce).toBe(true);
+          expect(result).toBe("finished by the handler");
+          frame.finish(true);
+          done();
+        });
+        return frame.result();
+      });
+    });
+
+    it("cancels the wait of a sleeping task", function (done) {
+      var error = new Error("interrupted");
+      var resumed = false;
+      var sleeping = task.start(function () {
+        return task.handle(
+          "sleeping",
+          function (frame) {
+            frame.sleep(10).then(function () {
+              resumed = true;
+              frame.finish("resumed");
+            });
+          },
+          function (frame, err) {
+            frame.finish(err.message);
+          },
+        );
+      });
+      task.start(function () {
+        var frame = task.newFrame("interrupter");
+        sleeping.interrupt(error);
+        sleeping.join().then(function (result) {
+          expect(result).toBe("interrupted");
+          frame.sleep(20).then(function () {
+            expect(resumed).toBe(false);
+            frame.finish(true);
+            done();
+          });
+        });
+        return frame.result();
+      });
+    });
+
+    it("does not affect the task being waited for", function (done) {
+      var waitedFor = task.start(function () {
+        var frame = task.newFrame("waitedFor");
+        frame.sleep(10).then(function () {
+          frame.finish("done");
+        });
+        return frame.result();
+      });
+      var waiting = task.start(function () {
+        return task.handle(
+          "waiting",
+          function (frame) {
+            waitedFor.join().thenFinish(frame);
+          },
+          function (frame, err) {
+            frame.finish(err.message);
+          },
+        );
+      });
+      task.start(function () {
+        var frame = task.newFrame("interrupter");
+        waiting.interrupt(new Error("interrupted"));
+        waiting.join().then(function (waitingResult) {
+          expect(waitingResult).toBe("interrupted");
+          waitedFor.join().then(function (result) {
+            expect(result).toBe("done");
+            frame.finish(true);
+            done();
+          });
+        });
+        return frame.result();
+      });
+    });
+  });
+});
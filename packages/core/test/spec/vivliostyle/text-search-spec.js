@@ -0,0 +1,82 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import * as vivliostyle_text_search from "../../../src/vivliostyle/text-search";
+
+describe("text-search", function () {
+  var textSearch = vivliostyle_text_search;
+
+  function matches(query, options, text) {
+    var pattern = textSearch.createPattern(query, options);
+    return (text.match(pattern) || []).length;
+  }
+
+  describe("createPattern", function () {
+    it("escapes the query unless it is a regular expression", function () {
+      expect(matches("a.c", {}, "abc a.c A.C")).toBe(2);
+      expect(matches("a.c", { caseSensitive: true }, "abc a.c A.C")).toBe(1);
+      expect(matches("a.c", { regexp: true }, "abc a.c")).toBe(2);
+      expect(matches("(-1)", {}, "f(-1)")).toBe(1);
+    });
+
+    it("matches whole words", function () {
+      expect(matches("cat", { wholeWord: true }, "cat cats concat cat.")).toBe(
+        2,
+      );
+      expect(matches("é", { wholeWord: true }, "é éa")).toBe(1);
+    });
+
+    it("throws on an invalid regular expression", function () {
+      expect(function () {
+        textSearch.createPattern("(", { regexp: true });
+      }).toThrowError(SyntaxError);
+    });
+  });
+
+  describe("TextIndex", function () {
+    var doc = new DOMParser().parseFromString(
+      "<html xmlns='http://www.w3.org/1999/xhtml'><head><title>x</title></head>" +
+        "<body><p>Hello <em>wor</em>ld</p><p>world<ruby>漢<rt>かん</rt></ruby>字</p>" +
+        "<script>world</script></body></html>",
+      "application/xhtml+xml",
+    );
+    var index = new textSearch.TextIndex(doc.querySelector("body"));
+
+    it("finds text across inline elements but not across blocks", function () {
+      var hits = index.find(textSearch.createPattern("world", {}), 10);
+      expect(hits.length).toBe(2);
+      expect(hits[0].node.textContent).toBe("wor");
+      expect(hits[0].offset).toBe(0);
+      expect(hits[0].before).toBe("Hello ");
+      expect(hits[0].after).toBe(" world漢字");
+      expect(hits[1].node.textContent).toBe("world");
+      expect(
+        index.find(textSearch.createPattern("ldworld", {}), 10).length,
+      ).toBe(0);
+    });
+
+    it("skips ruby annotations", function () {
+      var hits = index.find(textSearch.createPattern("漢字", {}), 10);
+      expect(hits.length).toBe(1);
+      expect(hits[0].node.textContent).toBe("漢");
+    });
+
+    it("stops at maxHits", function () {
+      expect(index.find(textSearch.createPattern("o", {}), 2).length).toBe(2);
+    });
+  });
+});
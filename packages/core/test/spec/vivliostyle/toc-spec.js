@@ -0,0 +1,110 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import * as vivliostyle_toc from "../../../src/vivliostyle/toc";
+
+describe("toc", function () {
+  var toc = vivliostyle_toc;
+  var baseURL = "http://example.com/book/nav.xhtml";
+
+  function parseXHTML(body) {
+    return new DOMParser().parseFromString(
+      "<html xmlns='http://www.w3.org/1999/xhtml' " +
+        "xmlns:epub='http://www.idpf.org/2007/ops'><body>" +
+        body +
+        "</body></html>",
+      "application/xhtml+xml",
+    );
+  }
+
+  var navBody =
+    "<nav epub:type='toc'><ol><li><a href='ch1.xhtml'>Chapter 1</a></li></ol></nav>" +
+    "<nav epub:type='page-list' hidden=''><ol>" +
+    "<li><a href='front.xhtml#pxii'>xii</a></li>" +
+    "<li><a href='ch1.xhtml#p215'> 215\n</a></li>" +
+    "</ol></nav>" +
+    "<nav epub:type='landmarks' hidden=''><ol>" +
+    "<li><a epub:type='cover' href='cover.xhtml'>Cover</a></li>" +
+    "<li><a epub:type='bodymatter' href='ch1.xhtml'>Start</a></li>" +
+    "<li><a epub:type='index' href='index.xhtml'>Index</a></li>" +
+    "</ol></nav>";
+
+  describe("getPageList", function () {
+    it("collects the page-list entries", function () {
+      expect(toc.getPageList(parseXHTML(navBody), baseURL)).toEqual([
+        { label: "xii", href: "http://example.com/book/front.xhtml#pxii" },
+        { label: "215", href: "http://example.com/book/ch1.xhtml#p215" },
+      ]);
+    });
+
+    it("uses role=doc-pagelist if no page-list nav is found", function () {
+      var doc = new DOMParser().parseFromString(
+        "<html><body><nav role='doc-pagelist'><ol>" +
+          "<li><a href='#p1'>1</a></li></ol></nav></body></html>",
+        "text/html",
+      );
+      expect(toc.getPageList(doc, baseURL)).toEqual([
+        { label: "1", href: "http://example.com/book/nav.xhtml#p1" },
+      ]);
+    });
+  });
+
+  describe("getLandmarks", function () {
+    it("collects the landmarks with their types", function () {
+      expect(toc.getLandmarks(parseXHTML(navBody), baseURL)).toEqual([
+        {
+          type: "cover",
+          label: "Cover",
+          href: "http://example.com/book/cover.xhtml",
+        },
+        {
+          type: "bodymatter",
+          label: "Start",
+          href: "http://example.com/book/ch1.xhtml",
+        },
+        {
+          type: "index",
+          label: "Index",
+          href: "http://example.com/book/index.xhtml",
+        },
+      ]);
+    });
+  });
+
+  describe("getNCXPageList", function () {
+    it("collects the pageTarget entries of the NCX", function () {
+      var doc = new DOMParser().parseFromString(
+        "<ncx xmlns='http://www.daisy.org/z3986/2005/ncx/' version='2005-1'>" +
+          "<navMap/><pageList>" +
+          "<pageTarget id='p1' type='front' value='1' playOrder='1'>" +
+          "<navLabel><text>i</text></navLabel>" +
+          "<content src='text/front.xhtml#pi'/></pageTarget>" +
+          "<pageTarget id='p2' type='normal' value='2' playOrder='2'>" +
+          "<navLabel><text>1</text></navLabel>" +
+          "<content src='text/ch1.xhtml#p1'/></pageTarget>" +
+          "</pageList></ncx>",
+        "application/xml",
+      );
+      expect(
+        toc.getNCXPageList(doc, "http://example.com/book/toc.ncx"),
+      ).toEqual([
+        { label: "i", href: "http://example.com/book/text/front.xhtml#pi" },
+        { label: "1", href: "http://example.com/book/text/ch1.xhtml#p1" },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+import * as vivliostyle_word_segmentation from "../../../src/vivliostyle/word-segmentation";
+
+describe("word-segmentation", function () {
+  var ZWSP = "\u200B";
+
+  describe("DictionarySegmenter", function () {
+    var DictionarySegmenter = vivliostyle_word_segmentation.DictionarySegmenter;
+
+    it("segments text by the longest match", function () {
+      var segmenter = new DictionarySegmenter(["ab", "abc", "de", "f"]);
+      expect(segmenter.segment("abcdef")).toEqual([0, 3, 5, 6]);
+    });
+
+    it("keeps unknown characters together", function () {
+      var segmenter = new DictionarySegmenter(["ab", "f"]);
+      expect(segmenter.segment("abxyf")).toEqual([0, 2, 4, 5]);
+      expect(segmenter.segment("xyz")).toEqual([0, 3]);
+    });
+  });
+
+  describe("with Intl.Segmenter", function () {
+    beforeEach(function () {
+      if (!Intl.Segmenter) {
+        pending("Intl.Segmenter is not available");
+      }
+    });
+
+    it("finds word boundaries inside Thai runs", function () {
+      expect(
+        vivliostyle_word_segmentation.findWordBoundaries("ภาษาไทยง่าย abc"),
+      ).toEqual([4, 7]);
+    });
+
+    it("inserts zero width spaces between Thai words", function () {
+      expect(
+        vivliostyle_word_segmentation.insertBreakOpportunities(
+          "ภาษาไทย ง่าย" + ZWSP + "นิดเดียว",
+        ),
+      ).toBe("ภาษา" + ZWSP + "ไทย ง่าย" + ZWSP + "นิด" + ZWSP + "เดียว");
+      expect(
+        vivliostyle_word_segmentation.insertBreakOpportunities("abc def"),
+      ).toBe("abc def");
+    });
+
+    it("moves text breaks out of Thai words", function () {
+      var adjustBreakIndex = vivliostyle_word_segmentation.adjustBreakIndex;
+      // "ภาษา|ไทย|ง่าย"
+      expect(adjustBreakIndex("ภาษาไทยง่าย", 5)).toBe(3);
+      expect(adjustBreakIndex("ภาษาไทยง่าย", 6)).toBe(6);
+      expect(adjustBreakIndex("ab ไทย", 4)).toBe(2);
+      expect(adjustBreakIndex("abc def", 1)).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import * as vivliostyle_headless from "../../../src/vivliostyle/headless";
+import * as vivliostyle_net from "../../../src/vivliostyle/net";
+import * as vivliostyle_task from "../../../src/vivliostyle/task";
+import * as vivliostyle_zip from "../../../src/vivliostyle/zip";
+
+describe("zip", function () {
+  // Create a ZIP archive with uncompressed (stored) files. A file given as
+  // {deflated, size} is stored as compressed with DEFLATE.
+  function makeStoredZip(files) {
+    var encoder = new TextEncoder();
+    var localParts = [];
+    var centralParts = [];
+    var offset = 0;
+    Object.keys(files).forEach(function (path) {
+      var name = encoder.encode(path);
+      var file = files[path];
+      var method = typeof file === "string" ? 0 : 8;
+      var content = method ? file.deflated : encoder.encode(file);
+      var size = method ? file.size : content.length;
+      var local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(8, method, true);
+      local.setUint16(26, name.length, true);
+      local.setUint32(18, content.length, true);
+      local.setUint32(22, size, true);
+      localParts.push(local.buffer, name, content);
+      var central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(10, method, true);
+      central.setUint32(20, content.length, true);
+      central.setUint32(24, size, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+      centralParts.push(central.buffer, name);
+      offset += 30 + name.length + content.length;
+    });
+    var centralSize = centralParts.reduce(function (size, part) {
+      return size + part.byteLength;
+    }, 0);
+    var eocd = new DataView(new ArrayBuffer(22));
+    eocd.setUint32(0, 0x06054b50, true);
+    eocd.setUint16(8, Object.keys(files).length, true);
+    eocd.setUint16(10, Object.keys(files).length, true);
+    eocd.setUint32(12, centralSize, true);
+    eocd.setUint32(16, offset, true);
+    return new Blob(localParts.concat(centralParts, [eocd.buffer]));
+  }
+
+  var files = {
+    mimetype: "application/epub+zip",
+    "META-INF/container.xml": "<container/>",
+    "OEBPS/text/chapter 1.xhtml": "<html/>",
+  };
+
+  describe("readCentralDirectory", function () {
+    it("reads the entries of a ZIP archive", function (done) {
+      makeStoredZip(files)
+        .arrayBuffer()
+        .then(function (bytes) {
+          var entries = vivliostyle_zip.readCentralDirectory(bytes);
+          expect(
+            entries.map(function (entry) {
+              return entry.path;
+            }),
+          ).toEqual(Object.keys(files));
+          expect(entries[1].method).toBe(
+            vivliostyle_zip.CompressionMethod.STORED,
+          );
+          expect(entries[1].size).toBe(12);
+          done();
+        });
+    });
+
+    it("returns null if the data is not a ZIP archive", function (done) {
+      new Blob(["<html></html>"]).arrayBuffer().then(function (bytes) {
+        expect(vivliostyle_zip.readCentralDirectory(bytes)).toBe(null);
+        done();
+      });
+    });
+  });
+
+  describe("ZipArchive", function () {
+    var archive = new vivliostyle_zip.ZipArchive(
+      "http://example.com/book.epub/",
+    );
+    archive.files["OEBPS/text/chapter 1.xhtml"] = new Blob(["<html/>"]);
+
+    it("maps URLs under the base URL to paths in the archive", function () {
+      expect(
+        archive.getPathFromURL(
+          "http://example.com/book.epub/OEBPS/text/chapter%201.xhtml#p1",
+        ),
+      ).toBe("OEBPS/text/chapter 1.xhtml");
+      expect(archive.getPathFromURL("http://example.com/other.epub/")).toBe(
+        null,
+      );
+    });
+
+    it("keeps the fragment in object URLs", function () {
+      var url = archive.getObjectURL(
+        "http://example.com/book.epub/OEBPS/text/chapter%201.xhtml#p1",
+      );
+      expect(url).toMatch(/^blob:.*#p1$/);
+      expect(
+        archive.getObjectURL("http://example.com/book.epub/missing.png"),
+      ).toBe(null);
+      archive.revokeObjectURLs();
+    });
+  });
+
+  describe("openArchive", function () {
+    it("serves the files through fetchFromURL once mounted", function (done) {
+      var baseURL = "http://example.com/zip-spec.epub/";
+      vivliostyle_task.start(function () {
+        vivliostyle_zip
+          .openArchive(makeStoredZip(files), baseURL)
+          .then(function (archive) {
+            expect(archive).not.toBe(null);
+            vivliostyle_net.mountArchive(archive);
+            vivliostyle_net
+              .fetchFromURL(baseURL + "META-INF/container.xml")
+              .then(function (response) {
+                expect(response.status).toBe(200);
+                expect(response.contentType).toBe("application/xml");
+                expect(response.responseText).toBe("<container/>");
+                vivliostyle_net
+                  .fetchFromURL(baseURL + "missing.xhtml")
+                  .then(function (response) {
+                    expect(response.status).toBe(404);
+                    vivliostyle_net.unmountArchive(archive);
+                    done();
+                  });
+              });
+          });
+        return vivliostyle_task.newResult(true);
+      });
+    });
+
+    it("inflates the files compressed with DEFLATE", function (done) {
+      var baseURL = "http://example.com/zip-spec-deflated.epub/";
+      var container =
+        "<container><rootfiles/><rootfiles/><rootfiles/></container>";
+      var deflatedFiles = {
+        mimetype: "application/epub+zip",
+        "META-INF/container.xml": {
+          // Raw DEFLATE data of the container
+          deflated: new Uint8Array([
+            179, 73, 206, 207, 43, 73, 204, 204, 75, 45, 178, 179, 41, 202, 207,
+            47, 73, 203, 204, 73, 45, 214, 199, 205, 214, 71, 168, 7, 0,
+          ]),
+          size: container.length,
+        },
+      };
+      vivliostyle_task.start(function () {
+        vivliostyle_zip
+          .openArchive(makeStoredZip(deflatedFiles), baseURL)
+          .then(function (archive) {
+            expect(archive).not.toBe(null);
+            vivliostyle_net.mountArchive(archive);
+            vivliostyle_net
+              .fetchFromURL(baseURL + "META-INF/container.xml")
+              .then(function (response) {
+                expect(response.status).toBe(200);
+                expect(response.responseText).toBe(container);
+                vivliostyle_net.unmountArchive(archive);
+                expect(
+                  vivliostyle_net.isArchiveURL(
+                    baseURL + "META-INF/container.xml",
+                  ),
+                ).toBe(false);
+                done();
+              });
+          });
+        return vivliostyle_task.newResult(true);
+      });
+    });
+  });
+
+  describe("rendering a zipped EPUB", function () {
+    it("refers to the images in CSS by object URLs", function (done) {
+      var baseURL = "http://example.com/zip-spec-render.epub/";
+      var imageURL = baseURL + "OEBPS/image.svg";
+      var epubFiles = {
+        mimetype: "application/epub+zip",
+        "META-INF/container.xml":
+          '<container xmlns="urn:oasis:names:tc:opendocument:xmlns:container">' +
+          '<rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles>' +
+          "</container>",
+        "OEBPS/content.opf":
+          '<package xmlns="http://www.idpf.org/2007/opf" version="3.0">' +
+          "<manifest>" +
+          '<item id="c1" href="chapter.xhtml" media-type="application/xhtml+xml"/>' +
+          '<item id="css" href="style.css" media-type="text/css"/>' +
+          '<item id="img" href="image.svg" media-type="image/svg+xml"/>' +
+          '</manifest><spine><itemref idref="c1"/></spine></package>',
+        "OEBPS/chapter.xhtml":
+          '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>C</title>' +
+          '<link rel="stylesheet" href="style.css"/></head>' +
+          '<body><div class="bg">Hello</div><p class="before">World</p>' +
+          "</body></html>",
+        "OEBPS/style.css":
+          ".bg { background-image: url(image.svg); }\n" +
+          ".before::before { content: url(image.svg); }",
+        "OEBPS/image.svg": '<svg xmlns="http://www.w3.org/2000/svg"/>',
+      };
+      vivliostyle_task.start(function () {
+        vivliostyle_zip
+          .openArchive(makeStoredZip(epubFiles), baseURL)
+          .then(function (archive) {
+            vivliostyle_net.mountArchive(archive);
+            var objectURL = vivliostyle_net.resolveArchiveURL(imageURL);
+            expect(objectURL).toMatch(/^blob:/);
+            vivliostyle_headless
+              .renderHeadless({
+                window: window,
+                url: baseURL,
+                bookMode: true,
+                width: 400,
+                height: 300,
+              })
+              .then(function (pages) {
+                expect(pages.length).toBe(1);
+                var html = pages[0].html;
+                expect(html).toContain("Hello");
+                expect(html).toMatch(
+                  new RegExp(
+                    'background-image: url\\("?' +
+                      objectURL.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+                  ),
+                );
+                expect(html).toContain('src="' + objectURL + '"');
+                expect(html).not.toContain(imageURL);
+                vivliostyle_net.unmountArchive(archive);
+                done();
+              }, done.fail);
+          });
+        return vivliostyle_task.newResult(true);
+      });
+    });
+  });
+});
@@ -5,6 +5,7 @@ import {
   PageViewMode,
   Payload,
   ReadyState,
+  SourceLocation,
 } from "@vivliostyle/core";
 import React, { useEffect, useRef } from "react";
 import { epageFromPageNumber } from "./epage";
@@ -12,6 +13,16 @@ import { epageFromPageNumber } from "./epage";
 export type MessageType = "debug" | "info" | "warn";
 export type NavigationPayload = Omit<Payload, "internal" | "href" | "content">;
 export type HyperlinkPayload = Pick<Payload, "internal" | "href">;
+export type ProgressPayload = Pick<
+  Payload,
+  | "spineIndex"
+  | "spineCount"
+  | "pageCount"
+  | "estimatedPageCount"
+  | "elapsedTime"
+  | "documentElapsedTime"
+  | "documentComplete"
+>;
 
 interface VolatileState {
   docTitle: string;
@@ -47,12 +58,17 @@ interface RendererProps {
   userStyleSheet?: string;
   authorStyleSheet?: string;
   style?: React.CSSProperties;
-  onMessage?: (message: string, type: MessageType) => void;
+  onMessage?: (
+    message: string,
+    type: MessageType,
+    location?: SourceLocation,
+  ) => void;
   onError?: (error: string) => void;
   onReadyStateChange?: (state: ReadyState) => void;
   onLoad?: (state: VolatileState) => void;
   onNavigation?: (state: VolatileState) => void;
   onHyperlink?: (payload: HyperlinkPayload) => void;
+  onProgress?: (progress: ProgressPayload) => void;
   children?: React.ReactNode | ChildrenFunction;
 }
 
@@ -78,6 +94,7 @@ export const Renderer = ({
   onLoad,
   onNavigation,
   onHyperlink,
+  onProgress,
   children,
 }: RendererProps): ReturnType<ChildrenFunction> | JSX.Element => {
   const containerRef = useRef<HTMLDivElement>(null);
@@ -122,9 +139,9 @@ export const Renderer = ({
     };
 
     if (bookMode) {
-      instance.loadPublication(source, documentOptions);
+      return instance.loadPublication(source, documentOptions);
     } else {
-      instance.loadDocument({ url: source }, documentOptions, {
+      return instance.loadDocument({ url: source }, documentOptions, {
         fontSize,
         pageViewMode,
         zoom,
@@ -142,7 +159,8 @@ export const Renderer = ({
       payload.content.error?.toString() ?? payload.content.messages.join("\n");
 
     function handleMessage(payload: Payload, type: MessageType) {
-      onMessage && onMessage(getMessage(payload), type);
+      onMessage &&
+        onMessage(getMessage(payload), type, payload.content.location);
     }
 
     const handleDebug = (payload: Payload) => handleMessage(payload, "debug");
@@ -178,6 +196,10 @@ export const Renderer = ({
       onHyperlink && onHyperlink(payload);
     }
 
+    function handleProgress(payload: ProgressPayload) {
+      onProgress && onProgress(payload);
+    }
+
     const instance = instanceRef.current!;
     instance.addListener("debug", handleDebug);
     instance.addListener("info", handleInfo);
@@ -187,6 +209,7 @@ export const Renderer = ({
     instance.addListener("loaded", handleLoaded);
     instance.addListener("nav", handleNavigation);
     instance.addListener("hyperlink", handleHyperlink);
+    instance.addListener("progress", handleProgress);
 
     return () => {
       onReadyStateChange && onReadyStateChange(ReadyState.LOADING);
@@ -198,6 +221,7 @@ export const Renderer = ({
       instance.removeListener("loaded", handleLoaded);
       instance.removeListener("nav", handleNavigation);
       instance.removeListener("hyperlink", handleHyperlink);
+      instance.removeListener("progress", handleProgress);
     };
   }
 
@@ -217,7 +241,8 @@ export const Renderer = ({
   }, []);
 
   useEffect(() => {
-    loadSource();
+    const handle = loadSource();
+    return () => handle?.cancel();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [source, authorStyleSheet, userStyleSheet, zoom, fitToScreen]);
 
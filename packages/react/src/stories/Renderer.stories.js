@@ -36,7 +36,13 @@ export const Basic = () => (
     autoResize={boolean("Auto Resize", true)}
     pageViewMode={select(
       "Page View Mode",
-      ["singlePage", "spread", "autoSpread"],
+      [
+        "singlePage",
+        "spread",
+        "autoSpread",
+        "continuousScroll",
+        "thumbnailGrid",
+      ],
       "singlePage",
     )}
     defaultPaperSize={text("Default Paper Size", undefined)}
@@ -50,6 +56,7 @@ export const Basic = () => (
     onMessage={(msg, type) => action("message")(type, msg)}
     onReadyStateChange={action("readyStateChange")}
     onHyperlink={action("hyperlink")}
+    onProgress={action("progress")}
   />
 );
 
@@ -83,7 +90,13 @@ export const Narrowed = () => (
         autoResize={boolean("Auto Resize", true)}
         pageViewMode={select(
           "Page View Mode",
-          ["singlePage", "spread", "autoSpread"],
+          [
+            "singlePage",
+            "spread",
+            "autoSpread",
+            "continuousScroll",
+            "thumbnailGrid",
+          ],
           "singlePage",
         )}
         defaultPaperSize={text("Default Paper Size", undefined)}
@@ -97,6 +110,7 @@ export const Narrowed = () => (
         onMessage={(msg, type) => action("message")(type, msg)}
         onReadyStateChange={action("readyStateChange")}
         onHyperlink={action("hyperlink")}
+        onProgress={action("progress")}
       />
     </div>
   </div>
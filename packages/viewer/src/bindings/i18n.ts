@@ -81,6 +81,16 @@ const translations = {
       Auto: "Auto",
       Single_page: "Single page",
       Spread: "Spread",
+      Continuous_scroll: "Continuous scroll",
+      Thumbnails: "Thumbnails",
+      Imposition: "Imposition",
+      Imposition_none: "None",
+      Imposition_saddleStitch: "Saddle stitch",
+      Imposition_perfectBound: "Perfect bound (16-page signatures)",
+      Imposition_2up: "2-up",
+      Imposition_4up: "4-up",
+      TIP_Imposition:
+        "Arrange pages on printing sheets (with Render All Pages)",
       TIP_Book_Mode:
         "On: for Book-like publications, with Table of Contents\nOff: for single HTML documents",
       TIP_Render_All_Pages:
@@ -136,16 +146,42 @@ const translations = {
       Remove_All: "Remove All",
       Remove: "Remove",
       Memo: "Memo",
+      Export: "Export",
+      Import: "Import",
+      Imported_marks_: "Imported marks:",
+      Failed_to_import_marks: "Failed to import marks.",
       TIP_Find: "Find (Ctrl/Cmd+F)",
       TIP_Find_Previous: "Find Previous (Shift+Enter)",
       TIP_Find_Next: "Find Next (Enter)",
       Find: "Find",
+      TIP_Find_All: "Find All",
+      Match_case: "Match case",
+      Whole_word: "Whole word",
+      Regular_expression: "Regular expression",
+      Preflight: "Preflight Check",
+      Preflight_Check: "Check",
+      TIP_Preflight: "Check the rendered pages for problems before printing",
+      Preflight_Checking: "Checking…",
+      Preflight_No_issues: "No issues found",
+      Preflight_Incomplete:
+        "Pages not rendered yet are not checked (use Render All Pages)",
+      Page: "Page",
+      Preflight_overflow: "Overflow",
+      Preflight_unresolvedReference: "Unresolved reference",
+      Preflight_fontFallback: "Web font failed to load",
+      Preflight_lowResolutionImage: "Low resolution image",
+      Preflight_brokenLink: "Broken link",
+      Preflight_missingResource: "Missing resource",
+      Preflight_blankPage: "Blank page",
+      Rendering_pages_: "Rendering pages:",
       TIP_First_Page: "First Page (Home)",
       TIP_Previous_Page: "Previous Page (↑)",
       TIP_Next_Page: "Next Page (↓)",
       TIP_Last_Page: "Last Page (End)",
       TIP_Go_to_Page: "Go to Page… (G)",
       Total_pages: "Total pages",
+      TIP_Go_to_Print_Page: "Go to Print Page (e.g. xii, 215)",
+      Print_page: "Print page",
       TIP_Text_Smaller: "Text: Smaller (-)",
       TIP_Text_Larger: "Text: Larger (+)",
       TIP_Text_Default_Size: "Text: Default Size (0)",
@@ -153,6 +189,9 @@ const translations = {
       TIP_Zoom_In: "Zoom: In (I)",
       TIP_Zoom_Actual_Size: "Zoom: Actual Size (1)",
       TIP_Zoom_Fit_to_Screen: "Zoom: Fit to Screen (F)",
+      TIP_Read_Aloud: "Read Aloud",
+      TIP_Pause_Read_Aloud: "Pause Read Aloud",
+      TIP_Stop_Read_Aloud: "Stop Read Aloud",
       TIP_Print: "Print (P)",
     },
   },
@@ -218,6 +257,15 @@ const translations = {
       Auto: "自動",
       Single_page: "単ページ",
       Spread: "見開き",
+      Continuous_scroll: "連続スクロール",
+      Thumbnails: "サムネイル",
+      Imposition: "面付け",
+      Imposition_none: "なし",
+      Imposition_saddleStitch: "中綴じ",
+      Imposition_perfectBound: "無線綴じ（16ページ折丁）",
+      Imposition_2up: "2面付け",
+      Imposition_4up: "4面付け",
+      TIP_Imposition: "印刷用紙にページを配置（全ページ組版が必要）",
       TIP_Book_Mode:
         "ON: 本のような出版物（目次付き）用\nOFF: 単体のHTML文書用",
       TIP_Render_All_Pages:
@@ -273,16 +321,42 @@ const translations = {
       Remove_All: "すべて削除",
       Remove: "削除",
       Memo: "メモ",
+      Export: "エクスポート",
+      Import: "インポート",
+      Imported_marks_: "インポートしたマーカー:",
+      Failed_to_import_marks: "マーカーをインポートできませんでした。",
       TIP_Find: "検索 (Ctrl/Cmd+F)",
       TIP_Find_Previous: "前を検索 (Shift+Enter)",
       TIP_Find_Next: "次を検索 (Enter)",
       Find: "検索",
+      TIP_Find_All: "すべて検索",
+      Match_case: "大文字と小文字を区別",
+      Whole_word: "単語単位",
+      Regular_expression: "正規表現",
+      Preflight: "プリフライトチェック",
+      Preflight_Check: "チェック",
+      TIP_Preflight: "印刷前に組版済みページの問題をチェック",
+      Preflight_Checking: "チェック中…",
+      Preflight_No_issues: "問題は見つかりませんでした",
+      Preflight_Incomplete:
+        "未組版のページはチェックされません（全ページ組版を使用）",
+      Page: "ページ",
+      Preflight_overflow: "はみ出し",
+      Preflight_unresolvedReference: "未解決の参照",
+      Preflight_fontFallback: "Webフォントの読み込み失敗",
+      Preflight_lowResolutionImage: "低解像度の画像",
+      Preflight_brokenLink: "リンク切れ",
+      Preflight_missingResource: "リソースの読み込み失敗",
+      Preflight_blankPage: "白ページ",
+      Rendering_pages_: "ページを組版中:",
       TIP_First_Page: "最初のページ (Home)",
       TIP_Previous_Page: "前のページ (↑)",
       TIP_Next_Page: "次のページ (↓)",
       TIP_Last_Page: "最後のページ (End)",
       TIP_Go_to_Page: "ページ番号… (G)",
       Total_pages: "総ページ数",
+      TIP_Go_to_Print_Page: "印刷版のページへ移動 (例: xii, 215)",
+      Print_page: "印刷版ページ",
       TIP_Text_Smaller: "文字を小さく (-)",
       TIP_Text_Larger: "文字を大きく (+)",
       TIP_Text_Default_Size: "デフォルトの文字サイズ (0)",
@@ -290,6 +364,9 @@ const translations = {
       TIP_Zoom_In: "拡大 (I)",
       TIP_Zoom_Actual_Size: "実際のサイズ (1)",
       TIP_Zoom_Fit_to_Screen: "画面に合わせる (F)",
+      TIP_Read_Aloud: "読み上げ",
+      TIP_Pause_Read_Aloud: "読み上げを一時停止",
+      TIP_Stop_Read_Aloud: "読み上げを停止",
       TIP_Print: "印刷 (P)",
     },
   },
@@ -354,6 +431,15 @@ const translations = {
       Auto: "自动",
       Single_page: "单页",
       Spread: "对页",
+      Continuous_scroll: "连续滚动",
+      Thumbnails: "缩略图",
+      Imposition: "拼版",
+      Imposition_none: "无",
+      Imposition_saddleStitch: "骑马钉",
+      Imposition_perfectBound: "胶装（16页一帖）",
+      Imposition_2up: "2合1",
+      Imposition_4up: "4合1",
+      TIP_Imposition: "在印刷纸张上排列页面（需要渲染所有页面）",
       TIP_Book_Mode: "On: 为了类似图书出版物带有目录\nOff: 为了单 HTML 文档",
       TIP_Render_All_Pages:
         "On: 为了打印(所有页面可打印, 页面计数正常工作)\nOff: 为了阅读 (快速加载粗略计数)",
@@ -408,16 +494,41 @@ const translations = {
       Remove_All: "移除所有",
       Remove: "移除",
       Memo: "备忘录",
+      Export: "导出",
+      Import: "导入",
+      Imported_marks_: "已导入的标记:",
+      Failed_to_import_marks: "无法导入标记。",
       TIP_Find: "查找 (Ctrl/Cmd+F)",
       TIP_Find_Previous: "查找上一个 (Shift+Enter)",
       TIP_Find_Next: "查找下一个 (Enter)",
       Find: "查找",
+      TIP_Find_All: "查找全部",
+      Match_case: "区分大小写",
+      Whole_word: "全字匹配",
+      Regular_expression: "正则表达式",
+      Preflight: "印前检查",
+      Preflight_Check: "检查",
+      TIP_Preflight: "打印前检查已排版页面的问题",
+      Preflight_Checking: "正在检查…",
+      Preflight_No_issues: "未发现问题",
+      Preflight_Incomplete: "尚未排版的页面未检查（请使用渲染所有页面）",
+      Page: "页",
+      Preflight_overflow: "溢出",
+      Preflight_unresolvedReference: "未解析的引用",
+      Preflight_fontFallback: "Web 字体加载失败",
+      Preflight_lowResolutionImage: "低分辨率图像",
+      Preflight_brokenLink: "失效链接",
+      Preflight_missingResource: "资源加载失败",
+      Preflight_blankPage: "空白页",
+      Rendering_pages_: "正在排版页面:",
       TIP_First_Page: "首页 (Home)",
       TIP_Previous_Page: "上一页 (↑)",
       TIP_Next_Page: "下一页 (↓)",
       TIP_Last_Page: "最后一页(End)",
       TIP_Go_to_Page: "跳转到… (G)",
       Total_pages: "总页数",
+      TIP_Go_to_Print_Page: "跳转到印刷版页码 (例如 xii, 215)",
+      Print_page: "印刷版页码",
       TIP_Text_Smaller: "文本: 小 (-)",
       TIP_Text_Larger: "文本: 大 (+)",
       TIP_Text_Default_Size: "文本: 默认尺寸 (0)",
@@ -425,6 +536,9 @@ const translations = {
       TIP_Zoom_In: "放大 (I)",
       TIP_Zoom_Actual_Size: "缩放: 实际大小 (1)",
       TIP_Zoom_Fit_to_Screen: "缩放: 适应屏幕 (F)",
+      TIP_Read_Aloud: "朗读",
+      TIP_Pause_Read_Aloud: "暂停朗读",
+      TIP_Stop_Read_Aloud: "停止朗读",
       TIP_Print: "打印 (P)",
     },
   },
@@ -489,6 +603,15 @@ const translations = {
       Auto: "自動",
       Single_page: "單頁",
       Spread: "對頁",
+      Continuous_scroll: "連續捲動",
+      Thumbnails: "縮圖",
+      Imposition: "拼版",
+      Imposition_none: "無",
+      Imposition_saddleStitch: "騎馬釘",
+      Imposition_perfectBound: "膠裝（16頁一台）",
+      Imposition_2up: "2合1",
+      Imposition_4up: "4合1",
+      TIP_Imposition: "在印刷紙張上排列頁面（需要渲染所有頁面）",
       TIP_Book_Mode: "On: 爲了類似圖書出版物帶有目錄\nOff: 爲了單 HTML 文檔",
       TIP_Render_All_Pages:
         "On: 爲了打印(所有頁面可打印, 頁面計數正常工作)\nOff: 爲了閱讀 (快速加載粗略計數)",
@@ -543,16 +666,41 @@ const translations = {
       Remove_All: "移除所有",
       Remove: "移除",
       Memo: "備忘錄",
+      Export: "匯出",
+      Import: "匯入",
+      Imported_marks_: "已匯入的標記:",
+      Failed_to_import_marks: "無法匯入標記。",
       TIP_Find: "查找 (Ctrl/Cmd+F)",
       TIP_Find_Previous: "查找上一個 (Shift+Enter)",
       TIP_Find_Next: "查找下一個 (Enter)",
       Find: "查找",
+      TIP_Find_All: "查找全部",
+      Match_case: "區分大小寫",
+      Whole_word: "全字匹配",
+      Regular_expression: "正規表示式",
+      Preflight: "印前檢查",
+      Preflight_Check: "檢查",
+      TIP_Preflight: "列印前檢查已排版頁面的問題",
+      Preflight_Checking: "正在檢查…",
+      Preflight_No_issues: "未發現問題",
+      Preflight_Incomplete: "尚未排版的頁面未檢查（請使用渲染所有頁面）",
+      Page: "頁",
+      Preflight_overflow: "溢出",
+      Preflight_unresolvedReference: "未解析的引用",
+      Preflight_fontFallback: "Web 字型載入失敗",
+      Preflight_lowResolutionImage: "低解析度圖像",
+      Preflight_brokenLink: "失效連結",
+      Preflight_missingResource: "資源載入失敗",
+      Preflight_blankPage: "空白頁",
+      Rendering_pages_: "正在排版頁面:",
       TIP_First_Page: "首頁 (Home)",
       TIP_Previous_Page: "上一頁 (↑)",
       TIP_Next_Page: "下一頁 (↓)",
       TIP_Last_Page: "最後一頁(End)",
       TIP_Go_to_Page: "跳轉到… (G)",
       Total_pages: "總頁數",
+      TIP_Go_to_Print_Page: "跳轉到印刷版頁碼 (例如 xii, 215)",
+      Print_page: "印刷版頁碼",
       TIP_Text_Smaller: "文本: 小 (-)",
       TIP_Text_Larger: "文本: 大 (+)",
       TIP_Text_Default_Size: "文本: 默認尺寸 (0)",
@@ -560,6 +708,9 @@ const translations = {
       TIP_Zoom_In: "放大 (I)",
       TIP_Zoom_Actual_Size: "縮放: 實際大小 (1)",
       TIP_Zoom_Fit_to_Screen: "縮放: 適應屏幕 (F)",
+      TIP_Read_Aloud: "朗讀",
+      TIP_Pause_Read_Aloud: "暫停朗讀",
+      TIP_Stop_Read_Aloud: "停止朗讀",
       TIP_Print: "打印 (P)",
     },
   },
@@ -28,6 +28,10 @@ export class PageViewModeInstance {
         return "false";
       case PageViewMode.AUTO_SPREAD:
         return "auto";
+      case PageViewMode.CONTINUOUS_SCROLL:
+        return "scroll";
+      case PageViewMode.THUMBNAIL_GRID:
+        return "grid";
       default:
         throw new Error("Invalid PageViewMode");
     }
@@ -40,6 +44,10 @@ export class PageViewModeInstance {
         return "singlePage"; // vivliostyle.viewer.PageViewMode.SINGLE_PAGE;
       case PageViewMode.AUTO_SPREAD:
         return "autoSpread"; // vivliostyle.viewer.PageViewMode.AUTO_SPREAD;
+      case PageViewMode.CONTINUOUS_SCROLL:
+        return "continuousScroll";
+      case PageViewMode.THUMBNAIL_GRID:
+        return "thumbnailGrid";
       default:
         throw new Error("Invalid PageViewMode");
     }
@@ -50,6 +58,8 @@ const PageViewMode = {
   AUTO_SPREAD: new PageViewModeInstance(),
   SINGLE_PAGE: new PageViewModeInstance(),
   SPREAD: new PageViewModeInstance(),
+  CONTINUOUS_SCROLL: new PageViewModeInstance(),
+  THUMBNAIL_GRID: new PageViewModeInstance(),
   defaultMode(): CorePageViewMode {
     return this.AUTO_SPREAD;
   },
@@ -59,6 +69,10 @@ const PageViewMode = {
         return this.SPREAD;
       case "false":
         return this.SINGLE_PAGE;
+      case "scroll":
+        return this.CONTINUOUS_SCROLL;
+      case "grid":
+        return this.THUMBNAIL_GRID;
       case "auto":
       default:
         return this.AUTO_SPREAD;
@@ -72,6 +86,10 @@ const PageViewMode = {
         return this.SINGLE_PAGE;
       case CorePageViewMode.AUTO_SPREAD:
         return this.AUTO_SPREAD;
+      case CorePageViewMode.CONTINUOUS_SCROLL:
+        return this.CONTINUOUS_SCROLL;
+      case CorePageViewMode.THUMBNAIL_GRID:
+        return this.THUMBNAIL_GRID;
       default:
         throw new Error(`Invalid PageViewMode name: ${name}`);
     }
@@ -20,6 +20,8 @@
 
 import {
   CoreViewerOptions,
+  ImpositionMode,
+  ImpositionOptions,
   PageViewMode as CorePageViewMode,
 } from "@vivliostyle/core";
 import ko, { Observable } from "knockout";
@@ -28,6 +30,25 @@ import urlParameters from "../stores/url-parameters";
 import PageViewMode, { PageViewModeInstance } from "./page-view-mode";
 import ZoomOptions from "./zoom-options";
 
+/**
+ * Where marks (highlights and memos) are persisted:
+ * - "url": in the `mark` URL parameters
+ * - "indexeddb": in the browser's IndexedDB, per document
+ */
+export type MarksStoreType = "url" | "indexeddb";
+
+/**
+ * Imposition choices of the settings panel and the `imposition` URL
+ * parameter, with the corresponding ImpositionOptions of the core.
+ */
+export const impositionChoices: { [key: string]: ImpositionOptions } = {
+  none: { mode: ImpositionMode.NONE },
+  saddleStitch: { mode: ImpositionMode.SADDLE_STITCH },
+  perfectBound: { mode: ImpositionMode.PERFECT_BOUND, signaturePages: 16 },
+  "2up": { mode: ImpositionMode.N_UP, pagesPerSheet: 2 },
+  "4up": { mode: ImpositionMode.N_UP, pagesPerSheet: 4 },
+};
+
 /**
  * Viewer Options
  * See CoreViewerOptions in core/src/vivliostyle/core-viewer.ts
@@ -41,6 +62,8 @@ interface ViewerOptionsType {
   zoom: ZoomOptions;
   pixelRatio: number;
   enableMarker: boolean;
+  marksStore: MarksStoreType;
+  imposition: string;
 }
 
 function getViewerOptionsFromURL(): ViewerOptionsType {
@@ -48,6 +71,8 @@ function getViewerOptionsFromURL(): ViewerOptionsType {
   const renderAllPages = urlParameters.getParameter("renderAllPages")[0];
   const fontSizeStr = urlParameters.getParameter("fontSize")[0];
   const enableMarker = urlParameters.getParameter("enableMarker")[0];
+  const marksStore = urlParameters.getParameter("marksStore")[0];
+  const imposition = urlParameters.getParameter("imposition")[0];
   const r = /^([\d.]+)(?:(%25|%)|\/([\d.]+))?$/.exec(fontSizeStr);
   let fontSize: null | number = null;
   if (r) {
@@ -88,6 +113,14 @@ function getViewerOptionsFromURL(): ViewerOptionsType {
     pixelRatio,
     enableMarker:
       enableMarker === "true" ? true : enableMarker === "false" ? false : null,
+    marksStore:
+      marksStore === "url" || marksStore === "indexeddb" ? marksStore : null,
+    imposition: Object.prototype.hasOwnProperty.call(
+      impositionChoices,
+      imposition,
+    )
+      ? imposition
+      : null,
   };
 }
 
@@ -101,6 +134,8 @@ function getDefaultValues(): ViewerOptionsType {
     zoom: ZoomOptions.createDefaultOptions(),
     pixelRatio: 8,
     enableMarker: false,
+    marksStore: "url",
+    imposition: "none",
   };
 }
 
@@ -117,6 +152,8 @@ class ViewerOptions {
   zoom: Observable<ZoomOptions>;
   pixelRatio: Observable<number>;
   enableMarker: Observable<boolean>;
+  marksStore: Observable<MarksStoreType>;
+  imposition: Observable<string>;
 
   static getDefaultValues: () => {
     allowScripts: boolean;
@@ -127,6 +164,8 @@ class ViewerOptions {
     zoom: ZoomOptions;
     pixelRatio: number;
     enableMarker: boolean;
+    marksStore: MarksStoreType;
+    imposition: string;
   };
 
   constructor(defaultRenderAllPages: boolean);
@@ -145,6 +184,8 @@ class ViewerOptions {
     this.zoom = ko.observable();
     this.pixelRatio = ko.observable();
     this.enableMarker = ko.observable();
+    this.marksStore = ko.observable();
+    this.imposition = ko.observable();
 
     if (options) {
       this.copyFrom(options);
@@ -159,6 +200,8 @@ class ViewerOptions {
       this.zoom(urlOptions.zoom || defaultValues.zoom);
       this.pixelRatio(urlOptions.pixelRatio ?? defaultValues.pixelRatio);
       this.enableMarker(urlOptions.enableMarker || defaultValues.enableMarker);
+      this.marksStore(urlOptions.marksStore || defaultValues.marksStore);
+      this.imposition(urlOptions.imposition || defaultValues.imposition);
 
       // write spread parameter back to URL when updated
       this.pageViewMode.subscribe((pageViewMode) => {
@@ -213,6 +256,13 @@ class ViewerOptions {
           urlParameters.setParameter("enableMarker", "true");
         }
       });
+      this.imposition.subscribe((imposition) => {
+        if (imposition === defaultValues.imposition) {
+          urlParameters.removeParameter("imposition");
+        } else {
+          urlParameters.setParameter("imposition", imposition);
+        }
+      });
     }
   }
 
@@ -225,6 +275,8 @@ class ViewerOptions {
     this.zoom(other.zoom());
     this.pixelRatio(other.pixelRatio());
     this.enableMarker(other.enableMarker());
+    this.marksStore(other.marksStore());
+    this.imposition(other.imposition());
   }
 
   toObject(): CoreViewerOptions {
@@ -236,6 +288,8 @@ class ViewerOptions {
       fitToScreen: this.zoom().fitToScreen,
       zoom: this.zoom().zoom,
       pixelRatio: this.pixelRatio(),
+      imposition:
+        impositionChoices[this.imposition()] || impositionChoices["none"],
     };
   }
 }
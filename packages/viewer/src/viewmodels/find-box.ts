@@ -15,7 +15,8 @@
  * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
  */
 
-import ko, { Observable } from "knockout";
+import { TextSearchHit } from "@vivliostyle/core";
+import ko, { Observable, ObservableArray } from "knockout";
 
 import Viewer from "./viewer";
 import Navigation from "./navigation";
@@ -45,6 +46,7 @@ enum FindStatus {
   Searching = "Searching",
   Found = "Found",
   NotFound = "Not Found",
+  InvalidRegExp = "Invalid RegExp",
 }
 
 class FindBox {
@@ -54,6 +56,13 @@ class FindBox {
   cancel = false;
   intervalID = 0;
   foundRange: Range | null = null;
+  caseSensitive: Observable<boolean>;
+  wholeWord: Observable<boolean>;
+  regexp: Observable<boolean>;
+  resultsOpened: Observable<boolean>;
+  hits: ObservableArray<TextSearchHit>;
+  searchCount = 0;
+  hitIndex = -1;
 
   constructor(
     public viewer: Viewer,
@@ -62,6 +71,19 @@ class FindBox {
     this.opened = ko.observable();
     this.text = ko.observable("");
     this.status = ko.observable(FindStatus.Default);
+    this.caseSensitive = ko.observable(false);
+    this.wholeWord = ko.observable(false);
+    this.regexp = ko.observable(false);
+    this.resultsOpened = ko.observable(false);
+    this.hits = ko.observableArray();
+
+    [this.caseSensitive, this.wholeWord, this.regexp].forEach((option) => {
+      option.subscribe(() => {
+        if (this.resultsOpened()) {
+          this.findAll();
+        }
+      });
+    });
 
     this.text.subscribe((text: string) => {
       if (text != "") {
@@ -105,9 +127,59 @@ class FindBox {
     this.status(FindStatus.Default);
     this.foundRange = null;
     this.fixHighlight();
+    this.resultsOpened(false);
+    this.hits.removeAll();
     return true;
   };
 
+  /**
+   * Search all documents, including pages not rendered yet, and list the
+   * hits in the results panel.
+   */
+  findAll = async (): Promise<boolean> => {
+    if (this.navigation.isFindBoxDisabled()) {
+      return false;
+    }
+    const text = this.text();
+    this.resultsOpened(true);
+    this.hits.removeAll();
+    this.hitIndex = -1;
+    if (!text) {
+      this.status(FindStatus.Default);
+      return true;
+    }
+    // Ignore the results of the previous search if it is not finished yet
+    const searchCount = ++this.searchCount;
+    this.status(FindStatus.Searching);
+    try {
+      const hits = await this.viewer.searchText(text, {
+        caseSensitive: this.caseSensitive(),
+        wholeWord: this.wholeWord(),
+        regexp: this.regexp(),
+      });
+      if (searchCount === this.searchCount) {
+        this.hits(hits);
+        this.status(hits.length ? FindStatus.Found : FindStatus.NotFound);
+      }
+    } catch (e) {
+      if (searchCount === this.searchCount) {
+        // The pattern is invalid, or the search failed.
+        this.status(
+          e instanceof SyntaxError
+            ? FindStatus.InvalidRegExp
+            : FindStatus.NotFound,
+        );
+      }
+    }
+    return true;
+  };
+
+  navigateToHit = (hit: TextSearchHit): void => {
+    this.hitIndex = this.hits.indexOf(hit);
+    window.history.pushState(null, null);
+    this.viewer.navigateToInternalUrl(hit.url);
+  };
+
   findPrevious = (): boolean => {
     return this.findSub(true);
   };
@@ -132,6 +204,11 @@ class FindBox {
     if (!text) {
       return false;
     }
+    if (this.regexp()) {
+      // window.find() does not support regular expressions
+      this.findHit(backwards);
+      return true;
+    }
     const currentEPage = this.viewer.epage();
     let epage = -1;
     let afterWrappedAround = false;
@@ -194,6 +271,19 @@ class FindBox {
     return true;
   }
 
+  private async findHit(backwards: boolean): Promise<void> {
+    if (!this.hits().length) {
+      await this.findAll();
+    }
+    const count = this.hits().length;
+    if (count) {
+      this.hitIndex = backwards
+        ? (this.hitIndex > 0 ? this.hitIndex : count) - 1
+        : (this.hitIndex + 1) % count;
+      this.navigateToHit(this.hits()[this.hitIndex]);
+    }
+  }
+
   private findText(text: string, backwards: boolean): boolean {
     const selection = window.getSelection();
     if (selection.type !== "Range") {
@@ -209,7 +299,13 @@ class FindBox {
       this.foundRange = null;
       this.fixHighlight();
     }
-    const found = windowF.find(text, false, backwards);
+    const found = windowF.find(
+      text,
+      this.caseSensitive(),
+      backwards,
+      false,
+      this.wholeWord(),
+    );
     findBoxElem.style.visibility = "";
 
     if (found) {
@@ -986,6 +986,228 @@ export class URLMarksStore implements MarksStoreInterface {
   }
 }
 
+const requestToPromise = <T>(request: IDBRequest<T>): Promise<T> =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = (): void => resolve(request.result);
+    request.onerror = (): void => reject(request.error);
+  });
+
+interface MarkRecord {
+  key?: number;
+  documentId: string;
+  mark: string;
+  memo: string;
+  markedText: string;
+}
+
+/**
+ * Marks store that keeps the marks of each document in IndexedDB, so that
+ * the number of marks is not limited by the URL length.
+ */
+export class IndexedDBMarksStore implements MarksStoreInterface {
+  static readonly dbName = "vivliostyle-viewer-marks";
+  static readonly storeName = "marks";
+  private db: IDBDatabase;
+  public documentId = "";
+
+  async init(documentId: string): Promise<void> {
+    const request = indexedDB.open(IndexedDBMarksStore.dbName, 1);
+    request.onupgradeneeded = (): void => {
+      const store = request.result.createObjectStore(
+        IndexedDBMarksStore.storeName,
+        { keyPath: "key", autoIncrement: true },
+      );
+      store.createIndex("documentId", "documentId");
+    };
+    this.db = await requestToPromise(request);
+    this.documentId = documentId;
+  }
+
+  async persistMark(mark: MarkJson): Promise<string> {
+    const key = await requestToPromise(
+      this.objectStore("readwrite").add(this.markToRecord(mark, false)),
+    );
+    mark.id = `${key}`;
+    return mark.id;
+  }
+
+  async updateMark(mark: MarkJson): Promise<void> {
+    await requestToPromise(
+      this.objectStore("readwrite").put(this.markToRecord(mark, true)),
+    );
+  }
+
+  async getMark(id: string): Promise<MarkJson> {
+    const record: MarkRecord = await requestToPromise(
+      this.objectStore("readonly").get(Number(id)),
+    );
+    return record && this.recordToMark(record);
+  }
+
+  async removeMark(mark: MarkJson): Promise<void> {
+    await requestToPromise(
+      this.objectStore("readwrite").delete(Number(mark.id)),
+    );
+  }
+
+  async allMarks(): Promise<MarkJson[]> {
+    const records: MarkRecord[] = await requestToPromise(
+      this.objectStore("readonly").index("documentId").getAll(this.documentId),
+    );
+    return records.map((record) => this.recordToMark(record));
+  }
+
+  private objectStore(mode: IDBTransactionMode): IDBObjectStore {
+    return this.db
+      .transaction(IndexedDBMarksStore.storeName, mode)
+      .objectStore(IndexedDBMarksStore.storeName);
+  }
+
+  private markToRecord(mark: MarkJson, withKey: boolean): MarkRecord {
+    const record: MarkRecord = {
+      documentId: this.documentId,
+      mark: mark.mark,
+      memo: mark.memo,
+      markedText: mark.markedText,
+    };
+    if (withKey) {
+      record.key = Number(mark.id);
+    }
+    return record;
+  }
+
+  private recordToMark(record: MarkRecord): MarkJson {
+    return {
+      mark: record.mark,
+      id: `${record.key}`,
+      memo: record.memo,
+      markedText: record.markedText,
+    };
+  }
+}
+
+const webAnnotationContext = "http://www.w3.org/ns/anno.jsonld";
+
+const markInfoPattern = /^[-\d/]+,[-\d/]+,[-\w]*$/;
+
+/**
+ * `conformsTo` of the FragmentSelector that keeps the position of a mark.
+ * Its value is `<start>,<end>,<color>` (the same as in the `mark` URL
+ * parameter), where `<start>` and `<end>` are
+ * `<spineIndex>-<eloff>-<nodePath>-<offset>-<offsetInItem>` as written by
+ * `SelectPosition.toString()`.
+ */
+const markSelectorConformsTo =
+  "https://github.com/vivliostyle/vivliostyle.js/blob/HEAD/packages/viewer/src/viewmodels/marks-store.ts";
+
+/**
+ * Convert marks to a W3C Web Annotation collection (JSON-LD). The marked
+ * text is kept in a TextQuoteSelector, refined for this viewer by a
+ * FragmentSelector conforming to `markSelectorConformsTo`, and the color
+ * is kept as the `styleClass`.
+ */
+export const marksToWebAnnotations = (
+  marks: MarkJson[],
+  source: string,
+): object => {
+  const items = marks.map((m) => {
+    const color = m.mark.split(",")[2];
+    const annotation = {
+      type: "Annotation",
+      motivation: m.memo ? "commenting" : "highlighting",
+      stylesheet: {
+        type: "CssStylesheet",
+        value: `.${color} { background: ${colorNameToColor(color)}; }`,
+      },
+      target: {
+        source,
+        styleClass: color,
+        selector: [
+          {
+            type: "TextQuoteSelector",
+            exact: m.markedText,
+            refinedBy: {
+              type: "FragmentSelector",
+              conformsTo: markSelectorConformsTo,
+              value: m.mark,
+            },
+          },
+        ],
+      },
+    };
+    if (m.memo) {
+      annotation["body"] = {
+        type: "TextualBody",
+        value: m.memo,
+        format: "text/plain",
+        purpose: "commenting",
+      };
+    }
+    return annotation;
+  });
+  return {
+    "@context": webAnnotationContext,
+    type: "AnnotationCollection",
+    total: items.length,
+    first: {
+      type: "AnnotationPage",
+      startIndex: 0,
+      items,
+    },
+  };
+};
+
+/**
+ * Read marks from W3C Web Annotations: an AnnotationCollection, an
+ * AnnotationPage, an array of annotations or a single annotation.
+ * Annotations without a FragmentSelector conforming to
+ * `markSelectorConformsTo` are ignored.
+ */
+export const webAnnotationsToMarks = (json: unknown): MarkJson[] => {
+  const asArray = <T>(value: T | T[] | undefined): T[] =>
+    value === undefined || value === null
+      ? []
+      : Array.isArray(value)
+        ? value
+        : [value];
+  let annotations = asArray(json);
+  if (json && json["type"] === "AnnotationCollection") {
+    annotations = asArray(json["first"]?.["items"]);
+  } else if (json && json["type"] === "AnnotationPage") {
+    annotations = asArray(json["items"]);
+  }
+  const marks: MarkJson[] = [];
+  annotations.forEach((annotation) => {
+    if (annotation?.["type"] !== "Annotation") {
+      return;
+    }
+    asArray(annotation["target"]).forEach((target) => {
+      const quote = asArray(target?.["selector"]).find(
+        (s) => s?.["type"] === "TextQuoteSelector",
+      );
+      const fragment = asArray(quote?.["refinedBy"]).find(
+        (s) =>
+          s?.["type"] === "FragmentSelector" &&
+          s["conformsTo"] === markSelectorConformsTo &&
+          markInfoPattern.test(s["value"]),
+      );
+      if (!fragment) {
+        return;
+      }
+      const memo = asArray(annotation["body"]).find(
+        (b) => b?.["type"] === "TextualBody",
+      );
+      marks.push({
+        mark: fragment["value"],
+        id: Mark.notCreatedId,
+        memo: memo?.["value"] ?? "",
+        markedText: quote?.["exact"] ?? "",
+      });
+    });
+  });
+  return marks;
+};
+
 export class MarksBox {
   detailsElement: HTMLDetailsElement;
   pinned: Observable<boolean>;
@@ -1040,6 +1262,37 @@ export class MarksBox {
     }
   };
 
+  exportMarks = async (): Promise<void> => {
+    const json = await this.parent.exportMarks();
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(
+      new Blob([json], { type: "application/ld+json" }),
+    );
+    a.download = "marks.jsonld";
+    a.click();
+    // Revoke later since the download may not have started yet.
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  };
+
+  importMarks = (): void => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".jsonld,.json,application/ld+json,application/json";
+    input.addEventListener("change", async () => {
+      const file = input.files[0];
+      if (!file) {
+        return;
+      }
+      try {
+        const count = await this.parent.importMarks(await file.text());
+        alert(`${t("Imported_marks_")} ${count}`);
+      } catch (_e) {
+        alert(t("Failed_to_import_marks"));
+      }
+    });
+    input.click();
+  };
+
   removeOneMark = async (mark: Mark): Promise<void> => {
     if (confirm(t("CONFIRM_REMOVE"))) {
       await this.parent.removeMark(mark);
@@ -1062,6 +1315,15 @@ export class MarksBox {
   hasMarks = (): boolean => {
     return this.list().length > 0 && this.parent.enabled();
   };
+
+  isVisible = (): boolean => {
+    // Shown without marks when they can be imported into IndexedDB
+    return (
+      this.hasMarks() ||
+      (this.parent.enabled() &&
+        this.parent.actualStore instanceof IndexedDBMarksStore)
+    );
+  };
 }
 
 export class MarksStoreFacade {
@@ -1100,6 +1362,11 @@ export class MarksStoreFacade {
 
     if (window["marksStorePlugin"]) {
       this.actualStore = window["marksStorePlugin"] as MarksStoreInterface;
+    } else if (
+      this.viewerOptions.marksStore() === "indexeddb" &&
+      window.indexedDB
+    ) {
+      this.actualStore = new IndexedDBMarksStore();
     } else {
       this.actualStore = new URLMarksStore();
     }
@@ -1179,6 +1446,36 @@ export class MarksStoreFacade {
     await this.actualStore.removeMark(mark.toMarkJson());
   }
 
+  /**
+   * @returns the marks of the document as W3C Web Annotations (JSON-LD)
+   */
+  async exportMarks(): Promise<string> {
+    const marks = this.initialized ? await this.actualStore.allMarks() : [];
+    const source = urlParameters.getParameter("src").join();
+    return JSON.stringify(marksToWebAnnotations(marks, source), null, 2);
+  }
+
+  /**
+   * Add marks from W3C Web Annotations (JSON-LD), skipping those already
+   * present.
+   * @returns the number of imported marks
+   */
+  async importMarks(json: string): Promise<number> {
+    if (!this.initialized) return 0;
+    const existing = new Set(
+      (await this.actualStore.allMarks()).map((m) => m.mark),
+    );
+    let count = 0;
+    for (const m of webAnnotationsToMarks(JSON.parse(json))) {
+      if (!existing.has(m.mark)) {
+        existing.add(m.mark);
+        await this.persistMark(Mark.fromMarkJson(m));
+        count++;
+      }
+    }
+    return count;
+  }
+
   async retryHighlightMarks(): Promise<void> {
     if (!this.enabled()) return;
     if (this.actualStore.allMarksIterator) {
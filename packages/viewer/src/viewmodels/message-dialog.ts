@@ -27,6 +27,12 @@ type ErrorInfo = {
     stack: string;
   };
   messages: Array<string>;
+  location?: {
+    url: string;
+    line: number;
+    column: number;
+    property: string | null;
+  };
 };
 
 class MessageDialog {
@@ -39,7 +45,12 @@ class MessageDialog {
   }
 
   getDisplayMessage(errorInfo: ErrorInfo): string {
-    return errorInfo.error?.toString() ?? errorInfo.messages.join("\n");
+    const message =
+      errorInfo.error?.toString() ?? errorInfo.messages.join("\n");
+    const location = errorInfo.location;
+    return location
+      ? `${message}\n(${location.url}:${location.line}:${location.column})`
+      : message;
   }
 }
 
@@ -18,8 +18,12 @@
  * along with Vivliostyle UI.  If not, see <http://www.gnu.org/licenses/>.
  */
 
-import { ReadyState, PageProgression } from "@vivliostyle/core";
-import ko, { PureComputed } from "knockout";
+import {
+  MediaOverlayState,
+  ReadyState,
+  PageProgression,
+} from "@vivliostyle/core";
+import ko, { Observable, PureComputed } from "knockout";
 
 import ViewerOptions from "../models/viewer-options";
 import keyUtil from "../utils/key-util";
@@ -53,6 +57,7 @@ class Navigation {
   isNavigateToFirstDisabled: PureComputed<boolean>;
   isNavigateToLastDisabled: PureComputed<boolean>;
   isPageNumberDisabled: PureComputed<boolean>;
+  isPrintPageDisabled: PureComputed<boolean>;
   isPageSliderDisabled: PureComputed<boolean>;
   isTOCToggleDisabled: PureComputed<boolean>;
   isToggleFitToScreenDisabled: PureComputed<boolean>;
@@ -62,13 +67,20 @@ class Navigation {
   isPrintDisabled: PureComputed<boolean>;
   isFindBoxDisabled: PureComputed<boolean>;
   isMarkerToggleDisabled: PureComputed<boolean>;
+  isMediaOverlayToggleDisabled: PureComputed<boolean>;
+  isMediaOverlayStopDisabled: PureComputed<boolean>;
+  mediaOverlayPlaying: PureComputed<boolean>;
+  hideMediaOverlay: PureComputed<boolean>;
   pageNumber: PureComputed<number | string>;
+  printPage: Observable<string>;
+  printPageNotFound: Observable<boolean>;
   totalPages: PureComputed<number | string>;
   pageSlider: PureComputed<number | string>;
   pageSliderMax: PureComputed<number | string>;
   hidePageSlider: boolean;
   hideFontSizeChange: boolean;
   hidePageNavigation: boolean;
+  hidePrintPage: PureComputed<boolean>;
   hideTOCNavigation: boolean;
   hideZoom: boolean;
   hidePrint: boolean;
@@ -110,6 +122,15 @@ class Navigation {
       return navigationDisabled();
     });
 
+    this.printPage = ko.observable("");
+    this.printPageNotFound = ko.observable(false);
+    this.isPrintPageDisabled = navigationDisabled;
+    this.hidePrintPage = ko.pureComputed(
+      () =>
+        !!navigationOptions.disablePageNavigation ||
+        !this.viewer.pageListAvailable(),
+    );
+
     this.isPageSliderDisabled = ko.pureComputed(() => {
       if (navigationOptions.disablePageSlider || navigationDisabled()) {
         return true;
@@ -257,6 +278,22 @@ class Navigation {
     });
     this.hideMarker = !!navigationOptions.disableMarker;
 
+    this.hideMediaOverlay = ko.pureComputed(
+      () => !this.viewer.mediaOverlayAvailable(),
+    );
+    this.mediaOverlayPlaying = ko.pureComputed(
+      () => this.viewer.mediaOverlayState() === MediaOverlayState.PLAYING,
+    );
+    this.isMediaOverlayToggleDisabled = ko.pureComputed(() => {
+      return this.hideMediaOverlay() || this.isDisabled();
+    });
+    this.isMediaOverlayStopDisabled = ko.pureComputed(() => {
+      return (
+        this.isMediaOverlayToggleDisabled() ||
+        this.viewer.mediaOverlayState() === MediaOverlayState.STOPPED
+      );
+    });
+
     this.isPrintDisabled = ko.pureComputed(() => {
       if (
         navigationOptions.disablePrint ||
@@ -435,6 +472,19 @@ class Navigation {
     }
   };
 
+  goToPrintPage = (): boolean => {
+    const label = this.printPage().trim();
+    if (!this.isPrintPageDisabled() && label) {
+      window.history.pushState(null, null);
+      this.viewer.navigateToPrintPage(label).then((found) => {
+        this.printPageNotFound(!found);
+      });
+      return true;
+    } else {
+      return false;
+    }
+  };
+
   zoomIn = (): boolean => {
     if (!this.isZoomInDisabled()) {
       const zoom = this.viewerOptions.zoom();
@@ -553,6 +603,11 @@ class Navigation {
     return true;
   };
 
+  oninputPrintPage = (): boolean => {
+    this.printPageNotFound(false);
+    return true;
+  };
+
   onmouseupPageSlider = (_obj: unknown, _event: MouseEvent): boolean => {
     if (this.viewerOptions.renderAllPages()) {
       // already moved in `this.pageSlider.write()`
@@ -937,6 +992,28 @@ class Navigation {
     }
   };
 
+  toggleMediaOverlay = (): boolean => {
+    if (!this.isMediaOverlayToggleDisabled()) {
+      if (this.mediaOverlayPlaying()) {
+        this.viewer.pauseMediaOverlay();
+      } else {
+        this.viewer.playMediaOverlay();
+      }
+      return true;
+    } else {
+      return false;
+    }
+  };
+
+  stopMediaOverlay = (): boolean => {
+    if (!this.isMediaOverlayStopDisabled()) {
+      this.viewer.stopMediaOverlay();
+      return true;
+    } else {
+      return false;
+    }
+  };
+
   print = (): boolean => {
     if (!this.isPrintDisabled()) {
       window.print();
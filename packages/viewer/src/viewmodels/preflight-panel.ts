@@ -0,0 +1,79 @@
+/*
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { PreflightIssue } from "@vivliostyle/core";
+import ko, { Observable, ObservableArray } from "knockout";
+
+import Viewer from "./viewer";
+
+enum PreflightStatus {
+  Default = "",
+  Checking = "Checking",
+  Done = "Done",
+}
+
+class PreflightPanel {
+  status: Observable<PreflightStatus>;
+  issues: ObservableArray<PreflightIssue>;
+  incomplete: Observable<boolean>;
+
+  constructor(public viewer: Viewer) {
+    this.status = ko.observable(PreflightStatus.Default);
+    this.issues = ko.observableArray();
+    this.incomplete = ko.observable(false);
+  }
+
+  isChecking = (): boolean => this.status() === PreflightStatus.Checking;
+
+  isDone = (): boolean => this.status() === PreflightStatus.Done;
+
+  /**
+   * Check the rendered pages and list the issues found.
+   */
+  check = async (): Promise<boolean> => {
+    if (this.isChecking()) {
+      return false;
+    }
+    this.status(PreflightStatus.Checking);
+    this.issues.removeAll();
+    try {
+      const report = await this.viewer.getPreflightReport();
+      this.issues(report.issues);
+      this.incomplete(!report.complete);
+      this.status(PreflightStatus.Done);
+    } finally {
+      if (this.isChecking()) {
+        // The check failed.
+        this.status(PreflightStatus.Default);
+      }
+    }
+    return true;
+  };
+
+  navigateToIssue = (issue: PreflightIssue): void => {
+    if (issue.cfi) {
+      window.history.pushState(null, null);
+      this.viewer.navigateToInternalUrl(`#${issue.cfi}`);
+    } else if (issue.pageIndex !== null) {
+      // issue.pageIndex is the EPage of the page with the issue.
+      window.history.pushState(null, null);
+      this.viewer.navigateToEPage(issue.pageIndex);
+    }
+  };
+}
+
+export default PreflightPanel;
@@ -23,7 +23,7 @@ import i18nextko from "i18next-ko";
 import Viewer from "./viewer";
 import PageStyle from "../models/page-style";
 import PageViewMode from "../models/page-view-mode";
-import ViewerOptions from "../models/viewer-options";
+import ViewerOptions, { impositionChoices } from "../models/viewer-options";
 import DocumentOptions from "../models/document-options";
 import urlParameters from "../stores/url-parameters";
 import keyUtil from "../utils/key-util";
@@ -55,6 +55,7 @@ class SettingsPanel {
   resetCustomStyle: PureComputed<boolean>;
   defaultPageStyle: PageStyle;
   uiLanguage: PureComputed<string>;
+  impositionChoices = impositionChoices;
 
   constructor(
     private viewerOptions: ViewerOptions,
@@ -27,6 +27,7 @@ import Viewer, { ViewerSettings } from "./viewer";
 import Navigation from "./navigation";
 import SettingsPanel from "./settings-panel";
 import FindBox from "./find-box";
+import PreflightPanel from "./preflight-panel";
 import MessageDialog from "./message-dialog";
 import urlParameters from "../stores/url-parameters";
 import keyUtil from "../utils/key-util";
@@ -50,6 +51,7 @@ class ViewerApp {
   settingsPanel: SettingsPanel;
   navigation: Navigation;
   findBox: FindBox;
+  preflightPanel: PreflightPanel;
   marksStore: MarksStoreFacade;
   marksMenuStatus: MarksMenuStatus;
   marksBox: MarksBox;
@@ -235,6 +237,7 @@ class ViewerApp {
     );
 
     this.findBox = new FindBox(this.viewer, this.navigation);
+    this.preflightPanel = new PreflightPanel(this.viewer);
 
     const findingText = decodeURIComponent(
       urlParameters.getParameter("find")[0] ?? "",
@@ -288,6 +291,13 @@ class ViewerApp {
       }
       return true;
     }
+    if (document.activeElement.id === "vivliostyle-print-page") {
+      if (key === "Enter") {
+        this.navigation.goToPrintPage();
+        return false;
+      }
+      return true;
+    }
     if (document.activeElement.id === "vivliostyle-find-box") {
       return this.findBox.handleKey(key, event, true);
     }
@@ -20,10 +20,16 @@
 
 import {
   CoreViewer,
+  MediaOverlayState,
   Navigation,
+  Payload,
   ReadyState,
   PageProgression,
+  PreflightOptions,
+  PreflightReport,
   profiler,
+  TextSearchHit,
+  TextSearchOptions,
   ZoomType,
 } from "@vivliostyle/core";
 import ko, { Observable, PureComputed } from "knockout";
@@ -64,6 +70,11 @@ class Viewer {
   rerenderTrigger: Observable<boolean>; // just flips valye.
   state: State;
   lastPage: Observable<boolean>;
+  mediaOverlayAvailable: Observable<boolean>;
+  pageListAvailable: Observable<boolean>;
+  mediaOverlayState: Observable<MediaOverlayState>;
+  renderingProgress: Observable<Payload | null>;
+  renderingProgressText: PureComputed<string>;
   tocVisible: Observable<boolean>;
   tocPinned: Observable<boolean>;
 
@@ -93,6 +104,20 @@ class Viewer {
     this.epageCount = ko.observable();
     this.firstPage = ko.observable();
     this.lastPage = ko.observable();
+    this.mediaOverlayAvailable = ko.observable(false);
+    this.pageListAvailable = ko.observable(false);
+    this.mediaOverlayState = ko.observable(MediaOverlayState.STOPPED);
+    this.renderingProgress = ko.observable(null);
+    this.renderingProgressText = ko.pureComputed(() => {
+      const progress = this.renderingProgress();
+      if (!progress) {
+        return "";
+      }
+      const { pageCount, estimatedPageCount, elapsedTime } = progress;
+      return `${pageCount} / ${estimatedPageCount} (${(
+        elapsedTime / 1000
+      ).toFixed(1)} s)`;
+    });
     this.tocVisible = ko.observable();
     this.tocPinned = ko.observable();
 
@@ -128,9 +153,25 @@ class Viewer {
         this.privState.pageProgression.value(
           this.coreViewer.getCurrentPageProgression(),
         );
+        this.mediaOverlayAvailable(this.coreViewer.hasMediaOverlay());
+        this.coreViewer.getPageList().then((pageList) => {
+          this.pageListAvailable(pageList.length > 0);
+        });
+      }
+      if (
+        readyState === ReadyState.COMPLETE ||
+        readyState === ReadyState.CANCELLED
+      ) {
+        this.renderingProgress(null);
       }
       this.privState.status.value(readyState);
     });
+    this.coreViewer.addListener("progress", (payload) => {
+      this.renderingProgress(payload);
+    });
+    this.coreViewer.addListener("mediaoverlay", (payload) => {
+      this.mediaOverlayState(payload.mediaOverlayState);
+    });
     this.coreViewer.addListener("loaded", () => {
       if (this.viewerOptions.profile()) {
         profiler.printTimings();
@@ -237,6 +278,9 @@ class Viewer {
     viewerOptions?: ViewerOptions,
   ): void {
     this.privState.status.value(ReadyState.LOADING);
+    this.renderingProgress(null);
+    this.mediaOverlayAvailable(false);
+    this.pageListAvailable(false);
     if (viewerOptions) {
       this.viewerOptions.copyFrom(viewerOptions);
     }
@@ -290,10 +334,37 @@ class Viewer {
     this.coreViewer.navigateToPage(Navigation.EPAGE, epage);
   }
 
+  playMediaOverlay(): void {
+    this.coreViewer.playMediaOverlay();
+  }
+
+  pauseMediaOverlay(): void {
+    this.coreViewer.pauseMediaOverlay();
+  }
+
+  stopMediaOverlay(): void {
+    this.coreViewer.stopMediaOverlay();
+  }
+
   navigateToInternalUrl(href: string): void {
     this.coreViewer.navigateToInternalUrl(href);
   }
 
+  navigateToPrintPage(label: string): Promise<boolean> {
+    return this.coreViewer.navigateToPrintPage(label);
+  }
+
+  searchText(
+    query: string,
+    options: TextSearchOptions,
+  ): Promise<TextSearchHit[]> {
+    return this.coreViewer.searchText(query, options);
+  }
+
+  getPreflightReport(options?: PreflightOptions): Promise<PreflightReport> {
+    return this.coreViewer.getPreflightReport(options);
+  }
+
   navigateToPosition(position: {
     spineIndex: number;
     pageIndex?: number;
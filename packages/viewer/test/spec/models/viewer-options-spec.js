@@ -58,6 +58,20 @@ describe("ViewerOptions", function () {
       expect(options.pageViewMode()).toBe(PageViewMode.AUTO_SPREAD);
     });
 
+    it("ignores unknown imposition values from URL", function () {
+      urlParameters.location = { href: "http://example.com#imposition=2up" };
+      let options = new ViewerOptions();
+
+      expect(options.imposition()).toBe("2up");
+
+      urlParameters.location = {
+        href: "http://example.com#imposition=toString",
+      };
+      options = new ViewerOptions();
+
+      expect(options.imposition()).toBe("none");
+    });
+
     it("copies parameters from the argument", function () {
       const other = new ViewerOptions();
       other.pageViewMode(PageViewMode.SINGLE_PAGE);
@@ -0,0 +1,137 @@
+/*
+ * Copyright 2026 Vivliostyle Foundation
+ *
+ * Vivliostyle.js is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Vivliostyle.js is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with Vivliostyle.js.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import {
+  marksToWebAnnotations,
+  webAnnotationsToMarks,
+} from "../../../src/viewmodels/marks-store";
+
+describe("marks-store Web Annotations", function () {
+  const source = "https://example.com/book/";
+  const marks = [
+    {
+      mark: "0-12-0/1-3-40,0-12-0/1-10-47,marker-yellow",
+      id: "not-created",
+      memo: "",
+      markedText: "marked",
+    },
+    {
+      mark: "1-5-2-0-8,2-7-0-4-20,marker-red",
+      id: "not-created",
+      memo: "A memo",
+      markedText: "over two items",
+    },
+  ];
+
+  function annotation(refinedBy) {
+    return {
+      type: "Annotation",
+      target: {
+        source,
+        selector: {
+          type: "TextQuoteSelector",
+          exact: "text",
+          refinedBy,
+        },
+      },
+    };
+  }
+
+  it("converts marks to an annotation collection", function () {
+    const json = marksToWebAnnotations(marks, source);
+    expect(json["@context"]).toBe("http://www.w3.org/ns/anno.jsonld");
+    expect(json.type).toBe("AnnotationCollection");
+    expect(json.total).toBe(2);
+    const items = json.first.items;
+    expect(items[0].motivation).toBe("highlighting");
+    expect(items[0].body).toBeUndefined();
+    expect(items[0].target.source).toBe(source);
+    expect(items[0].target.styleClass).toBe("marker-yellow");
+    const selector = items[0].target.selector[0];
+    expect(selector.type).toBe("TextQuoteSelector");
+    expect(selector.exact).toBe("marked");
+    expect(selector.refinedBy.type).toBe("FragmentSelector");
+    expect(selector.refinedBy.conformsTo).toMatch(/marks-store\.ts$/);
+    expect(selector.refinedBy.value).toBe(marks[0].mark);
+    expect(items[1].motivation).toBe("commenting");
+    expect(items[1].body.value).toBe("A memo");
+  });
+
+  it("reads back the exported marks", function () {
+    const json = JSON.parse(
+      JSON.stringify(marksToWebAnnotations(marks, source)),
+    );
+    expect(webAnnotationsToMarks(json)).toEqual(marks);
+    expect(webAnnotationsToMarks(json.first)).toEqual(marks);
+    expect(webAnnotationsToMarks(json.first.items)).toEqual(marks);
+    expect(webAnnotationsToMarks(json.first.items[1])).toEqual([marks[1]]);
+  });
+
+  it("ignores annotations without the mark selector", function () {
+    const conformsTo = marksToWebAnnotations(marks, source).first.items[0]
+      .target.selector[0].refinedBy.conformsTo;
+    const annotations = [
+      annotation({
+        type: "FragmentSelector",
+        conformsTo: "http://www.w3.org/TR/media-frags/",
+        value: "t=10",
+      }),
+      annotation({
+        type: "FragmentSelector",
+        value: marks[0].mark,
+      }),
+      annotation({
+        type: "FragmentSelector",
+        conformsTo,
+        value: "not a mark",
+      }),
+      annotation(undefined),
+      annotation({
+        type: "FragmentSelector",
+        conformsTo,
+        value: marks[0].mark,
+      }),
+    ];
+    expect(webAnnotationsToMarks(annotations)).toEqual([
+      {
+        mark: marks[0].mark,
+        id: "not-created",
+        memo: "",
+        markedText: "text",
+      },
+    ]);
+  });
+
+  it("returns no marks for malformed input", function () {
+    expect(webAnnotationsToMarks(null)).toEqual([]);
+    expect(webAnnotationsToMarks(undefined)).toEqual([]);
+    expect(webAnnotationsToMarks("text")).toEqual([]);
+    expect(webAnnotationsToMarks(42)).toEqual([]);
+    expect(webAnnotationsToMarks({})).toEqual([]);
+    expect(webAnnotationsToMarks({ type: "AnnotationCollection" })).toEqual([]);
+    expect(
+      webAnnotationsToMarks({ type: "AnnotationPage", items: [null, 1] }),
+    ).toEqual([]);
+    expect(
+      webAnnotationsToMarks([
+        { type: "Annotation" },
+        { type: "Annotation", target: null },
+        { type: "Annotation", target: { selector: [null] } },
+      ]),
+    ).toEqual([]);
+  });
+});